@@ -1,6 +1,6 @@
 'use client';
 
-import React, { useEffect, useState, useCallback } from 'react';
+import React, { useEffect, useState, useCallback, useRef } from 'react';
 import { useParams, useRouter } from 'next/navigation';
 import Link from 'next/link';
 import { useForm } from 'react-hook-form';
@@ -25,6 +25,11 @@ import {
   Pencil,
   ToggleLeft,
   ToggleRight,
+  Send,
+  Eye,
+  Undo2,
+  CalendarClock,
+  X,
 } from 'lucide-react';
 import {
   Card,
@@ -42,9 +47,33 @@ import {
   LoadingOverlay,
 } from '@/components/ui';
 import { SelectorModal } from '@/components/widgets/SelectorModal';
+import { FeedPreviewPanel } from '@/components/customers/FeedPreviewPanel';
+import { FeedCredentialsEditor } from '@/components/customers/FeedCredentialsEditor';
+import { FeedSyncTimeline } from '@/components/customers/FeedSyncTimeline';
+import { CodeEditor } from '@/components/editor';
 import { customersService, templatesService } from '@/services';
-import { formatDate, copyToClipboard, cn } from '@/lib/utils';
-import type { Customer, WidgetConfig, Theme, XmlFeed, WidgetType, CustomTemplate } from '@/types';
+import {
+  formatDate,
+  formatDateTime,
+  copyToClipboard,
+  cn,
+  withDraft,
+  toZonedInputValue,
+} from '@/lib/utils';
+import type {
+  Customer,
+  WidgetConfig,
+  Theme,
+  XmlFeed,
+  FeedFieldMapping,
+  FeedCredentialsInput,
+  FeedMergeField,
+  WidgetType,
+  CustomTemplate,
+  DraftSummary,
+  Daypart,
+  WidgetTargeting,
+} from '@/types';
 
 // ========================================
 // Tab Types
@@ -78,7 +107,7 @@ const customerSchema = z.object({
 });
 
 const widgetSchema = z.object({
-  type: z.enum(['CAROUSEL', 'BANNER', 'POPUP', 'GRID', 'SLIDER', 'CUSTOM'] as const),
+  type: z.enum(['CAROUSEL', 'BANNER', 'POPUP', 'GRID', 'SLIDER', 'CUSTOM', 'SEARCH'] as const),
   name: z.string().min(2, 'Isim en az 2 karakter olmali'),
 });
 
@@ -97,8 +126,17 @@ const themeSchema = z.object({
 
 const feedSchema = z.object({
   name: z.string().min(2, 'Feed adı en az 2 karakter olmalı'),
-  url: z.string().url('Geçerli bir URL girin'),
-  format: z.enum(['google', 'facebook', 'custom'] as const),
+  url: z
+    .string()
+    .url('Geçerli bir URL girin')
+    .regex(/^(https?|ftps?|sftp):\/\//i, 'http(s), ftp(s) veya sftp adresi girin'),
+  format: z.enum(['google', 'facebook', 'custom', 'csv', 'tsv', 'json'] as const),
+  role: z.enum(['primary', 'supplemental'] as const),
+  priority: z.coerce.number().int('Tam sayı girin').min(-100).max(100),
+  mergeFields: z.array(z.string()),
+}).refine((data) => data.role === 'primary' || data.mergeFields.length > 0, {
+  message: 'Ek feed için en az bir alan seçin',
+  path: ['mergeFields'],
 });
 
 // ========================================
@@ -112,14 +150,61 @@ const widgetTypeOptions = [
   { value: 'GRID', label: 'Grid' },
   { value: 'SLIDER', label: 'Slider' },
   { value: 'CUSTOM', label: 'Ozel Template' },
+  { value: 'SEARCH', label: 'Arama' },
+];
+
+const timezoneOptions = [
+  'Europe/Istanbul',
+  'UTC',
+  'Europe/London',
+  'Europe/Berlin',
+  'Europe/Moscow',
+  'Asia/Dubai',
+  'America/New_York',
+];
+
+const weekdayOptions = [
+  { value: 1, label: 'Pzt' },
+  { value: 2, label: 'Sal' },
+  { value: 3, label: 'Çar' },
+  { value: 4, label: 'Per' },
+  { value: 5, label: 'Cum' },
+  { value: 6, label: 'Cmt' },
+  { value: 0, label: 'Paz' },
 ];
 
+const defaultDaypart: Daypart = { days: [1, 2, 3, 4, 5], start: '09:00', end: '18:00' };
+
 const feedFormatOptions = [
   { value: 'google', label: 'Google Merchant' },
   { value: 'facebook', label: 'Facebook Catalog' },
   { value: 'custom', label: 'Custom XML' },
+  { value: 'csv', label: 'CSV' },
+  { value: 'tsv', label: 'TSV (Tab ile ayrılmış)' },
+  { value: 'json', label: 'JSON' },
+];
+
+const feedRoleOptions = [
+  { value: 'primary', label: 'Ana feed (ürünleri oluşturur)' },
+  { value: 'supplemental', label: 'Ek feed (seçili alanları günceller)' },
+];
+
+const mergeFieldOptions: { value: FeedMergeField; label: string }[] = [
+  { value: 'price', label: 'Fiyat' },
+  { value: 'salePrice', label: 'İndirimli fiyat' },
+  { value: 'availability', label: 'Stok durumu' },
+  { value: 'currency', label: 'Para birimi' },
+  { value: 'title', label: 'Başlık' },
+  { value: 'description', label: 'Açıklama' },
+  { value: 'imageUrl', label: 'Görsel' },
+  { value: 'productUrl', label: 'Ürün URL' },
+  { value: 'category', label: 'Kategori' },
+  { value: 'brand', label: 'Marka' },
 ];
 
+// Selection of the feed tab when a new feed is being created
+const NEW_FEED = 'new';
+
 // ========================================
 // Main Component
 // ========================================
@@ -134,7 +219,10 @@ export default function CustomerDetailPage() {
   const [widgets, setWidgets] = useState<WidgetConfig[]>([]);
   const [templates, setTemplates] = useState<CustomTemplate[]>([]);
   const [theme, setTheme] = useState<Theme | null>(null);
+  const [feeds, setFeeds] = useState<XmlFeed[]>([]);
   const [feed, setFeed] = useState<XmlFeed | null>(null);
+  const [drafts, setDrafts] = useState<DraftSummary | null>(null);
+  const [isPublishing, setIsPublishing] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
   const [isSaving, setIsSaving] = useState(false);
   const [isWidgetModalOpen, setIsWidgetModalOpen] = useState(false);
@@ -143,6 +231,16 @@ export default function CustomerDetailPage() {
   const [isSelectorModalOpen, setIsSelectorModalOpen] = useState(false);
   const [selectedPlacement, setSelectedPlacement] = useState<string>('');
   const [selectedTemplateId, setSelectedTemplateId] = useState<string>('');
+  const [scheduleStart, setScheduleStart] = useState<string>('');
+  const [scheduleEnd, setScheduleEnd] = useState<string>('');
+  const [scheduleTimezone, setScheduleTimezone] = useState<string>('Europe/Istanbul');
+  const [dayparts, setDayparts] = useState<Daypart[]>([]);
+  const [targetingJson, setTargetingJson] = useState<string>('');
+  const [feedMappingJson, setFeedMappingJson] = useState<string>('');
+  const [feedSyncKey, setFeedSyncKey] = useState(0);
+  const [feedCredentials, setFeedCredentials] = useState<FeedCredentialsInput | null | undefined>(undefined);
+  // Feed ID or NEW_FEED, kept across reloads
+  const selectedFeedRef = useRef<string | null>(null);
 
   // Forms
   const customerForm = useForm<z.infer<typeof customerSchema>>({
@@ -171,28 +269,54 @@ export default function CustomerDetailPage() {
 
   const feedForm = useForm<z.infer<typeof feedSchema>>({
     resolver: zodResolver(feedSchema),
-    defaultValues: { name: '', url: '', format: 'google' },
+    defaultValues: { name: '', url: '', format: 'google', role: 'primary', priority: 0, mergeFields: [] },
   });
 
+  // Show a feed, or an empty form for a new one, in the feed tab
+  const selectFeed = useCallback(
+    (feedData: XmlFeed | null) => {
+      selectedFeedRef.current = feedData ? feedData.id : NEW_FEED;
+      setFeed(feedData);
+      feedForm.reset({
+        name: feedData?.name || '',
+        url: feedData?.url || '',
+        format: feedData?.format || 'google',
+        role: feedData?.role || 'primary',
+        priority: feedData?.priority || 0,
+        mergeFields: feedData?.mergeFields || [],
+      });
+      setFeedMappingJson(feedData?.fieldMapping ? JSON.stringify(feedData.fieldMapping, null, 2) : '');
+      setFeedCredentials(undefined);
+    },
+    [feedForm]
+  );
+
   // Fetch data
   const fetchData = useCallback(async () => {
     setIsLoading(true);
     try {
-      const [customerData, widgetsData, templatesData, themeData, feedsData] = await Promise.all([
+      const [customerData, widgetsData, templatesData, themeData, feedsData, draftsData] = await Promise.all([
         customersService.getById(customerId),
         customersService.getWidgets(customerId).catch(() => []),
         templatesService.getByCustomer(customerId).catch(() => []),
         customersService.getTheme(customerId).catch(() => null),
         customersService.getFeeds(customerId).catch(() => []),
+        customersService.getDrafts(customerId).catch(() => null),
       ]);
 
       setCustomer(customerData);
-      setWidgets(widgetsData);
+      // Show drafted content in the editor; it goes live on publish
+      setWidgets(widgetsData.map((widget: WidgetConfig) => withDraft(widget)));
       setTemplates(templatesData);
       setTheme(themeData);
-      // Use the first feed if available (UI supports single feed for simplicity)
-      const feedData = feedsData.length > 0 ? feedsData[0] : null;
-      setFeed(feedData);
+      setDrafts(draftsData);
+      // Keep the selected feed, else the first one (primary feeds come first)
+      setFeeds(feedsData);
+      const selected = selectedFeedRef.current;
+      const feedData =
+        feedsData.find((item: XmlFeed) => item.id === selected) ||
+        (selected === NEW_FEED ? null : feedsData[0] || null);
+      selectFeed(feedData);
 
       // Set form values
       customerForm.reset({
@@ -202,19 +326,12 @@ export default function CustomerDetailPage() {
       });
 
       if (themeData) {
+        const editableTheme = withDraft(themeData);
         themeForm.reset({
-          primaryColor: themeData.primaryColor,
-          secondaryColor: themeData.secondaryColor,
-          fontFamily: themeData.fontFamily,
-          borderRadius: themeData.borderRadius,
-        });
-      }
-
-      if (feedData) {
-        feedForm.reset({
-          name: feedData.name || '',
-          url: feedData.url,
-          format: feedData.format,
+          primaryColor: editableTheme.primaryColor,
+          secondaryColor: editableTheme.secondaryColor,
+          fontFamily: editableTheme.fontFamily,
+          borderRadius: editableTheme.borderRadius,
         });
       }
     } catch (error) {
@@ -223,7 +340,7 @@ export default function CustomerDetailPage() {
     } finally {
       setIsLoading(false);
     }
-  }, [customerId, customerForm, themeForm, feedForm]);
+  }, [customerId, customerForm, themeForm, selectFeed]);
 
   useEffect(() => {
     fetchData();
@@ -294,6 +411,12 @@ export default function CustomerDetailPage() {
     setEditingWidget(widget);
     setSelectedPlacement(widget.placement || '');
     setSelectedTemplateId(widget.templateId || '');
+    const timezone = widget.timezone || 'UTC';
+    setScheduleTimezone(timezone);
+    setScheduleStart(widget.startsAt ? toZonedInputValue(widget.startsAt, timezone) : '');
+    setScheduleEnd(widget.endsAt ? toZonedInputValue(widget.endsAt, timezone) : '');
+    setDayparts(widget.dayparting || []);
+    setTargetingJson(widget.targeting ? JSON.stringify(widget.targeting, null, 2) : '');
     editWidgetForm.reset({
       name: widget.name,
       placement: widget.placement || '',
@@ -306,6 +429,16 @@ export default function CustomerDetailPage() {
   const onSaveEditWidget = async (data: z.infer<typeof editWidgetSchema>) => {
     if (!editingWidget) return;
 
+    let targeting: WidgetTargeting | null = null;
+    if (targetingJson.trim()) {
+      try {
+        targeting = JSON.parse(targetingJson);
+      } catch {
+        toast.error('Hedefleme kuralları geçerli bir JSON değil');
+        return;
+      }
+    }
+
     setIsSaving(true);
     try {
       await customersService.updateWidget(customerId, editingWidget.id, {
@@ -313,13 +446,18 @@ export default function CustomerDetailPage() {
         placement: selectedPlacement || undefined,
         isActive: data.isActive,
         templateId: editingWidget.type === 'CUSTOM' ? selectedTemplateId : undefined,
+        startsAt: scheduleStart || null,
+        endsAt: scheduleEnd || null,
+        timezone: scheduleTimezone,
+        dayparting: dayparts,
+        targeting,
       });
       setIsEditWidgetModalOpen(false);
       setEditingWidget(null);
       editWidgetForm.reset();
       setSelectedPlacement('');
       setSelectedTemplateId('');
-      toast.success('Widget güncellendi');
+      toast.success('Widget taslağı kaydedildi');
       fetchData();
     } catch (error: any) {
       toast.error(error.message || 'Widget güncellenemedi');
@@ -328,6 +466,21 @@ export default function CustomerDetailPage() {
     }
   };
 
+  // Update a dayparting window
+  const handleUpdateDaypart = (index: number, changes: Partial<Daypart>) => {
+    setDayparts((current) =>
+      current.map((daypart, i) => (i === index ? { ...daypart, ...changes } : daypart))
+    );
+  };
+
+  // Toggle a weekday of a dayparting window
+  const handleToggleDaypartDay = (index: number, day: number) => {
+    const { days } = dayparts[index];
+    handleUpdateDaypart(index, {
+      days: days.includes(day) ? days.filter((d) => d !== day) : [...days, day].sort(),
+    });
+  };
+
   // Toggle widget active status
   const handleToggleWidgetStatus = async (widget: WidgetConfig) => {
     try {
@@ -357,15 +510,31 @@ export default function CustomerDetailPage() {
 
   // Save feed
   const onSaveFeed = async (data: z.infer<typeof feedSchema>) => {
+    let fieldMapping: FeedFieldMapping | null = null;
+    if (feedMappingJson.trim()) {
+      try {
+        fieldMapping = JSON.parse(feedMappingJson);
+      } catch {
+        toast.error('Alan eşleştirmesi geçerli bir JSON değil');
+        return;
+      }
+    }
+
+    const input = { ...data, mergeFields: data.mergeFields as FeedMergeField[], fieldMapping };
+
     setIsSaving(true);
     try {
       if (feed) {
         // Update existing feed
-        await customersService.updateFeed(feed.id, data);
+        await customersService.updateFeed(feed.id, { ...input, credentials: feedCredentials });
         toast.success('Feed güncellendi');
       } else {
         // Create new feed
-        await customersService.createFeed(customerId, data);
+        const created = await customersService.createFeed(customerId, {
+          ...input,
+          credentials: feedCredentials || undefined,
+        });
+        selectedFeedRef.current = created.id;
         toast.success('Feed oluşturuldu');
       }
       fetchData();
@@ -384,11 +553,61 @@ export default function CustomerDetailPage() {
       toast.success('Feed senkronizasyonu başlatıldı');
       // Refresh data to show updated status
       fetchData();
+      setFeedSyncKey((key) => key + 1);
     } catch (error: any) {
       toast.error(error.message || 'Senkronizasyon başlatılamadı');
     }
   };
 
+  // Publish all drafts
+  const handlePublishDrafts = async () => {
+    if (!confirm('Tum taslak degisiklikler canli sitede yayinlanacak. Devam etmek istiyor musunuz?')) return;
+
+    setIsPublishing(true);
+    try {
+      const result = await customersService.publishDrafts(customerId);
+      toast.success(
+        `Yayinlandi: ${result.widgets} widget, ${result.themes} tema, ${result.templates} template`
+      );
+      fetchData();
+    } catch (error: any) {
+      toast.error(error.message || 'Yayinlama basarisiz');
+    } finally {
+      setIsPublishing(false);
+    }
+  };
+
+  // Discard all drafts
+  const handleDiscardDrafts = async () => {
+    if (!confirm('Yayinlanmamis tum degisiklikler silinecek. Emin misiniz?')) return;
+
+    try {
+      await customersService.discardDrafts(customerId);
+      toast.success('Taslaklar silindi');
+      fetchData();
+    } catch (error: any) {
+      toast.error(error.message || 'Taslaklar silinemedi');
+    }
+  };
+
+  // Open the storefront with drafts applied
+  const handlePreviewDrafts = async () => {
+    try {
+      const { token } = await customersService.createPreviewToken(customerId);
+
+      if (customer?.domain) {
+        const url = new URL(customer.domain);
+        url.searchParams.set('pwx_preview', token);
+        window.open(url.toString(), '_blank');
+      } else {
+        const success = await copyToClipboard(`?pwx_preview=${token}`);
+        if (success) toast.success('Onizleme parametresi kopyalandi, magaza URL\'ine ekleyin');
+      }
+    } catch (error: any) {
+      toast.error(error.message || 'Onizleme linki olusturulamadi');
+    }
+  };
+
   // Copy API key
   const handleCopyApiKey = async () => {
     if (customer?.apiKey) {
@@ -432,6 +651,51 @@ export default function CustomerDetailPage() {
         </div>
       </div>
 
+      {/* Unpublished Drafts */}
+      {drafts && drafts.total > 0 && (
+        <div className="flex items-center justify-between rounded-lg border border-yellow-200 bg-yellow-50 px-4 py-3">
+          <div>
+            <p className="text-sm font-medium text-yellow-800">
+              {drafts.total} yayinlanmamis degisiklik
+            </p>
+            <p className="text-xs text-yellow-700">
+              {[
+                drafts.widgets.length > 0 && `${drafts.widgets.length} widget`,
+                drafts.themes.length > 0 && `${drafts.themes.length} tema`,
+                drafts.templates.length > 0 && `${drafts.templates.length} template`,
+              ].filter(Boolean).join(', ')}
+              {drafts.publishedAt && ` · Son yayin: ${formatDate(drafts.publishedAt)}`}
+            </p>
+          </div>
+          <div className="flex items-center gap-2">
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={handleDiscardDrafts}
+              leftIcon={<Undo2 className="h-4 w-4" />}
+            >
+              Vazgec
+            </Button>
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={handlePreviewDrafts}
+              leftIcon={<Eye className="h-4 w-4" />}
+            >
+              Onizle
+            </Button>
+            <Button
+              size="sm"
+              onClick={handlePublishDrafts}
+              isLoading={isPublishing}
+              leftIcon={<Send className="h-4 w-4" />}
+            >
+              Yayinla
+            </Button>
+          </div>
+        </div>
+      )}
+
       {/* Tabs */}
       <div className="border-b border-gray-200">
         <nav className="-mb-px flex gap-4">
@@ -573,7 +837,12 @@ export default function CustomerDetailPage() {
 
             <div className="grid gap-4 sm:grid-cols-2 lg:grid-cols-3">
               {widgets.map((widget) => (
-                <Card key={widget.id} className={cn(!widget.isActive && 'opacity-60')}>
+                <Card
+                  key={widget.id}
+                  className={cn(
+                    (!widget.isActive || widget.scheduleStatus === 'expired') && 'opacity-60'
+                  )}
+                >
                   <CardContent className="p-4">
                     <div className="flex items-start justify-between">
                       <div className="flex-1 min-w-0">
@@ -583,6 +852,14 @@ export default function CustomerDetailPage() {
                           {widget.templateId && (
                             <Badge size="sm" variant="info">Template</Badge>
                           )}
+                          {widget.draft && (
+                            <Badge size="sm" variant="warning">Taslak</Badge>
+                          )}
+                          {widget.targeting && widget.targeting.rules.length > 0 && (
+                            <Badge size="sm" title={`${widget.targeting.rules.length} hedefleme kuralı`}>
+                              Hedefli
+                            </Badge>
+                          )}
                         </div>
                       </div>
                       <div className="flex items-center gap-1 ml-2">
@@ -614,9 +891,24 @@ export default function CustomerDetailPage() {
                       </div>
                     )}
                     <div className="mt-3 flex items-center justify-between">
-                      <Badge variant={widget.isActive ? 'success' : 'default'} size="sm">
-                        {widget.isActive ? 'Aktif' : 'Pasif'}
-                      </Badge>
+                      <div className="flex items-center gap-2">
+                        <Badge variant={widget.isActive ? 'success' : 'default'} size="sm">
+                          {widget.isActive ? 'Aktif' : 'Pasif'}
+                        </Badge>
+                        {widget.scheduleStatus === 'upcoming' && widget.startsAt && (
+                          <Badge size="sm" variant="info" title={formatDateTime(widget.startsAt)}>
+                            Başlayacak · {formatDate(widget.startsAt)}
+                          </Badge>
+                        )}
+                        {widget.scheduleStatus === 'expired' && widget.endsAt && (
+                          <Badge size="sm" variant="danger" title={formatDateTime(widget.endsAt)}>
+                            Süresi doldu
+                          </Badge>
+                        )}
+                        {widget.scheduleStatus === 'off_hours' && (
+                          <Badge size="sm">Saat dışı</Badge>
+                        )}
+                      </div>
                       <button
                         onClick={() => handleToggleWidgetStatus(widget)}
                         className="text-gray-500 hover:text-gray-700 transition-colors"
@@ -718,6 +1010,35 @@ export default function CustomerDetailPage() {
             </CardHeader>
             <form onSubmit={feedForm.handleSubmit(onSaveFeed)}>
               <CardContent className="space-y-4">
+                <div className="flex flex-wrap items-center gap-2">
+                  {feeds.map((item) => (
+                    <button
+                      key={item.id}
+                      type="button"
+                      onClick={() => selectFeed(item)}
+                      className={cn(
+                        'flex items-center gap-2 rounded-lg border px-3 py-1.5 text-sm',
+                        feed?.id === item.id
+                          ? 'border-primary-500 bg-primary-50 text-primary-700'
+                          : 'border-gray-200 text-gray-600 hover:bg-gray-50'
+                      )}
+                    >
+                      {item.name}
+                      <Badge variant={item.role === 'supplemental' ? 'info' : 'default'}>
+                        {item.role === 'supplemental' ? 'Ek' : 'Ana'}
+                      </Badge>
+                    </button>
+                  ))}
+                  <Button
+                    type="button"
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => selectFeed(null)}
+                    leftIcon={<Plus className="h-4 w-4" />}
+                  >
+                    Yeni Feed
+                  </Button>
+                </div>
                 <Input
                   {...feedForm.register('name')}
                   label="Feed Adı"
@@ -728,6 +1049,7 @@ export default function CustomerDetailPage() {
                   {...feedForm.register('url')}
                   label="Feed URL"
                   placeholder="https://example.com/products.xml"
+                  hint="http(s), ftp(s) veya sftp adresi; .gz ve .zip dosyaları otomatik açılır"
                   error={feedForm.formState.errors.url?.message}
                 />
                 <Select
@@ -735,6 +1057,95 @@ export default function CustomerDetailPage() {
                   label="Feed Formatı"
                   options={feedFormatOptions}
                 />
+                <div className="grid gap-4 md:grid-cols-2">
+                  <Select {...feedForm.register('role')} label="Feed Rolü" options={feedRoleOptions} />
+                  <Input
+                    {...feedForm.register('priority')}
+                    type="number"
+                    label="Öncelik"
+                    hint="Aynı ürün ID'si birden fazla feed'de varsa yüksek öncelikli feed kazanır"
+                    error={feedForm.formState.errors.priority?.message}
+                  />
+                </div>
+                {feedForm.watch('role') === 'supplemental' && (
+                  <div>
+                    <label className="mb-1.5 block text-sm font-medium text-gray-700">Güncellenecek Alanlar</label>
+                    <div className="flex flex-wrap gap-x-4 gap-y-2">
+                      {mergeFieldOptions.map((option) => (
+                        <label key={option.value} className="flex items-center gap-2 text-sm text-gray-700">
+                          <input
+                            type="checkbox"
+                            value={option.value}
+                            {...feedForm.register('mergeFields')}
+                            className="h-4 w-4 rounded border-gray-300 text-primary-600"
+                          />
+                          {option.label}
+                        </label>
+                      ))}
+                    </div>
+                    <p className="mt-1.5 text-xs text-gray-500">
+                      Ek feed ürün oluşturmaz; ana feed&apos;lerdeki aynı ID&apos;li ürünlerin seçili alanlarını
+                      günceller. Ek feed&apos;de yalnızca ID zorunludur, boş değerler ana feed değerini değiştirmez.
+                    </p>
+                    {feedForm.formState.errors.mergeFields?.message && (
+                      <p className="mt-1 text-xs text-red-600">{feedForm.formState.errors.mergeFields.message}</p>
+                    )}
+                  </div>
+                )}
+                <FeedCredentialsEditor
+                  stored={feed?.credentials ?? null}
+                  value={feedCredentials}
+                  onChange={setFeedCredentials}
+                />
+                <div>
+                  <div className="mb-1.5 flex items-center justify-between">
+                    <label className="text-sm font-medium text-gray-700">Alan Eşleştirmesi</label>
+                    {!feedMappingJson.trim() && (
+                      <button
+                        type="button"
+                        onClick={() =>
+                          setFeedMappingJson(
+                            JSON.stringify(
+                              {
+                                id: '@kod',
+                                title: 'bilgi.ad',
+                                price: { path: 'fiyat', transforms: [{ type: 'multiply', factor: 1.2 }] },
+                                availability: {
+                                  path: 'stok',
+                                  transforms: [{ type: 'map', values: { '0': 'out_of_stock' }, default: 'in_stock' }],
+                                },
+                                'attributes.renk': 'renk',
+                              },
+                              null,
+                              2
+                            )
+                          )
+                        }
+                        className="text-xs text-primary-600 hover:text-primary-700"
+                      >
+                        Örnek ekle
+                      </button>
+                    )}
+                  </div>
+                  <CodeEditor
+                    value={feedMappingJson}
+                    onChange={setFeedMappingJson}
+                    language="json"
+                    height="180px"
+                  />
+                  <p className="mt-1.5 text-xs text-gray-500">
+                    Ürün alanı → kaynak yol. İç içe alanlar için nokta, XML nitelikleri için @, tekrar eden
+                    elemanlar için sıra numarası kullanın (ör. gorseller.gorsel.1@url). Dönüşümler: regex,
+                    multiply, map. Boş bırakılırsa format varsayılanları kullanılır.
+                  </p>
+                </div>
+                {feed && (
+                  <FeedPreviewPanel
+                    feedId={feed.id}
+                    format={feedForm.watch('format')}
+                    mappingJson={feedMappingJson}
+                  />
+                )}
                 {feed && (
                   <div className="rounded-lg bg-gray-50 p-4">
                     <h4 className="text-sm font-medium text-gray-700">Feed Durumu</h4>
@@ -757,6 +1168,7 @@ export default function CustomerDetailPage() {
                     </div>
                   </div>
                 )}
+                {feed && <FeedSyncTimeline feedId={feed.id} refreshKey={feedSyncKey} />}
               </CardContent>
               <CardFooter className="flex justify-between">
                 <Button
@@ -958,6 +1370,149 @@ export default function CustomerDetailPage() {
               </p>
             </div>
 
+            {/* Schedule */}
+            <div className="rounded-lg border border-gray-200 p-4">
+              <div className="mb-3 flex items-center gap-2">
+                <CalendarClock className="h-4 w-4 text-gray-500" />
+                <span className="text-sm font-medium text-gray-700">Zamanlama</span>
+              </div>
+              <div className="grid gap-3 sm:grid-cols-2">
+                <Input
+                  type="datetime-local"
+                  label="Başlangıç"
+                  value={scheduleStart}
+                  onChange={(e) => setScheduleStart(e.target.value)}
+                />
+                <Input
+                  type="datetime-local"
+                  label="Bitiş"
+                  value={scheduleEnd}
+                  onChange={(e) => setScheduleEnd(e.target.value)}
+                />
+              </div>
+              <div className="mt-3">
+                <label className="mb-1.5 block text-sm font-medium text-gray-700">
+                  Saat Dilimi
+                </label>
+                <select
+                  value={scheduleTimezone}
+                  onChange={(e) => setScheduleTimezone(e.target.value)}
+                  className="w-full rounded-lg border border-gray-300 px-3 py-2 text-sm focus:border-primary-500 focus:outline-none focus:ring-1 focus:ring-primary-500"
+                >
+                  {Array.from(new Set([scheduleTimezone, ...timezoneOptions])).map((timezone) => (
+                    <option key={timezone} value={timezone}>
+                      {timezone}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              {/* Dayparting */}
+              <div className="mt-4">
+                <div className="flex items-center justify-between">
+                  <span className="text-sm font-medium text-gray-700">Gün / Saat Kısıtı</span>
+                  <Button
+                    type="button"
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => setDayparts((current) => [...current, { ...defaultDaypart }])}
+                    leftIcon={<Plus className="h-4 w-4" />}
+                  >
+                    Pencere Ekle
+                  </Button>
+                </div>
+                {dayparts.length === 0 && (
+                  <p className="mt-1 text-xs text-gray-500">
+                    Kısıt yok, widget gün boyu gösterilir
+                  </p>
+                )}
+                <div className="mt-2 space-y-2">
+                  {dayparts.map((daypart, index) => (
+                    <div key={index} className="flex flex-wrap items-center gap-2">
+                      <div className="flex gap-1">
+                        {weekdayOptions.map((day) => (
+                          <button
+                            key={day.value}
+                            type="button"
+                            onClick={() => handleToggleDaypartDay(index, day.value)}
+                            className={cn(
+                              'rounded px-2 py-1 text-xs',
+                              daypart.days.includes(day.value)
+                                ? 'bg-primary-600 text-white'
+                                : 'bg-gray-100 text-gray-600'
+                            )}
+                          >
+                            {day.label}
+                          </button>
+                        ))}
+                      </div>
+                      <input
+                        type="time"
+                        value={daypart.start}
+                        onChange={(e) => handleUpdateDaypart(index, { start: e.target.value })}
+                        className="rounded-lg border border-gray-300 px-2 py-1 text-sm"
+                      />
+                      <span className="text-gray-400">-</span>
+                      <input
+                        type="time"
+                        value={daypart.end}
+                        onChange={(e) => handleUpdateDaypart(index, { end: e.target.value })}
+                        className="rounded-lg border border-gray-300 px-2 py-1 text-sm"
+                      />
+                      <button
+                        type="button"
+                        onClick={() => setDayparts((current) => current.filter((_, i) => i !== index))}
+                        className="text-gray-400 hover:text-red-600"
+                        title="Kaldır"
+                      >
+                        <X className="h-4 w-4" />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              </div>
+              <p className="mt-3 text-xs text-gray-500">
+                Zamanlama taslağa yazılmaz, kaydedince hemen uygulanır
+              </p>
+            </div>
+
+            {/* Targeting */}
+            <div>
+              <div className="mb-1.5 flex items-center justify-between">
+                <label className="text-sm font-medium text-gray-700">Hedefleme Kuralları</label>
+                {!targetingJson.trim() && (
+                  <button
+                    type="button"
+                    onClick={() =>
+                      setTargetingJson(
+                        JSON.stringify(
+                          {
+                            match: 'all',
+                            rules: [{ type: 'pageType', operator: 'in', value: ['product'] }],
+                          },
+                          null,
+                          2
+                        )
+                      )
+                    }
+                    className="text-xs text-primary-600 hover:text-primary-700"
+                  >
+                    Örnek ekle
+                  </button>
+                )}
+              </div>
+              <CodeEditor
+                value={targetingJson}
+                onChange={setTargetingJson}
+                language="json"
+                height="160px"
+              />
+              <p className="mt-1.5 text-xs text-gray-500">
+                Sayfa tipi, URL, cihaz, referrer/UTM, yeni/geri dönen ziyaretçi, gezilen kategori ve
+                sepet tutarına göre. Boş bırakılırsa widget her sayfada gösterilir.
+              </p>
+            </div>
+
             {/* Active Status */}
             <div>
               <label className="flex items-center gap-3 cursor-pointer">
@@ -15,6 +15,8 @@ import {
   FileCode2,
   Palette,
   RefreshCw,
+  History,
+  RotateCcw,
 } from 'lucide-react';
 import {
   Card,
@@ -31,15 +33,15 @@ import {
   LoadingOverlay,
 } from '@/components/ui';
 import { CodeEditor } from '@/components/editor';
-import { customersService, templatesService } from '@/services';
-import { formatDate, cn } from '@/lib/utils';
-import type { Customer, CustomTemplate } from '@/types';
+import { customersService, templatesService, versionsService } from '@/services';
+import { formatDate, cn, withDraft } from '@/lib/utils';
+import type { Customer, CustomTemplate, ConfigVersion, VersionDiff } from '@/types';
 
 // ========================================
 // Tab Types
 // ========================================
 
-type EditorTab = 'html' | 'css' | 'data' | 'preview';
+type EditorTab = 'html' | 'css' | 'data' | 'preview' | 'history';
 
 interface EditorTabItem {
   id: EditorTab;
@@ -52,8 +54,14 @@ const editorTabs: EditorTabItem[] = [
   { id: 'css', label: 'CSS', icon: <Palette className="h-4 w-4" /> },
   { id: 'data', label: 'Data Schema', icon: <FileCode2 className="h-4 w-4" /> },
   { id: 'preview', label: 'Preview', icon: <Eye className="h-4 w-4" /> },
+  { id: 'history', label: 'Gecmis', icon: <History className="h-4 w-4" /> },
 ];
 
+const formatDiffValue = (value: any): string => {
+  if (value === null || value === undefined) return '-';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
 // ========================================
 // Main Component
 // ========================================
@@ -78,6 +86,13 @@ export default function TemplatesPage() {
   const [dataSchemaContent, setDataSchemaContent] = useState('{}');
   const [defaultDataContent, setDefaultDataContent] = useState('{}');
 
+  // Version history state
+  const [versions, setVersions] = useState<ConfigVersion[]>([]);
+  const [selectedVersion, setSelectedVersion] = useState<number | null>(null);
+  const [versionDiff, setVersionDiff] = useState<VersionDiff | null>(null);
+  const [isVersionsLoading, setIsVersionsLoading] = useState(false);
+  const [isRestoring, setIsRestoring] = useState(false);
+
   // Fetch data
   const fetchData = useCallback(async () => {
     setIsLoading(true);
@@ -106,14 +121,69 @@ export default function TemplatesPage() {
     fetchData();
   }, [fetchData]);
 
-  // Load template into editor
-  const loadTemplate = (template: CustomTemplate) => {
+  // Load template into editor (unpublished draft content if any)
+  const loadTemplate = (template: CustomTemplate, tab: EditorTab = 'html') => {
+    const content = withDraft(template);
     setSelectedTemplate(template);
-    setHtmlContent(template.htmlTemplate || '');
-    setCssContent(template.cssStyles || '');
-    setDataSchemaContent(JSON.stringify(template.dataSchema || {}, null, 2));
-    setDefaultDataContent(JSON.stringify(template.defaultData || {}, null, 2));
-    setActiveTab('html');
+    setHtmlContent(content.htmlTemplate || '');
+    setCssContent(content.cssStyles || '');
+    setDataSchemaContent(JSON.stringify(content.dataSchema || {}, null, 2));
+    setDefaultDataContent(JSON.stringify(content.defaultData || {}, null, 2));
+    setActiveTab(tab);
+  };
+
+  // Fetch version history of the selected template
+  const fetchVersions = useCallback(async (templateId: string) => {
+    setIsVersionsLoading(true);
+    setSelectedVersion(null);
+    setVersionDiff(null);
+    try {
+      const data = await versionsService.getAll('templates', templateId, { limit: 50 });
+      setVersions(data);
+    } catch (error: any) {
+      toast.error(error.message || 'Versiyonlar yuklenemedi');
+    } finally {
+      setIsVersionsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (activeTab === 'history' && selectedTemplate) {
+      fetchVersions(selectedTemplate.id);
+    }
+  }, [activeTab, selectedTemplate?.id, fetchVersions]);
+
+  // Show diff between a version and the current template
+  const handleSelectVersion = async (version: number) => {
+    if (!selectedTemplate) return;
+
+    setSelectedVersion(version);
+    setVersionDiff(null);
+    try {
+      const data = await versionsService.diff('templates', selectedTemplate.id, version);
+      setVersionDiff(data);
+    } catch (error: any) {
+      toast.error(error.message || 'Fark yuklenemedi');
+    }
+  };
+
+  // Restore template to a version
+  const handleRestoreVersion = async (version: number) => {
+    if (!selectedTemplate) return;
+    if (!confirm(`Template v${version} versiyonuna geri donulecek. Devam etmek istiyor musunuz?`)) return;
+
+    setIsRestoring(true);
+    try {
+      const restored = await versionsService.restore<CustomTemplate>('templates', selectedTemplate.id, version);
+      toast.success(`v${version} geri yuklendi`);
+      loadTemplate(restored, 'history');
+      await fetchVersions(restored.id);
+      fetchData();
+    } catch (error: any) {
+      toast.error(error.message || 'Geri yukleme basarisiz');
+    } finally {
+      setIsRestoring(false);
+    }
   };
 
   // Create new template
@@ -169,14 +239,15 @@ export default function TemplatesPage() {
 
     setIsSaving(true);
     try {
-      await templatesService.update(selectedTemplate.id, {
+      const updated = await templatesService.update(selectedTemplate.id, {
         htmlTemplate: htmlContent,
         cssStyles: cssContent,
         dataSchema,
         defaultData,
       });
 
-      toast.success('Template kaydedildi');
+      setSelectedTemplate(updated);
+      toast.success(updated.draft ? 'Taslak kaydedildi, yayinlamak icin musteri sayfasini kullanin' : 'Template kaydedildi');
       fetchData();
     } catch (error: any) {
       toast.error(error.message || 'Kaydetme basarisiz');
@@ -329,6 +400,7 @@ export default function TemplatesPage() {
                       </p>
                       <p className="text-xs text-gray-500 mt-0.5">
                         {formatDate(template.updatedAt)}
+                        {template.draft && <span className="ml-1 text-yellow-600">· Taslak</span>}
                       </p>
                     </div>
                     <div className="flex items-center gap-1 opacity-0 group-hover:opacity-100 transition-opacity">
@@ -383,7 +455,10 @@ export default function TemplatesPage() {
               <CardHeader className="pb-0">
                 <div className="flex items-center justify-between">
                   <div>
-                    <CardTitle>{selectedTemplate.name}</CardTitle>
+                    <CardTitle className="flex items-center gap-2">
+                      {selectedTemplate.name}
+                      {selectedTemplate.draft && <Badge variant="warning">Taslak</Badge>}
+                    </CardTitle>
                     <CardDescription>
                       {selectedTemplate.description || 'Template icerigini duzenleyin'}
                     </CardDescription>
@@ -514,6 +589,122 @@ export default function TemplatesPage() {
                     </p>
                   </div>
                 )}
+
+                {/* Version History */}
+                {activeTab === 'history' && (
+                  <div className="grid grid-cols-3 gap-4">
+                    <div className="border border-gray-200 rounded-lg divide-y divide-gray-100 max-h-[500px] overflow-y-auto">
+                      {isVersionsLoading && (
+                        <p className="px-4 py-6 text-center text-sm text-gray-500">Yukleniyor...</p>
+                      )}
+                      {!isVersionsLoading && versions.length === 0 && (
+                        <p className="px-4 py-6 text-center text-sm text-gray-500">
+                          Henuz kayitli versiyon yok. Template her kaydedildiginde onceki hali burada saklanir.
+                        </p>
+                      )}
+                      {!isVersionsLoading && versions.map((item) => (
+                        <div
+                          key={item.id}
+                          className={cn(
+                            'flex items-center justify-between px-4 py-3 cursor-pointer hover:bg-gray-50',
+                            selectedVersion === item.version && 'bg-primary-50 hover:bg-primary-50'
+                          )}
+                          onClick={() => handleSelectVersion(item.version)}
+                        >
+                          <div>
+                            <p className="text-sm font-medium text-gray-900">v{item.version}</p>
+                            <p className="text-xs text-gray-500 mt-0.5">{formatDate(item.createdAt)}</p>
+                          </div>
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              handleRestoreVersion(item.version);
+                            }}
+                            disabled={isRestoring}
+                            title="Geri yukle"
+                          >
+                            <RotateCcw className="h-4 w-4" />
+                          </Button>
+                        </div>
+                      ))}
+                    </div>
+
+                    <div className="col-span-2 max-h-[500px] overflow-y-auto">
+                      {selectedVersion === null ? (
+                        <p className="py-10 text-center text-sm text-gray-500">
+                          Mevcut hal ile karsilastirmak icin bir versiyon secin
+                        </p>
+                      ) : !versionDiff ? (
+                        <p className="py-10 text-center text-sm text-gray-500">Yukleniyor...</p>
+                      ) : versionDiff.changes.length === 0 ? (
+                        <p className="py-10 text-center text-sm text-gray-500">
+                          v{selectedVersion} mevcut hal ile ayni
+                        </p>
+                      ) : (
+                        <div className="space-y-4">
+                          <div className="flex items-center justify-between">
+                            <span className="text-sm font-medium text-gray-700">
+                              v{selectedVersion} → mevcut
+                            </span>
+                            <Button
+                              variant="outline"
+                              size="sm"
+                              onClick={() => handleRestoreVersion(selectedVersion)}
+                              isLoading={isRestoring}
+                              leftIcon={<RotateCcw className="h-4 w-4" />}
+                            >
+                              Bu Versiyonu Geri Yukle
+                            </Button>
+                          </div>
+                          {versionDiff.changes.map((change) => (
+                            <div key={change.field} className="border border-gray-200 rounded-lg overflow-hidden">
+                              <div className="bg-gray-50 px-3 py-2 text-xs font-medium text-gray-700">
+                                {change.field}
+                              </div>
+                              {change.type === 'text' && (
+                                <pre className="text-xs font-mono overflow-x-auto">
+                                  {change.lines.map((line, index) => (
+                                    <div
+                                      key={index}
+                                      className={cn(
+                                        'px-3 whitespace-pre',
+                                        line.op === '-' && 'bg-red-50 text-red-700',
+                                        line.op === '+' && 'bg-green-50 text-green-700'
+                                      )}
+                                    >
+                                      {line.op} {line.text}
+                                    </div>
+                                  ))}
+                                </pre>
+                              )}
+                              {change.type === 'json' && (
+                                <div className="divide-y divide-gray-100 text-xs font-mono">
+                                  {change.changes.map((item) => (
+                                    <div key={item.path} className="px-3 py-1.5">
+                                      <span className="text-gray-700">{item.path}: </span>
+                                      <span className="text-red-700 line-through">{formatDiffValue(item.from)}</span>
+                                      {' → '}
+                                      <span className="text-green-700">{formatDiffValue(item.to)}</span>
+                                    </div>
+                                  ))}
+                                </div>
+                              )}
+                              {change.type === 'value' && (
+                                <div className="px-3 py-1.5 text-xs font-mono">
+                                  <span className="text-red-700 line-through">{formatDiffValue(change.from)}</span>
+                                  {' → '}
+                                  <span className="text-green-700">{formatDiffValue(change.to)}</span>
+                                </div>
+                              )}
+                            </div>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                  </div>
+                )}
               </CardContent>
 
               <CardFooter className="border-t bg-gray-50">
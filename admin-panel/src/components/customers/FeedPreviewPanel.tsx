@@ -0,0 +1,231 @@
+'use client';
+
+import React, { useState } from 'react';
+import { toast } from 'sonner';
+import { Eye, ShieldCheck } from 'lucide-react';
+import { Button } from '@/components/ui/Button';
+import { Badge } from '@/components/ui/Badge';
+import {
+  Table,
+  TableHeader,
+  TableBody,
+  TableRow,
+  TableHead,
+  TableCell,
+} from '@/components/ui/Table';
+import { customersService } from '@/services';
+import { FeedValidationReport } from './FeedValidationReport';
+import type { FeedFieldMapping, FeedFormat, FeedPreview, FeedValidationReport as Report } from '@/types';
+
+// ========================================
+// Types
+// ========================================
+
+interface FeedPreviewPanelProps {
+  feedId: string;
+  format: FeedFormat;
+  // Unsaved mapping from the editor, empty for none
+  mappingJson: string;
+}
+
+// ========================================
+// Constants
+// ========================================
+
+const PREVIEW_LIMIT = 10;
+const SOURCE_KEY_LIMIT = 6;
+
+// ========================================
+// Helpers
+// ========================================
+
+const formatPrice = (value: number | null, currency: string) =>
+  value === null ? '-' : `${value.toFixed(2)} ${currency}`;
+
+const stockLabels: Record<string, string> = {
+  in_stock: 'Stokta',
+  out_of_stock: 'Tükendi',
+  preorder: 'Ön sipariş',
+};
+
+// ========================================
+// Component
+// ========================================
+
+/**
+ * Feed Preview Panel
+ * Parses the first feed items (or a pasted sample) with the unsaved
+ * format and field mapping and lists the mapped products; validation
+ * reads the whole feed and reports what a sync would store
+ */
+export function FeedPreviewPanel({ feedId, format, mappingJson }: FeedPreviewPanelProps) {
+  const [sample, setSample] = useState('');
+  const [preview, setPreview] = useState<FeedPreview | null>(null);
+  const [report, setReport] = useState<Report | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isValidating, setIsValidating] = useState(false);
+  const [expanded, setExpanded] = useState<number | null>(null);
+
+  // Request body with the unsaved settings, null if the mapping is not JSON
+  const getRequest = () => {
+    let fieldMapping: FeedFieldMapping | null = null;
+    if (mappingJson.trim()) {
+      try {
+        fieldMapping = JSON.parse(mappingJson);
+      } catch {
+        toast.error('Alan eşleştirmesi geçerli bir JSON değil');
+        return null;
+      }
+    }
+
+    return {
+      format,
+      fieldMapping,
+      content: sample.trim() ? sample : undefined,
+      limit: PREVIEW_LIMIT,
+    };
+  };
+
+  const handlePreview = async () => {
+    const request = getRequest();
+    if (!request) return;
+
+    setIsLoading(true);
+    try {
+      setPreview(await customersService.previewFeed(feedId, request));
+      setReport(null);
+      setExpanded(null);
+    } catch (error: any) {
+      toast.error(error.message || 'Önizleme oluşturulamadı');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleValidate = async () => {
+    const request = getRequest();
+    if (!request) return;
+
+    setIsValidating(true);
+    try {
+      setReport(await customersService.validateFeed(feedId, request));
+      setPreview(null);
+    } catch (error: any) {
+      toast.error(error.message || 'Feed doğrulanamadı');
+    } finally {
+      setIsValidating(false);
+    }
+  };
+
+  return (
+    <div className="space-y-3 rounded-lg border border-gray-200 p-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <h4 className="text-sm font-medium text-gray-700">Önizleme ve Doğrulama</h4>
+          <p className="text-xs text-gray-500">
+            Kaydetmeden önce ilk {PREVIEW_LIMIT} ürünün nasıl okunacağını görün ya da tüm feed&apos;i
+            senkronize etmeden doğrulayın. Örnek içerik boş bırakılırsa feed URL&apos;i okunur.
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <Button
+            type="button"
+            variant="outline"
+            size="sm"
+            onClick={handlePreview}
+            isLoading={isLoading}
+            disabled={isValidating}
+            leftIcon={<Eye className="h-4 w-4" />}
+          >
+            Önizle
+          </Button>
+          <Button
+            type="button"
+            variant="outline"
+            size="sm"
+            onClick={handleValidate}
+            isLoading={isValidating}
+            disabled={isLoading}
+            leftIcon={<ShieldCheck className="h-4 w-4" />}
+          >
+            Doğrula
+          </Button>
+        </div>
+      </div>
+
+      <textarea
+        value={sample}
+        onChange={(e) => setSample(e.target.value)}
+        rows={4}
+        placeholder="Örnek feed içeriği (XML, CSV veya JSON) yapıştırın"
+        className="block w-full rounded-lg border border-gray-300 px-3 py-2 font-mono text-xs focus:border-primary-500 focus:outline-none focus:ring-2 focus:ring-primary-500/20"
+      />
+
+      {report && <FeedValidationReport report={report} />}
+
+      {preview && (
+        <>
+          <p className="text-xs text-gray-500">
+            Format: <span className="font-medium uppercase">{preview.format}</span> ·{' '}
+            {preview.items.filter((item) => item.valid).length}/{preview.items.length} ürün geçerli
+          </p>
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>ID</TableHead>
+                <TableHead>Başlık</TableHead>
+                <TableHead>Fiyat</TableHead>
+                <TableHead>İndirimli</TableHead>
+                <TableHead>Stok</TableHead>
+                <TableHead>Durum</TableHead>
+                <TableHead>Kaynak Alanlar</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {preview.items.map(({ source, product, valid }, index) => {
+                const keys = Object.keys(source);
+                return (
+                  <React.Fragment key={`${product.id}-${index}`}>
+                    <TableRow
+                      className="cursor-pointer"
+                      onClick={() => setExpanded(expanded === index ? null : index)}
+                    >
+                      <TableCell className="font-mono text-xs">{product.id}</TableCell>
+                      <TableCell className="max-w-xs truncate">{product.title || '-'}</TableCell>
+                      <TableCell>{formatPrice(product.price, product.currency)}</TableCell>
+                      <TableCell>{formatPrice(product.salePrice, product.currency)}</TableCell>
+                      <TableCell>{stockLabels[product.stock] || product.stock}</TableCell>
+                      <TableCell>
+                        <Badge variant={valid ? 'success' : 'danger'}>
+                          {valid ? 'Geçerli' : 'Eksik'}
+                        </Badge>
+                      </TableCell>
+                      <TableCell className="text-xs text-gray-500">
+                        {keys.slice(0, SOURCE_KEY_LIMIT).join(', ')}
+                        {keys.length > SOURCE_KEY_LIMIT && ` +${keys.length - SOURCE_KEY_LIMIT}`}
+                      </TableCell>
+                    </TableRow>
+                    {expanded === index && (
+                      <TableRow>
+                        <TableCell colSpan={7}>
+                          <div className="grid gap-3 md:grid-cols-2">
+                            <pre className="max-h-64 overflow-auto rounded bg-gray-50 p-2 text-xs">
+                              {JSON.stringify(source, null, 2)}
+                            </pre>
+                            <pre className="max-h-64 overflow-auto rounded bg-gray-50 p-2 text-xs">
+                              {JSON.stringify(product, null, 2)}
+                            </pre>
+                          </div>
+                        </TableCell>
+                      </TableRow>
+                    )}
+                  </React.Fragment>
+                );
+              })}
+            </TableBody>
+          </Table>
+        </>
+      )}
+    </div>
+  );
+}
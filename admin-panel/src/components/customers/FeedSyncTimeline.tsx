@@ -0,0 +1,172 @@
+'use client';
+
+import React, { useCallback, useEffect, useState } from 'react';
+import { RefreshCw } from 'lucide-react';
+import { Button } from '@/components/ui/Button';
+import { Badge } from '@/components/ui/Badge';
+import { Spinner } from '@/components/ui/Spinner';
+import { customersService } from '@/services';
+import { cn, formatDateTime, formatNumber } from '@/lib/utils';
+import type { FeedSyncRun, FeedSyncWarning, SyncRunStatus } from '@/types';
+
+// ========================================
+// Types
+// ========================================
+
+interface FeedSyncTimelineProps {
+  feedId: string;
+  // Changes when a sync is triggered so the list reloads
+  refreshKey?: number;
+}
+
+// ========================================
+// Constants
+// ========================================
+
+const RUN_LIMIT = 30;
+
+const statusVariants: Record<SyncRunStatus, 'success' | 'danger' | 'info' | 'default'> = {
+  success: 'success',
+  error: 'danger',
+  running: 'info',
+  not_modified: 'default',
+};
+
+const statusLabels: Record<SyncRunStatus, string> = {
+  success: 'Başarılı',
+  error: 'Hata',
+  running: 'Çalışıyor',
+  not_modified: 'Değişiklik yok',
+};
+
+const warningLabels: Record<FeedSyncWarning['code'], (count: string) => string> = {
+  rejected_items: (count) => `${count} ürün ID, başlık veya fiyat eksik olduğu için atlandı`,
+  duplicate_ids: (count) => `${count} ürün daha önce gelen bir ID'yi tekrarladı`,
+  id_conflicts: (count) => `${count} ürün ID'si önceliği eşit veya yüksek başka bir ana feed'e ait`,
+  store_errors: (count) => `${count} ürün kaydedilemedi`,
+  product_count_drop: (count) => `Ürün sayısı önceki senkronizasyona göre ${count} azaldı`,
+};
+
+// ========================================
+// Helpers
+// ========================================
+
+const formatDuration = (ms: number | null) => (ms === null ? '-' : `${(ms / 1000).toFixed(1)} sn`);
+
+const formatBytes = (bytes: number) =>
+  bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.round(bytes / 1024)} KB`;
+
+// ========================================
+// Component
+// ========================================
+
+/**
+ * Feed Sync Timeline
+ * Product counts of the latest syncs as bars, oldest to newest, and the
+ * runs with their counts, warnings and errors
+ */
+export function FeedSyncTimeline({ feedId, refreshKey = 0 }: FeedSyncTimelineProps) {
+  const [runs, setRuns] = useState<FeedSyncRun[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const fetchRuns = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      setRuns(await customersService.getFeedRuns(feedId, RUN_LIMIT));
+    } catch {
+      setRuns([]);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [feedId]);
+
+  useEffect(() => {
+    fetchRuns();
+  }, [fetchRuns, refreshKey]);
+
+  const maxCount = Math.max(1, ...runs.map((run) => run.productCount));
+  const chronological = [...runs].reverse();
+
+  return (
+    <div className="space-y-3 rounded-lg border border-gray-200 p-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <h4 className="text-sm font-medium text-gray-700">Senkronizasyon Geçmişi</h4>
+          <p className="text-xs text-gray-500">Son {RUN_LIMIT} senkronizasyon</p>
+        </div>
+        <Button
+          type="button"
+          variant="ghost"
+          size="sm"
+          onClick={fetchRuns}
+          leftIcon={<RefreshCw className="h-4 w-4" />}
+        >
+          Yenile
+        </Button>
+      </div>
+
+      {isLoading ? (
+        <div className="flex justify-center py-6">
+          <Spinner />
+        </div>
+      ) : runs.length === 0 ? (
+        <p className="py-4 text-center text-sm text-gray-500">Henüz senkronizasyon yok</p>
+      ) : (
+        <>
+          <div className="flex h-16 items-end gap-1">
+            {chronological.map((run) => (
+              <div
+                key={run.id}
+                title={`${formatDateTime(run.startedAt)} · ${formatNumber(run.productCount)} ürün`}
+                className={cn(
+                  'min-h-[4px] flex-1 rounded-t',
+                  run.status === 'error'
+                    ? 'bg-red-400'
+                    : run.status === 'not_modified'
+                      ? 'bg-gray-300'
+                      : run.warnings.length > 0
+                        ? 'bg-yellow-400'
+                        : 'bg-green-500'
+                )}
+                style={{ height: `${Math.max(6, (run.productCount / maxCount) * 100)}%` }}
+              />
+            ))}
+          </div>
+
+          <ul className="max-h-80 divide-y divide-gray-100 overflow-auto text-xs">
+            {runs.map((run) => (
+              <li key={run.id} className="space-y-1 py-2">
+                <div className="flex flex-wrap items-center gap-2">
+                  <Badge variant={statusVariants[run.status]}>{statusLabels[run.status]}</Badge>
+                  <span className="font-medium text-gray-700">{formatDateTime(run.startedAt)}</span>
+                  <span className="text-gray-500">
+                    {formatDuration(run.durationMs)} · {formatBytes(run.bytesFetched)}
+                  </span>
+                </div>
+                {run.status === 'not_modified' ? (
+                  <p className="text-gray-500">
+                    Feed son senkronizasyondan beri değişmemiş, ürünler okunmadı
+                  </p>
+                ) : (
+                  <p className="text-gray-600">
+                    {formatNumber(run.itemsParsed)} okundu · {formatNumber(run.productCount)} ürün ·{' '}
+                    <span className="text-green-600">+{formatNumber(run.insertedCount)}</span>{' '}
+                    <span className="text-blue-600">~{formatNumber(run.updatedCount)}</span>{' '}
+                    <span className="text-red-600">-{formatNumber(run.deactivatedCount)}</span>{' '}
+                    <span className="text-gray-400">={formatNumber(run.unchangedCount)} değişmedi</span>
+                  </p>
+                )}
+                {run.warnings.map((warning) => (
+                  <p key={warning.code} className="text-yellow-700">
+                    ⚠ {warningLabels[warning.code]?.(formatNumber(warning.count)) || warning.message}
+                  </p>
+                ))}
+                {run.errorMessage && <p className="text-red-600">{run.errorMessage}</p>}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+}
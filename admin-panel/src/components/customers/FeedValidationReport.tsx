@@ -0,0 +1,141 @@
+'use client';
+
+import React from 'react';
+import { Badge } from '@/components/ui/Badge';
+import { cn, formatNumber } from '@/lib/utils';
+import type { FeedRejectReason, FeedValidationReport as Report } from '@/types';
+
+// ========================================
+// Types
+// ========================================
+
+interface FeedValidationReportProps {
+  report: Report;
+}
+
+// ========================================
+// Constants
+// ========================================
+
+const reasonLabels: Record<FeedRejectReason, string> = {
+  missing_id: 'ID yok',
+  missing_title: 'Başlık yok',
+  missing_price: 'Fiyat yok',
+  invalid_price: 'Fiyat 0 veya geçersiz',
+};
+
+const fieldLabels: Record<string, string> = {
+  title: 'Başlık',
+  description: 'Açıklama',
+  price: 'Fiyat',
+  image: 'Görsel',
+  url: 'Ürün URL',
+  category: 'Kategori',
+  brand: 'Marka',
+};
+
+// ========================================
+// Component
+// ========================================
+
+/**
+ * Feed Validation Report
+ * Summary of a dry-run sync: rejected items, duplicate IDs and field coverage
+ */
+export function FeedValidationReport({ report }: FeedValidationReportProps) {
+  const stats = [
+    { label: 'Okunan', value: report.itemCount },
+    { label: 'Kaydedilecek', value: report.productCount },
+    { label: 'Reddedilen', value: report.rejectedCount },
+    { label: 'Tekrar Eden', value: report.duplicateCount },
+  ];
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-2 gap-3 md:grid-cols-4">
+        {stats.map((stat) => (
+          <div key={stat.label} className="rounded-lg bg-gray-50 p-3">
+            <p className="text-xs text-gray-500">{stat.label}</p>
+            <p className="text-lg font-semibold text-gray-900">{formatNumber(stat.value)}</p>
+          </div>
+        ))}
+      </div>
+      <p className="text-xs text-gray-500">
+        Format: <span className="font-medium uppercase">{report.format}</span> ·{' '}
+        {formatNumber(Math.round(report.bytesRead / 1024))} KB · {(report.durationMs / 1000).toFixed(1)} sn ·
+        Ortalama doluluk {report.completeness.average}/{report.completeness.max}
+      </p>
+
+      <div>
+        <h5 className="mb-2 text-xs font-medium uppercase text-gray-500">Alan Doluluğu</h5>
+        <div className="space-y-1.5">
+          {Object.entries(report.coverage).map(([field, { count, percent }]) => (
+            <div key={field} className="flex items-center gap-3 text-xs">
+              <span className="w-24 text-gray-600">{fieldLabels[field] || field}</span>
+              <div className="h-2 flex-1 rounded-full bg-gray-100">
+                <div
+                  className={cn(
+                    'h-2 rounded-full',
+                    percent >= 90 ? 'bg-green-500' : percent >= 50 ? 'bg-yellow-500' : 'bg-red-500'
+                  )}
+                  style={{ width: `${percent}%` }}
+                />
+              </div>
+              <span className="w-24 text-right text-gray-500">
+                %{percent} ({formatNumber(count)})
+              </span>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {report.rejected.length > 0 && (
+        <div>
+          <h5 className="mb-2 text-xs font-medium uppercase text-gray-500">
+            Reddedilen Ürünler
+            {report.rejectedCount > report.rejected.length && ` (ilk ${report.rejected.length})`}
+          </h5>
+          <ul className="max-h-48 space-y-1 overflow-auto text-xs">
+            {report.rejected.map((item) => (
+              <li key={item.index} className="flex items-center gap-2">
+                <span className="w-12 text-gray-400">#{item.index + 1}</span>
+                <span className="font-mono">{item.id}</span>
+                <span className="truncate text-gray-600">{item.title}</span>
+                {item.reasons.map((reason) => (
+                  <Badge key={reason} variant="danger">
+                    {reasonLabels[reason] || reason}
+                  </Badge>
+                ))}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {report.duplicates.length > 0 && (
+        <div>
+          <h5 className="mb-2 text-xs font-medium uppercase text-gray-500">Tekrar Eden ID&apos;ler</h5>
+          <p className="mb-1 text-xs text-gray-500">
+            Senkronizasyonda her ID için tek kayıt tutulur.
+          </p>
+          <div className="flex flex-wrap gap-1.5">
+            {report.duplicates.map((duplicate) => (
+              <Badge key={duplicate.id} variant="warning">
+                {duplicate.id} ×{duplicate.count}
+              </Badge>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {report.sample.length > 0 && (
+        <div>
+          <h5 className="mb-2 text-xs font-medium uppercase text-gray-500">Örnek Çıktı</h5>
+          <pre className="max-h-64 overflow-auto rounded bg-gray-50 p-2 text-xs">
+            {JSON.stringify(report.sample, null, 2)}
+          </pre>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -24,6 +24,13 @@ export function formatDate(date: string | Date, locale = 'tr-TR'): string {
   });
 }
 
+/**
+ * Overlay unpublished draft content on a record
+ */
+export function withDraft<T extends { draft?: Record<string, any> | null }>(record: T): T {
+  return record.draft ? { ...record, ...record.draft } : record;
+}
+
 /**
  * Format date with time
  */
@@ -38,6 +45,26 @@ export function formatDateTime(date: string | Date, locale = 'tr-TR'): string {
   });
 }
 
+/**
+ * Format a date as a datetime-local input value in a timezone
+ */
+export function toZonedInputValue(date: string | Date, timeZone = 'UTC'): string {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+    })
+      .formatToParts(new Date(date))
+      .map(({ type, value }) => [type, value])
+  );
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}`;
+}
+
 /**
  * Format price with currency
  */
@@ -14,8 +14,15 @@ import type {
   ThemeInput,
   XmlFeed,
   XmlFeedInput,
+  FeedPreview,
+  FeedPreviewInput,
+  FeedValidationReport,
+  FeedSyncRun,
   Product,
+  ProductPriceHistory,
   PaginatedResponse,
+  DraftSummary,
+  PreviewToken,
 } from '@/types';
 
 export const customersService = {
@@ -108,6 +115,43 @@ export const customersService = {
     await api.delete(`/api/admin/widgets/${widgetId}`);
   },
 
+  // ========================================
+  // Draft / Publish Operations
+  // ========================================
+
+  /**
+   * Get unpublished drafts of a customer
+   */
+  async getDrafts(customerId: string): Promise<DraftSummary> {
+    return api.get<DraftSummary>(`/api/admin/customers/${customerId}/drafts`);
+  },
+
+  /**
+   * Publish all drafts of a customer
+   */
+  async publishDrafts(customerId: string): Promise<{
+    publishedAt: string;
+    widgets: number;
+    themes: number;
+    templates: number;
+  }> {
+    return api.post(`/api/admin/customers/${customerId}/publish`);
+  },
+
+  /**
+   * Discard all drafts of a customer
+   */
+  async discardDrafts(customerId: string): Promise<void> {
+    await api.delete(`/api/admin/customers/${customerId}/drafts`);
+  },
+
+  /**
+   * Create a preview token for checking drafts on the storefront
+   */
+  async createPreviewToken(customerId: string): Promise<PreviewToken> {
+    return api.post<PreviewToken>(`/api/admin/customers/${customerId}/preview-token`);
+  },
+
   // ========================================
   // Theme Operations
   // ========================================
@@ -177,6 +221,27 @@ export const customersService = {
     await api.delete(`/api/admin/feeds/${feedId}`);
   },
 
+  /**
+   * Get the latest sync runs of a feed, newest first
+   */
+  async getFeedRuns(feedId: string, limit = 30): Promise<FeedSyncRun[]> {
+    return api.get<FeedSyncRun[]>(`/api/admin/feeds/${feedId}/runs`, { limit });
+  },
+
+  /**
+   * Preview mapped products of a feed without syncing
+   */
+  async previewFeed(feedId: string, data: FeedPreviewInput): Promise<FeedPreview> {
+    return api.post<FeedPreview>(`/api/admin/feeds/${feedId}/preview`, data);
+  },
+
+  /**
+   * Validate a whole feed without syncing
+   */
+  async validateFeed(feedId: string, data: FeedPreviewInput): Promise<FeedValidationReport> {
+    return api.post<FeedValidationReport>(`/api/admin/feeds/${feedId}/validate`, data);
+  },
+
   /**
    * Trigger manual feed sync
    */
@@ -200,6 +265,13 @@ export const customersService = {
       params
     );
   },
+
+  /**
+   * Get the price and stock timeline of a product
+   */
+  async getProductPriceHistory(productId: string, days?: number): Promise<ProductPriceHistory> {
+    return api.get<ProductPriceHistory>(`/api/admin/products/${productId}/price-history`, { days });
+  },
 };
 
 export default customersService;
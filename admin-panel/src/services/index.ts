@@ -7,3 +7,4 @@ export { authService } from './auth.service';
 export { customersService } from './customers.service';
 export { dashboardService } from './dashboard.service';
 export { templatesService } from './templates.service';
+export { versionsService } from './versions.service';
@@ -0,0 +1,41 @@
+/**
+ * Versions Service
+ * API service for widget, theme and template version history
+ */
+
+import api from './api';
+import type { ConfigVersion, VersionDiff, VersionEntity } from '@/types';
+
+export const versionsService = {
+  /**
+   * Get versions of an entity (newest first)
+   */
+  async getAll(
+    entity: VersionEntity,
+    id: string,
+    params?: { page?: number; limit?: number }
+  ): Promise<ConfigVersion[]> {
+    return api.get<ConfigVersion[]>(`/api/admin/${entity}/${id}/versions`, params);
+  },
+
+  /**
+   * Get a single version with its snapshot
+   */
+  async getById(entity: VersionEntity, id: string, version: number): Promise<ConfigVersion> {
+    return api.get<ConfigVersion>(`/api/admin/${entity}/${id}/versions/${version}`);
+  },
+
+  /**
+   * Diff a version against the current content or another version
+   */
+  async diff(entity: VersionEntity, id: string, version: number, against?: number): Promise<VersionDiff> {
+    return api.get<VersionDiff>(`/api/admin/${entity}/${id}/versions/${version}/diff`, { against });
+  },
+
+  /**
+   * Restore an entity to a version
+   */
+  async restore<T = Record<string, any>>(entity: VersionEntity, id: string, version: number): Promise<T> {
+    return api.post<T>(`/api/admin/${entity}/${id}/versions/${version}/restore`);
+  },
+};
@@ -46,6 +46,7 @@ export interface Customer {
   domain: string | null;
   apiKey: string;
   isActive: boolean;
+  publishedAt?: string | null;
   createdAt: string;
   updatedAt: string;
   _count?: {
@@ -70,7 +71,37 @@ export interface CustomerUpdateInput {
 // Widget Types
 // ========================================
 
-export type WidgetType = 'CAROUSEL' | 'BANNER' | 'POPUP' | 'GRID' | 'SLIDER' | 'CUSTOM';
+export type WidgetType = 'CAROUSEL' | 'BANNER' | 'POPUP' | 'GRID' | 'SLIDER' | 'CUSTOM' | 'SEARCH';
+
+export type WidgetScheduleStatus = 'live' | 'inactive' | 'upcoming' | 'expired' | 'off_hours';
+
+export type TargetingRuleType =
+  | 'pageType'
+  | 'url'
+  | 'device'
+  | 'referrer'
+  | 'utm'
+  | 'visitor'
+  | 'viewedCategory'
+  | 'cartValue';
+
+export interface TargetingRule {
+  type: TargetingRuleType;
+  operator: string;
+  value: string | number | string[];
+  param?: 'source' | 'medium' | 'campaign' | 'term' | 'content'; // utm kurallari icin
+}
+
+export interface WidgetTargeting {
+  match?: 'all' | 'any';
+  rules: TargetingRule[];
+}
+
+export interface Daypart {
+  days: number[]; // 0 = Pazar ... 6 = Cumartesi
+  start: string; // HH:mm
+  end: string; // HH:mm
+}
 
 export interface WidgetConfig {
   id: string;
@@ -82,7 +113,14 @@ export interface WidgetConfig {
   isActive: boolean;
   templateId?: string | null;
   customData?: Record<string, any> | null;
+  targeting?: WidgetTargeting | null;
   template?: CustomTemplate | null;
+  draft?: Record<string, any> | null; // Yayinlanmamis icerik degisiklikleri
+  startsAt?: string | null;
+  endsAt?: string | null;
+  timezone?: string;
+  dayparting?: Daypart[] | null;
+  scheduleStatus?: WidgetScheduleStatus;
   createdAt: string;
   updatedAt: string;
 }
@@ -103,6 +141,11 @@ export interface WidgetUpdateInput {
   isActive?: boolean;
   templateId?: string;
   customData?: Record<string, any>;
+  targeting?: WidgetTargeting | null;
+  startsAt?: string | null; // Offset yoksa timezone saatine gore okunur
+  endsAt?: string | null;
+  timezone?: string;
+  dayparting?: Daypart[];
 }
 
 // ========================================
@@ -120,6 +163,7 @@ export interface CustomTemplate {
   defaultData: Record<string, any>;
   isGlobal: boolean;
   isActive: boolean;
+  draft?: Record<string, any> | null;
   createdAt: string;
   updatedAt: string;
 }
@@ -159,6 +203,62 @@ export interface TemplateValidationResult {
   };
 }
 
+// ========================================
+// Version History Types
+// ========================================
+
+export type VersionEntity = 'widgets' | 'themes' | 'templates';
+
+export interface ConfigVersion {
+  id: string;
+  version: number;
+  userId: string | null;
+  createdAt: string;
+  snapshot?: Record<string, any>;
+}
+
+export interface VersionDiffLine {
+  op: ' ' | '-' | '+';
+  text: string;
+}
+
+export type VersionChange =
+  | { field: string; type: 'text'; lines: VersionDiffLine[] }
+  | { field: string; type: 'json'; changes: { path: string; from: any; to: any }[] }
+  | { field: string; type: 'value'; from: any; to: any };
+
+export interface VersionDiff {
+  entityType: string;
+  entityId: string;
+  from: number;
+  to: number | 'current';
+  changes: VersionChange[];
+}
+
+// ========================================
+// Draft Types
+// ========================================
+
+export interface DraftItem {
+  id: string;
+  name: string;
+  updatedAt: string;
+  fields: string[];
+}
+
+export interface DraftSummary {
+  publishedAt: string | null;
+  total: number;
+  widgets: DraftItem[];
+  themes: DraftItem[];
+  templates: DraftItem[];
+}
+
+export interface PreviewToken {
+  token: string;
+  expiresAt: string;
+}
+
 // ========================================
 // Theme Types
 // ========================================
@@ -171,6 +271,7 @@ export interface Theme {
   fontFamily: string;
   borderRadius: string;
   customCss: string | null;
+  draft?: Record<string, any> | null;
   createdAt: string;
   updatedAt: string;
 }
@@ -187,15 +288,65 @@ export interface ThemeInput {
 // XML Feed Types
 // ========================================
 
-export type FeedFormat = 'google' | 'facebook' | 'custom';
+export type FeedFormat = 'google' | 'facebook' | 'custom' | 'csv' | 'tsv' | 'json';
+
+export type FeedMappableField =
+  | 'id' | 'title' | 'description' | 'price' | 'salePrice' | 'imageUrl'
+  | 'productUrl' | 'category' | 'brand' | 'availability' | 'currency' | 'itemGroupId';
+
+export type FeedMappingTransform =
+  | { type: 'regex'; pattern: string; flags?: string; group?: number }
+  | { type: 'multiply'; factor: number }
+  | { type: 'map'; values: Record<string, string | number>; default?: string | number };
+
+// Source path(s), optionally with transforms applied in order
+export type FeedMappingRule =
+  | string
+  | string[]
+  | { path: string | string[]; transforms?: FeedMappingTransform[] };
+
+// Product field (or attributes.<name>) -> mapping rule
+export type FeedFieldMapping = Partial<Record<FeedMappableField | `attributes.${string}`, FeedMappingRule>>;
+
 export type FeedStatus = 'active' | 'pending' | 'syncing' | 'error';
 
+// Primary feeds own products; supplemental feeds patch their merge fields
+export type FeedRole = 'primary' | 'supplemental';
+
+export type FeedMergeField =
+  | 'title' | 'description' | 'price' | 'salePrice' | 'currency'
+  | 'imageUrl' | 'productUrl' | 'category' | 'brand' | 'availability';
+
+// Source login sent on save; the API only returns a summary
+export interface FeedCredentialsInput {
+  username?: string;
+  password?: string;
+  headers?: Record<string, string>;
+  privateKey?: string;
+  passphrase?: string;
+}
+
+export interface FeedCredentialsSummary {
+  username: string | null;
+  hasPassword: boolean;
+  headerNames: string[];
+  hasPrivateKey: boolean;
+  // Stored with another encryption key, needs to be entered again
+  unreadable: boolean;
+}
+
 export interface XmlFeed {
   id: string;
   customerId: string;
   name: string;
   url: string;
   format: FeedFormat;
+  fieldMapping: FeedFieldMapping | null;
+  credentials: FeedCredentialsSummary | null;
+  role: FeedRole;
+  // Higher wins when feeds share a product ID or patch the same field
+  priority: number;
+  mergeFields: FeedMergeField[];
   status: FeedStatus;
   lastSync: string | null;
   lastError: string | null;
@@ -210,9 +361,92 @@ export interface XmlFeedInput {
   name: string;
   url: string;
   format?: FeedFormat;
+  fieldMapping?: FeedFieldMapping | null;
+  // Omit to keep the stored credentials, null removes them
+  credentials?: FeedCredentialsInput | null;
+  role?: FeedRole;
+  priority?: number;
+  mergeFields?: FeedMergeField[];
   syncInterval?: number;
 }
 
+export interface FeedPreviewProduct {
+  id: string;
+  title: string;
+  description: string;
+  price: number | null;
+  salePrice: number | null;
+  currency: string;
+  image: string | null;
+  url: string | null;
+  category: string;
+  brand: string;
+  stock: string;
+  attributes: Record<string, unknown>;
+}
+
+export interface FeedPreviewItem {
+  source: Record<string, unknown>;
+  product: FeedPreviewProduct;
+  valid: boolean;
+}
+
+export interface FeedPreview {
+  format: FeedFormat;
+  items: FeedPreviewItem[];
+}
+
+export type SyncRunStatus = 'running' | 'success' | 'error' | 'not_modified';
+
+export interface FeedSyncWarning {
+  code: 'rejected_items' | 'duplicate_ids' | 'id_conflicts' | 'store_errors' | 'product_count_drop';
+  message: string;
+  count: number;
+}
+
+export interface FeedSyncRun {
+  id: string;
+  feedId: string;
+  status: SyncRunStatus;
+  startedAt: string;
+  finishedAt: string | null;
+  durationMs: number | null;
+  bytesFetched: number;
+  itemsParsed: number;
+  productCount: number;
+  insertedCount: number;
+  updatedCount: number;
+  unchangedCount: number;
+  deactivatedCount: number;
+  warnings: FeedSyncWarning[];
+  errorMessage: string | null;
+}
+
+export type FeedRejectReason = 'missing_id' | 'missing_title' | 'missing_price' | 'invalid_price';
+
+export interface FeedValidationReport {
+  format: FeedFormat;
+  bytesRead: number;
+  durationMs: number;
+  itemCount: number;
+  productCount: number;
+  rejectedCount: number;
+  duplicateCount: number;
+  // First 100 of each
+  rejected: { index: number; id: string; title: string; reasons: FeedRejectReason[] }[];
+  duplicates: { id: string; count: number }[];
+  coverage: Record<string, { count: number; percent: number }>;
+  completeness: { average: number; max: number };
+  sample: FeedPreviewProduct[];
+}
+
+export interface FeedPreviewInput {
+  format?: FeedFormat;
+  fieldMapping?: FeedFieldMapping | null;
+  content?: string;
+  limit?: number;
+}
+
 // ========================================
 // Product Types
 // ========================================
@@ -231,11 +465,32 @@ export interface Product {
   brand: string | null;
   category: string | null;
   availability: string;
+  // Parent product group of a variant, null for standalone products
+  groupId: string | null;
   isActive: boolean;
   createdAt: string;
   updatedAt: string;
 }
 
+export interface ProductPriceEntry {
+  price: number;
+  salePrice: number | null;
+  currency: string;
+  stockStatus: 'in_stock' | 'out_of_stock' | 'preorder';
+  recordedAt: string;
+}
+
+export interface ProductPriceHistory {
+  product: Pick<Product, 'id' | 'externalId' | 'title' | 'price' | 'salePrice' | 'currency'> & {
+    stockStatus: ProductPriceEntry['stockStatus'];
+  };
+  days: number;
+  // Oldest first, starting with the entry in effect when the period begins
+  timeline: ProductPriceEntry[];
+  lowestPrice: number | null;
+  highestPrice: number | null;
+}
+
 // ========================================
 // API Response Types
 // ========================================
@@ -0,0 +1,32 @@
+-- CreateEnum
+CREATE TYPE "WidgetEventType" AS ENUM ('impression', 'click', 'add_to_cart', 'conversion');
+
+-- CreateTable
+CREATE TABLE "widget_events" (
+    "id" TEXT NOT NULL,
+    "customer_id" TEXT NOT NULL,
+    "widget_id" TEXT,
+    "product_id" TEXT,
+    "type" "WidgetEventType" NOT NULL,
+    "visitor_id" TEXT,
+    "value" DECIMAL(10,2),
+    "url" TEXT,
+    "referrer" TEXT,
+    "user_agent" TEXT,
+    "metadata" JSONB NOT NULL DEFAULT '{}',
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "widget_events_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "widget_events_customer_id_created_at_idx" ON "widget_events"("customer_id", "created_at");
+
+-- CreateIndex
+CREATE INDEX "widget_events_customer_id_widget_id_created_at_idx" ON "widget_events"("customer_id", "widget_id", "created_at");
+
+-- CreateIndex
+CREATE INDEX "widget_events_customer_id_product_id_idx" ON "widget_events"("customer_id", "product_id");
+
+-- AddForeignKey
+ALTER TABLE "widget_events" ADD CONSTRAINT "widget_events_customer_id_fkey" FOREIGN KEY ("customer_id") REFERENCES "customers"("id") ON DELETE CASCADE ON UPDATE CASCADE;
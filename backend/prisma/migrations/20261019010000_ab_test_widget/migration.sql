@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "ab_tests" ADD COLUMN "widget_id" TEXT;
+
+-- CreateIndex
+CREATE INDEX "ab_tests_widget_id_idx" ON "ab_tests"("widget_id");
+
+-- AddForeignKey
+ALTER TABLE "ab_tests" ADD CONSTRAINT "ab_tests_widget_id_fkey" FOREIGN KEY ("widget_id") REFERENCES "widget_configs"("id") ON DELETE SET NULL ON UPDATE CASCADE;
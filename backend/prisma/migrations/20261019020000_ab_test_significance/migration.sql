@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "ab_tests" ADD COLUMN     "goal" TEXT NOT NULL DEFAULT 'conversion',
+ADD COLUMN     "confidence_level" DOUBLE PRECISION NOT NULL DEFAULT 0.95,
+ADD COLUMN     "min_sample_size" INTEGER NOT NULL DEFAULT 1000,
+ADD COLUMN     "auto_promote" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "winner" TEXT;
@@ -0,0 +1,43 @@
+-- CreateTable
+CREATE TABLE "ab_test_variants" (
+    "id" TEXT NOT NULL,
+    "test_id" TEXT NOT NULL,
+    "key" TEXT NOT NULL,
+    "name" TEXT,
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "weight" DOUBLE PRECISION NOT NULL DEFAULT 1,
+    "settings" JSONB NOT NULL DEFAULT '{}',
+    "impressions" INTEGER NOT NULL DEFAULT 0,
+    "clicks" INTEGER NOT NULL DEFAULT 0,
+    "conversions" INTEGER NOT NULL DEFAULT 0,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ab_test_variants_pkey" PRIMARY KEY ("id")
+);
+
+-- Move existing A/B variants and counters into variant rows
+INSERT INTO "ab_test_variants" ("id", "test_id", "key", "name", "position", "weight", "settings", "impressions", "clicks", "conversions", "updated_at")
+SELECT gen_random_uuid()::text, "id", 'A', "variant_a"->>'name', 0, "traffic_split", COALESCE("variant_a"->'settings', '{}'::jsonb), "impressions_a", "clicks_a", "conversions_a", CURRENT_TIMESTAMP
+FROM "ab_tests";
+
+INSERT INTO "ab_test_variants" ("id", "test_id", "key", "name", "position", "weight", "settings", "impressions", "clicks", "conversions", "updated_at")
+SELECT gen_random_uuid()::text, "id", 'B', "variant_b"->>'name', 1, 1 - "traffic_split", COALESCE("variant_b"->'settings', '{}'::jsonb), "impressions_b", "clicks_b", "conversions_b", CURRENT_TIMESTAMP
+FROM "ab_tests";
+
+-- AlterTable
+ALTER TABLE "ab_tests" DROP COLUMN "variant_a",
+DROP COLUMN "variant_b",
+DROP COLUMN "traffic_split",
+DROP COLUMN "impressions_a",
+DROP COLUMN "impressions_b",
+DROP COLUMN "clicks_a",
+DROP COLUMN "clicks_b",
+DROP COLUMN "conversions_a",
+DROP COLUMN "conversions_b";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ab_test_variants_test_id_key_key" ON "ab_test_variants"("test_id", "key");
+
+-- AddForeignKey
+ALTER TABLE "ab_test_variants" ADD CONSTRAINT "ab_test_variants_test_id_fkey" FOREIGN KEY ("test_id") REFERENCES "ab_tests"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "config_versions" (
+    "id" TEXT NOT NULL,
+    "customer_id" TEXT NOT NULL,
+    "entity_type" TEXT NOT NULL,
+    "entity_id" TEXT NOT NULL,
+    "version" INTEGER NOT NULL,
+    "snapshot" JSONB NOT NULL,
+    "user_id" TEXT,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "config_versions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "config_versions_entity_type_entity_id_version_key" ON "config_versions"("entity_type", "entity_id", "version");
+
+-- CreateIndex
+CREATE INDEX "config_versions_customer_id_idx" ON "config_versions"("customer_id");
+
+-- AddForeignKey
+ALTER TABLE "config_versions" ADD CONSTRAINT "config_versions_customer_id_fkey" FOREIGN KEY ("customer_id") REFERENCES "customers"("id") ON DELETE CASCADE ON UPDATE CASCADE;
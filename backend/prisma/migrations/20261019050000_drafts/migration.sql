@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "customers" ADD COLUMN "published_at" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "widget_configs" ADD COLUMN "draft" JSONB;
+
+-- AlterTable
+ALTER TABLE "custom_templates" ADD COLUMN "draft" JSONB;
+
+-- AlterTable
+ALTER TABLE "themes" ADD COLUMN "draft" JSONB;
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "widget_configs" ADD COLUMN "starts_at" TIMESTAMP(3),
+ADD COLUMN "ends_at" TIMESTAMP(3),
+ADD COLUMN "timezone" TEXT NOT NULL DEFAULT 'UTC',
+ADD COLUMN "dayparting" JSONB;
+
+-- CreateIndex
+CREATE INDEX "widget_configs_starts_at_ends_at_idx" ON "widget_configs"("starts_at", "ends_at");
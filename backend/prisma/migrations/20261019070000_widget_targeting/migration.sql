@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "widget_configs" ADD COLUMN "targeting" JSONB;
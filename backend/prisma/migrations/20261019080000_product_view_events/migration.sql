@@ -0,0 +1,5 @@
+-- AlterEnum
+ALTER TYPE "WidgetEventType" ADD VALUE 'product_view';
+
+-- CreateIndex
+CREATE INDEX "widget_events_customer_id_visitor_id_idx" ON "widget_events"("customer_id", "visitor_id");
@@ -0,0 +1,13 @@
+-- Feed cache holds one entry per widget or product query instead of one
+-- payload per customer. Existing payloads are dropped; entries are rebuilt
+-- on the next request.
+DELETE FROM "feed_cache";
+
+-- DropIndex
+DROP INDEX "feed_cache_customer_id_key";
+
+-- AlterTable
+ALTER TABLE "feed_cache" ADD COLUMN "cache_key" TEXT NOT NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "feed_cache_customer_id_cache_key_key" ON "feed_cache"("customer_id", "cache_key");
@@ -0,0 +1,25 @@
+-- Trigram similarity for typo tolerant search
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- Folds Turkish letters to ASCII, lowercases and keeps letters and digits.
+-- Mirrors helpers.string.normalizeSearch() in the backend.
+CREATE OR REPLACE FUNCTION pwx_search_normalize(input TEXT) RETURNS TEXT AS $$
+  SELECT btrim(regexp_replace(
+    lower(translate(coalesce(input, ''), 'İIıŞşĞğÜüÖöÇç', 'iiissgguuoocc')),
+    '[^a-z0-9]+', ' ', 'g'
+  ))
+$$ LANGUAGE SQL IMMUTABLE PARALLEL SAFE;
+
+-- AlterTable
+ALTER TABLE "products" ADD COLUMN "search_vector" tsvector GENERATED ALWAYS AS (
+  setweight(to_tsvector('simple', pwx_search_normalize("title")), 'A') ||
+  setweight(to_tsvector('simple', pwx_search_normalize("brand")), 'B') ||
+  setweight(to_tsvector('simple', pwx_search_normalize("category")), 'B') ||
+  setweight(to_tsvector('simple', pwx_search_normalize("description")), 'C')
+) STORED;
+
+-- CreateIndex
+CREATE INDEX "products_search_vector_idx" ON "products" USING GIN ("search_vector");
+
+-- CreateIndex
+CREATE INDEX "products_title_trgm_idx" ON "products" USING GIN (pwx_search_normalize("title") gin_trgm_ops);
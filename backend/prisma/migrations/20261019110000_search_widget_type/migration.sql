@@ -0,0 +1,2 @@
+-- Search autocomplete widget
+ALTER TYPE "WidgetType" ADD VALUE 'search';
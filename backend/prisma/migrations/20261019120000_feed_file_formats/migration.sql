@@ -0,0 +1,7 @@
+-- CSV, TSV and JSON product feeds
+ALTER TYPE "FeedFormat" ADD VALUE 'csv';
+ALTER TYPE "FeedFormat" ADD VALUE 'tsv';
+ALTER TYPE "FeedFormat" ADD VALUE 'json';
+
+-- Feed specific mapping of product fields to columns/keys
+ALTER TABLE "xml_feeds" ADD COLUMN "field_mapping" JSONB;
@@ -0,0 +1,28 @@
+-- CreateEnum
+CREATE TYPE "SyncRunStatus" AS ENUM ('running', 'success', 'error');
+
+-- CreateTable
+CREATE TABLE "feed_sync_runs" (
+    "id" TEXT NOT NULL,
+    "feed_id" TEXT NOT NULL,
+    "status" "SyncRunStatus" NOT NULL DEFAULT 'running',
+    "started_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finished_at" TIMESTAMP(3),
+    "duration_ms" INTEGER,
+    "bytes_fetched" INTEGER NOT NULL DEFAULT 0,
+    "items_parsed" INTEGER NOT NULL DEFAULT 0,
+    "product_count" INTEGER NOT NULL DEFAULT 0,
+    "inserted_count" INTEGER NOT NULL DEFAULT 0,
+    "updated_count" INTEGER NOT NULL DEFAULT 0,
+    "deactivated_count" INTEGER NOT NULL DEFAULT 0,
+    "warnings" JSONB NOT NULL DEFAULT '[]',
+    "error_message" TEXT,
+
+    CONSTRAINT "feed_sync_runs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "feed_sync_runs_feed_id_started_at_idx" ON "feed_sync_runs"("feed_id", "started_at");
+
+-- AddForeignKey
+ALTER TABLE "feed_sync_runs" ADD CONSTRAINT "feed_sync_runs_feed_id_fkey" FOREIGN KEY ("feed_id") REFERENCES "xml_feeds"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,12 @@
+-- AlterEnum
+ALTER TYPE "SyncRunStatus" ADD VALUE 'not_modified';
+
+-- AlterTable
+ALTER TABLE "xml_feeds" ADD COLUMN "etag" TEXT,
+ADD COLUMN "last_modified" TEXT;
+
+-- AlterTable
+ALTER TABLE "feed_sync_runs" ADD COLUMN "unchanged_count" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "products" ADD COLUMN "content_hash" VARCHAR(64);
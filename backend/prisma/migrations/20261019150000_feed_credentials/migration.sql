@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "xml_feeds" ADD COLUMN "credentials" JSONB;
@@ -0,0 +1,28 @@
+-- CreateEnum
+CREATE TYPE "FeedRole" AS ENUM ('primary', 'supplemental');
+
+-- AlterTable
+ALTER TABLE "xml_feeds" ADD COLUMN "role" "FeedRole" NOT NULL DEFAULT 'primary',
+ADD COLUMN "priority" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN "merge_fields" TEXT[] DEFAULT ARRAY[]::TEXT[];
+
+-- CreateTable
+CREATE TABLE "product_overrides" (
+    "id" TEXT NOT NULL,
+    "customer_id" TEXT NOT NULL,
+    "feed_id" TEXT NOT NULL,
+    "external_id" TEXT NOT NULL,
+    "data" JSONB NOT NULL,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "product_overrides_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "product_overrides_feed_id_external_id_key" ON "product_overrides"("feed_id", "external_id");
+
+-- CreateIndex
+CREATE INDEX "product_overrides_customer_id_external_id_idx" ON "product_overrides"("customer_id", "external_id");
+
+-- AddForeignKey
+ALTER TABLE "product_overrides" ADD CONSTRAINT "product_overrides_feed_id_fkey" FOREIGN KEY ("feed_id") REFERENCES "xml_feeds"("id") ON DELETE CASCADE ON UPDATE CASCADE;
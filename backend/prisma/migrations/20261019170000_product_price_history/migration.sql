@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "product_price_history" (
+    "id" TEXT NOT NULL,
+    "product_id" TEXT NOT NULL,
+    "price" DECIMAL(10,2) NOT NULL,
+    "sale_price" DECIMAL(10,2),
+    "currency" TEXT NOT NULL DEFAULT 'TRY',
+    "stock_status" "StockStatus" NOT NULL,
+    "recorded_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "product_price_history_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "product_price_history_product_id_recorded_at_idx" ON "product_price_history"("product_id", "recorded_at");
+
+-- AddForeignKey
+ALTER TABLE "product_price_history" ADD CONSTRAINT "product_price_history_product_id_fkey" FOREIGN KEY ("product_id") REFERENCES "products"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Start every existing product's history with its current price and stock
+INSERT INTO "product_price_history" ("id", "product_id", "price", "sale_price", "currency", "stock_status", "recorded_at")
+SELECT gen_random_uuid()::text, "id", "price", "sale_price", "currency", "stock_status", "updated_at"
+FROM "products";
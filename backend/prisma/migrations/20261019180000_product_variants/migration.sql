@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE "products" ADD COLUMN "group_id" TEXT;
+
+-- CreateIndex
+CREATE INDEX "products_customer_id_group_id_idx" ON "products"("customer_id", "group_id");
+
+-- Meta catalogs already stored the group in the attributes
+UPDATE "products"
+SET "group_id" = "attributes"->>'item_group_id'
+WHERE "attributes"->>'item_group_id' <> '';
@@ -0,0 +1,39 @@
+-- CreateTable
+CREATE TABLE "product_groups" (
+    "id" TEXT NOT NULL,
+    "customer_id" TEXT NOT NULL,
+    "external_id" TEXT NOT NULL,
+    "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "product_groups_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "product_groups_customer_id_external_id_key" ON "product_groups"("customer_id", "external_id");
+
+-- AddForeignKey
+ALTER TABLE "product_groups" ADD CONSTRAINT "product_groups_customer_id_fkey" FOREIGN KEY ("customer_id") REFERENCES "customers"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Create a parent for every item group the products already carry
+INSERT INTO "product_groups" ("id", "customer_id", "external_id", "updated_at")
+SELECT gen_random_uuid()::text, "customer_id", "group_id", CURRENT_TIMESTAMP
+FROM "products"
+WHERE "group_id" IS NOT NULL
+GROUP BY "customer_id", "group_id";
+
+-- Point the variants at their parent instead of the item group ID
+UPDATE "products" AS p
+SET "group_id" = g."id"
+FROM "product_groups" AS g
+WHERE g."customer_id" = p."customer_id"
+  AND g."external_id" = p."group_id";
+
+-- DropIndex
+DROP INDEX "products_customer_id_group_id_idx";
+
+-- CreateIndex
+CREATE INDEX "products_group_id_idx" ON "products"("group_id");
+
+-- AddForeignKey
+ALTER TABLE "products" ADD CONSTRAINT "products_group_id_fkey" FOREIGN KEY ("group_id") REFERENCES "product_groups"("id") ON DELETE SET NULL ON UPDATE CASCADE;
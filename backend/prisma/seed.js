@@ -224,22 +224,6 @@ async function main() {
   }
   console.log('Created sample products:', sampleProducts.length);
 
-  // Create feed cache
-  await prisma.feedCache.create({
-    data: {
-      customerId: demoCustomer.id,
-      payload: sampleProducts.map(p => ({
-        id: p.externalId,
-        title: p.title,
-        price: p.price,
-        salePrice: p.salePrice,
-        image: p.imageUrl,
-        url: p.productUrl
-      }))
-    }
-  });
-  console.log('Created feed cache');
-
   console.log('Database seed completed successfully!');
 }
 
@@ -10,6 +10,7 @@ const createApp = require('./src/app');
 const config = require('./src/config');
 const { logger } = require('./src/utils');
 const { connect, disconnect } = require('./src/models');
+const { analyticsService, abTestService } = require('./src/services');
 
 /**
  * Start the server
@@ -42,6 +43,13 @@ const startServer = async () => {
       }
     });
 
+    // Promote A/B test winners outside the event tracking path
+    const autoPromoteTimer = setInterval(() => {
+      abTestService.evaluateAutoPromotions().catch((error) => {
+        logger.error('A/B test auto-promotion failed', { error: error.message });
+      });
+    }, config.abTest.autoPromoteIntervalMs);
+
     // Handle server errors
     server.on('error', (error) => {
       if (error.code === 'EADDRINUSE') {
@@ -58,11 +66,16 @@ const startServer = async () => {
     const gracefulShutdown = async (signal) => {
       logger.info(`${signal} received. Starting graceful shutdown...`);
 
+      clearInterval(autoPromoteTimer);
+
       // Stop accepting new connections
       server.close(async () => {
         logger.info('HTTP server closed');
 
         try {
+          // Persist buffered analytics events
+          await analyticsService.flush();
+
           // Disconnect from database
           await disconnect();
           logger.info('Database disconnected');
@@ -17,6 +17,7 @@ const {
   httpLogger,
   requestTiming,
   requestId,
+  auditContext,
   notFoundHandler,
   errorHandler
 } = require('./middlewares');
@@ -95,6 +96,9 @@ const createApp = () => {
     limit: '10mb'
   }));
 
+  // Request context for audit logging (after body parsing)
+  app.use(auditContext);
+
   // ===========================================
   // Rate Limiting
   // ===========================================
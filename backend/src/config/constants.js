@@ -25,19 +25,50 @@ const WIDGET_TYPES = Object.freeze({
   POPUP: 'popup',
   GRID: 'grid',
   SLIDER: 'slider',
-  CUSTOM: 'custom'
+  CUSTOM: 'custom',
+  SEARCH: 'search'
 });
 
 /**
- * XML feed formats supported
+ * Product feed formats supported
  * @enum {string}
  */
 const FEED_FORMATS = Object.freeze({
   GOOGLE: 'google',
   FACEBOOK: 'facebook',
-  CUSTOM: 'custom'
+  CUSTOM: 'custom',
+  CSV: 'csv',
+  TSV: 'tsv',
+  JSON: 'json'
 });
 
+/**
+ * Feed roles: primary feeds own products, supplemental feeds patch
+ * selected fields of products from primary feeds
+ * @enum {string}
+ */
+const FEED_ROLES = Object.freeze({
+  PRIMARY: 'primary',
+  SUPPLEMENTAL: 'supplemental'
+});
+
+/**
+ * Product fields a supplemental feed can patch
+ * @type {string[]}
+ */
+const FEED_MERGE_FIELDS = Object.freeze([
+  'title',
+  'description',
+  'price',
+  'salePrice',
+  'currency',
+  'imageUrl',
+  'productUrl',
+  'category',
+  'brand',
+  'availability'
+]);
+
 /**
  * Feed sync status
  * @enum {string}
@@ -59,6 +90,92 @@ const STOCK_STATUS = Object.freeze({
   PREORDER: 'preorder'
 });
 
+/**
+ * Widget analytics event types
+ * @enum {string}
+ */
+const WIDGET_EVENT_TYPES = Object.freeze({
+  IMPRESSION: 'impression',
+  CLICK: 'click',
+  ADD_TO_CART: 'add_to_cart',
+  CONVERSION: 'conversion',
+  PRODUCT_VIEW: 'product_view'
+});
+
+/**
+ * Product recommendation strategies
+ * @enum {string}
+ */
+const RECOMMENDATION_STRATEGIES = Object.freeze({
+  SIMILAR: 'similar',
+  VIEWED_TOGETHER: 'viewed_together',
+  TRENDING: 'trending'
+});
+
+/**
+ * Product selection sort orders
+ * @enum {string}
+ */
+const PRODUCT_SELECTION_SORT = Object.freeze({
+  NEWEST: 'newest',
+  DISCOUNT: 'discount',
+  PRICE_ASC: 'price_asc',
+  PRICE_DESC: 'price_desc'
+});
+
+/**
+ * Product attributes read as variant options, the first filled key wins
+ * @enum {string[]}
+ */
+const VARIANT_ATTRIBUTES = Object.freeze({
+  color: ['color', 'colour', 'renk'],
+  size: ['size', 'beden', 'numara']
+});
+
+/**
+ * Widget schedule states
+ * @enum {string}
+ */
+const WIDGET_SCHEDULE_STATUS = Object.freeze({
+  LIVE: 'live',
+  INACTIVE: 'inactive',
+  UPCOMING: 'upcoming',
+  EXPIRED: 'expired',
+  OFF_HOURS: 'off_hours'
+});
+
+/**
+ * Audit log actions
+ * @enum {string}
+ */
+const AUDIT_ACTIONS = Object.freeze({
+  CREATE: 'create',
+  UPDATE: 'update',
+  DELETE: 'delete'
+});
+
+/**
+ * Audited entity types
+ * @enum {string}
+ */
+const AUDIT_ENTITY_TYPES = Object.freeze({
+  CUSTOMER: 'customer',
+  WIDGET: 'widget',
+  THEME: 'theme',
+  TEMPLATE: 'template',
+  FEED: 'feed'
+});
+
+/**
+ * Versioned entity types
+ * @enum {string}
+ */
+const VERSION_ENTITY_TYPES = Object.freeze({
+  WIDGET: 'widget',
+  THEME: 'theme',
+  TEMPLATE: 'template'
+});
+
 /**
  * HTTP status codes
  * @enum {number}
@@ -152,8 +269,18 @@ module.exports = {
   USER_ROLES,
   WIDGET_TYPES,
   FEED_FORMATS,
+  FEED_ROLES,
+  FEED_MERGE_FIELDS,
   FEED_STATUS,
   STOCK_STATUS,
+  WIDGET_EVENT_TYPES,
+  WIDGET_SCHEDULE_STATUS,
+  RECOMMENDATION_STRATEGIES,
+  PRODUCT_SELECTION_SORT,
+  VARIANT_ATTRIBUTES,
+  AUDIT_ACTIONS,
+  AUDIT_ENTITY_TYPES,
+  VERSION_ENTITY_TYPES,
   HTTP_STATUS,
   ERROR_CODES,
   CACHE_TTL,
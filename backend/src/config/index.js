@@ -90,6 +90,44 @@ const config = {
     format: process.env.LOG_FORMAT || 'combined'
   },
 
+  // Analytics event ingestion
+  analytics: {
+    batchSize: parseInt(process.env.ANALYTICS_BATCH_SIZE, 10) || 100,
+    flushIntervalMs: parseInt(process.env.ANALYTICS_FLUSH_INTERVAL_MS, 10) || 5000
+  },
+
+  // A/B test auto-promotion check
+  abTest: {
+    autoPromoteIntervalMs: parseInt(process.env.AB_TEST_AUTO_PROMOTE_INTERVAL_MS, 10) || 300000
+  },
+
+  // Draft preview tokens
+  preview: {
+    tokenExpiry: process.env.PREVIEW_TOKEN_EXPIRY || '1h'
+  },
+
+  // Internal xml-parser API (feed previews)
+  parserApi: {
+    url: process.env.PARSER_API_URL || 'http://localhost:4100',
+    token: process.env.PARSER_API_TOKEN || '',
+    timeoutMs: parseInt(process.env.PARSER_API_TIMEOUT_MS, 10) || 30000,
+    // Validation reads the whole feed
+    validateTimeoutMs: parseInt(process.env.PARSER_API_VALIDATE_TIMEOUT_MS, 10) || 300000
+  },
+
+  // Price drop and back in stock flags of widget products
+  priceSignals: {
+    dropDays: parseInt(process.env.PRICE_DROP_DAYS, 10) || 30,
+    minDropPercent: parseInt(process.env.PRICE_DROP_MIN_PERCENT, 10) || 5,
+    backInStockDays: parseInt(process.env.BACK_IN_STOCK_DAYS, 10) || 7
+  },
+
+  // Per-feed source credentials, shared with the xml-parser
+  feedCredentials: {
+    // 32 characters (AES-256 key)
+    key: process.env.FEED_CREDENTIALS_KEY || ''
+  },
+
   // External URLs
   urls: {
     cdn: process.env.CDN_BASE_URL || 'https://cdn.prowidget.com',
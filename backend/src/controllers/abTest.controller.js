@@ -0,0 +1,103 @@
+/**
+ * A/B Test Controller
+ * Handles A/B test management HTTP requests
+ *
+ * @module controllers/abTest
+ */
+
+const { abTestService } = require('../services');
+const { ApiResponse } = require('../utils');
+const { asyncHandler } = require('../middlewares');
+
+/**
+ * Create new A/B test for a customer
+ * POST /api/admin/customers/:id/ab-tests
+ */
+const create = asyncHandler(async (req, res) => {
+  const test = await abTestService.create(req.params.id, req.body);
+  ApiResponse.created(res, test, 'A/B test created successfully');
+});
+
+/**
+ * Get all A/B tests for a customer
+ * GET /api/admin/customers/:id/ab-tests
+ */
+const getByCustomer = asyncHandler(async (req, res) => {
+  const tests = await abTestService.getByCustomer(req.params.id, req.query);
+  ApiResponse.success(res, tests);
+});
+
+/**
+ * Get A/B test by ID
+ * GET /api/admin/ab-tests/:id
+ */
+const getById = asyncHandler(async (req, res) => {
+  const test = await abTestService.getById(req.params.id);
+  ApiResponse.success(res, test);
+});
+
+/**
+ * Update A/B test
+ * PATCH /api/admin/ab-tests/:id
+ */
+const update = asyncHandler(async (req, res) => {
+  const test = await abTestService.update(req.params.id, req.body);
+  ApiResponse.success(res, test, 'A/B test updated successfully');
+});
+
+/**
+ * Delete A/B test
+ * DELETE /api/admin/ab-tests/:id
+ */
+const remove = asyncHandler(async (req, res) => {
+  await abTestService.delete(req.params.id);
+  ApiResponse.noContent(res);
+});
+
+/**
+ * Start A/B test
+ * POST /api/admin/ab-tests/:id/start
+ */
+const start = asyncHandler(async (req, res) => {
+  const test = await abTestService.start(req.params.id);
+  ApiResponse.success(res, test, 'A/B test started successfully');
+});
+
+/**
+ * Stop A/B test
+ * POST /api/admin/ab-tests/:id/stop
+ */
+const stop = asyncHandler(async (req, res) => {
+  const test = await abTestService.stop(req.params.id);
+  ApiResponse.success(res, test, 'A/B test stopped successfully');
+});
+
+/**
+ * Get A/B test results
+ * GET /api/admin/ab-tests/:id/results
+ */
+const getResults = asyncHandler(async (req, res) => {
+  const results = await abTestService.getResults(req.params.id);
+  ApiResponse.success(res, results);
+});
+
+/**
+ * Promote an A/B test variant onto its widget and end the test
+ * POST /api/admin/ab-tests/:id/promote
+ */
+const promote = asyncHandler(async (req, res) => {
+  const test = await abTestService.promote(req.params.id, req.body.variant);
+  ApiResponse.success(res, test, `Variant ${req.body.variant} promoted successfully`);
+});
+
+module.exports = {
+  create,
+  getByCustomer,
+  getById,
+  update,
+  remove,
+  start,
+  stop,
+  getResults,
+  promote
+};
@@ -0,0 +1,23 @@
+/**
+ * Analytics Controller
+ * Handles widget analytics HTTP requests
+ *
+ * @module controllers/analytics
+ */
+
+const { analyticsService } = require('../services');
+const { ApiResponse } = require('../utils');
+const { asyncHandler } = require('../middlewares');
+
+/**
+ * Get time-bucketed widget analytics for a customer
+ * GET /api/admin/customers/:id/analytics
+ */
+const getWidgetAnalytics = asyncHandler(async (req, res) => {
+  const report = await analyticsService.getWidgetAggregates(req.params.id, req.query);
+  ApiResponse.success(res, report);
+});
+
+module.exports = {
+  getWidgetAnalytics
+};
@@ -0,0 +1,23 @@
+/**
+ * Audit Log Controller
+ * Handles audit trail HTTP requests
+ *
+ * @module controllers/audit
+ */
+
+const { auditService } = require('../services');
+const { ApiResponse } = require('../utils');
+const { asyncHandler } = require('../middlewares');
+
+/**
+ * Get audit logs with filters
+ * GET /api/admin/audit-logs
+ */
+const getAll = asyncHandler(async (req, res) => {
+  const result = await auditService.getAll(req.query);
+  ApiResponse.paginated(res, result.data, result.pagination);
+});
+
+module.exports = {
+  getAll
+};
@@ -0,0 +1,53 @@
+/**
+ * Draft Controller
+ * Handles draft publishing and preview token HTTP requests
+ *
+ * @module controllers/draft
+ */
+
+const { draftService } = require('../services');
+const { ApiResponse } = require('../utils');
+const { asyncHandler } = require('../middlewares');
+
+/**
+ * List unpublished drafts of a customer
+ * GET /api/admin/customers/:id/drafts
+ */
+const getPending = asyncHandler(async (req, res) => {
+  const drafts = await draftService.getPending(req.params.id);
+  ApiResponse.success(res, drafts);
+});
+
+/**
+ * Publish all drafts of a customer
+ * POST /api/admin/customers/:id/publish
+ */
+const publish = asyncHandler(async (req, res) => {
+  const summary = await draftService.publish(req.params.id);
+  ApiResponse.success(res, summary, 'Drafts published successfully');
+});
+
+/**
+ * Discard all drafts of a customer
+ * DELETE /api/admin/customers/:id/drafts
+ */
+const discard = asyncHandler(async (req, res) => {
+  const counts = await draftService.discard(req.params.id);
+  ApiResponse.success(res, counts, 'Drafts discarded successfully');
+});
+
+/**
+ * Create a draft preview token
+ * POST /api/admin/customers/:id/preview-token
+ */
+const createPreviewToken = asyncHandler(async (req, res) => {
+  const preview = await draftService.createPreviewToken(req.params.id);
+  ApiResponse.created(res, preview);
+});
+
+module.exports = {
+  getPending,
+  publish,
+  discard,
+  createPreviewToken
+};
@@ -63,6 +63,42 @@ const triggerSync = asyncHandler(async (req, res) => {
   ApiResponse.success(res, feed, 'Sync triggered successfully');
 });
 
+/**
+ * Get sync history of a feed
+ * GET /api/admin/feeds/:id/runs
+ */
+const getSyncRuns = asyncHandler(async (req, res) => {
+  const result = await feedService.getSyncRuns(req.params.id, req.query);
+  ApiResponse.paginated(res, result.data, result.pagination);
+});
+
+/**
+ * Get a single sync run
+ * GET /api/admin/feeds/:id/runs/:runId
+ */
+const getSyncRun = asyncHandler(async (req, res) => {
+  const run = await feedService.getSyncRun(req.params.id, req.params.runId);
+  ApiResponse.success(res, run);
+});
+
+/**
+ * Preview mapped products
+ * POST /api/admin/feeds/:id/preview
+ */
+const preview = asyncHandler(async (req, res) => {
+  const result = await feedService.preview(req.params.id, req.body);
+  ApiResponse.success(res, result);
+});
+
+/**
+ * Validate feed without syncing
+ * POST /api/admin/feeds/:id/validate
+ */
+const validate = asyncHandler(async (req, res) => {
+  const report = await feedService.validate(req.params.id, req.body);
+  ApiResponse.success(res, report);
+});
+
 /**
  * Get feed statistics
  * GET /api/admin/customers/:id/feeds/stats
@@ -92,6 +128,10 @@ module.exports = {
   update,
   remove,
   triggerSync,
+  getSyncRuns,
+  getSyncRun,
+  preview,
+  validate,
   getStats,
   getProducts
 };
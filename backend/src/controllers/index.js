@@ -13,6 +13,11 @@ const feedController = require('./feed.controller');
 const productController = require('./product.controller');
 const publicController = require('./public.controller');
 const templateController = require('./template.controller');
+const analyticsController = require('./analytics.controller');
+const abTestController = require('./abTest.controller');
+const auditController = require('./audit.controller');
+const versionController = require('./version.controller');
+const draftController = require('./draft.controller');
 
 module.exports = {
   authController,
@@ -22,5 +27,10 @@ module.exports = {
   feedController,
   productController,
   publicController,
-  templateController
+  templateController,
+  analyticsController,
+  abTestController,
+  auditController,
+  versionController,
+  draftController
 };
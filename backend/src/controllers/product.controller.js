@@ -27,6 +27,15 @@ const getById = asyncHandler(async (req, res) => {
   ApiResponse.success(res, product);
 });
 
+/**
+ * Get the price and stock timeline of a product
+ * GET /api/admin/products/:id/price-history
+ */
+const getPriceHistory = asyncHandler(async (req, res) => {
+  const history = await productService.getPriceHistory(req.params.id, { days: req.query.days });
+  ApiResponse.success(res, history);
+});
+
 /**
  * Search products
  * GET /api/admin/customers/:id/products/search
@@ -65,17 +74,19 @@ const getStats = asyncHandler(async (req, res) => {
 });
 
 /**
- * Update feed cache for a customer
+ * Clear cached product lists for a customer
+ * Lists are rebuilt on the next widget request
  * POST /api/admin/customers/:id/products/update-cache
  */
 const updateCache = asyncHandler(async (req, res) => {
-  await productService.updateFeedCache(req.params.id);
-  ApiResponse.success(res, null, 'Feed cache updated successfully');
+  const cleared = await productService.invalidateCache(req.params.id);
+  ApiResponse.success(res, { cleared }, 'Feed cache cleared successfully');
 });
 
 module.exports = {
   getByCustomer,
   getById,
+  getPriceHistory,
   search,
   getCategories,
   getBrands,
@@ -9,12 +9,171 @@ const {
   customerService,
   widgetService,
   themeService,
-  productService
+  productService,
+  analyticsService,
+  abTestService,
+  draftService,
+  recommendationService,
+  productSelectorService,
+  searchService
 } = require('../services');
-const { ApiResponse, logger } = require('../utils');
+const { ApiResponse, crypto } = require('../utils');
 const { asyncHandler } = require('../middlewares');
 const { NotFoundError } = require('../exceptions');
 
+/**
+ * Cache header for draft previews
+ * @type {string}
+ */
+const PREVIEW_CACHE_CONTROL = 'private, no-store';
+
+/**
+ * Check the draft preview token of a request
+ * Tokens come from the `pwx_preview` query parameter
+ *
+ * @param {Object} req - Express request
+ * @param {Object} customer - Customer the request is for
+ * @returns {boolean} True if drafts should be served
+ */
+const isPreview = (req, customer) => {
+  const token = req.query.pwx_preview;
+
+  if (!token) {
+    return false;
+  }
+
+  draftService.verifyPreviewToken(String(token), customer.id);
+  return true;
+};
+
+/**
+ * Maximum products per public product list
+ * @type {number}
+ */
+const MAX_PRODUCT_LIMIT = 100;
+
+/**
+ * Recommendations per request without a limit
+ * @type {number}
+ */
+const DEFAULT_RECOMMENDATION_LIMIT = 12;
+
+/**
+ * Set the ETag of a response and answer conditional requests
+ * The ETag is the feed cache checksum of the payload.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} checksum - Payload checksum
+ * @returns {boolean} True if a 304 was sent
+ */
+const sendNotModified = (req, res, checksum) => {
+  const etag = `"${checksum}"`;
+  const ifNoneMatch = req.get('If-None-Match');
+
+  res.set('ETag', etag);
+
+  if (!ifNoneMatch) {
+    return false;
+  }
+
+  const matches = ifNoneMatch
+    .split(',')
+    .map((tag) => tag.trim().replace(/^W\//, ''))
+    .some((tag) => tag === etag || tag === '*');
+
+  if (matches) {
+    res.status(304).end();
+  }
+
+  return matches;
+};
+
+/**
+ * Format a product variant for widgets
+ *
+ * @param {Object} v - Variant record
+ * @returns {Object} Widget variant
+ */
+const formatVariant = (v) => ({
+  id: v.externalId,
+  price: parseFloat(v.price),
+  salePrice: v.salePrice ? parseFloat(v.salePrice) : null,
+  imageLink: v.imageUrl,
+  url: v.productUrl,
+  color: v.color,
+  size: v.size,
+  inStock: v.stockStatus !== 'out_of_stock'
+});
+
+/**
+ * Distinct colors of a product group, each with its first variant's image
+ *
+ * @param {Array<Object>} variants - Widget variants
+ * @returns {Array<Object>} Colors
+ */
+const getColors = (variants) => {
+  const colors = new Map();
+
+  for (const variant of variants) {
+    const key = variant.color && variant.color.toLocaleLowerCase('tr');
+    if (key && !colors.has(key)) {
+      colors.set(key, { name: variant.color, imageLink: variant.imageLink, url: variant.url });
+    }
+  }
+
+  return [...colors.values()];
+};
+
+/**
+ * Format a product for widgets
+ *
+ * @param {Object} p - Product record
+ * @param {Object} [signals] - Price drop and back in stock flags
+ * @returns {Object} Widget product
+ */
+const formatProduct = (p, signals = {}) => {
+  const product = {
+    id: p.externalId,
+    title: p.title,
+    price: parseFloat(p.price),
+    salePrice: p.salePrice ? parseFloat(p.salePrice) : null,
+    imageLink: p.imageUrl,
+    url: p.productUrl,
+    brand: p.brand,
+    priceDrop: signals.priceDrop || null,
+    backInStock: Boolean(signals.backInStock)
+  };
+
+  if (p.variants) {
+    const variants = p.variants.map(formatVariant);
+
+    product.groupId = p.group.externalId;
+    product.variantCount = p.variantCount;
+    product.colors = getColors(variants);
+    product.variants = variants;
+  }
+
+  return product;
+};
+
+/**
+ * Format products for widgets
+ * Variants of a group become one product, flags come from the price history.
+ * Lists are fetched with productService.getGroupFetchLimit(limit) and cut
+ * to `limit` after grouping.
+ *
+ * @param {string} customerId - Customer ID
+ * @param {Array<Object>} products - Product records
+ * @param {number} [limit] - Max products after grouping
+ * @returns {Promise<Array<Object>>} Widget products
+ */
+const formatProducts = async (customerId, products, limit) => {
+  const grouped = await productService.groupVariants(customerId, products, limit);
+  const signals = await productService.getPriceSignals(grouped);
+  return grouped.map((p) => formatProduct(p, signals.get(p.id)));
+};
+
 /**
  * Get widget configuration for a customer
  * GET /api/:slug/config
@@ -29,11 +188,16 @@ const getConfig = asyncHandler(async (req, res) => {
     throw NotFoundError.customer(slug);
   }
 
+  const preview = isPreview(req, customer);
+
   // Get active widgets
-  const widgets = await widgetService.getActiveWidgets(customer.id);
+  const widgets = await widgetService.getActiveWidgets(customer.id, { preview });
 
   // Get active theme
-  const theme = await themeService.getThemeForWidget(customer.id);
+  const theme = await themeService.getThemeForWidget(customer.id, { preview });
+
+  // Get running A/B tests
+  const abTests = await abTestService.getActiveTests(customer.id);
 
   const config = {
     customerId: customer.id,
@@ -44,7 +208,8 @@ const getConfig = asyncHandler(async (req, res) => {
         type: w.type,
         name: w.name,
         settings: w.settings,
-        placement: w.placement
+        placement: w.placement,
+        targeting: w.targeting
       };
 
       // Include template data for custom widgets
@@ -61,11 +226,17 @@ const getConfig = asyncHandler(async (req, res) => {
 
       return widgetData;
     }),
-    theme
+    theme,
+    abTests: abTests.map((t) => ({
+      id: t.id,
+      name: t.name,
+      widgetId: t.widgetId,
+      variants: t.variants
+    }))
   };
 
   // Set cache headers
-  res.set('Cache-Control', 'public, max-age=60'); // 1 minute cache
+  res.set('Cache-Control', preview ? PREVIEW_CACHE_CONTROL : 'public, max-age=60'); // 1 minute cache
 
   ApiResponse.success(res, config);
 });
@@ -83,10 +254,11 @@ const getTheme = asyncHandler(async (req, res) => {
     throw NotFoundError.customer(slug);
   }
 
-  const theme = await themeService.getThemeForWidget(customer.id);
+  const preview = isPreview(req, customer);
+  const theme = await themeService.getThemeForWidget(customer.id, { preview });
 
   // Set cache headers
-  res.set('Cache-Control', 'public, max-age=300'); // 5 minutes cache
+  res.set('Cache-Control', preview ? PREVIEW_CACHE_CONTROL : 'public, max-age=300'); // 5 minutes cache
 
   ApiResponse.success(res, theme);
 });
@@ -104,7 +276,9 @@ const getThemeCss = asyncHandler(async (req, res) => {
     throw NotFoundError.customer(slug);
   }
 
-  const theme = await themeService.getActiveTheme(customer.id);
+  const preview = isPreview(req, customer);
+  const activeTheme = await themeService.getActiveTheme(customer.id);
+  const theme = activeTheme && preview ? draftService.applyDraft(activeTheme) : activeTheme;
 
   let css;
   if (theme) {
@@ -122,7 +296,7 @@ const getThemeCss = asyncHandler(async (req, res) => {
   }
 
   // Set cache headers
-  res.set('Cache-Control', 'public, max-age=300');
+  res.set('Cache-Control', preview ? PREVIEW_CACHE_CONTROL : 'public, max-age=300');
   res.type('text/css').send(css);
 });
 
@@ -132,7 +306,8 @@ const getThemeCss = asyncHandler(async (req, res) => {
  */
 const getData = asyncHandler(async (req, res) => {
   const { slug } = req.params;
-  const { limit, category } = req.query;
+  const { category } = req.query;
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), MAX_PRODUCT_LIMIT);
 
   const customer = await customerService.getBySlug(slug);
 
@@ -140,32 +315,39 @@ const getData = asyncHandler(async (req, res) => {
     throw NotFoundError.customer(slug);
   }
 
-  // Try to get cached data first
-  let products = await productService.getCachedData(customer.id);
-
-  // If no cache, get fresh data
-  if (!products || products.length === 0) {
-    products = await productService.getForWidget(customer.id, {
-      limit: parseInt(limit) || 20,
-      category
-    });
+  const load = async () => {
+    const products = await formatProducts(
+      customer.id,
+      await productService.getForWidget(customer.id, { limit: productService.getGroupFetchLimit(limit), category }),
+      limit
+    );
+
+    return {
+      customer: customer.name,
+      products,
+      total: products.length
+    };
+  };
 
-    // Format for widget
-    products = products.map((p) => ({
-      id: p.externalId,
-      title: p.title,
-      price: parseFloat(p.price),
-      salePrice: p.salePrice ? parseFloat(p.salePrice) : null,
-      imageLink: p.imageUrl,
-      url: p.productUrl,
-      brand: p.brand
-    }));
+  // Only known categories are cached, arbitrary filters would grow the cache without bound
+  let result;
+  if (!category || await productService.hasCategory(customer.id, String(category))) {
+    result = await productService.getCached(customer.id, `products:${limit}:${String(category || '').toLowerCase()}`, load);
+  } else {
+    const data = await load();
+    result = { payload: data, checksum: crypto.hash.md5(JSON.stringify(data)) };
   }
 
+  const { payload, checksum } = result;
+
   // Set cache headers
   res.set('Cache-Control', 'public, max-age=300'); // 5 minutes cache
 
-  ApiResponse.success(res, products);
+  if (sendNotModified(req, res, checksum)) {
+    return;
+  }
+
+  ApiResponse.success(res, payload);
 });
 
 /**
@@ -181,38 +363,118 @@ const getWidgetData = asyncHandler(async (req, res) => {
     throw NotFoundError.customer(slug);
   }
 
-  const widget = await widgetService.getById(widgetId);
+  const preview = isPreview(req, customer);
+  const storedWidget = await widgetService.getById(widgetId);
 
   // Verify widget belongs to customer
-  if (widget.customerId !== customer.id) {
+  if (storedWidget.customerId !== customer.id) {
     throw NotFoundError.widget(widgetId);
   }
 
-  // Get products for this widget
-  const products = await productService.getForWidget(customer.id, {
-    limit: widget.settings?.productCount || 20
-  });
+  const widget = preview ? draftService.applyDraft(storedWidget) : storedWidget;
 
-  const data = {
-    widget: {
-      id: widget.id,
-      type: widget.type,
-      settings: widget.settings,
-      placement: widget.placement
-    },
-    products: products.map((p) => ({
-      id: p.externalId,
-      title: p.title,
-      price: parseFloat(p.price),
-      salePrice: p.salePrice ? parseFloat(p.salePrice) : null,
-      imageLink: p.imageUrl,
-      url: p.productUrl,
-      brand: p.brand
-    }))
+  const load = async () => {
+    const limit = widget.settings?.productCount || 20;
+
+    // Get products picked by the widget's selection
+    const products = await productSelectorService.select(customer.id, widget.settings?.selection, {
+      limit: productService.getGroupFetchLimit(limit)
+    });
+
+    return {
+      widget: {
+        id: widget.id,
+        type: widget.type,
+        settings: widget.settings,
+        placement: widget.placement
+      },
+      products: await formatProducts(customer.id, products, limit)
+    };
   };
 
+  // Drafts are never cached
+  if (preview) {
+    res.set('Cache-Control', PREVIEW_CACHE_CONTROL);
+    ApiResponse.success(res, await load());
+    return;
+  }
+
+  // A settings change gets a new key, a feed sync clears all keys
+  const version = crypto.hash.md5(JSON.stringify([widget.type, widget.settings, widget.placement]));
+  const { payload, checksum } = await productService.getCached(
+    customer.id,
+    `widget:${widget.id}:${version}`,
+    load
+  );
+
   res.set('Cache-Control', 'public, max-age=60');
-  ApiResponse.success(res, data);
+
+  if (sendNotModified(req, res, checksum)) {
+    return;
+  }
+
+  ApiResponse.success(res, payload);
+});
+
+/**
+ * Get product recommendations
+ * GET /api/public/recommendations/:slug
+ */
+const getRecommendations = asyncHandler(async (req, res) => {
+  const { slug } = req.params;
+  const { strategy, productId, category } = req.query;
+  const limit = req.query.limit || DEFAULT_RECOMMENDATION_LIMIT;
+
+  const customer = await customerService.getBySlug(slug);
+
+  if (!customer.isActive) {
+    throw NotFoundError.customer(slug);
+  }
+
+  const result = await recommendationService.getRecommendations(customer.id, {
+    strategy,
+    productId,
+    limit: productService.getGroupFetchLimit(limit),
+    category
+  });
+
+  // Set cache headers
+  res.set('Cache-Control', 'public, max-age=300'); // 5 minutes cache
+
+  ApiResponse.success(res, {
+    strategy: result.strategy,
+    products: await formatProducts(customer.id, result.products, limit)
+  });
+});
+
+/**
+ * Search products
+ * GET /api/public/search/:slug
+ */
+const search = asyncHandler(async (req, res) => {
+  const { slug } = req.params;
+  const { q, autocomplete = false } = req.query;
+  const limit = req.query.limit || (autocomplete ? 6 : 20);
+
+  const customer = await customerService.getBySlug(slug);
+
+  if (!customer.isActive) {
+    throw NotFoundError.customer(slug);
+  }
+
+  const result = await searchService.search(customer.id, q, {
+    limit: productService.getGroupFetchLimit(limit),
+    autocomplete
+  });
+
+  // Set cache headers
+  res.set('Cache-Control', 'public, max-age=60'); // 1 minute cache
+
+  ApiResponse.success(res, {
+    query: result.query,
+    products: await formatProducts(customer.id, result.products, limit),
+    suggestions: result.suggestions
+  });
 });
 
 /**
@@ -240,16 +502,17 @@ const healthCheck = asyncHandler(async (req, res) => {
  */
 const trackEvent = asyncHandler(async (req, res) => {
   const { slug } = req.params;
-  const { event, widgetId, productId, metadata } = req.body;
 
-  // Log event for now (could be sent to analytics service)
-  logger.info('Widget event tracked', {
-    customerSlug: slug,
-    event,
-    widgetId,
-    productId,
-    metadata,
-    ip: req.ip,
+  const customer = await customerService.getBySlug(slug);
+
+  if (!customer.isActive) {
+    throw NotFoundError.customer(slug);
+  }
+
+  // Events are buffered and written in batches
+  analyticsService.track(customer.id, {
+    ...req.body,
+    event: req.body.event || req.body.type,
     userAgent: req.get('user-agent')
   });
 
@@ -262,6 +525,8 @@ module.exports = {
   getThemeCss,
   getData,
   getWidgetData,
+  getRecommendations,
+  search,
   healthCheck,
   trackEvent
 };
@@ -0,0 +1,57 @@
+/**
+ * Version Controller
+ * Handles version history HTTP requests for widgets, themes and templates
+ *
+ * @module controllers/version
+ */
+
+const { versionService } = require('../services');
+const { ApiResponse } = require('../utils');
+const { asyncHandler } = require('../middlewares');
+
+/**
+ * List versions of an entity
+ * GET /api/admin/:entity/:id/versions
+ */
+const list = asyncHandler(async (req, res) => {
+  const { entity, id } = req.params;
+  const result = await versionService.list(entity, id, req.query);
+  ApiResponse.paginated(res, result.data, result.pagination);
+});
+
+/**
+ * Get a single version with its snapshot
+ * GET /api/admin/:entity/:id/versions/:version
+ */
+const getVersion = asyncHandler(async (req, res) => {
+  const { entity, id, version } = req.params;
+  const result = await versionService.getVersion(entity, id, version);
+  ApiResponse.success(res, result);
+});
+
+/**
+ * Diff a version against another version or the current content
+ * GET /api/admin/:entity/:id/versions/:version/diff
+ */
+const diff = asyncHandler(async (req, res) => {
+  const { entity, id, version } = req.params;
+  const result = await versionService.diff(entity, id, version, req.query.against);
+  ApiResponse.success(res, result);
+});
+
+/**
+ * Restore an entity to a version
+ * POST /api/admin/:entity/:id/versions/:version/restore
+ */
+const restore = asyncHandler(async (req, res) => {
+  const { entity, id, version } = req.params;
+  const result = await versionService.restore(entity, id, version);
+  ApiResponse.success(res, result, `Version ${version} restored successfully`);
+});
+
+module.exports = {
+  list,
+  getVersion,
+  diff,
+  restore
+};
@@ -131,6 +131,19 @@ class AppError extends Error {
       ERROR_CODES.INTERNAL_ERROR
     );
   }
+
+  /**
+   * Create a Service Unavailable error
+   * @param {string} message - Error message
+   * @returns {AppError}
+   */
+  static serviceUnavailable(message = 'Service Unavailable') {
+    return new AppError(
+      message,
+      HTTP_STATUS.SERVICE_UNAVAILABLE,
+      ERROR_CODES.SERVICE_UNAVAILABLE
+    );
+  }
 }
 
 module.exports = AppError;
@@ -66,6 +66,15 @@ class NotFoundError extends AppError {
     return new NotFoundError('Feed', identifier);
   }
 
+  /**
+   * Create feed sync run not found error
+   * @param {string} identifier - Sync run ID
+   * @returns {NotFoundError}
+   */
+  static syncRun(identifier) {
+    return new NotFoundError('Sync run', identifier);
+  }
+
   /**
    * Create product not found error
    * @param {string} identifier - Product ID
@@ -84,6 +93,24 @@ class NotFoundError extends AppError {
     return new NotFoundError('User', identifier);
   }
 
+  /**
+   * Create A/B test not found error
+   * @param {string} identifier - A/B test ID
+   * @returns {NotFoundError}
+   */
+  static abTest(identifier) {
+    return new NotFoundError('A/B test', identifier);
+  }
+
+  /**
+   * Create version not found error
+   * @param {string} identifier - Version number
+   * @returns {NotFoundError}
+   */
+  static version(identifier) {
+    return new NotFoundError('Version', identifier);
+  }
+
   /**
    * Create route not found error
    * @param {string} path - Request path
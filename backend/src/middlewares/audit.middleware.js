@@ -0,0 +1,24 @@
+/**
+ * Audit Middleware
+ * Opens a request context used by the audit service
+ *
+ * @module middlewares/audit
+ */
+
+const { requestContext } = require('../utils');
+
+/**
+ * Audit context middleware
+ * Must run after the body parsers so the context is not lost in stream callbacks
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const auditContext = (req, res, next) => {
+  requestContext.run({ req }, next);
+};
+
+module.exports = {
+  auditContext
+};
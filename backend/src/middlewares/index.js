@@ -11,6 +11,7 @@ const errorMiddleware = require('./error.middleware');
 const rateLimiterMiddleware = require('./rateLimiter.middleware');
 const corsMiddleware = require('./cors.middleware');
 const loggerMiddleware = require('./logger.middleware');
+const auditMiddleware = require('./audit.middleware');
 
 module.exports = {
   // Auth
@@ -46,5 +47,8 @@ module.exports = {
   // Logging
   httpLogger: loggerMiddleware.httpLogger,
   requestTiming: loggerMiddleware.requestTiming,
-  requestId: loggerMiddleware.requestId
+  requestId: loggerMiddleware.requestId,
+
+  // Audit
+  auditContext: auditMiddleware.auditContext
 };
@@ -0,0 +1,122 @@
+/**
+ * A/B Test Routes
+ * A/B test management endpoints
+ *
+ * @module routes/abTest
+ */
+
+const express = require('express');
+const router = express.Router();
+const { abTestController } = require('../controllers');
+const { authenticate, requireEditor, validate } = require('../middlewares');
+const { abTest: validators } = require('../validators');
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/admin/customers/:id/ab-tests
+ * @desc    Get all A/B tests for a customer
+ * @access  Private (all roles)
+ */
+router.get(
+  '/customers/:id/ab-tests',
+  validate(validators.listABTestsSchema),
+  abTestController.getByCustomer
+);
+
+/**
+ * @route   POST /api/admin/customers/:id/ab-tests
+ * @desc    Create new A/B test for customer
+ * @access  Private (Admin, Editor)
+ */
+router.post(
+  '/customers/:id/ab-tests',
+  requireEditor,
+  validate(validators.createABTestSchema),
+  abTestController.create
+);
+
+/**
+ * @route   GET /api/admin/ab-tests/:id
+ * @desc    Get A/B test by ID
+ * @access  Private (all roles)
+ */
+router.get(
+  '/ab-tests/:id',
+  validate(validators.abTestIdParam),
+  abTestController.getById
+);
+
+/**
+ * @route   PATCH /api/admin/ab-tests/:id
+ * @desc    Update A/B test
+ * @access  Private (Admin, Editor)
+ */
+router.patch(
+  '/ab-tests/:id',
+  requireEditor,
+  validate(validators.updateABTestSchema),
+  abTestController.update
+);
+
+/**
+ * @route   DELETE /api/admin/ab-tests/:id
+ * @desc    Delete A/B test
+ * @access  Private (Admin, Editor)
+ */
+router.delete(
+  '/ab-tests/:id',
+  requireEditor,
+  validate(validators.abTestIdParam),
+  abTestController.remove
+);
+
+/**
+ * @route   POST /api/admin/ab-tests/:id/start
+ * @desc    Start A/B test
+ * @access  Private (Admin, Editor)
+ */
+router.post(
+  '/ab-tests/:id/start',
+  requireEditor,
+  validate(validators.abTestIdParam),
+  abTestController.start
+);
+
+/**
+ * @route   POST /api/admin/ab-tests/:id/stop
+ * @desc    Stop A/B test
+ * @access  Private (Admin, Editor)
+ */
+router.post(
+  '/ab-tests/:id/stop',
+  requireEditor,
+  validate(validators.abTestIdParam),
+  abTestController.stop
+);
+
+/**
+ * @route   GET /api/admin/ab-tests/:id/results
+ * @desc    Get A/B test results with significance statistics
+ * @access  Private (all roles)
+ */
+router.get(
+  '/ab-tests/:id/results',
+  validate(validators.abTestIdParam),
+  abTestController.getResults
+);
+
+/**
+ * @route   POST /api/admin/ab-tests/:id/promote
+ * @desc    Apply a variant to the widget and end the test
+ * @access  Private (Admin, Editor)
+ */
+router.post(
+  '/ab-tests/:id/promote',
+  requireEditor,
+  validate(validators.promoteABTestSchema),
+  abTestController.promote
+);
+
+module.exports = router;
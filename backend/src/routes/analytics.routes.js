@@ -0,0 +1,28 @@
+/**
+ * Analytics Routes
+ * Widget analytics reporting endpoints
+ *
+ * @module routes/analytics
+ */
+
+const express = require('express');
+const router = express.Router();
+const { analyticsController } = require('../controllers');
+const { authenticate, validate } = require('../middlewares');
+const { analytics: validators } = require('../validators');
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/admin/customers/:id/analytics
+ * @desc    Get time-bucketed event aggregates per widget
+ * @access  Private (all roles)
+ */
+router.get(
+  '/customers/:id/analytics',
+  validate(validators.widgetAnalyticsSchema),
+  analyticsController.getWidgetAnalytics
+);
+
+module.exports = router;
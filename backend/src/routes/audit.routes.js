@@ -0,0 +1,29 @@
+/**
+ * Audit Log Routes
+ * Audit trail endpoints
+ *
+ * @module routes/audit
+ */
+
+const express = require('express');
+const router = express.Router();
+const { auditController } = require('../controllers');
+const { authenticate, requireAdmin, validate } = require('../middlewares');
+const { audit: validators } = require('../validators');
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/admin/audit-logs
+ * @desc    Get audit logs (filters: userId, action, entityType, entityId, from, to)
+ * @access  Private (Admin only)
+ */
+router.get(
+  '/',
+  requireAdmin,
+  validate(validators.listAuditLogsSchema),
+  auditController.getAll
+);
+
+module.exports = router;
@@ -0,0 +1,64 @@
+/**
+ * Draft Routes
+ * Draft publishing and preview token endpoints
+ *
+ * @module routes/draft
+ */
+
+const express = require('express');
+const router = express.Router();
+const { draftController } = require('../controllers');
+const { authenticate, requireEditor, validate } = require('../middlewares');
+const { customer: customerValidators } = require('../validators');
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/admin/customers/:id/drafts
+ * @desc    List widgets, themes and templates with unpublished drafts
+ * @access  Private (all roles)
+ */
+router.get(
+  '/customers/:id/drafts',
+  validate(customerValidators.customerIdParam),
+  draftController.getPending
+);
+
+/**
+ * @route   POST /api/admin/customers/:id/publish
+ * @desc    Publish all drafts of a customer atomically
+ * @access  Private (admin, editor)
+ */
+router.post(
+  '/customers/:id/publish',
+  requireEditor,
+  validate(customerValidators.customerIdParam),
+  draftController.publish
+);
+
+/**
+ * @route   DELETE /api/admin/customers/:id/drafts
+ * @desc    Discard all drafts of a customer
+ * @access  Private (admin, editor)
+ */
+router.delete(
+  '/customers/:id/drafts',
+  requireEditor,
+  validate(customerValidators.customerIdParam),
+  draftController.discard
+);
+
+/**
+ * @route   POST /api/admin/customers/:id/preview-token
+ * @desc    Create a signed token for previewing drafts on the storefront
+ * @access  Private (admin, editor)
+ */
+router.post(
+  '/customers/:id/preview-token',
+  requireEditor,
+  validate(customerValidators.customerIdParam),
+  draftController.createPreviewToken
+);
+
+module.exports = router;
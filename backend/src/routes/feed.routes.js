@@ -95,6 +95,52 @@ router.post(
   feedController.triggerSync
 );
 
+/**
+ * @route   GET /api/admin/feeds/:id/runs
+ * @desc    Get sync history of a feed
+ * @access  Private (all roles)
+ */
+router.get(
+  '/feeds/:id/runs',
+  validate(validators.listSyncRunsSchema),
+  feedController.getSyncRuns
+);
+
+/**
+ * @route   GET /api/admin/feeds/:id/runs/:runId
+ * @desc    Get a single sync run
+ * @access  Private (all roles)
+ */
+router.get(
+  '/feeds/:id/runs/:runId',
+  validate(validators.syncRunParamSchema),
+  feedController.getSyncRun
+);
+
+/**
+ * @route   POST /api/admin/feeds/:id/preview
+ * @desc    Preview mapped products without syncing
+ * @access  Private (Admin, Editor)
+ */
+router.post(
+  '/feeds/:id/preview',
+  requireEditor,
+  validate(validators.previewFeedSchema),
+  feedController.preview
+);
+
+/**
+ * @route   POST /api/admin/feeds/:id/validate
+ * @desc    Validate feed and report rejected items without syncing
+ * @access  Private (Admin, Editor)
+ */
+router.post(
+  '/feeds/:id/validate',
+  requireEditor,
+  validate(validators.validateFeedSchema),
+  feedController.validate
+);
+
 /**
  * @route   GET /api/admin/feeds/:id/products
  * @desc    Get products from feed
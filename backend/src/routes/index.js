@@ -16,6 +16,11 @@ const feedRoutes = require('./feed.routes');
 const productRoutes = require('./product.routes');
 const publicRoutes = require('./public.routes');
 const templateRoutes = require('./template.routes');
+const analyticsRoutes = require('./analytics.routes');
+const abTestRoutes = require('./abTest.routes');
+const auditRoutes = require('./audit.routes');
+const versionRoutes = require('./version.routes');
+const draftRoutes = require('./draft.routes');
 
 /**
  * Admin API Routes
@@ -44,6 +49,21 @@ adminRouter.use('/', productRoutes);
 // Template routes - /api/admin/customers/:id/templates/* and /api/admin/templates/*
 adminRouter.use('/', templateRoutes);
 
+// Analytics routes - /api/admin/customers/:id/analytics
+adminRouter.use('/', analyticsRoutes);
+
+// A/B test routes - /api/admin/customers/:id/ab-tests/* and /api/admin/ab-tests/*
+adminRouter.use('/', abTestRoutes);
+
+// Version history routes - /api/admin/{widgets,themes,templates}/:id/versions/*
+adminRouter.use('/', versionRoutes);
+
+// Draft routes - /api/admin/customers/:id/{drafts,publish,preview-token}
+adminRouter.use('/', draftRoutes);
+
+// Audit log routes - /api/admin/audit-logs
+adminRouter.use('/audit-logs', auditRoutes);
+
 /**
  * Mount routes
  */
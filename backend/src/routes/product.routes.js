@@ -71,7 +71,7 @@ router.get(
 
 /**
  * @route   POST /api/admin/customers/:id/products/update-cache
- * @desc    Update feed cache
+ * @desc    Clear cached product lists
  * @access  Private (Admin, Editor)
  */
 router.post(
@@ -88,4 +88,15 @@ router.post(
  */
 router.get('/products/:id', productController.getById);
 
+/**
+ * @route   GET /api/admin/products/:id/price-history
+ * @desc    Get the price and stock timeline of a product
+ * @access  Private (all roles)
+ */
+router.get(
+  '/products/:id/price-history',
+  validate(validators.priceHistorySchema),
+  productController.getPriceHistory
+);
+
 module.exports = router;
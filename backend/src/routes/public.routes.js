@@ -8,7 +8,12 @@
 const express = require('express');
 const router = express.Router();
 const { publicController } = require('../controllers');
-const { publicApiLimiter, validateApiKey } = require('../middlewares');
+const { publicApiLimiter, validateApiKey, validate } = require('../middlewares');
+const {
+  analytics: analyticsValidators,
+  recommendation: recommendationValidators,
+  search: searchValidators
+} = require('../validators');
 
 // Apply public API rate limiter
 router.use(publicApiLimiter);
@@ -41,6 +46,28 @@ router.get('/public/widget/:slug', publicController.getConfig);
  */
 router.get('/public/products/:slug', publicController.getData);
 
+/**
+ * @route   GET /api/public/recommendations/:slug
+ * @desc    Get product recommendations (similar, viewed together, trending)
+ * @access  Public
+ */
+router.get(
+  '/public/recommendations/:slug',
+  validate(recommendationValidators.getRecommendationsSchema),
+  publicController.getRecommendations
+);
+
+/**
+ * @route   GET /api/public/search/:slug
+ * @desc    Search products with ranking and autocomplete
+ * @access  Public
+ */
+router.get(
+  '/public/search/:slug',
+  validate(searchValidators.searchSchema),
+  publicController.search
+);
+
 /**
  * @route   GET /api/public/theme/:slug
  * @desc    Get theme for customer (CDN)
@@ -53,7 +80,11 @@ router.get('/public/theme/:slug', publicController.getTheme);
  * @desc    Track widget events (CDN)
  * @access  Public
  */
-router.post('/public/track/:slug', publicController.trackEvent);
+router.post(
+  '/public/track/:slug',
+  validate(analyticsValidators.trackEventSchema),
+  publicController.trackEvent
+);
 
 // ========================================
 // Legacy Routes (backward compatibility)
@@ -96,9 +127,13 @@ router.get('/:slug/widget/:widgetId', publicController.getWidgetData);
 
 /**
  * @route   POST /api/:slug/track
- * @desc    Track widget events (impressions, clicks)
+ * @desc    Track widget events (impressions, clicks, add-to-cart, conversions)
  * @access  Public
  */
-router.post('/:slug/track', publicController.trackEvent);
+router.post(
+  '/:slug/track',
+  validate(analyticsValidators.trackEventSchema),
+  publicController.trackEvent
+);
 
 module.exports = router;
@@ -0,0 +1,67 @@
+/**
+ * Version Routes
+ * Version history endpoints for widgets, themes and templates
+ *
+ * @module routes/version
+ */
+
+const express = require('express');
+const router = express.Router();
+const { versionController } = require('../controllers');
+const { authenticate, requireEditor, validate } = require('../middlewares');
+const { version: validators } = require('../validators');
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * Versioned route prefix (:entity is widgets, themes or templates)
+ */
+const ENTITY_PATH = `/:entity(${Object.keys(validators.ENTITY_SEGMENTS).join('|')})/:id/versions`;
+
+/**
+ * @route   GET /api/admin/:entity/:id/versions
+ * @desc    List versions (newest first)
+ * @access  Private (all roles)
+ */
+router.get(
+  ENTITY_PATH,
+  validate(validators.listVersionsSchema),
+  versionController.list
+);
+
+/**
+ * @route   GET /api/admin/:entity/:id/versions/:version
+ * @desc    Get version snapshot
+ * @access  Private (all roles)
+ */
+router.get(
+  `${ENTITY_PATH}/:version`,
+  validate(validators.versionParamsSchema),
+  versionController.getVersion
+);
+
+/**
+ * @route   GET /api/admin/:entity/:id/versions/:version/diff
+ * @desc    Diff a version against ?against=<version> or the current content
+ * @access  Private (all roles)
+ */
+router.get(
+  `${ENTITY_PATH}/:version/diff`,
+  validate(validators.diffVersionSchema),
+  versionController.diff
+);
+
+/**
+ * @route   POST /api/admin/:entity/:id/versions/:version/restore
+ * @desc    Restore an entity to a version
+ * @access  Private (Admin, Editor)
+ */
+router.post(
+  `${ENTITY_PATH}/:version/restore`,
+  requireEditor,
+  validate(validators.versionParamsSchema),
+  versionController.restore
+);
+
+module.exports = router;
@@ -0,0 +1,711 @@
+/**
+ * A/B Test Service
+ * Widget A/B test management business logic
+ *
+ * @module services/abTest
+ */
+
+const { prisma } = require('../models');
+const { helpers, statistics, logger } = require('../utils');
+const { NotFoundError, ValidationError, AppError } = require('../exceptions');
+const {
+  HTTP_STATUS,
+  ERROR_CODES,
+  WIDGET_EVENT_TYPES,
+  AUDIT_ACTIONS,
+  AUDIT_ENTITY_TYPES,
+  VERSION_ENTITY_TYPES
+} = require('../config/constants');
+const auditService = require('./audit.service');
+const versionService = require('./version.service');
+const draftService = require('./draft.service');
+
+/**
+ * Variant counter columns per event type
+ * @type {Object<string, string>}
+ */
+const COUNTER_FIELDS = Object.freeze({
+  [WIDGET_EVENT_TYPES.IMPRESSION]: 'impressions',
+  [WIDGET_EVENT_TYPES.CLICK]: 'clicks',
+  [WIDGET_EVENT_TYPES.CONVERSION]: 'conversions'
+});
+
+/**
+ * Variant include options (control first)
+ * @type {Object}
+ */
+const VARIANT_INCLUDE = Object.freeze({
+  orderBy: { position: 'asc' }
+});
+
+/**
+ * Counter used as the success metric per goal
+ * @type {Object<string, string>}
+ */
+const GOAL_COUNTERS = Object.freeze({
+  conversion: 'conversions',
+  click: 'clicks'
+});
+
+class ABTestService {
+  /**
+   * Create a new A/B test (created stopped, use start() to run it)
+   *
+   * @param {string} customerId - Customer ID
+   * @param {Object} testData - Test data
+   * @returns {Promise<Object>} Created test
+   */
+  async create(customerId, testData) {
+    const {
+      name,
+      description,
+      widgetId,
+      variants,
+      goal,
+      confidenceLevel,
+      minSampleSize,
+      autoPromote
+    } = testData;
+
+    // Verify customer exists
+    const customer = await prisma.customer.findUnique({
+      where: { id: customerId }
+    });
+
+    if (!customer) {
+      throw NotFoundError.customer(customerId);
+    }
+
+    if (widgetId) {
+      await this._verifyWidget(customerId, widgetId);
+    }
+
+    const test = await prisma.aBTest.create({
+      data: helpers.object.removeEmpty({
+        customerId,
+        name,
+        description,
+        widgetId: widgetId || null,
+        goal,
+        confidenceLevel,
+        minSampleSize,
+        autoPromote,
+        isActive: false,
+        variants: {
+          create: variants.map((variant, index) => this._variantData(variant, index))
+        }
+      }),
+      include: { variants: VARIANT_INCLUDE }
+    });
+
+    return test;
+  }
+
+  /**
+   * Get A/B test by ID
+   *
+   * @param {string} id - Test ID
+   * @returns {Promise<Object>} Test
+   */
+  async getById(id) {
+    const test = await prisma.aBTest.findUnique({
+      where: { id },
+      include: {
+        widget: {
+          select: {
+            id: true,
+            name: true,
+            type: true
+          }
+        },
+        variants: VARIANT_INCLUDE
+      }
+    });
+
+    if (!test) {
+      throw NotFoundError.abTest(id);
+    }
+
+    return test;
+  }
+
+  /**
+   * Get all A/B tests for a customer
+   *
+   * @param {string} customerId - Customer ID
+   * @param {Object} options - Query options
+   * @returns {Promise<Array>} Tests
+   */
+  async getByCustomer(customerId, options = {}) {
+    const { isActive, widgetId } = options;
+
+    const where = { customerId };
+
+    if (isActive !== undefined) {
+      where.isActive = isActive;
+    }
+
+    if (widgetId) {
+      where.widgetId = widgetId;
+    }
+
+    const tests = await prisma.aBTest.findMany({
+      where,
+      include: {
+        widget: {
+          select: {
+            id: true,
+            name: true,
+            type: true
+          }
+        },
+        variants: VARIANT_INCLUDE
+      },
+      orderBy: [{ isActive: 'desc' }, { createdAt: 'desc' }]
+    });
+
+    return tests;
+  }
+
+  /**
+   * Get running A/B tests for a customer (for public API)
+   *
+   * @param {string} customerId - Customer ID
+   * @returns {Promise<Array>} Running tests
+   */
+  async getActiveTests(customerId) {
+    const now = new Date();
+
+    const tests = await prisma.aBTest.findMany({
+      where: {
+        customerId,
+        isActive: true,
+        startDate: { lte: now },
+        OR: [{ endDate: null }, { endDate: { gt: now } }]
+      },
+      orderBy: { startDate: 'asc' },
+      select: {
+        id: true,
+        name: true,
+        widgetId: true,
+        variants: {
+          select: {
+            key: true,
+            name: true,
+            weight: true,
+            settings: true
+          },
+          orderBy: { position: 'asc' }
+        }
+      }
+    });
+
+    return tests;
+  }
+
+  /**
+   * Update A/B test
+   * Widget and variants are locked while the test is running,
+   * significance settings can be changed at any time
+   *
+   * @param {string} id - Test ID
+   * @param {Object} updateData - Update data
+   * @returns {Promise<Object>} Updated test
+   */
+  async update(id, updateData) {
+    const existingTest = await this.getById(id);
+
+    const {
+      name,
+      description,
+      widgetId,
+      variants,
+      endDate,
+      goal,
+      confidenceLevel,
+      minSampleSize,
+      autoPromote
+    } = updateData;
+
+    if (existingTest.isActive && (widgetId !== undefined || variants !== undefined)) {
+      throw new ValidationError('Stop the test before changing its widget or variants');
+    }
+
+    if (widgetId) {
+      await this._verifyWidget(existingTest.customerId, widgetId);
+    }
+
+    const test = await prisma.$transaction(async (tx) => {
+      // Keep counters of variants whose key is unchanged, drop removed ones
+      if (variants) {
+        await tx.aBTestVariant.deleteMany({
+          where: { testId: id, key: { notIn: variants.map((v) => v.key) } }
+        });
+
+        for (const [index, variant] of variants.entries()) {
+          const data = this._variantData(variant, index);
+          await tx.aBTestVariant.upsert({
+            where: { testId_key: { testId: id, key: variant.key } },
+            create: { testId: id, ...data },
+            update: data
+          });
+        }
+      }
+
+      return tx.aBTest.update({
+        where: { id },
+        data: helpers.object.removeEmpty({
+          name,
+          description,
+          widgetId,
+          endDate,
+          goal,
+          confidenceLevel,
+          minSampleSize,
+          autoPromote
+        }),
+        include: { variants: VARIANT_INCLUDE }
+      });
+    });
+
+    return test;
+  }
+
+  /**
+   * Delete A/B test
+   *
+   * @param {string} id - Test ID
+   * @returns {Promise<void>}
+   */
+  async delete(id) {
+    await this.getById(id);
+
+    await prisma.aBTest.delete({
+      where: { id }
+    });
+  }
+
+  /**
+   * Start (or restart) an A/B test
+   *
+   * @param {string} id - Test ID
+   * @returns {Promise<Object>} Started test
+   */
+  async start(id) {
+    const existingTest = await this.getById(id);
+
+    if (existingTest.isActive) {
+      return existingTest;
+    }
+
+    // Only one running test per widget, otherwise assignments overlap
+    if (existingTest.widgetId) {
+      const running = await prisma.aBTest.findFirst({
+        where: {
+          widgetId: existingTest.widgetId,
+          isActive: true,
+          id: { not: id }
+        },
+        select: { id: true, name: true }
+      });
+
+      if (running) {
+        throw new AppError(
+          `Widget already has a running A/B test: ${running.name}`,
+          HTTP_STATUS.CONFLICT,
+          ERROR_CODES.RESOURCE_CONFLICT,
+          { testId: running.id }
+        );
+      }
+    }
+
+    const test = await prisma.aBTest.update({
+      where: { id },
+      data: {
+        isActive: true,
+        startDate: new Date(),
+        endDate: null,
+        winner: null
+      }
+    });
+
+    return test;
+  }
+
+  /**
+   * Stop a running A/B test
+   *
+   * @param {string} id - Test ID
+   * @returns {Promise<Object>} Stopped test
+   */
+  async stop(id) {
+    const existingTest = await this.getById(id);
+
+    if (!existingTest.isActive) {
+      return existingTest;
+    }
+
+    const test = await prisma.aBTest.update({
+      where: { id },
+      data: {
+        isActive: false,
+        endDate: new Date()
+      }
+    });
+
+    return test;
+  }
+
+  /**
+   * Get A/B test results per variant with significance statistics
+   *
+   * @param {string} id - Test ID
+   * @returns {Promise<Object>} Test results
+   */
+  async getResults(id) {
+    const test = await this.getById(id);
+
+    return this._analyze(test);
+  }
+
+  /**
+   * Promote a variant: merge its settings into the widget and end the test
+   * The settings go live immediately and are merged into a pending draft as
+   * well, so the next publish keeps them. The widget change is versioned
+   * and audited like a publish.
+   *
+   * @param {string} id - Test ID
+   * @param {string} variantKey - Variant key
+   * @returns {Promise<Object>} Ended test
+   */
+  async promote(id, variantKey) {
+    const existingTest = await this.getById(id);
+
+    if (!existingTest.widgetId) {
+      throw new ValidationError('Only A/B tests attached to a widget can be promoted');
+    }
+
+    const variant = existingTest.variants.find((v) => v.key === variantKey);
+
+    if (!variant) {
+      throw new ValidationError(`Unknown variant: ${variantKey}`);
+    }
+
+    const { test, before, after } = await prisma.$transaction(async (tx) => {
+      const widget = await tx.widgetConfig.findUnique({
+        where: { id: existingTest.widgetId }
+      });
+
+      if (!widget) {
+        throw NotFoundError.widget(existingTest.widgetId);
+      }
+
+      const updated = await tx.widgetConfig.update({
+        where: { id: existingTest.widgetId },
+        data: this._promotedWidgetData(widget, variant.settings || {})
+      });
+
+      const ended = await tx.aBTest.update({
+        where: { id },
+        data: {
+          isActive: false,
+          endDate: new Date(),
+          winner: variantKey
+        }
+      });
+
+      return { test: ended, before: widget, after: updated };
+    });
+
+    await versionService.record(VERSION_ENTITY_TYPES.WIDGET, before, after);
+
+    await auditService.record({
+      action: AUDIT_ACTIONS.UPDATE,
+      entityType: AUDIT_ENTITY_TYPES.WIDGET,
+      entityId: after.id,
+      oldValues: before,
+      newValues: after
+    });
+
+    return test;
+  }
+
+  /**
+   * Evaluate auto-promotion of all running tests
+   * Runs on a timer in the API process, never on the event tracking path
+   *
+   * @returns {Promise<Array<Object>>} Tests that were promoted
+   */
+  async evaluateAutoPromotions() {
+    const tests = await prisma.aBTest.findMany({
+      where: { isActive: true, autoPromote: true, widgetId: { not: null } },
+      select: { id: true }
+    });
+
+    const promoted = [];
+
+    for (const { id } of tests) {
+      try {
+        const test = await this.evaluateAutoPromotion(id);
+        if (test) promoted.push(test);
+      } catch (error) {
+        logger.error('Failed to evaluate A/B test auto-promotion', {
+          abTestId: id,
+          error: error.message
+        });
+      }
+    }
+
+    return promoted;
+  }
+
+  /**
+   * Promote the winning variant if the test has auto-promotion enabled
+   * and reached its significance and sample size thresholds
+   *
+   * @param {string} id - Test ID
+   * @returns {Promise<Object|null>} Ended test, or null if nothing was promoted
+   */
+  async evaluateAutoPromotion(id) {
+    const test = await prisma.aBTest.findUnique({
+      where: { id },
+      include: { variants: VARIANT_INCLUDE }
+    });
+
+    if (!test || !test.isActive || !test.autoPromote || !test.widgetId) {
+      return null;
+    }
+
+    const { winner } = this._analyze(test);
+
+    if (!winner) {
+      return null;
+    }
+
+    logger.info('Auto-promoting A/B test winner', {
+      abTestId: id,
+      winner
+    });
+
+    return this.promote(id, winner);
+  }
+
+  /**
+   * Apply tracked event counts to A/B test counters
+   *
+   * @param {string} customerId - Customer ID
+   * @param {string} testId - Test ID
+   * @param {string} variant - Variant key
+   * @param {Object<string, number>} counts - Event type -> count
+   * @returns {Promise<void>}
+   */
+  async incrementCounters(customerId, testId, variant, counts) {
+    const data = {};
+    Object.entries(counts).forEach(([type, count]) => {
+      if (COUNTER_FIELDS[type] && count > 0) {
+        data[COUNTER_FIELDS[type]] = { increment: count };
+      }
+    });
+
+    if (Object.keys(data).length === 0) return;
+
+    // updateMany scopes the write to the customer and ignores unknown variants
+    await prisma.aBTestVariant.updateMany({
+      where: { testId, key: variant, test: { customerId } },
+      data
+    });
+  }
+
+  /**
+   * Build widget update data with promoted variant settings
+   * @private
+   *
+   * @param {Object} widget - Widget record with draft column
+   * @param {Object} settings - Variant settings
+   * @returns {Object} Update data for settings and draft
+   */
+  _promotedWidgetData(widget, settings) {
+    const data = {
+      settings: helpers.object.deepMerge(widget.settings || {}, settings)
+    };
+
+    // Keep a pending settings draft from undoing the promotion on publish
+    if (widget.draft?.settings) {
+      data.draft = draftService.stage(VERSION_ENTITY_TYPES.WIDGET, { ...widget, ...data }, {
+        settings: helpers.object.deepMerge(widget.draft.settings, settings)
+      });
+    }
+
+    return data;
+  }
+
+  /**
+   * Compute per-variant rates and compare every variant with the control
+   * The first variant is the control; the significance threshold is split
+   * across comparisons (Bonferroni) so A/B/n tests keep their confidence level.
+   * Rates and intervals are percentages, uplift is relative to the control.
+   * @private
+   *
+   * @param {Object} test - A/B test record with variants
+   * @returns {Object} Test results
+   */
+  _analyze(test) {
+    const goal = GOAL_COUNTERS[test.goal] ? test.goal : 'conversion';
+    const confidenceLevel = test.confidenceLevel || 0.95;
+    const variants = test.variants || [];
+    const control = variants[0];
+    const alpha = (1 - confidenceLevel) / Math.max(1, variants.length - 1);
+    const totalWeight = variants.reduce((sum, v) => sum + v.weight, 0);
+
+    const sample = (variant) => ({
+      successes: variant[GOAL_COUNTERS[goal]],
+      trials: variant.impressions
+    });
+
+    const results = variants.map((variant) => {
+      const current = sample(variant);
+      const interval = statistics.wilsonInterval(current.successes, current.trials, confidenceLevel);
+
+      let comparison = null;
+
+      if (variant !== control) {
+        const baseline = sample(control);
+        const { z, pValue } = statistics.twoProportionZTest(baseline, current);
+        const baseRate = baseline.trials ? baseline.successes / baseline.trials : 0;
+        const rate = current.trials ? current.successes / current.trials : 0;
+
+        comparison = {
+          uplift: baseRate ? this._round(((rate - baseRate) / baseRate) * 100) : null,
+          zScore: this._round(z, 4),
+          pValue: this._round(pValue, 4),
+          probabilityToBeatControl: this._round(statistics.probabilityToBeat(baseline, current), 4),
+          significant: pValue < alpha,
+          z
+        };
+      }
+
+      return {
+        key: variant.key,
+        name: variant.name || `Variant ${variant.key}`,
+        weight: totalWeight ? this._round(variant.weight / totalWeight, 4) : 0,
+        impressions: variant.impressions,
+        clicks: variant.clicks,
+        conversions: variant.conversions,
+        ctr: this._rate(variant.clicks, variant.impressions),
+        conversionRate: this._rate(variant.conversions, variant.impressions),
+        goalRate: this._rate(current.successes, current.trials),
+        confidenceInterval: {
+          lower: this._round(interval.lower * 100),
+          upper: this._round(interval.upper * 100)
+        },
+        comparison
+      };
+    });
+
+    const challengers = results.slice(1);
+    const minSampleReached = results.length > 1 &&
+      Math.min(...results.map((r) => r.impressions)) >= test.minSampleSize;
+
+    // Winner: best significantly better challenger, or the control when it
+    // significantly beats every challenger
+    let winner = null;
+    if (minSampleReached) {
+      const better = challengers
+        .filter((r) => r.comparison.significant && r.comparison.z > 0)
+        .sort((a, b) => b.goalRate - a.goalRate);
+
+      if (better.length > 0) {
+        winner = better[0].key;
+      } else if (challengers.every((r) => r.comparison.significant && r.comparison.z < 0)) {
+        winner = control.key;
+      }
+    }
+
+    challengers.forEach((r) => {
+      delete r.comparison.z;
+    });
+
+    return {
+      id: test.id,
+      name: test.name,
+      widgetId: test.widgetId,
+      isActive: test.isActive,
+      startDate: test.startDate,
+      endDate: test.endDate,
+      goal,
+      confidenceLevel,
+      minSampleSize: test.minSampleSize,
+      autoPromote: test.autoPromote,
+      promotedVariant: test.winner || null,
+      control: control ? control.key : null,
+      variants: results,
+      minSampleReached,
+      winner
+    };
+  }
+
+  /**
+   * Build variant row data from validated input
+   * @private
+   *
+   * @param {Object} variant - Variant input
+   * @param {number} position - Variant position (0 is the control)
+   * @returns {Object} Variant data
+   */
+  _variantData(variant, position) {
+    return {
+      key: variant.key,
+      position,
+      name: variant.name || null,
+      weight: variant.weight !== undefined ? variant.weight : 1,
+      settings: variant.settings || {}
+    };
+  }
+
+  /**
+   * Verify a widget belongs to the customer
+   * @private
+   *
+   * @param {string} customerId - Customer ID
+   * @param {string} widgetId - Widget ID
+   * @returns {Promise<void>}
+   */
+  async _verifyWidget(customerId, widgetId) {
+    const widget = await prisma.widgetConfig.findUnique({
+      where: { id: widgetId },
+      select: { customerId: true }
+    });
+
+    if (!widget || widget.customerId !== customerId) {
+      throw NotFoundError.widget(widgetId);
+    }
+  }
+
+  /**
+   * Calculate a percentage rate
+   * @private
+   *
+   * @param {number} part - Numerator
+   * @param {number} total - Denominator
+   * @returns {number} Rate in percent (2 decimals)
+   */
+  _rate(part, total) {
+    if (!total) return 0;
+    return Math.round((part / total) * 10000) / 100;
+  }
+
+  /**
+   * Round a number to a fixed number of decimals
+   * @private
+   *
+   * @param {number} value - Value
+   * @param {number} decimals - Decimal places
+   * @returns {number} Rounded value
+   */
+  _round(value, decimals = 2) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+  }
+}
+
+module.exports = new ABTestService();
@@ -0,0 +1,408 @@
+/**
+ * Analytics Service
+ * Widget event ingestion and reporting business logic
+ *
+ * @module services/analytics
+ */
+
+const { prisma } = require('../models');
+const { helpers, logger } = require('../utils');
+const abTestService = require('./abTest.service');
+const { NotFoundError } = require('../exceptions');
+const config = require('../config');
+const { WIDGET_EVENT_TYPES } = require('../config/constants');
+
+/**
+ * Client-side event names mapped to stored event types
+ * @type {Object<string, string>}
+ */
+const EVENT_ALIASES = Object.freeze({
+  impression: WIDGET_EVENT_TYPES.IMPRESSION,
+  view: WIDGET_EVENT_TYPES.IMPRESSION,
+  click: WIDGET_EVENT_TYPES.CLICK,
+  add_to_cart: WIDGET_EVENT_TYPES.ADD_TO_CART,
+  'add-to-cart': WIDGET_EVENT_TYPES.ADD_TO_CART,
+  addToCart: WIDGET_EVENT_TYPES.ADD_TO_CART,
+  conversion: WIDGET_EVENT_TYPES.CONVERSION,
+  purchase: WIDGET_EVENT_TYPES.CONVERSION,
+  product_view: WIDGET_EVENT_TYPES.PRODUCT_VIEW,
+  productView: WIDGET_EVENT_TYPES.PRODUCT_VIEW
+});
+
+/**
+ * Aggregate keys used in report buckets, per event type
+ * @type {Object<string, string>}
+ */
+const METRIC_KEYS = Object.freeze({
+  [WIDGET_EVENT_TYPES.IMPRESSION]: 'impressions',
+  [WIDGET_EVENT_TYPES.CLICK]: 'clicks',
+  [WIDGET_EVENT_TYPES.ADD_TO_CART]: 'addToCarts',
+  [WIDGET_EVENT_TYPES.CONVERSION]: 'conversions'
+});
+
+/**
+ * Bucket sizes in milliseconds
+ * @type {Object<string, number>}
+ */
+const INTERVAL_MS = Object.freeze({
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000
+});
+
+/**
+ * Largest accepted difference between client and server clocks
+ * @type {number}
+ */
+const MAX_CLOCK_SKEW_MS = INTERVAL_MS.day;
+
+class AnalyticsService {
+  constructor() {
+    this.batchSize = config.analytics.batchSize;
+    this.flushIntervalMs = config.analytics.flushIntervalMs;
+    this.buffer = [];
+    this.flushTimer = null;
+    this.flushing = null;
+  }
+
+  /**
+   * Resolve a client event name to a stored event type
+   *
+   * @param {string} eventName - Event name sent by the client
+   * @returns {string|null} Event type or null if unsupported
+   */
+  resolveEventType(eventName) {
+    return EVENT_ALIASES[eventName] || null;
+  }
+
+  /**
+   * Resolve the time of a client event
+   * Client clocks are trusted within MAX_CLOCK_SKEW_MS of the server;
+   * missing or out of range timestamps fall back to server time.
+   *
+   * @param {number} [timestamp] - Client timestamp in milliseconds
+   * @returns {Date} Event time
+   */
+  resolveTimestamp(timestamp) {
+    const now = Date.now();
+
+    if (!timestamp || Math.abs(timestamp - now) > MAX_CLOCK_SKEW_MS) {
+      return new Date(now);
+    }
+
+    return new Date(timestamp);
+  }
+
+  /**
+   * Queue a widget event for batched insert
+   *
+   * @param {string} customerId - Customer ID
+   * @param {Object} eventData - Event data
+   * @returns {boolean} True if the event was queued
+   */
+  track(customerId, eventData) {
+    const type = this.resolveEventType(eventData.event);
+
+    if (!type) {
+      logger.debug('Ignoring unsupported widget event', { event: eventData.event });
+      return false;
+    }
+
+    const metadata = { ...(eventData.metadata || {}) };
+
+    // A/B test assignment travels with the event so counters can be updated
+    if (eventData.abTestId && eventData.variant) {
+      metadata.abTestId = eventData.abTestId;
+      metadata.variant = eventData.variant;
+    }
+
+    this.buffer.push({
+      customerId,
+      type,
+      widgetId: eventData.widgetId || null,
+      productId: eventData.productId ? String(eventData.productId) : null,
+      visitorId: eventData.visitorId || null,
+      value: eventData.value !== undefined ? eventData.value : null,
+      url: eventData.url || null,
+      referrer: eventData.referrer || null,
+      userAgent: eventData.userAgent || null,
+      metadata,
+      createdAt: this.resolveTimestamp(eventData.timestamp)
+    });
+
+    if (this.buffer.length >= this.batchSize) {
+      this.flush();
+    } else {
+      this._scheduleFlush();
+    }
+
+    return true;
+  }
+
+  /**
+   * Write buffered events to the database
+   *
+   * @returns {Promise<number>} Number of events written
+   */
+  async flush() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    // Wait for an in-flight write so batches are not interleaved
+    if (this.flushing) {
+      await this.flushing;
+    }
+
+    if (this.buffer.length === 0) {
+      return 0;
+    }
+
+    const batch = this.buffer.splice(0, this.buffer.length);
+
+    this.flushing = (async () => {
+      let written = 0;
+      const persisted = [];
+
+      for (const chunk of helpers.array.chunk(batch, this.batchSize)) {
+        try {
+          const result = await prisma.widgetEvent.createMany({ data: chunk });
+          written += result.count;
+          persisted.push(...chunk);
+        } catch (error) {
+          logger.error('Failed to persist widget events', {
+            error: error.message,
+            dropped: chunk.length
+          });
+        }
+      }
+
+      // Dropped chunks must not count towards A/B results
+      await this._applyABTestCounters(persisted);
+
+      return written;
+    })();
+
+    try {
+      return await this.flushing;
+    } finally {
+      this.flushing = null;
+    }
+  }
+
+  /**
+   * Update A/B test counters from a batch of events
+   * @private
+   *
+   * @param {Array<Object>} batch - Persisted events
+   * @returns {Promise<void>}
+   */
+  async _applyABTestCounters(batch) {
+    const groups = new Map();
+
+    for (const event of batch) {
+      const { abTestId, variant } = event.metadata;
+      if (!abTestId) continue;
+
+      const key = `${event.customerId}:${abTestId}:${variant}`;
+      if (!groups.has(key)) {
+        groups.set(key, { customerId: event.customerId, abTestId, variant, counts: {} });
+      }
+
+      const { counts } = groups.get(key);
+      counts[event.type] = (counts[event.type] || 0) + 1;
+    }
+
+    for (const { customerId, abTestId, variant, counts } of groups.values()) {
+      try {
+        await abTestService.incrementCounters(customerId, abTestId, variant, counts);
+      } catch (error) {
+        logger.error('Failed to update A/B test counters', {
+          abTestId,
+          error: error.message
+        });
+      }
+    }
+  }
+
+  /**
+   * Schedule a delayed flush for partially filled batches
+   * @private
+   */
+  _scheduleFlush() {
+    if (this.flushTimer) return;
+
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, this.flushIntervalMs);
+
+    // Do not keep the process alive just for pending analytics
+    if (this.flushTimer.unref) {
+      this.flushTimer.unref();
+    }
+  }
+
+  /**
+   * Get time-bucketed event aggregates per widget
+   *
+   * @param {string} customerId - Customer ID
+   * @param {Object} options - Report options
+   * @param {Date} options.from - Range start (inclusive)
+   * @param {Date} options.to - Range end (exclusive)
+   * @param {string} options.interval - Bucket size (hour, day)
+   * @param {string} options.widgetId - Optional widget filter
+   * @returns {Promise<Object>} Aggregated report
+   */
+  async getWidgetAggregates(customerId, options = {}) {
+    const customer = await prisma.customer.findUnique({
+      where: { id: customerId },
+      select: { id: true }
+    });
+
+    if (!customer) {
+      throw NotFoundError.customer(customerId);
+    }
+
+    const interval = INTERVAL_MS[options.interval] ? options.interval : 'day';
+    const to = options.to ? new Date(options.to) : new Date();
+    const from = options.from ? new Date(options.from) : helpers.date.add(to, -7, 'days');
+    const widgetId = options.widgetId || null;
+
+    const rows = await prisma.$queryRaw`
+      SELECT
+        "widget_id" AS "widgetId",
+        date_trunc(${interval}, "created_at") AS "bucket",
+        "type"::text AS "type",
+        COUNT(*)::int AS "count",
+        COALESCE(SUM("value"), 0)::float AS "revenue"
+      FROM "widget_events"
+      WHERE "customer_id" = ${customerId}
+        AND "created_at" >= ${from}
+        AND "created_at" < ${to}
+        AND (${widgetId}::text IS NULL OR "widget_id" = ${widgetId})
+      GROUP BY "widgetId", "bucket", "type"
+      ORDER BY "bucket" ASC
+    `;
+
+    // Attach widget names for known widget configs
+    const widgetIds = helpers.array.unique(rows.map((row) => row.widgetId).filter(Boolean));
+    const widgets = widgetIds.length > 0
+      ? await prisma.widgetConfig.findMany({
+        where: { customerId, id: { in: widgetIds } },
+        select: { id: true, name: true, type: true }
+      })
+      : [];
+    const widgetMap = new Map(widgets.map((w) => [w.id, w]));
+
+    const bucketStarts = this._buildBuckets(from, to, interval);
+    const report = new Map();
+
+    for (const row of rows) {
+      // Product views feed recommendations, not widget reports
+      if (!METRIC_KEYS[row.type]) continue;
+
+      const key = row.widgetId || null;
+
+      if (!report.has(key)) {
+        const widget = widgetMap.get(key);
+        report.set(key, {
+          widgetId: key,
+          name: widget ? widget.name : null,
+          type: widget ? widget.type : null,
+          totals: this._emptyMetrics(),
+          buckets: new Map(bucketStarts.map((start) => [start, this._emptyMetrics()]))
+        });
+      }
+
+      const entry = report.get(key);
+      const metric = METRIC_KEYS[row.type];
+      const bucketKey = new Date(row.bucket).toISOString();
+
+      if (!entry.buckets.has(bucketKey)) {
+        entry.buckets.set(bucketKey, this._emptyMetrics());
+      }
+
+      const bucket = entry.buckets.get(bucketKey);
+      bucket[metric] += row.count;
+      entry.totals[metric] += row.count;
+
+      if (row.type === WIDGET_EVENT_TYPES.CONVERSION) {
+        bucket.revenue += row.revenue;
+        entry.totals.revenue += row.revenue;
+      }
+    }
+
+    return {
+      from: from.toISOString(),
+      to: to.toISOString(),
+      interval,
+      widgets: Array.from(report.values()).map((entry) => ({
+        widgetId: entry.widgetId,
+        name: entry.name,
+        type: entry.type,
+        totals: {
+          ...entry.totals,
+          ctr: this._rate(entry.totals.clicks, entry.totals.impressions),
+          conversionRate: this._rate(entry.totals.conversions, entry.totals.clicks)
+        },
+        buckets: Array.from(entry.buckets.entries())
+          .sort(([a], [b]) => a.localeCompare(b))
+          .map(([bucket, metrics]) => ({ bucket, ...metrics }))
+      }))
+    };
+  }
+
+  /**
+   * Build empty bucket start timestamps for a range
+   * @private
+   *
+   * @param {Date} from - Range start
+   * @param {Date} to - Range end
+   * @param {string} interval - Bucket size
+   * @returns {Array<string>} ISO bucket starts
+   */
+  _buildBuckets(from, to, interval) {
+    const step = INTERVAL_MS[interval];
+    const buckets = [];
+    let cursor = Math.floor(from.getTime() / step) * step;
+
+    while (cursor < to.getTime()) {
+      buckets.push(new Date(cursor).toISOString());
+      cursor += step;
+    }
+
+    return buckets;
+  }
+
+  /**
+   * Create a zeroed metrics object
+   * @private
+   *
+   * @returns {Object} Metrics
+   */
+  _emptyMetrics() {
+    return {
+      impressions: 0,
+      clicks: 0,
+      addToCarts: 0,
+      conversions: 0,
+      revenue: 0
+    };
+  }
+
+  /**
+   * Calculate a percentage rate
+   * @private
+   *
+   * @param {number} part - Numerator
+   * @param {number} total - Denominator
+   * @returns {number} Rate in percent (2 decimals)
+   */
+  _rate(part, total) {
+    if (!total) return 0;
+    return Math.round((part / total) * 10000) / 100;
+  }
+}
+
+module.exports = new AnalyticsService();
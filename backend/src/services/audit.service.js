@@ -0,0 +1,185 @@
+/**
+ * Audit Service
+ * Audit trail recording and querying
+ *
+ * @module services/audit
+ */
+
+const { prisma } = require('../models');
+const { helpers, logger, requestContext } = require('../utils');
+const { AUDIT_ACTIONS } = require('../config/constants');
+
+/**
+ * Fields never written to the audit trail
+ * @type {Set<string>}
+ */
+const REDACTED_FIELDS = new Set(['apiKey', 'password', 'passwordHash', 'token', 'refreshToken', 'credentials']);
+
+/**
+ * Fields ignored when comparing old and new values
+ * @type {Set<string>}
+ */
+const IGNORED_FIELDS = new Set(['updatedAt']);
+
+class AuditService {
+  /**
+   * Record a change in the audit trail
+   * Request user, IP address and user agent are taken from the request context.
+   * Failures are logged and never fail the audited operation.
+   *
+   * @param {Object} entry - Audit entry
+   * @param {string} entry.action - Action (create, update, delete)
+   * @param {string} entry.entityType - Entity type
+   * @param {string} entry.entityId - Entity ID
+   * @param {Object} [entry.oldValues] - Record before the change
+   * @param {Object} [entry.newValues] - Record after the change
+   * @returns {Promise<Object|null>} Created audit log or null
+   */
+  async record({ action, entityType, entityId, oldValues = null, newValues = null }) {
+    let before = this._toPlain(oldValues);
+    let after = this._toPlain(newValues);
+
+    // Updates only keep the fields that changed
+    if (action === AUDIT_ACTIONS.UPDATE && before && after) {
+      ({ before, after } = this._diff(before, after));
+
+      if (Object.keys(after).length === 0) {
+        return null;
+      }
+    }
+
+    before = this._redact(before);
+    after = this._redact(after);
+
+    const { userId, ipAddress, userAgent } = requestContext.get();
+
+    try {
+      return await prisma.auditLog.create({
+        data: {
+          userId,
+          action,
+          entityType,
+          entityId,
+          oldValues: before || undefined,
+          newValues: after || undefined,
+          ipAddress,
+          userAgent
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to write audit log', {
+        action,
+        entityType,
+        entityId,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Get audit logs with pagination and filters
+   *
+   * @param {Object} options - Query options
+   * @returns {Promise<Object>} Paginated audit logs
+   */
+  async getAll(options = {}) {
+    const { page, limit, skip } = helpers.pagination.parse(options);
+    const { userId, action, entityType, entityId, from, to } = options;
+
+    const where = helpers.object.removeEmpty({ userId, action, entityType, entityId });
+
+    if (from || to) {
+      where.createdAt = helpers.object.removeEmpty({
+        gte: from ? new Date(from) : null,
+        lt: to ? new Date(to) : null
+      });
+    }
+
+    const total = await prisma.auditLog.count({ where });
+
+    const logs = await prisma.auditLog.findMany({
+      where,
+      skip,
+      take: limit,
+      orderBy: { createdAt: 'desc' }
+    });
+
+    // AuditLog has no user relation, attach users manually
+    const userIds = helpers.array.unique(logs.map((log) => log.userId).filter(Boolean));
+    const users = userIds.length > 0
+      ? await prisma.user.findMany({
+        where: { id: { in: userIds } },
+        select: { id: true, email: true, firstName: true, lastName: true }
+      })
+      : [];
+    const userMap = new Map(users.map((user) => [user.id, user]));
+
+    return {
+      data: logs.map((log) => ({
+        ...log,
+        user: log.userId ? userMap.get(log.userId) || null : null
+      })),
+      pagination: helpers.pagination.buildMeta(total, page, limit)
+    };
+  }
+
+  /**
+   * Convert a record to plain JSON, dropping computed fields such as _count
+   * @private
+   *
+   * @param {Object|null} values - Record
+   * @returns {Object|null} Plain values
+   */
+  _toPlain(values) {
+    if (!values) return null;
+
+    // Round-trip through JSON to serialize Dates and Decimals
+    const plain = JSON.parse(JSON.stringify(values));
+
+    return Object.fromEntries(
+      Object.entries(plain).filter(([key]) => !key.startsWith('_'))
+    );
+  }
+
+  /**
+   * Mask sensitive fields (the change itself is still recorded)
+   * @private
+   *
+   * @param {Object|null} values - Plain values
+   * @returns {Object|null} Redacted values
+   */
+  _redact(values) {
+    if (!values) return null;
+
+    return Object.fromEntries(
+      Object.entries(values)
+        .map(([key, value]) => [key, REDACTED_FIELDS.has(key) && value != null ? '[REDACTED]' : value])
+    );
+  }
+
+  /**
+   * Keep only the fields whose value changed
+   * @private
+   *
+   * @param {Object} before - Old values
+   * @param {Object} after - New values
+   * @returns {{before: Object, after: Object}} Changed fields
+   */
+  _diff(before, after) {
+    const changed = { before: {}, after: {} };
+
+    Object.keys(after).forEach((key) => {
+      if (IGNORED_FIELDS.has(key)) return;
+
+      if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+        changed.before[key] = before[key] !== undefined ? before[key] : null;
+        changed.after[key] = after[key];
+      }
+    });
+
+    return changed;
+  }
+}
+
+module.exports = new AuditService();
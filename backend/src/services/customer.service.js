@@ -8,6 +8,8 @@
 const { prisma } = require('../models');
 const { crypto, helpers } = require('../utils');
 const { NotFoundError, AppError } = require('../exceptions');
+const { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES } = require('../config/constants');
+const auditService = require('./audit.service');
 
 class CustomerService {
   /**
@@ -34,6 +36,13 @@ class CustomerService {
       }
     });
 
+    await auditService.record({
+      action: AUDIT_ACTIONS.CREATE,
+      entityType: AUDIT_ENTITY_TYPES.CUSTOMER,
+      entityId: customer.id,
+      newValues: customer
+    });
+
     return customer;
   }
 
@@ -144,7 +153,7 @@ class CustomerService {
    */
   async update(id, updateData) {
     // Check if customer exists
-    await this.getById(id);
+    const existingCustomer = await this.getById(id);
 
     const { name, slug, domain, description, logoUrl, isActive } = updateData;
 
@@ -160,6 +169,14 @@ class CustomerService {
       })
     });
 
+    await auditService.record({
+      action: AUDIT_ACTIONS.UPDATE,
+      entityType: AUDIT_ENTITY_TYPES.CUSTOMER,
+      entityId: id,
+      oldValues: existingCustomer,
+      newValues: customer
+    });
+
     return customer;
   }
 
@@ -171,11 +188,18 @@ class CustomerService {
    */
   async delete(id) {
     // Check if customer exists
-    await this.getById(id);
+    const existingCustomer = await this.getById(id);
 
     await prisma.customer.delete({
       where: { id }
     });
+
+    await auditService.record({
+      action: AUDIT_ACTIONS.DELETE,
+      entityType: AUDIT_ENTITY_TYPES.CUSTOMER,
+      entityId: id,
+      oldValues: existingCustomer
+    });
   }
 
   /**
@@ -186,7 +210,7 @@ class CustomerService {
    */
   async regenerateApiKey(id) {
     // Check if customer exists
-    await this.getById(id);
+    const existingCustomer = await this.getById(id);
 
     const newApiKey = crypto.random.apiKey();
 
@@ -195,6 +219,14 @@ class CustomerService {
       data: { apiKey: newApiKey }
     });
 
+    await auditService.record({
+      action: AUDIT_ACTIONS.UPDATE,
+      entityType: AUDIT_ENTITY_TYPES.CUSTOMER,
+      entityId: id,
+      oldValues: existingCustomer,
+      newValues: customer
+    });
+
     return customer;
   }
 
@@ -0,0 +1,305 @@
+/**
+ * Draft Service
+ * Draft content, per-customer publishing and preview tokens for widgets,
+ * themes and templates
+ *
+ * @module services/draft
+ */
+
+const { Prisma } = require('@prisma/client');
+const { prisma } = require('../models');
+const { crypto } = require('../utils');
+const { NotFoundError, ValidationError, AuthenticationError } = require('../exceptions');
+const { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES, VERSION_ENTITY_TYPES } = require('../config/constants');
+const versionService = require('./version.service');
+const auditService = require('./audit.service');
+
+/**
+ * Response keys for drafted entity types
+ * @type {Object<string, string>}
+ */
+const GROUP_KEYS = Object.freeze({
+  [VERSION_ENTITY_TYPES.WIDGET]: 'widgets',
+  [VERSION_ENTITY_TYPES.THEME]: 'themes',
+  [VERSION_ENTITY_TYPES.TEMPLATE]: 'templates'
+});
+
+class DraftService {
+  /**
+   * Get the content an entity will have once its draft is published
+   *
+   * @param {string} entityType - Entity type (widget, theme, template)
+   * @param {Object} record - Entity record
+   * @returns {Object} Content fields
+   */
+  getContent(entityType, record) {
+    return versionService.pickContent(entityType, {
+      ...record,
+      ...(record.draft || {})
+    });
+  }
+
+  /**
+   * Build the draft column value for content changes
+   * Changes are applied on top of an existing draft. If the result matches
+   * the live content the draft is cleared.
+   *
+   * @param {string} entityType - Entity type
+   * @param {Object} record - Entity record before the update
+   * @param {Object} changes - Changed content fields
+   * @returns {Object} Draft content or Prisma.DbNull
+   */
+  stage(entityType, record, changes) {
+    const draft = { ...this.getContent(entityType, record), ...changes };
+
+    if (JSON.stringify(draft) === JSON.stringify(versionService.pickContent(entityType, record))) {
+      return Prisma.DbNull;
+    }
+
+    return draft;
+  }
+
+  /**
+   * Overlay an entity's draft on its live content (for previews)
+   *
+   * @param {Object} record - Entity record with draft column
+   * @returns {Object} Record with draft content applied
+   */
+  applyDraft(record) {
+    const { draft, ...rest } = record;
+    return draft ? { ...rest, ...draft } : rest;
+  }
+
+  /**
+   * List entities with unpublished drafts
+   *
+   * @param {string} customerId - Customer ID
+   * @returns {Promise<Object>} Drafts grouped by entity type
+   */
+  async getPending(customerId) {
+    const customer = await this._getCustomer(customerId);
+    const drafts = await this._findDrafts(prisma, customerId);
+
+    const result = {
+      publishedAt: customer.publishedAt,
+      total: drafts.length,
+      widgets: [],
+      themes: [],
+      templates: []
+    };
+
+    for (const { entityType, record } of drafts) {
+      const live = versionService.pickContent(entityType, record);
+      const draft = this.getContent(entityType, record);
+
+      result[GROUP_KEYS[entityType]].push({
+        id: record.id,
+        name: record.name,
+        updatedAt: record.updatedAt,
+        fields: Object.keys(draft).filter(
+          (field) => JSON.stringify(draft[field]) !== JSON.stringify(live[field])
+        )
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Publish all drafts of a customer in a single transaction
+   * Each published entity gets a version snapshot and an audit record.
+   *
+   * @param {string} customerId - Customer ID
+   * @returns {Promise<Object>} Publish summary
+   */
+  async publish(customerId) {
+    await this._getCustomer(customerId);
+
+    const publishedAt = new Date();
+
+    const published = await prisma.$transaction(async (tx) => {
+      const drafts = await this._findDrafts(tx, customerId);
+      const rows = [];
+
+      for (const { entityType, record } of drafts) {
+        const content = this.getContent(entityType, record);
+
+        // A drafted template may have been deleted after the draft was saved
+        if (entityType === VERSION_ENTITY_TYPES.WIDGET && content.templateId) {
+          const template = await tx.customTemplate.findUnique({
+            where: { id: content.templateId },
+            select: { id: true }
+          });
+
+          if (!template) {
+            throw new ValidationError('Cannot publish: a drafted widget template no longer exists', [
+              { field: 'templateId', message: `Widget ${record.id} uses missing template ${content.templateId}` }
+            ]);
+          }
+        }
+
+        const updated = await tx[versionService.getModel(entityType)].update({
+          where: { id: record.id },
+          data: {
+            ...versionService.toUpdateData(entityType, content),
+            draft: Prisma.DbNull
+          }
+        });
+
+        rows.push({ entityType, before: record, after: updated });
+      }
+
+      await tx.customer.update({
+        where: { id: customerId },
+        data: { publishedAt }
+      });
+
+      return rows;
+    });
+
+    const summary = { publishedAt, widgets: 0, themes: 0, templates: 0 };
+
+    for (const { entityType, before, after } of published) {
+      summary[GROUP_KEYS[entityType]] += 1;
+
+      await versionService.record(entityType, before, after);
+
+      await auditService.record({
+        action: AUDIT_ACTIONS.UPDATE,
+        entityType,
+        entityId: after.id,
+        oldValues: before,
+        newValues: after
+      });
+    }
+
+    return summary;
+  }
+
+  /**
+   * Discard all drafts of a customer
+   *
+   * @param {string} customerId - Customer ID
+   * @returns {Promise<Object>} Discarded draft counts
+   */
+  async discard(customerId) {
+    await this._getCustomer(customerId);
+
+    const types = Object.keys(GROUP_KEYS);
+
+    const results = await prisma.$transaction(
+      types.map((entityType) => prisma[versionService.getModel(entityType)].updateMany({
+        where: { customerId, draft: { not: Prisma.DbNull } },
+        data: { draft: Prisma.DbNull }
+      }))
+    );
+
+    const counts = Object.fromEntries(
+      types.map((entityType, index) => [GROUP_KEYS[entityType], results[index].count])
+    );
+
+    // Pending draft counts before and after; nothing is recorded if there were none
+    await auditService.record({
+      action: AUDIT_ACTIONS.UPDATE,
+      entityType: AUDIT_ENTITY_TYPES.CUSTOMER,
+      entityId: customerId,
+      oldValues: { drafts: counts },
+      newValues: { drafts: Object.fromEntries(Object.keys(counts).map((key) => [key, 0])) }
+    });
+
+    return counts;
+  }
+
+  /**
+   * Create a signed token that unlocks draft content on the public API
+   *
+   * @param {string} customerId - Customer ID
+   * @returns {Promise<Object>} Token and expiry
+   */
+  async createPreviewToken(customerId) {
+    const customer = await this._getCustomer(customerId);
+
+    const token = crypto.token.generatePreview({
+      customerId: customer.id,
+      type: 'preview'
+    });
+    const { exp } = crypto.token.decode(token);
+
+    return {
+      token,
+      expiresAt: new Date(exp * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Verify a preview token for a customer
+   *
+   * @param {string} token - Preview token
+   * @param {string} customerId - Customer the request is for
+   * @returns {Object} Decoded token payload
+   * @throws {AuthenticationError} If the token is invalid, expired or for another customer
+   */
+  verifyPreviewToken(token, customerId) {
+    let decoded;
+
+    try {
+      decoded = crypto.token.verify(token, { audience: 'prowidget-preview' });
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        throw AuthenticationError.tokenExpired();
+      }
+      throw AuthenticationError.invalidToken();
+    }
+
+    if (decoded.type !== 'preview' || decoded.customerId !== customerId) {
+      throw AuthenticationError.forbidden('Preview token is not valid for this customer');
+    }
+
+    return decoded;
+  }
+
+  /**
+   * Load entities with drafts for a customer
+   * @private
+   *
+   * @param {Object} client - Prisma client or transaction client
+   * @param {string} customerId - Customer ID
+   * @returns {Promise<Array<{entityType: string, record: Object}>>} Drafted entities
+   */
+  async _findDrafts(client, customerId) {
+    const drafts = [];
+
+    for (const entityType of Object.keys(GROUP_KEYS)) {
+      const records = await client[versionService.getModel(entityType)].findMany({
+        where: { customerId, draft: { not: Prisma.DbNull } },
+        orderBy: { updatedAt: 'desc' }
+      });
+
+      records.forEach((record) => drafts.push({ entityType, record }));
+    }
+
+    return drafts;
+  }
+
+  /**
+   * Load a customer
+   * @private
+   *
+   * @param {string} customerId - Customer ID
+   * @returns {Promise<Object>} Customer
+   */
+  async _getCustomer(customerId) {
+    const customer = await prisma.customer.findUnique({
+      where: { id: customerId },
+      select: { id: true, publishedAt: true }
+    });
+
+    if (!customer) {
+      throw NotFoundError.customer(customerId);
+    }
+
+    return customer;
+  }
+}
+
+module.exports = new DraftService();
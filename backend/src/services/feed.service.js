@@ -5,9 +5,14 @@
  * @module services/feed
  */
 
+const { Prisma } = require('@prisma/client');
 const { prisma } = require('../models');
-const { helpers } = require('../utils');
-const { NotFoundError } = require('../exceptions');
+const config = require('../config');
+const { crypto, helpers, logger } = require('../utils');
+const { AppError, NotFoundError } = require('../exceptions');
+const { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES, FEED_ROLES } = require('../config/constants');
+const auditService = require('./audit.service');
+const productService = require('./product.service');
 
 class FeedService {
   /**
@@ -18,7 +23,9 @@ class FeedService {
    * @returns {Promise<Object>} Created feed
    */
   async create(customerId, feedData) {
-    const { name, url, format, syncInterval, isActive } = feedData;
+    const { name, url, format, fieldMapping, credentials, role, priority, mergeFields, syncInterval, isActive } = feedData;
+
+    this.assertMergeFields(role, mergeFields);
 
     // Verify customer exists
     const customer = await prisma.customer.findUnique({
@@ -38,6 +45,11 @@ class FeedService {
         name,
         url,
         format: format || 'google',
+        fieldMapping: fieldMapping || Prisma.DbNull,
+        credentials: credentials ? this.sealCredentials(credentials) : Prisma.DbNull,
+        role: role || FEED_ROLES.PRIMARY,
+        priority: priority || 0,
+        mergeFields: mergeFields || [],
         syncInterval: syncInterval || 60,
         nextSyncAt,
         status: 'pending',
@@ -45,16 +57,35 @@ class FeedService {
       }
     });
 
-    return feed;
+    await auditService.record({
+      action: AUDIT_ACTIONS.CREATE,
+      entityType: AUDIT_ENTITY_TYPES.FEED,
+      entityId: feed.id,
+      newValues: feed
+    });
+
+    return this.toPublic(feed);
   }
 
   /**
    * Get feed by ID
+   * Stored credentials are replaced by a summary
    *
    * @param {string} id - Feed ID
    * @returns {Promise<Object>} Feed
    */
   async getById(id) {
+    return this.toPublic(await this.findById(id));
+  }
+
+  /**
+   * Find feed by ID with its encrypted credentials
+   *
+   * @param {string} id - Feed ID
+   * @returns {Promise<Object>} Feed
+   * @throws {NotFoundError} If the feed does not exist
+   */
+  async findById(id) {
     const feed = await prisma.xmlFeed.findUnique({
       where: { id },
       include: {
@@ -100,7 +131,8 @@ class FeedService {
 
     const feeds = await prisma.xmlFeed.findMany({
       where,
-      orderBy: { createdAt: 'desc' },
+      // Primary feeds first, then by precedence
+      orderBy: [{ role: 'asc' }, { priority: 'desc' }, { createdAt: 'desc' }],
       include: {
         _count: {
           select: { products: true }
@@ -108,7 +140,7 @@ class FeedService {
       }
     });
 
-    return feeds;
+    return feeds.map((feed) => this.toPublic(feed));
   }
 
   /**
@@ -120,9 +152,11 @@ class FeedService {
    */
   async update(id, updateData) {
     // Check if feed exists
-    await this.getById(id);
+    const existingFeed = await this.findById(id);
 
-    const { name, url, format, syncInterval, isActive } = updateData;
+    const { name, url, format, fieldMapping, credentials, role, priority, mergeFields, syncInterval, isActive } = updateData;
+
+    this.assertMergeFields(role || existingFeed.role, mergeFields || existingFeed.mergeFields);
 
     // Recalculate next sync time if interval changed
     let nextSyncAt;
@@ -130,19 +164,58 @@ class FeedService {
       nextSyncAt = helpers.date.add(new Date(), syncInterval, 'minutes');
     }
 
+    // Products depend on the source and how it is read; drop the stored
+    // validators so the next sync cannot be skipped as not modified
+    const sourceChanged = [url, format, fieldMapping, credentials].some((value) => value !== undefined);
+
     const feed = await prisma.xmlFeed.update({
       where: { id },
-      data: helpers.object.removeEmpty({
-        name,
-        url,
-        format,
-        syncInterval,
-        nextSyncAt,
-        isActive
-      })
+      data: {
+        ...helpers.object.removeEmpty({
+          name,
+          url,
+          format,
+          // null clears the mapping, undefined keeps it
+          fieldMapping: fieldMapping === null ? Prisma.DbNull : fieldMapping,
+          // Same for credentials, new ones replace the stored set
+          credentials: credentials === null
+            ? Prisma.DbNull
+            : credentials && this.sealCredentials(credentials),
+          role,
+          priority,
+          mergeFields,
+          syncInterval,
+          nextSyncAt,
+          isActive
+        }),
+        ...(sourceChanged && { etag: null, lastModified: null })
+      }
     });
 
-    return feed;
+    // Products carry the merged values of supplemental feeds; when the
+    // merge rules change they have to be rewritten from the primary feeds
+    const mergeChanged = [role, priority, mergeFields, isActive].some((value) => value !== undefined);
+    if (mergeChanged && (existingFeed.role === FEED_ROLES.SUPPLEMENTAL || feed.role === FEED_ROLES.SUPPLEMENTAL)) {
+      await this.resetMergedProducts(feed.customerId);
+    }
+
+    // A supplemental feed owns no products, the ones it created as primary go away
+    if (existingFeed.role === FEED_ROLES.PRIMARY && feed.role === FEED_ROLES.SUPPLEMENTAL) {
+      await prisma.product.updateMany({
+        where: { feedId: id },
+        data: { isActive: false }
+      });
+    }
+
+    await auditService.record({
+      action: AUDIT_ACTIONS.UPDATE,
+      entityType: AUDIT_ENTITY_TYPES.FEED,
+      entityId: id,
+      oldValues: existingFeed,
+      newValues: feed
+    });
+
+    return this.toPublic(feed);
   }
 
   /**
@@ -153,16 +226,28 @@ class FeedService {
    */
   async delete(id) {
     // Check if feed exists
-    await this.getById(id);
+    const existingFeed = await this.findById(id);
 
     // Delete associated products first
     await prisma.product.deleteMany({
       where: { feedId: id }
     });
 
+    // Overrides go with the feed (cascade)
     await prisma.xmlFeed.delete({
       where: { id }
     });
+
+    if (existingFeed.role === FEED_ROLES.SUPPLEMENTAL) {
+      await this.resetMergedProducts(existingFeed.customerId);
+    }
+
+    await auditService.record({
+      action: AUDIT_ACTIONS.DELETE,
+      entityType: AUDIT_ENTITY_TYPES.FEED,
+      entityId: id,
+      oldValues: existingFeed
+    });
   }
 
   /**
@@ -199,7 +284,7 @@ class FeedService {
    * @returns {Promise<Object>} Updated feed
    */
   async markSynced(id, productCount) {
-    const feed = await this.getById(id);
+    const feed = await this.findById(id);
 
     const nextSyncAt = helpers.date.add(new Date(), feed.syncInterval, 'minutes');
 
@@ -214,6 +299,9 @@ class FeedService {
       }
     });
 
+    // Synced products invalidate cached widget product lists
+    await productService.invalidateCache(feed.customerId);
+
     return updated;
   }
 
@@ -246,6 +334,7 @@ class FeedService {
 
   /**
    * Trigger manual sync for a feed
+   * A manual sync always downloads the feed, the stored validators are dropped
    *
    * @param {string} id - Feed ID
    * @returns {Promise<Object>} Feed marked for sync
@@ -255,11 +344,251 @@ class FeedService {
       where: { id },
       data: {
         status: 'syncing',
-        nextSyncAt: new Date() // Set to now to trigger sync
+        nextSyncAt: new Date(), // Set to now to trigger sync
+        etag: null,
+        lastModified: null
       }
     });
 
-    return feed;
+    return this.toPublic(feed);
+  }
+
+  /**
+   * Get sync history of a feed, newest first
+   *
+   * @param {string} id - Feed ID
+   * @param {Object} options - Query options
+   * @param {number} options.page - Page
+   * @param {number} options.limit - Runs per page
+   * @param {string} options.status - running, success, error or not_modified
+   * @returns {Promise<Object>} { data, pagination }
+   */
+  async getSyncRuns(id, options = {}) {
+    await this.findById(id);
+
+    const { page, limit, skip } = helpers.pagination.parse(options);
+    const where = helpers.object.removeEmpty({ feedId: id, status: options.status });
+
+    const [total, runs] = await Promise.all([
+      prisma.feedSyncRun.count({ where }),
+      prisma.feedSyncRun.findMany({
+        where,
+        skip,
+        take: limit,
+        orderBy: { startedAt: 'desc' }
+      })
+    ]);
+
+    return {
+      data: runs,
+      pagination: helpers.pagination.buildMeta(total, page, limit)
+    };
+  }
+
+  /**
+   * Get a single sync run of a feed
+   *
+   * @param {string} id - Feed ID
+   * @param {string} runId - Sync run ID
+   * @returns {Promise<Object>} Sync run
+   */
+  async getSyncRun(id, runId) {
+    const run = await prisma.feedSyncRun.findFirst({
+      where: { id: runId, feedId: id }
+    });
+
+    if (!run) {
+      throw NotFoundError.syncRun(runId);
+    }
+
+    return run;
+  }
+
+  /**
+   * Preview mapped products without syncing
+   * The xml-parser service reads the first items of the feed (or pasted
+   * sample content) with the feed's settings, overridden by the options
+   *
+   * @param {string} id - Feed ID
+   * @param {Object} options - Preview options
+   * @param {string} options.format - Feed format override
+   * @param {Object|null} options.fieldMapping - Field mapping override, null for none
+   * @param {string} options.content - Sample feed content instead of the feed URL
+   * @param {number} options.limit - Number of items
+   * @returns {Promise<Object>} { format, items: [{ source, product, valid }] }
+   */
+  async preview(id, options = {}) {
+    return this.requestParser(id, '/preview', options, config.parserApi.timeoutMs);
+  }
+
+  /**
+   * Validate the whole feed without syncing
+   * Takes the same options as preview; limit sets the sample size
+   *
+   * @param {string} id - Feed ID
+   * @param {Object} options - Preview options
+   * @returns {Promise<Object>} Report with item, rejected and duplicate counts,
+   *   rejected items with reasons, duplicate IDs, field coverage and a sample
+   */
+  async validate(id, options = {}) {
+    return this.requestParser(id, '/validate', options, config.parserApi.validateTimeoutMs);
+  }
+
+  /**
+   * Run a dry-run request on the xml-parser service
+   *
+   * @param {string} id - Feed ID
+   * @param {string} path - Parser API path
+   * @param {Object} options - Preview options
+   * @param {number} timeoutMs - Request timeout
+   * @returns {Promise<Object>} Parser API data
+   * @throws {AppError} 400 for unreadable feeds, 503 if the parser fails
+   */
+  async requestParser(id, path, options, timeoutMs) {
+    const feed = await this.findById(id);
+
+    const { format, content, limit } = options;
+    const fieldMapping = options.fieldMapping !== undefined ? options.fieldMapping : feed.fieldMapping;
+
+    let response;
+    try {
+      response = await fetch(`${config.parserApi.url}${path}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Parser-Token': config.parserApi.token
+        },
+        body: JSON.stringify({
+          url: content ? undefined : feed.url,
+          // Still encrypted, the parser holds the same key
+          credentials: content ? undefined : feed.credentials || undefined,
+          content,
+          format: format || feed.format,
+          fieldMapping,
+          // Supplemental items only need an ID
+          partial: feed.role === FEED_ROLES.SUPPLEMENTAL || undefined,
+          limit
+        }),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+    } catch (error) {
+      logger.error('Feed parser request failed', { feedId: id, path, error: error.message });
+      throw AppError.serviceUnavailable('Feed parser is not reachable');
+    }
+
+    const payload = await response.json().catch(() => null);
+
+    if (!response.ok || !payload?.success) {
+      const message = payload?.error?.message || `Feed parser responded with ${response.status}`;
+
+      // Unreadable feeds and bad input are the caller's to fix
+      if (response.status >= 400 && response.status < 500) {
+        throw AppError.badRequest(message);
+      }
+
+      logger.error('Feed parser request failed', { feedId: id, path, status: response.status, message });
+      throw AppError.serviceUnavailable('Feed parser could not read the feed');
+    }
+
+    return payload.data;
+  }
+
+  /**
+   * Check that a supplemental feed has fields to patch
+   *
+   * @param {string} role - Feed role
+   * @param {string[]} mergeFields - Merge fields
+   * @throws {AppError} 400 for a supplemental feed without merge fields
+   */
+  assertMergeFields(role, mergeFields) {
+    if (role === FEED_ROLES.SUPPLEMENTAL && (!mergeFields || mergeFields.length === 0)) {
+      throw AppError.badRequest('Supplemental feeds need at least one merge field');
+    }
+  }
+
+  /**
+   * Rewrite a customer's products from their primary feeds on the next sync
+   * Drops the primary feeds' validators so they are downloaded again and
+   * the products' content hashes so every product is written with the
+   * current supplemental values
+   *
+   * @param {string} customerId - Customer ID
+   * @returns {Promise<void>}
+   */
+  async resetMergedProducts(customerId) {
+    await prisma.xmlFeed.updateMany({
+      where: { customerId, role: FEED_ROLES.PRIMARY },
+      data: { etag: null, lastModified: null }
+    });
+
+    await prisma.product.updateMany({
+      where: { customerId },
+      data: { contentHash: null }
+    });
+  }
+
+  /**
+   * Encrypt source credentials for storage
+   *
+   * @param {Object} credentials - Username/password, headers, SFTP key
+   * @returns {Object} Encrypted credentials { encrypted, iv, tag }
+   * @throws {AppError} If no valid encryption key is configured
+   */
+  sealCredentials(credentials) {
+    const { key } = config.feedCredentials;
+
+    if (Buffer.byteLength(key) !== 32) {
+      logger.error('FEED_CREDENTIALS_KEY must be 32 characters to store feed credentials');
+      throw AppError.internal('Feed credentials cannot be stored, encryption key is not configured');
+    }
+
+    return crypto.encryption.encrypt(JSON.stringify(credentials), key);
+  }
+
+  /**
+   * Summarize stored credentials without their secrets
+   *
+   * @param {Object|null} sealed - Encrypted credentials
+   * @returns {Object|null} Username, header names and which secrets are set;
+   *   unreadable if the key changed
+   */
+  describeCredentials(sealed) {
+    if (!sealed) return null;
+
+    try {
+      const { encrypted, iv, tag } = sealed;
+      const credentials = JSON.parse(
+        crypto.encryption.decrypt(encrypted, iv, tag, config.feedCredentials.key)
+      );
+
+      return {
+        username: credentials.username || null,
+        hasPassword: Boolean(credentials.password),
+        headerNames: Object.keys(credentials.headers || {}),
+        hasPrivateKey: Boolean(credentials.privateKey),
+        unreadable: false
+      };
+    } catch {
+      return {
+        username: null,
+        hasPassword: false,
+        headerNames: [],
+        hasPrivateKey: false,
+        unreadable: true
+      };
+    }
+  }
+
+  /**
+   * Feed as returned by the API: credentials are never sent back
+   *
+   * @param {Object} feed - Feed record
+   * @returns {Object} Feed with credentials replaced by their summary
+   */
+  toPublic(feed) {
+    const { credentials, ...rest } = feed;
+
+    return { ...rest, credentials: this.describeCredentials(credentials) };
   }
 
   /**
@@ -12,6 +12,14 @@ const themeService = require('./theme.service');
 const feedService = require('./feed.service');
 const productService = require('./product.service');
 const templateService = require('./template.service');
+const analyticsService = require('./analytics.service');
+const abTestService = require('./abTest.service');
+const auditService = require('./audit.service');
+const versionService = require('./version.service');
+const draftService = require('./draft.service');
+const recommendationService = require('./recommendation.service');
+const productSelectorService = require('./productSelector.service');
+const searchService = require('./search.service');
 
 module.exports = {
   authService,
@@ -20,5 +28,13 @@ module.exports = {
   themeService,
   feedService,
   productService,
-  templateService
+  templateService,
+  analyticsService,
+  abTestService,
+  auditService,
+  versionService,
+  draftService,
+  recommendationService,
+  productSelectorService,
+  searchService
 };
@@ -5,9 +5,54 @@
  * @module services/product
  */
 
+const config = require('../config');
 const { prisma } = require('../models');
-const { helpers } = require('../utils');
+const { helpers, crypto, logger } = require('../utils');
 const { NotFoundError } = require('../exceptions');
+const { CACHE_TTL, VARIANT_ATTRIBUTES } = require('../config/constants');
+const searchService = require('./search.service');
+
+/**
+ * Milliseconds per day
+ * @type {number}
+ */
+const DAY_MS = CACHE_TTL.DAY * 1000;
+
+/**
+ * Price a shopper pays: the sale price when set, the list price otherwise
+ *
+ * @param {Object} entry - Product or price history row
+ * @returns {number} Effective price
+ */
+const effectivePrice = (entry) => parseFloat(entry.salePrice ?? entry.price);
+
+/**
+ * Maximum variants returned per product group
+ * @type {number}
+ */
+const MAX_VARIANTS = 50;
+
+/**
+ * Products fetched per requested card, so collapsed variants still leave
+ * enough products to fill a widget
+ * @type {number}
+ */
+const VARIANT_OVERFETCH = 3;
+
+/**
+ * Variant fields returned with a product group
+ * @type {Object}
+ */
+const VARIANT_SELECT = Object.freeze({
+  id: true,
+  externalId: true,
+  price: true,
+  salePrice: true,
+  imageUrl: true,
+  productUrl: true,
+  stockStatus: true,
+  attributes: true
+});
 
 class ProductService {
   /**
@@ -43,6 +88,144 @@ class ProductService {
     return product;
   }
 
+  /**
+   * Get the price and stock timeline of a product
+   * The row in effect when the period starts is included so the timeline
+   * has a starting value.
+   *
+   * @param {string} id - Product ID
+   * @param {Object} options - Query options
+   * @param {number} options.days - Period in days
+   * @returns {Promise<Object>} Product summary and timeline, oldest first
+   */
+  async getPriceHistory(id, options = {}) {
+    const { days = 90 } = options;
+
+    const product = await prisma.product.findUnique({
+      where: { id },
+      select: {
+        id: true,
+        externalId: true,
+        title: true,
+        price: true,
+        salePrice: true,
+        currency: true,
+        stockStatus: true
+      }
+    });
+
+    if (!product) {
+      throw NotFoundError.product(id);
+    }
+
+    const since = new Date(Date.now() - days * DAY_MS);
+    const select = { price: true, salePrice: true, currency: true, stockStatus: true, recordedAt: true };
+
+    const [previous, entries] = await Promise.all([
+      prisma.productPriceHistory.findFirst({
+        where: { productId: id, recordedAt: { lt: since } },
+        orderBy: { recordedAt: 'desc' },
+        select
+      }),
+      prisma.productPriceHistory.findMany({
+        where: { productId: id, recordedAt: { gte: since } },
+        orderBy: { recordedAt: 'asc' },
+        select
+      })
+    ]);
+
+    const timeline = (previous ? [previous, ...entries] : entries).map((entry) => ({
+      price: parseFloat(entry.price),
+      salePrice: entry.salePrice === null ? null : parseFloat(entry.salePrice),
+      currency: entry.currency,
+      stockStatus: entry.stockStatus,
+      recordedAt: entry.recordedAt
+    }));
+
+    const prices = timeline.map(effectivePrice);
+
+    return {
+      product,
+      days,
+      timeline,
+      lowestPrice: prices.length > 0 ? Math.min(...prices) : null,
+      highestPrice: prices.length > 0 ? Math.max(...prices) : null
+    };
+  }
+
+  /**
+   * Get price drop and back in stock flags for widget products
+   * A drop compares the current price with the highest price in effect
+   * during the drop window; a product is back in stock when it went from
+   * out of stock to in stock during the restock window.
+   *
+   * @param {Array<Object>} products - Products with id, price, salePrice and stockStatus
+   * @returns {Promise<Map<string, Object>>} Flags keyed by product ID
+   */
+  async getPriceSignals(products) {
+    const signals = new Map();
+
+    if (products.length === 0) {
+      return signals;
+    }
+
+    const { dropDays, minDropPercent, backInStockDays } = config.priceSignals;
+    const dropSince = Date.now() - dropDays * DAY_MS;
+    const stockSince = Date.now() - backInStockDays * DAY_MS;
+    const since = new Date(Math.min(dropSince, stockSince));
+    const productIds = products.map((product) => product.id);
+    const select = { productId: true, price: true, salePrice: true, stockStatus: true, recordedAt: true };
+
+    const [previous, entries] = await Promise.all([
+      // Latest row of each product before the period
+      prisma.productPriceHistory.findMany({
+        where: { productId: { in: productIds }, recordedAt: { lt: since } },
+        orderBy: [{ productId: 'asc' }, { recordedAt: 'desc' }],
+        distinct: ['productId'],
+        select
+      }),
+      prisma.productPriceHistory.findMany({
+        where: { productId: { in: productIds }, recordedAt: { gte: since } },
+        orderBy: { recordedAt: 'asc' },
+        select
+      })
+    ]);
+
+    const timelines = new Map(previous.map((entry) => [entry.productId, [entry]]));
+    for (const entry of entries) {
+      if (!timelines.has(entry.productId)) timelines.set(entry.productId, []);
+      timelines.get(entry.productId).push(entry);
+    }
+
+    for (const product of products) {
+      const timeline = timelines.get(product.id) || [];
+
+      // Rows in effect during the drop window: the last one before it and all inside it
+      const start = timeline.findIndex((entry) => entry.recordedAt.getTime() >= dropSince);
+      const inWindow = start === -1 ? timeline.slice(-1) : timeline.slice(Math.max(0, start - 1));
+      const highest = Math.max(0, ...inWindow.map(effectivePrice));
+      const current = effectivePrice(product);
+      const percent = highest > 0 ? Math.round(((highest - current) / highest) * 100) : 0;
+
+      const backInStock =
+        product.stockStatus === 'in_stock' &&
+        timeline.some(
+          (entry, index) =>
+            index > 0 &&
+            entry.recordedAt.getTime() >= stockSince &&
+            entry.stockStatus === 'in_stock' &&
+            timeline[index - 1].stockStatus === 'out_of_stock'
+        );
+
+      signals.set(product.id, {
+        priceDrop: percent >= minDropPercent ? { percent, days: dropDays } : null,
+        backInStock
+      });
+    }
+
+    return signals;
+  }
+
   /**
    * Get products for a customer with pagination and filters
    *
@@ -118,6 +301,7 @@ class ProductService {
         category: true,
         brand: true,
         stockStatus: true,
+        groupId: true,
         attributes: true
       }
     });
@@ -165,15 +349,96 @@ class ProductService {
         imageUrl: true,
         productUrl: true,
         brand: true,
-        stockStatus: true
+        stockStatus: true,
+        groupId: true
       }
     });
 
     return products;
   }
 
+  /**
+   * Number of products to fetch for a list that is grouped afterwards
+   *
+   * @param {number} limit - Products to show
+   * @returns {number} Products to fetch
+   */
+  getGroupFetchLimit(limit) {
+    return limit * VARIANT_OVERFETCH;
+  }
+
+  /**
+   * Collapse the variants of a product group into one product
+   * The first product of each group stands for it and gets the group and
+   * its active variants; products without a group are kept as they are.
+   * Lists fetched with getGroupFetchLimit() are cut to `limit` afterwards.
+   *
+   * @param {string} customerId - Customer ID
+   * @param {Array<Object>} products - Products with id and groupId
+   * @param {number} [limit] - Max products after grouping
+   * @returns {Promise<Array<Object>>} Products, grouped ones with `group` and `variants`
+   */
+  async groupVariants(customerId, products, limit = Infinity) {
+    const seen = new Set();
+    const grouped = products.filter((product) => {
+      if (!product.groupId) return true;
+      if (seen.has(product.groupId)) return false;
+      seen.add(product.groupId);
+      return true;
+    }).slice(0, limit);
+
+    const groupIds = new Set(grouped.map((product) => product.groupId).filter(Boolean));
+
+    if (groupIds.size === 0) {
+      return grouped;
+    }
+
+    const groups = await prisma.productGroup.findMany({
+      where: { customerId, id: { in: [...groupIds] } },
+      select: {
+        id: true,
+        externalId: true,
+        variants: {
+          where: { isActive: true },
+          orderBy: { externalId: 'asc' },
+          take: MAX_VARIANTS,
+          select: VARIANT_SELECT
+        },
+        _count: { select: { variants: { where: { isActive: true } } } }
+      }
+    });
+
+    const byId = new Map(groups.map(({ variants, _count, ...group }) => [group.id, {
+      group,
+      variantCount: _count.variants,
+      variants: variants.map(({ attributes, ...variant }) => ({
+        ...variant,
+        color: this.getVariantOption(attributes, 'color'),
+        size: this.getVariantOption(attributes, 'size')
+      }))
+    }]));
+
+    return grouped.map((product) => {
+      const entry = product.groupId && byId.get(product.groupId);
+      return entry ? { ...product, ...entry } : product;
+    });
+  }
+
+  /**
+   * Read a variant option such as color or size from product attributes
+   *
+   * @param {Object} attributes - Product attributes
+   * @param {string} option - Key of VARIANT_ATTRIBUTES
+   * @returns {string|null} Option value
+   */
+  getVariantOption(attributes, option) {
+    const key = VARIANT_ATTRIBUTES[option].find((name) => attributes?.[name]);
+    return key ? String(attributes[key]) : null;
+  }
+
   /**
    * Search products
+   * Uses the ranked full-text search of the public search endpoint
    *
    * @param {string} customerId - Customer ID
    * @param {string} query - Search query
@@ -181,29 +446,16 @@ class ProductService {
    * @returns {Promise<Array>} Search results
    */
   async search(customerId, query, limit = 10) {
-    const products = await prisma.product.findMany({
-      where: {
-        customerId,
-        isActive: true,
-        OR: [
-          { title: { contains: query, mode: 'insensitive' } },
-          { description: { contains: query, mode: 'insensitive' } },
-          { brand: { contains: query, mode: 'insensitive' } },
-          { category: { contains: query, mode: 'insensitive' } }
-        ]
-      },
-      take: limit,
-      select: {
-        id: true,
-        title: true,
-        price: true,
-        salePrice: true,
-        imageUrl: true,
-        productUrl: true
-      }
-    });
+    const { products } = await searchService.search(customerId, query, { limit });
 
-    return products;
+    return products.map((p) => ({
+      id: p.id,
+      title: p.title,
+      price: p.price,
+      salePrice: p.salePrice,
+      imageUrl: p.imageUrl,
+      productUrl: p.productUrl
+    }));
   }
 
   /**
@@ -323,6 +575,26 @@ class ProductService {
     return products.map((p) => p.category).filter(Boolean);
   }
 
+  /**
+   * Check if a customer has active products in a category
+   *
+   * @param {string} customerId - Customer ID
+   * @param {string} category - Category name, case-insensitive
+   * @returns {Promise<boolean>} True if the category exists
+   */
+  async hasCategory(customerId, category) {
+    const product = await prisma.product.findFirst({
+      where: {
+        customerId,
+        isActive: true,
+        category: { equals: category, mode: 'insensitive' }
+      },
+      select: { id: true }
+    });
+
+    return Boolean(product);
+  }
+
   /**
    * Get unique brands for a customer
    *
@@ -369,51 +641,52 @@ class ProductService {
   }
 
   /**
-   * Update feed cache for a customer
+   * Get a cached product list, building it on a miss
+   * Entries are keyed by widget or product query, expire after five minutes
+   * and are cleared when a feed sync touches products.
    *
    * @param {string} customerId - Customer ID
-   * @returns {Promise<void>}
+   * @param {string} cacheKey - Widget or query key
+   * @param {Function} load - Builds the payload on a miss
+   * @returns {Promise<Object>} Payload and checksum
    */
-  async updateFeedCache(customerId) {
-    // Get all active products for widget
-    const products = await this.getForWidget(customerId, { limit: 100 });
+  async getCached(customerId, cacheKey, load) {
+    const where = { customerId_cacheKey: { customerId, cacheKey } };
+    const cached = await prisma.feedCache.findUnique({ where });
 
-    // Format for cache
-    const payload = products.map((p) => ({
-      id: p.externalId,
-      title: p.title,
-      price: parseFloat(p.price),
-      salePrice: p.salePrice ? parseFloat(p.salePrice) : null,
-      image: p.imageUrl,
-      url: p.productUrl,
-      brand: p.brand
-    }));
+    if (cached && cached.checksum && Date.now() - cached.updatedAt.getTime() < CACHE_TTL.MEDIUM * 1000) {
+      return { payload: cached.payload, checksum: cached.checksum };
+    }
 
-    // Upsert feed cache
-    await prisma.feedCache.upsert({
-      where: { customerId },
-      create: {
-        customerId,
-        payload
-      },
-      update: {
-        payload
-      }
-    });
+    const payload = await load();
+    const checksum = crypto.hash.md5(JSON.stringify(payload));
+
+    try {
+      await prisma.feedCache.upsert({
+        where,
+        create: { customerId, cacheKey, payload, checksum },
+        update: { payload, checksum }
+      });
+    } catch (error) {
+      // A failed cache write must not fail the request
+      logger.warn('Failed to write feed cache', { customerId, cacheKey, error: error.message });
+    }
+
+    return { payload, checksum };
   }
 
   /**
-   * Get cached feed data for widget
+   * Clear all cached product lists of a customer
    *
    * @param {string} customerId - Customer ID
-   * @returns {Promise<Array>} Cached products
+   * @returns {Promise<number>} Number of cleared entries
    */
-  async getCachedData(customerId) {
-    const cache = await prisma.feedCache.findUnique({
+  async invalidateCache(customerId) {
+    const result = await prisma.feedCache.deleteMany({
       where: { customerId }
     });
 
-    return cache?.payload || [];
+    return result.count;
   }
 }
 
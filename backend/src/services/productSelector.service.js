@@ -0,0 +1,279 @@
+/**
+ * Product Selector Service
+ * Evaluates the product selection stored in widget settings
+ *
+ * @module services/productSelector
+ */
+
+const { prisma } = require('../models');
+const { PRODUCT_SELECTION_SORT } = require('../config/constants');
+
+/**
+ * Maximum number of products scanned when sorting or capping in memory
+ * @type {number}
+ */
+const CANDIDATE_LIMIT = 500;
+
+/**
+ * Product fields returned to widgets
+ * @type {Object}
+ */
+const PRODUCT_SELECT = Object.freeze({
+  id: true,
+  externalId: true,
+  title: true,
+  price: true,
+  salePrice: true,
+  currency: true,
+  imageUrl: true,
+  productUrl: true,
+  brand: true,
+  category: true,
+  stockStatus: true,
+  groupId: true,
+  createdAt: true
+});
+
+/**
+ * Price a visitor pays
+ *
+ * @param {Object} product - Product
+ * @returns {number} Sale price if set, otherwise price
+ */
+const effectivePrice = (product) => parseFloat(product.salePrice || product.price) || 0;
+
+/**
+ * Discount ratio of a product (0-1)
+ *
+ * @param {Object} product - Product
+ * @returns {number} Discount ratio, 0 if not on sale
+ */
+const discountRatio = (product) => {
+  const price = parseFloat(product.price) || 0;
+  const salePrice = parseFloat(product.salePrice);
+
+  if (!price || !salePrice || salePrice >= price) {
+    return 0;
+  }
+
+  return (price - salePrice) / price;
+};
+
+class ProductSelectorService {
+  /**
+   * Select products for a widget
+   * Pinned products come first in the given order, even if they do not match
+   * the filters. Excluded products are never shown.
+   *
+   * @param {string} customerId - Customer ID
+   * @param {Object|null} selection - Selection from widget settings
+   * @param {Object} options - Options
+   * @param {number} options.limit - Max products
+   * @returns {Promise<Array>} Products
+   */
+  async select(customerId, selection, options = {}) {
+    const { limit = 20 } = options;
+    const criteria = selection || {};
+    const excluded = criteria.excluded || [];
+    const sort = criteria.sort || PRODUCT_SELECTION_SORT.NEWEST;
+
+    const pinned = await this._loadPinned(
+      customerId,
+      (criteria.pinned || []).filter((id) => !excluded.includes(id))
+    );
+
+    const remaining = limit - pinned.length;
+
+    if (remaining <= 0) {
+      return pinned.slice(0, limit);
+    }
+
+    // Orders and caps the database cannot express are applied in memory
+    const scan = sort !== PRODUCT_SELECTION_SORT.NEWEST
+      || Boolean(criteria.onSale)
+      || Boolean(criteria.maxPerCategory);
+
+    let products = await prisma.product.findMany({
+      where: this.buildWhere(customerId, criteria, [
+        ...excluded,
+        ...pinned.map((p) => p.externalId)
+      ]),
+      take: scan ? CANDIDATE_LIMIT : remaining,
+      orderBy: sort === PRODUCT_SELECTION_SORT.PRICE_ASC || sort === PRODUCT_SELECTION_SORT.PRICE_DESC
+        ? { price: sort === PRODUCT_SELECTION_SORT.PRICE_ASC ? 'asc' : 'desc' }
+        : { createdAt: 'desc' },
+      select: PRODUCT_SELECT
+    });
+
+    if (criteria.onSale) {
+      products = products.filter((p) => discountRatio(p) > 0);
+    }
+
+    products = this._capPerCategory(this._sort(products, sort), criteria.maxPerCategory);
+
+    return [...pinned, ...products.slice(0, remaining)];
+  }
+
+  /**
+   * Build the Prisma where clause for a selection
+   *
+   * @param {string} customerId - Customer ID
+   * @param {Object} criteria - Selection
+   * @param {Array<string>} excludeIds - externalIds to leave out
+   * @returns {Object} Prisma where clause
+   */
+  buildWhere(customerId, criteria, excludeIds = []) {
+    const {
+      brands,
+      categories,
+      minPrice,
+      maxPrice,
+      attributes,
+      onSale,
+      newArrivalDays
+    } = criteria;
+
+    const where = {
+      customerId,
+      isActive: true,
+      stockStatus: { not: 'out_of_stock' }
+    };
+    const conditions = [];
+
+    if (excludeIds.length > 0) {
+      where.externalId = { notIn: excludeIds };
+    }
+
+    if (brands && brands.length > 0) {
+      conditions.push({
+        OR: brands.map((brand) => ({ brand: { equals: brand, mode: 'insensitive' } }))
+      });
+    }
+
+    if (categories && categories.length > 0) {
+      conditions.push({
+        OR: categories.map((category) => ({ category: { contains: category, mode: 'insensitive' } }))
+      });
+    }
+
+    // Price range applies to the price a visitor pays
+    if (minPrice !== undefined || maxPrice !== undefined) {
+      const range = {};
+      if (minPrice !== undefined) range.gte = minPrice;
+      if (maxPrice !== undefined) range.lte = maxPrice;
+
+      conditions.push({
+        OR: [{ salePrice: range }, { salePrice: null, price: range }]
+      });
+    }
+
+    // Feed attributes are stored as strings under lowercase keys
+    Object.entries(attributes || {}).forEach(([key, value]) => {
+      conditions.push({
+        OR: [].concat(value).map((item) => ({
+          attributes: { path: [key.toLowerCase()], equals: String(item) }
+        }))
+      });
+    });
+
+    if (onSale) {
+      where.salePrice = { not: null };
+    }
+
+    if (newArrivalDays) {
+      where.createdAt = { gte: new Date(Date.now() - newArrivalDays * 24 * 60 * 60 * 1000) };
+    }
+
+    if (conditions.length > 0) {
+      where.AND = conditions;
+    }
+
+    return where;
+  }
+
+  /**
+   * Load pinned products in the pinned order
+   * Inactive and out of stock products are skipped
+   * @private
+   *
+   * @param {string} customerId - Customer ID
+   * @param {Array<string>} externalIds - Pinned externalIds
+   * @returns {Promise<Array>} Products
+   */
+  async _loadPinned(customerId, externalIds) {
+    if (externalIds.length === 0) {
+      return [];
+    }
+
+    const products = await prisma.product.findMany({
+      where: {
+        customerId,
+        isActive: true,
+        stockStatus: { not: 'out_of_stock' },
+        externalId: { in: externalIds }
+      },
+      select: PRODUCT_SELECT
+    });
+
+    const byExternalId = new Map(products.map((p) => [p.externalId, p]));
+
+    return Array.from(new Set(externalIds))
+      .map((id) => byExternalId.get(id))
+      .filter(Boolean);
+  }
+
+  /**
+   * Sort products
+   * @private
+   *
+   * @param {Array} products - Products
+   * @param {string} sort - PRODUCT_SELECTION_SORT value
+   * @returns {Array} Sorted products
+   */
+  _sort(products, sort) {
+    const sorted = [...products];
+    const newest = (a, b) => new Date(b.createdAt) - new Date(a.createdAt);
+
+    switch (sort) {
+      case PRODUCT_SELECTION_SORT.DISCOUNT:
+        return sorted.sort((a, b) => discountRatio(b) - discountRatio(a) || newest(a, b));
+      case PRODUCT_SELECTION_SORT.PRICE_ASC:
+        return sorted.sort((a, b) => effectivePrice(a) - effectivePrice(b));
+      case PRODUCT_SELECTION_SORT.PRICE_DESC:
+        return sorted.sort((a, b) => effectivePrice(b) - effectivePrice(a));
+      default:
+        return sorted.sort(newest);
+    }
+  }
+
+  /**
+   * Keep at most `max` products per category, preserving order
+   * Products without a category are not capped
+   * @private
+   *
+   * @param {Array} products - Sorted products
+   * @param {number} max - Max products per category
+   * @returns {Array} Products
+   */
+  _capPerCategory(products, max) {
+    if (!max) {
+      return products;
+    }
+
+    const counts = new Map();
+
+    return products.filter((product) => {
+      if (!product.category) {
+        return true;
+      }
+
+      const key = product.category.toLowerCase();
+      const count = counts.get(key) || 0;
+      counts.set(key, count + 1);
+
+      return count < max;
+    });
+  }
+}
+
+module.exports = new ProductSelectorService();
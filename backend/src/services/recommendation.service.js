@@ -0,0 +1,406 @@
+/**
+ * Recommendation Service
+ * Product recommendations for widgets: similar products, products viewed
+ * together and trending products
+ *
+ * @module services/recommendation
+ */
+
+const { prisma } = require('../models');
+const { RECOMMENDATION_STRATEGIES, WIDGET_EVENT_TYPES } = require('../config/constants');
+
+/**
+ * Maximum number of candidates scored per request
+ * @type {number}
+ */
+const CANDIDATE_LIMIT = 200;
+
+/**
+ * Relative price difference still counted as the same price band
+ * @type {number}
+ */
+const PRICE_BAND = 0.3;
+
+/**
+ * Similarity score weights
+ * @type {Object<string, number>}
+ */
+const SIMILARITY_WEIGHTS = Object.freeze({
+  category: 3,
+  brand: 2,
+  price: 2,
+  attributes: 3
+});
+
+/**
+ * Trending score weight per event type
+ * @type {Object<string, number>}
+ */
+const TRENDING_WEIGHTS = Object.freeze({
+  [WIDGET_EVENT_TYPES.IMPRESSION]: 0.5,
+  [WIDGET_EVENT_TYPES.PRODUCT_VIEW]: 1,
+  [WIDGET_EVENT_TYPES.CLICK]: 3,
+  [WIDGET_EVENT_TYPES.ADD_TO_CART]: 5,
+  [WIDGET_EVENT_TYPES.CONVERSION]: 8
+});
+
+/**
+ * Event windows and decay
+ * @type {Object<string, number>}
+ */
+const WINDOWS = Object.freeze({
+  viewedTogetherDays: 30,
+  trendingDays: 7,
+  trendingHalfLifeHours: 48
+});
+
+/**
+ * Product fields returned to widgets
+ * @type {Object}
+ */
+const PRODUCT_SELECT = Object.freeze({
+  id: true,
+  externalId: true,
+  title: true,
+  price: true,
+  salePrice: true,
+  currency: true,
+  imageUrl: true,
+  productUrl: true,
+  brand: true,
+  category: true,
+  stockStatus: true,
+  groupId: true
+});
+
+class RecommendationService {
+  /**
+   * Get recommendations for a widget
+   * Strategies that need an anchor product fall back to trending products
+   * when no anchor is given or it has no related products.
+   *
+   * @param {string} customerId - Customer ID
+   * @param {Object} options - Options
+   * @param {string} options.strategy - RECOMMENDATION_STRATEGIES value
+   * @param {string} options.productId - Anchor product externalId
+   * @param {number} options.limit - Max products
+   * @param {string} options.category - Category filter (trending)
+   * @returns {Promise<Object>} Strategy used and products
+   */
+  async getRecommendations(customerId, options = {}) {
+    const {
+      strategy = RECOMMENDATION_STRATEGIES.TRENDING,
+      productId,
+      limit = 12,
+      category
+    } = options;
+
+    let used = strategy;
+    let products = [];
+
+    if (productId && strategy === RECOMMENDATION_STRATEGIES.VIEWED_TOGETHER) {
+      products = await this.getViewedTogether(customerId, productId, limit);
+
+      // Not enough co-views yet, similar products are the closest match
+      if (products.length === 0) {
+        used = RECOMMENDATION_STRATEGIES.SIMILAR;
+      }
+    }
+
+    if (productId && used === RECOMMENDATION_STRATEGIES.SIMILAR) {
+      products = await this.getSimilar(customerId, productId, limit);
+    }
+
+    if (products.length === 0) {
+      used = RECOMMENDATION_STRATEGIES.TRENDING;
+      products = await this.getTrending(customerId, {
+        limit,
+        category,
+        excludeIds: productId ? [String(productId)] : []
+      });
+    }
+
+    return { strategy: used, products };
+  }
+
+  /**
+   * Get products similar to a product
+   * Candidates share the category, brand or price band and are ranked by
+   * category, brand, price and attribute overlap.
+   *
+   * @param {string} customerId - Customer ID
+   * @param {string} productId - Anchor product externalId
+   * @param {number} limit - Max products
+   * @returns {Promise<Array>} Products
+   */
+  async getSimilar(customerId, productId, limit = 12) {
+    const source = await prisma.product.findUnique({
+      where: { customerId_externalId: { customerId, externalId: String(productId) } },
+      select: { ...PRODUCT_SELECT, attributes: true }
+    });
+
+    if (!source) {
+      return [];
+    }
+
+    const price = this._effectivePrice(source);
+    const related = [];
+
+    if (source.category) related.push({ category: source.category });
+    if (source.brand) related.push({ brand: source.brand });
+    if (price > 0) {
+      related.push({ price: { gte: price * (1 - PRICE_BAND), lte: price * (1 + PRICE_BAND) } });
+    }
+
+    if (related.length === 0) {
+      return [];
+    }
+
+    const candidates = await prisma.product.findMany({
+      where: {
+        customerId,
+        isActive: true,
+        stockStatus: { not: 'out_of_stock' },
+        externalId: { not: source.externalId },
+        OR: related,
+        // Other variants of the product are not recommendations
+        ...(source.groupId && {
+          AND: [{ OR: [{ groupId: null }, { groupId: { not: source.groupId } }] }]
+        })
+      },
+      take: CANDIDATE_LIMIT,
+      select: { ...PRODUCT_SELECT, attributes: true }
+    });
+
+    return candidates
+      .map((product) => ({ product, score: this.scoreSimilarity(source, product) }))
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ product: { attributes, ...product } }) => product);
+  }
+
+  /**
+   * Get products viewed by the same visitors as a product
+   * Uses product views and clicks from persisted widget events.
+   *
+   * @param {string} customerId - Customer ID
+   * @param {string} productId - Anchor product externalId
+   * @param {number} limit - Max products
+   * @returns {Promise<Array>} Products
+   */
+  async getViewedTogether(customerId, productId, limit = 12) {
+    const since = new Date(Date.now() - WINDOWS.viewedTogetherDays * 24 * 60 * 60 * 1000);
+    const anchor = String(productId);
+
+    const rows = await prisma.$queryRaw`
+      SELECT
+        other."product_id" AS "productId",
+        COUNT(DISTINCT other."visitor_id")::int AS "score"
+      FROM "widget_events" AS source
+      JOIN "widget_events" AS other
+        ON other."customer_id" = source."customer_id"
+        AND other."visitor_id" = source."visitor_id"
+        AND other."product_id" <> source."product_id"
+      WHERE source."customer_id" = ${customerId}
+        AND source."product_id" = ${anchor}
+        AND source."visitor_id" IS NOT NULL
+        AND source."type"::text IN ('product_view', 'click')
+        AND other."type"::text IN ('product_view', 'click')
+        AND source."created_at" >= ${since}
+        AND other."created_at" >= ${since}
+      GROUP BY other."product_id"
+      ORDER BY "score" DESC
+      LIMIT ${CANDIDATE_LIMIT}
+    `;
+
+    return this._loadRanked(customerId, rows, { limit });
+  }
+
+  /**
+   * Get trending products
+   * Recent product events are weighted by type and decay with age.
+   * Products without events fill up the list, newest first.
+   *
+   * @param {string} customerId - Customer ID
+   * @param {Object} options - Options
+   * @param {number} options.limit - Max products
+   * @param {string} options.category - Category filter
+   * @param {Array<string>} options.excludeIds - externalIds to leave out
+   * @returns {Promise<Array>} Products
+   */
+  async getTrending(customerId, options = {}) {
+    const { limit = 12, category, excludeIds = [] } = options;
+    const now = new Date();
+    const since = new Date(now.getTime() - WINDOWS.trendingDays * 24 * 60 * 60 * 1000);
+    const halfLifeSeconds = WINDOWS.trendingHalfLifeHours * 60 * 60;
+
+    const rows = await prisma.$queryRaw`
+      SELECT
+        "product_id" AS "productId",
+        "type"::text AS "type",
+        SUM(POWER(0.5, EXTRACT(EPOCH FROM (${now}::timestamp - "created_at")) / ${halfLifeSeconds}))::float AS "score"
+      FROM "widget_events"
+      WHERE "customer_id" = ${customerId}
+        AND "product_id" IS NOT NULL
+        AND "created_at" >= ${since}
+      GROUP BY "product_id", "type"
+    `;
+
+    const scores = new Map();
+
+    for (const row of rows) {
+      const weight = TRENDING_WEIGHTS[row.type] || 0;
+      scores.set(row.productId, (scores.get(row.productId) || 0) + weight * row.score);
+    }
+
+    const ranked = Array.from(scores.entries())
+      .filter(([productId]) => !excludeIds.includes(productId))
+      .map(([productId, score]) => ({ productId, score }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, CANDIDATE_LIMIT);
+
+    const products = await this._loadRanked(customerId, ranked, { limit, category });
+
+    if (products.length >= limit) {
+      return products;
+    }
+
+    const fill = await prisma.product.findMany({
+      where: {
+        customerId,
+        isActive: true,
+        stockStatus: { not: 'out_of_stock' },
+        externalId: { notIn: [...excludeIds, ...products.map((p) => p.externalId)] },
+        ...(category ? { category: { contains: category, mode: 'insensitive' } } : {})
+      },
+      take: limit - products.length,
+      orderBy: { createdAt: 'desc' },
+      select: PRODUCT_SELECT
+    });
+
+    return [...products, ...fill];
+  }
+
+  /**
+   * Score how similar a candidate is to a product (0 - sum of weights)
+   *
+   * @param {Object} source - Anchor product
+   * @param {Object} candidate - Candidate product
+   * @returns {number} Similarity score
+   */
+  scoreSimilarity(source, candidate) {
+    let score = SIMILARITY_WEIGHTS.category * this._categoryOverlap(source.category, candidate.category);
+
+    if (source.brand && candidate.brand && source.brand.toLowerCase() === candidate.brand.toLowerCase()) {
+      score += SIMILARITY_WEIGHTS.brand;
+    }
+
+    const sourcePrice = this._effectivePrice(source);
+    const candidatePrice = this._effectivePrice(candidate);
+
+    if (sourcePrice > 0 && candidatePrice > 0) {
+      const difference = Math.abs(sourcePrice - candidatePrice) / sourcePrice;
+      score += SIMILARITY_WEIGHTS.price * Math.max(0, 1 - difference / PRICE_BAND);
+    }
+
+    score += SIMILARITY_WEIGHTS.attributes * this._attributeOverlap(source.attributes, candidate.attributes);
+
+    return Math.round(score * 1000) / 1000;
+  }
+
+  /**
+   * Load active products in ranking order
+   * @private
+   *
+   * @param {string} customerId - Customer ID
+   * @param {Array<{productId: string}>} ranked - Ranked externalIds
+   * @param {Object} options - Limit and category filter
+   * @returns {Promise<Array>} Products
+   */
+  async _loadRanked(customerId, ranked, { limit, category }) {
+    if (ranked.length === 0) {
+      return [];
+    }
+
+    const products = await prisma.product.findMany({
+      where: {
+        customerId,
+        isActive: true,
+        stockStatus: { not: 'out_of_stock' },
+        externalId: { in: ranked.map((row) => row.productId) },
+        ...(category ? { category: { contains: category, mode: 'insensitive' } } : {})
+      },
+      select: PRODUCT_SELECT
+    });
+
+    const byExternalId = new Map(products.map((p) => [p.externalId, p]));
+
+    return ranked
+      .map((row) => byExternalId.get(row.productId))
+      .filter(Boolean)
+      .slice(0, limit);
+  }
+
+  /**
+   * Price a visitor pays
+   * @private
+   *
+   * @param {Object} product - Product
+   * @returns {number} Sale price if set, otherwise price
+   */
+  _effectivePrice(product) {
+    return parseFloat(product.salePrice || product.price) || 0;
+  }
+
+  /**
+   * Share of the category path two products have in common (0-1)
+   * "Ayakkabi > Spor" and "Ayakkabi > Klasik" share half of the path.
+   * @private
+   *
+   * @param {string|null} a - Category path
+   * @param {string|null} b - Category path
+   * @returns {number} Overlap
+   */
+  _categoryOverlap(a, b) {
+    if (!a || !b) return 0;
+
+    const split = (path) => path.toLowerCase().split(/\s*[>/|]\s*/).filter(Boolean);
+    const left = split(a);
+    const right = split(b);
+    let common = 0;
+
+    while (common < left.length && common < right.length && left[common] === right[common]) {
+      common++;
+    }
+
+    return common / Math.max(left.length, right.length);
+  }
+
+  /**
+   * Jaccard overlap of scalar attribute values (0-1)
+   * @private
+   *
+   * @param {Object} a - Attributes
+   * @param {Object} b - Attributes
+   * @returns {number} Overlap
+   */
+  _attributeOverlap(a, b) {
+    const pairs = (attributes) => new Set(
+      Object.entries(attributes || {})
+        .filter(([, value]) => ['string', 'number', 'boolean'].includes(typeof value))
+        .map(([key, value]) => `${key.toLowerCase()}=${String(value).toLowerCase()}`)
+    );
+
+    const left = pairs(a);
+    const right = pairs(b);
+
+    if (left.size === 0 || right.size === 0) return 0;
+
+    const shared = [...left].filter((pair) => right.has(pair)).length;
+
+    return shared / (left.size + right.size - shared);
+  }
+}
+
+module.exports = new RecommendationService();
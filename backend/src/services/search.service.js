@@ -0,0 +1,128 @@
+/**
+ * Search Service
+ * Ranked full-text product search with typo tolerance and autocomplete
+ *
+ * @module services/search
+ */
+
+const { prisma } = require('../models');
+const { helpers } = require('../utils');
+
+/**
+ * Maximum number of query terms used for matching
+ * @type {number}
+ */
+const MAX_TERMS = 8;
+
+/**
+ * Maximum number of brand/category suggestions
+ * @type {number}
+ */
+const SUGGESTION_LIMIT = 5;
+
+class SearchService {
+  /**
+   * Search products
+   * Terms are matched as prefixes against title, brand, category and
+   * description; titles within trigram distance of the query also match, so
+   * small typos still find products. In-stock products rank first.
+   *
+   * @param {string} customerId - Customer ID
+   * @param {string} query - Search text
+   * @param {Object} options - Options
+   * @param {number} options.limit - Max products
+   * @param {boolean} options.autocomplete - Also return brand/category suggestions
+   * @returns {Promise<Object>} Query, products and suggestions
+   */
+  async search(customerId, query, options = {}) {
+    const { limit = 10, autocomplete = false } = options;
+    const text = helpers.string.normalizeSearch(query);
+
+    if (!text) {
+      return { query, products: [], suggestions: [] };
+    }
+
+    const tsquery = this.buildTsQuery(text);
+
+    // Full-text rank counts double; word similarity covers typos
+    const products = await prisma.$queryRaw`
+      SELECT
+        p."id",
+        p."external_id" AS "externalId",
+        p."title",
+        p."price",
+        p."sale_price" AS "salePrice",
+        p."currency",
+        p."image_url" AS "imageUrl",
+        p."product_url" AS "productUrl",
+        p."brand",
+        p."category",
+        p."stock_status"::text AS "stockStatus",
+        p."group_id" AS "groupId",
+        (
+          ts_rank_cd(p."search_vector", query) * 2
+          + word_similarity(${text}, pwx_search_normalize(p."title"))
+        )::float AS "score"
+      FROM "products" AS p, to_tsquery('simple', ${tsquery}) AS query
+      WHERE p."customer_id" = ${customerId}
+        AND p."is_active" = true
+        AND (
+          p."search_vector" @@ query
+          OR ${text} <% pwx_search_normalize(p."title")
+        )
+      ORDER BY (p."stock_status" = 'out_of_stock') ASC, "score" DESC, p."title" ASC
+      LIMIT ${limit}
+    `;
+
+    const suggestions = autocomplete ? await this.suggest(customerId, text) : [];
+
+    return { query, products, suggestions };
+  }
+
+  /**
+   * Suggest brands and categories for a partial query
+   * Values match when one of their words starts with the query.
+   *
+   * @param {string} customerId - Customer ID
+   * @param {string} text - Normalized search text
+   * @returns {Promise<Array>} Suggestions ({ type, value, count })
+   */
+  async suggest(customerId, text) {
+    const pattern = `% ${text}%`;
+
+    return prisma.$queryRaw`
+      SELECT "type", "value", COUNT(*)::int AS "count"
+      FROM (
+        SELECT 'brand' AS "type", "brand" AS "value"
+        FROM "products"
+        WHERE "customer_id" = ${customerId} AND "is_active" = true AND "brand" IS NOT NULL
+        UNION ALL
+        SELECT 'category' AS "type", "category" AS "value"
+        FROM "products"
+        WHERE "customer_id" = ${customerId} AND "is_active" = true AND "category" IS NOT NULL
+      ) AS terms
+      WHERE ' ' || pwx_search_normalize("value") LIKE ${pattern}
+      GROUP BY "type", "value"
+      ORDER BY "count" DESC, "value" ASC
+      LIMIT ${SUGGESTION_LIMIT}
+    `;
+  }
+
+  /**
+   * Build a prefix tsquery from normalized text
+   * "kirmizi ayak" becomes "kirmizi:* & ayak:*"
+   *
+   * @param {string} text - Normalized search text
+   * @returns {string} tsquery
+   */
+  buildTsQuery(text) {
+    return text
+      .split(' ')
+      .filter(Boolean)
+      .slice(0, MAX_TERMS)
+      .map((term) => `${term}:*`)
+      .join(' & ');
+  }
+}
+
+module.exports = new SearchService();
@@ -9,6 +9,9 @@ const { prisma } = require('../models');
 const { helpers } = require('../utils');
 const { NotFoundError, ValidationError } = require('../exceptions');
 const { validateTemplate, sanitizeTemplate } = require('../utils/sanitizer');
+const { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES, VERSION_ENTITY_TYPES } = require('../config/constants');
+const auditService = require('./audit.service');
+const draftService = require('./draft.service');
 
 class TemplateService {
   /**
@@ -65,6 +68,13 @@ class TemplateService {
       }
     });
 
+    await auditService.record({
+      action: AUDIT_ACTIONS.CREATE,
+      entityType: AUDIT_ENTITY_TYPES.TEMPLATE,
+      entityId: template.id,
+      newValues: template
+    });
+
     return {
       ...template,
       variables,
@@ -99,8 +109,10 @@ class TemplateService {
       throw NotFoundError.template(id);
     }
 
-    // Extract variables for reference
-    const variables = this._extractVariables(template.htmlTemplate);
+    // Extract variables for reference (from the content being edited)
+    const variables = this._extractVariables(
+      draftService.getContent(VERSION_ENTITY_TYPES.TEMPLATE, template).htmlTemplate
+    );
 
     return {
       ...template,
@@ -185,6 +197,8 @@ class TemplateService {
 
   /**
    * Update template
+   * Content changes are saved as a draft and go live when the customer's
+   * drafts are published. isGlobal and isActive apply immediately.
    *
    * @param {string} id - Template ID
    * @param {Object} updateData - Update data
@@ -192,7 +206,7 @@ class TemplateService {
    */
   async update(id, updateData) {
     // Check if template exists
-    await this.getById(id);
+    const existingTemplate = await this.getById(id);
 
     const {
       name,
@@ -223,17 +237,24 @@ class TemplateService {
       );
     }
 
-    const data = helpers.object.removeEmpty({
+    const changes = helpers.object.removeEmpty({
       name,
       description,
       htmlTemplate: sanitized?.html,
       cssStyles: sanitized?.css,
       dataSchema,
-      defaultData,
+      defaultData
+    });
+
+    const data = helpers.object.removeEmpty({
       isGlobal,
       isActive
     });
 
+    if (Object.keys(changes).length > 0) {
+      data.draft = draftService.stage(VERSION_ENTITY_TYPES.TEMPLATE, existingTemplate, changes);
+    }
+
     const template = await prisma.customTemplate.update({
       where: { id },
       data,
@@ -248,8 +269,18 @@ class TemplateService {
       }
     });
 
-    // Extract variables
-    const variables = this._extractVariables(template.htmlTemplate);
+    await auditService.record({
+      action: AUDIT_ACTIONS.UPDATE,
+      entityType: AUDIT_ENTITY_TYPES.TEMPLATE,
+      entityId: id,
+      oldValues: existingTemplate,
+      newValues: template
+    });
+
+    // Extract variables from the content being edited
+    const variables = this._extractVariables(
+      draftService.getContent(VERSION_ENTITY_TYPES.TEMPLATE, template).htmlTemplate
+    );
 
     return {
       ...template,
@@ -282,6 +313,13 @@ class TemplateService {
     await prisma.customTemplate.delete({
       where: { id }
     });
+
+    await auditService.record({
+      action: AUDIT_ACTIONS.DELETE,
+      entityType: AUDIT_ENTITY_TYPES.TEMPLATE,
+      entityId: id,
+      oldValues: template
+    });
   }
 
   /**
@@ -308,6 +346,13 @@ class TemplateService {
       }
     });
 
+    await auditService.record({
+      action: AUDIT_ACTIONS.CREATE,
+      entityType: AUDIT_ENTITY_TYPES.TEMPLATE,
+      entityId: newTemplate.id,
+      newValues: newTemplate
+    });
+
     return newTemplate;
   }
 
@@ -349,6 +394,14 @@ class TemplateService {
       data: { isActive: !template.isActive }
     });
 
+    await auditService.record({
+      action: AUDIT_ACTIONS.UPDATE,
+      entityType: AUDIT_ENTITY_TYPES.TEMPLATE,
+      entityId: id,
+      oldValues: template,
+      newValues: updated
+    });
+
     return updated;
   }
 
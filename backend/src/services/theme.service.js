@@ -8,6 +8,9 @@
 const { prisma } = require('../models');
 const { helpers } = require('../utils');
 const { NotFoundError } = require('../exceptions');
+const { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES, VERSION_ENTITY_TYPES } = require('../config/constants');
+const auditService = require('./audit.service');
+const draftService = require('./draft.service');
 
 class ThemeService {
   /**
@@ -64,6 +67,13 @@ class ThemeService {
       }
     });
 
+    await auditService.record({
+      action: AUDIT_ACTIONS.CREATE,
+      entityType: AUDIT_ENTITY_TYPES.THEME,
+      entityId: theme.id,
+      newValues: theme
+    });
+
     return theme;
   }
 
@@ -139,10 +149,15 @@ class ThemeService {
    * Get theme for public API (formatted for widget use)
    *
    * @param {string} customerId - Customer ID
+   * @param {Object} options - Options
+   * @param {boolean} options.preview - Apply the unpublished draft
    * @returns {Promise<Object>} Theme data for widgets
    */
-  async getThemeForWidget(customerId) {
-    const theme = await this.getActiveTheme(customerId);
+  async getThemeForWidget(customerId, options = {}) {
+    const activeTheme = await this.getActiveTheme(customerId);
+    const theme = activeTheme && options.preview
+      ? draftService.applyDraft(activeTheme)
+      : activeTheme;
 
     if (!theme) {
       // Return default theme
@@ -171,6 +186,9 @@ class ThemeService {
 
   /**
    * Update theme
+   * Content changes (name, colors, fonts, CSS) are saved as a draft and go
+   * live when the customer's drafts are published. Activation applies
+   * immediately.
    *
    * @param {string} id - Theme ID
    * @param {Object} updateData - Update data
@@ -208,25 +226,40 @@ class ThemeService {
     let finalCssVariables = cssVariables;
     if (cssVariables) {
       finalCssVariables = helpers.object.deepMerge(
-        existing.cssVariables,
+        draftService.getContent(VERSION_ENTITY_TYPES.THEME, existing).cssVariables,
         cssVariables
       );
     }
 
+    const changes = helpers.object.removeEmpty({
+      name,
+      primaryColor,
+      secondaryColor,
+      backgroundColor,
+      textColor,
+      fontFamily,
+      borderRadius,
+      cssVariables: finalCssVariables,
+      customCss
+    });
+
+    const data = helpers.object.removeEmpty({ isActive });
+
+    if (Object.keys(changes).length > 0) {
+      data.draft = draftService.stage(VERSION_ENTITY_TYPES.THEME, existing, changes);
+    }
+
     const theme = await prisma.theme.update({
       where: { id },
-      data: helpers.object.removeEmpty({
-        name,
-        primaryColor,
-        secondaryColor,
-        backgroundColor,
-        textColor,
-        fontFamily,
-        borderRadius,
-        cssVariables: finalCssVariables,
-        customCss,
-        isActive
-      })
+      data
+    });
+
+    await auditService.record({
+      action: AUDIT_ACTIONS.UPDATE,
+      entityType: AUDIT_ENTITY_TYPES.THEME,
+      entityId: id,
+      oldValues: existing,
+      newValues: theme
     });
 
     return theme;
@@ -240,11 +273,18 @@ class ThemeService {
    */
   async delete(id) {
     // Check if theme exists
-    await this.getById(id);
+    const existing = await this.getById(id);
 
     await prisma.theme.delete({
       where: { id }
     });
+
+    await auditService.record({
+      action: AUDIT_ACTIONS.DELETE,
+      entityType: AUDIT_ENTITY_TYPES.THEME,
+      entityId: id,
+      oldValues: existing
+    });
   }
 
   /**
@@ -271,6 +311,14 @@ class ThemeService {
       data: { isActive: true }
     });
 
+    await auditService.record({
+      action: AUDIT_ACTIONS.UPDATE,
+      entityType: AUDIT_ENTITY_TYPES.THEME,
+      entityId: id,
+      oldValues: theme,
+      newValues: updated
+    });
+
     return updated;
   }
 
@@ -299,6 +347,13 @@ class ThemeService {
       }
     });
 
+    await auditService.record({
+      action: AUDIT_ACTIONS.CREATE,
+      entityType: AUDIT_ENTITY_TYPES.THEME,
+      entityId: theme.id,
+      newValues: theme
+    });
+
     return theme;
   }
 
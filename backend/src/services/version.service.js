@@ -0,0 +1,342 @@
+/**
+ * Version Service
+ * Version history and rollback for widgets, themes and templates
+ *
+ * @module services/version
+ */
+
+const { Prisma } = require('@prisma/client');
+const { prisma } = require('../models');
+const { helpers, logger, requestContext, diff } = require('../utils');
+const { NotFoundError, ValidationError } = require('../exceptions');
+const { AUDIT_ACTIONS, VERSION_ENTITY_TYPES } = require('../config/constants');
+const auditService = require('./audit.service');
+
+/**
+ * Versioned entities: Prisma model, content fields, multi-line text fields
+ * and nullable JSON columns. Status fields (isActive, priority, isGlobal)
+ * are not versioned
+ * @type {Object<string, Object>}
+ */
+const ENTITIES = Object.freeze({
+  [VERSION_ENTITY_TYPES.WIDGET]: {
+    model: 'widgetConfig',
+    resource: 'Widget',
+    fields: ['name', 'settings', 'placement', 'templateId', 'customData', 'targeting'],
+    textFields: [],
+    nullableJsonFields: ['customData', 'targeting']
+  },
+  [VERSION_ENTITY_TYPES.THEME]: {
+    model: 'theme',
+    resource: 'Theme',
+    fields: [
+      'name',
+      'primaryColor',
+      'secondaryColor',
+      'backgroundColor',
+      'textColor',
+      'fontFamily',
+      'borderRadius',
+      'cssVariables',
+      'customCss'
+    ],
+    textFields: ['customCss'],
+    nullableJsonFields: []
+  },
+  [VERSION_ENTITY_TYPES.TEMPLATE]: {
+    model: 'customTemplate',
+    resource: 'Template',
+    fields: ['name', 'description', 'htmlTemplate', 'cssStyles', 'dataSchema', 'defaultData'],
+    textFields: ['htmlTemplate', 'cssStyles'],
+    nullableJsonFields: []
+  }
+});
+
+class VersionService {
+  /**
+   * Store the previous content of an entity after an update
+   * Nothing is stored when no versioned field changed. Failures are logged
+   * and never fail the update.
+   *
+   * @param {string} entityType - Entity type (widget, theme, template)
+   * @param {Object} before - Record before the update
+   * @param {Object} after - Record after the update
+   * @returns {Promise<Object|null>} Created version or null
+   */
+  async record(entityType, before, after) {
+    const snapshot = this.pickContent(entityType, before);
+
+    if (JSON.stringify(snapshot) === JSON.stringify(this.pickContent(entityType, after))) {
+      return null;
+    }
+
+    try {
+      return await this._create(entityType, before, snapshot);
+    } catch (error) {
+      logger.error('Failed to store version snapshot', {
+        entityType,
+        entityId: before.id,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * List versions of an entity (newest first, without snapshots)
+   *
+   * @param {string} entityType - Entity type
+   * @param {string} entityId - Entity ID
+   * @param {Object} options - Pagination options
+   * @returns {Promise<Object>} Paginated versions
+   */
+  async list(entityType, entityId, options = {}) {
+    await this._getEntity(entityType, entityId);
+
+    const { page, limit, skip } = helpers.pagination.parse(options);
+    const where = { entityType, entityId };
+
+    const total = await prisma.configVersion.count({ where });
+
+    const versions = await prisma.configVersion.findMany({
+      where,
+      skip,
+      take: limit,
+      orderBy: { version: 'desc' },
+      select: {
+        id: true,
+        version: true,
+        userId: true,
+        createdAt: true
+      }
+    });
+
+    return {
+      data: versions,
+      pagination: helpers.pagination.buildMeta(total, page, limit)
+    };
+  }
+
+  /**
+   * Get a single version with its snapshot
+   *
+   * @param {string} entityType - Entity type
+   * @param {string} entityId - Entity ID
+   * @param {number} version - Version number
+   * @returns {Promise<Object>} Version
+   */
+  async getVersion(entityType, entityId, version) {
+    const found = await prisma.configVersion.findUnique({
+      where: {
+        entityType_entityId_version: { entityType, entityId, version }
+      }
+    });
+
+    if (!found) {
+      throw NotFoundError.version(version);
+    }
+
+    return found;
+  }
+
+  /**
+   * Diff a version against another version or the current content
+   *
+   * @param {string} entityType - Entity type
+   * @param {string} entityId - Entity ID
+   * @param {number} version - Base version
+   * @param {number} [against] - Version to compare with (default: current)
+   * @returns {Promise<Object>} Changed fields
+   */
+  async diff(entityType, entityId, version, against) {
+    const { textFields } = ENTITIES[entityType];
+    const base = this.pickContent(entityType, (await this.getVersion(entityType, entityId, version)).snapshot);
+
+    const target = this.pickContent(entityType, against
+      ? (await this.getVersion(entityType, entityId, against)).snapshot
+      : await this._getEntity(entityType, entityId));
+
+    const changes = Object.keys(target)
+      .filter((field) => JSON.stringify(base[field]) !== JSON.stringify(target[field]))
+      .map((field) => {
+        const from = base[field];
+        const to = target[field];
+
+        if (textFields.includes(field)) {
+          return { field, type: 'text', lines: diff.lines(from, to) };
+        }
+
+        if (from && to && typeof from === 'object' && typeof to === 'object') {
+          return { field, type: 'json', changes: diff.objects(from, to) };
+        }
+
+        return { field, type: 'value', from, to };
+      });
+
+    return {
+      entityType,
+      entityId,
+      from: version,
+      to: against || 'current',
+      changes
+    };
+  }
+
+  /**
+   * Restore an entity to a version
+   * The current content is stored as a new version first, so a restore can
+   * itself be undone. A pending draft is discarded in the same update,
+   * otherwise the next publish would overwrite the restored content.
+   *
+   * @param {string} entityType - Entity type
+   * @param {string} entityId - Entity ID
+   * @param {number} version - Version to restore
+   * @returns {Promise<Object>} Restored entity
+   */
+  async restore(entityType, entityId, version) {
+    const { model } = ENTITIES[entityType];
+    const current = await this._getEntity(entityType, entityId);
+    const { snapshot } = await this.getVersion(entityType, entityId, version);
+
+    // A widget template may have been deleted since the snapshot was taken
+    if (entityType === VERSION_ENTITY_TYPES.WIDGET && snapshot.templateId) {
+      const template = await prisma.customTemplate.findUnique({
+        where: { id: snapshot.templateId },
+        select: { id: true }
+      });
+
+      if (!template) {
+        throw new ValidationError('Cannot restore version: its template no longer exists', [
+          { field: 'templateId', message: `Template ${snapshot.templateId} not found` }
+        ]);
+      }
+    }
+
+    const restored = await prisma[model].update({
+      where: { id: entityId },
+      data: {
+        ...this.toUpdateData(entityType, snapshot),
+        draft: Prisma.DbNull
+      }
+    });
+
+    await this.record(entityType, current, restored);
+
+    await auditService.record({
+      action: AUDIT_ACTIONS.UPDATE,
+      entityType,
+      entityId,
+      oldValues: current,
+      newValues: restored
+    });
+
+    return restored;
+  }
+
+  /**
+   * Build Prisma update data that replaces an entity's content
+   *
+   * @param {string} entityType - Entity type
+   * @param {Object} content - Snapshot or draft content
+   * @returns {Object} Update data
+   */
+  toUpdateData(entityType, content) {
+    const data = this.pickContent(entityType, content);
+
+    // Prisma needs DbNull to clear a nullable JSON column
+    ENTITIES[entityType].nullableJsonFields.forEach((field) => {
+      if (data[field] === null) {
+        data[field] = Prisma.DbNull;
+      }
+    });
+
+    return data;
+  }
+
+  /**
+   * Get the Prisma model name of an entity type
+   *
+   * @param {string} entityType - Entity type
+   * @returns {string} Prisma model name
+   */
+  getModel(entityType) {
+    return ENTITIES[entityType].model;
+  }
+
+  /**
+   * Create a version row with the next version number
+   * Retries once if a concurrent update took the same number
+   * @private
+   *
+   * @param {string} entityType - Entity type
+   * @param {Object} entity - Entity record
+   * @param {Object} snapshot - Versioned fields
+   * @param {boolean} retry - Whether a retry is allowed
+   * @returns {Promise<Object>} Created version
+   */
+  async _create(entityType, entity, snapshot, retry = true) {
+    const latest = await prisma.configVersion.findFirst({
+      where: { entityType, entityId: entity.id },
+      orderBy: { version: 'desc' },
+      select: { version: true }
+    });
+
+    try {
+      return await prisma.configVersion.create({
+        data: {
+          customerId: entity.customerId,
+          entityType,
+          entityId: entity.id,
+          version: latest ? latest.version + 1 : 1,
+          snapshot,
+          userId: requestContext.get().userId
+        }
+      });
+    } catch (error) {
+      if (retry && error.code === 'P2002') {
+        return this._create(entityType, entity, snapshot, false);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Load a versioned entity
+   * @private
+   *
+   * @param {string} entityType - Entity type
+   * @param {string} entityId - Entity ID
+   * @returns {Promise<Object>} Entity
+   */
+  async _getEntity(entityType, entityId) {
+    const { model, resource } = ENTITIES[entityType];
+
+    const entity = await prisma[model].findUnique({
+      where: { id: entityId }
+    });
+
+    if (!entity) {
+      throw new NotFoundError(resource, entityId);
+    }
+
+    return entity;
+  }
+
+  /**
+   * Pick versioned content fields from a record
+   *
+   * @param {string} entityType - Entity type
+   * @param {Object} record - Entity record, snapshot or draft
+   * @returns {Object} Versioned fields (missing fields become null)
+   */
+  pickContent(entityType, record) {
+    return Object.fromEntries(
+      ENTITIES[entityType].fields.map((field) => [
+        field,
+        record[field] !== undefined ? record[field] : null
+      ])
+    );
+  }
+}
+
+module.exports = new VersionService();
@@ -5,9 +5,18 @@
  * @module services/widget
  */
 
+const { Prisma } = require('@prisma/client');
 const { prisma } = require('../models');
 const { helpers } = require('../utils');
-const { NotFoundError } = require('../exceptions');
+const { NotFoundError, ValidationError } = require('../exceptions');
+const {
+  AUDIT_ACTIONS,
+  AUDIT_ENTITY_TYPES,
+  VERSION_ENTITY_TYPES,
+  WIDGET_SCHEDULE_STATUS
+} = require('../config/constants');
+const auditService = require('./audit.service');
+const draftService = require('./draft.service');
 
 class WidgetService {
   /**
@@ -18,7 +27,9 @@ class WidgetService {
    * @returns {Promise<Object>} Created widget
    */
   async create(customerId, widgetData) {
-    const { type, name, settings, placement, isActive, priority, templateId, customData } = widgetData;
+    const { type, name, settings, placement, isActive, priority, templateId, customData, targeting } = widgetData;
+
+    const schedule = this._buildSchedule(widgetData);
 
     // Verify customer exists
     const customer = await prisma.customer.findUnique({
@@ -55,13 +66,22 @@ class WidgetService {
         isActive: isActive !== undefined ? isActive : true,
         priority: priority || 0,
         templateId: type === 'custom' ? templateId : null,
-        customData: type === 'custom' ? (customData || {}) : null
+        customData: type === 'custom' ? (customData || {}) : null,
+        targeting: targeting || Prisma.DbNull,
+        ...schedule
       },
       include: {
         template: type === 'custom' ? true : false
       }
     });
 
+    await auditService.record({
+      action: AUDIT_ACTIONS.CREATE,
+      entityType: AUDIT_ENTITY_TYPES.WIDGET,
+      entityId: widget.id,
+      newValues: widget
+    });
+
     return widget;
   }
 
@@ -122,20 +142,62 @@ class WidgetService {
       orderBy: [{ priority: 'desc' }, { createdAt: 'desc' }]
     });
 
-    return widgets;
+    const now = new Date();
+
+    return widgets.map((widget) => ({
+      ...widget,
+      scheduleStatus: this.getScheduleStatus(widget, now)
+    }));
+  }
+
+  /**
+   * Get the schedule state of a widget
+   *
+   * @param {Object} widget - Widget with schedule fields
+   * @param {Date} now - Reference time
+   * @returns {string} WIDGET_SCHEDULE_STATUS value
+   */
+  getScheduleStatus(widget, now = new Date()) {
+    if (!widget.isActive) {
+      return WIDGET_SCHEDULE_STATUS.INACTIVE;
+    }
+
+    if (widget.startsAt && new Date(widget.startsAt) > now) {
+      return WIDGET_SCHEDULE_STATUS.UPCOMING;
+    }
+
+    if (widget.endsAt && new Date(widget.endsAt) <= now) {
+      return WIDGET_SCHEDULE_STATUS.EXPIRED;
+    }
+
+    if (!this._isWithinDayparting(widget.dayparting, widget.timezone, now)) {
+      return WIDGET_SCHEDULE_STATUS.OFF_HOURS;
+    }
+
+    return WIDGET_SCHEDULE_STATUS.LIVE;
   }
 
   /**
    * Get active widgets for a customer (for public API)
+   * Widgets outside their start/end window or dayparting hours are left out.
    *
    * @param {string} customerId - Customer ID
+   * @param {Object} options - Options
+   * @param {boolean} options.preview - Apply unpublished drafts
    * @returns {Promise<Array>} Active widgets
    */
-  async getActiveWidgets(customerId) {
-    const widgets = await prisma.widgetConfig.findMany({
+  async getActiveWidgets(customerId, options = {}) {
+    const preview = Boolean(options.preview);
+    const now = new Date();
+
+    const rows = await prisma.widgetConfig.findMany({
       where: {
         customerId,
-        isActive: true
+        isActive: true,
+        AND: [
+          { OR: [{ startsAt: null }, { startsAt: { lte: now } }] },
+          { OR: [{ endsAt: null }, { endsAt: { gt: now } }] }
+        ]
       },
       orderBy: { priority: 'desc' },
       select: {
@@ -147,23 +209,73 @@ class WidgetService {
         priority: true,
         templateId: true,
         customData: true,
+        targeting: true,
+        timezone: true,
+        dayparting: true,
+        draft: preview,
         template: {
           select: {
             id: true,
             htmlTemplate: true,
             cssStyles: true,
             dataSchema: true,
-            defaultData: true
+            defaultData: true,
+            draft: preview
           }
         }
       }
     });
 
-    return widgets;
+    const widgets = rows
+      .filter((widget) => this._isWithinDayparting(widget.dayparting, widget.timezone, now))
+      .map(({ timezone, dayparting, ...widget }) => widget);
+
+    if (!preview) {
+      return widgets;
+    }
+
+    return Promise.all(widgets.map((widget) => this._applyPreviewDraft(widget)));
+  }
+
+  /**
+   * Apply widget and template drafts to a public widget
+   * @private
+   *
+   * @param {Object} widget - Widget with draft columns selected
+   * @returns {Promise<Object>} Widget with draft content
+   */
+  async _applyPreviewDraft(widget) {
+    const previewed = draftService.applyDraft(widget);
+    let { template } = widget;
+
+    // The draft may point the widget at a different template
+    if (previewed.templateId !== (template ? template.id : null)) {
+      template = previewed.templateId
+        ? await prisma.customTemplate.findUnique({
+          where: { id: previewed.templateId },
+          select: {
+            id: true,
+            htmlTemplate: true,
+            cssStyles: true,
+            dataSchema: true,
+            defaultData: true,
+            draft: true
+          }
+        })
+        : null;
+    }
+
+    return {
+      ...previewed,
+      template: template ? draftService.applyDraft(template) : null
+    };
   }
 
   /**
    * Update widget
+   * Content changes (name, settings, placement, template, targeting) are
+   * saved as a draft and go live when the customer's drafts are published.
+   * Status and schedule changes apply immediately.
    *
    * @param {string} id - Widget ID
    * @param {Object} updateData - Update data
@@ -173,26 +285,21 @@ class WidgetService {
     // Check if widget exists
     const existingWidget = await this.getById(id);
 
-    const { name, settings, placement, isActive, priority, templateId, customData } = updateData;
+    const { name, settings, placement, isActive, priority, templateId, customData, targeting } = updateData;
+
+    // Drafted content is the base for merges
+    const content = draftService.getContent(VERSION_ENTITY_TYPES.WIDGET, existingWidget);
 
     // If settings provided, merge with existing
     let finalSettings = settings;
     if (settings) {
-      const existing = await prisma.widgetConfig.findUnique({
-        where: { id },
-        select: { settings: true }
-      });
-      finalSettings = helpers.object.deepMerge(existing.settings, settings);
+      finalSettings = helpers.object.deepMerge(content.settings, settings);
     }
 
     // If customData provided and widget is custom type, merge with existing
     let finalCustomData = customData;
     if (customData && existingWidget.type === 'custom') {
-      const existing = await prisma.widgetConfig.findUnique({
-        where: { id },
-        select: { customData: true }
-      });
-      finalCustomData = helpers.object.deepMerge(existing.customData || {}, customData);
+      finalCustomData = helpers.object.deepMerge(content.customData || {}, customData);
     }
 
     // Verify template exists if updating templateId for custom widget
@@ -211,18 +318,28 @@ class WidgetService {
       }
     }
 
-    const updatePayload = helpers.object.removeEmpty({
+    const changes = helpers.object.removeEmpty({
       name,
       settings: finalSettings,
-      placement,
-      isActive,
-      priority
+      placement
     });
 
+    // null clears the rules
+    if (targeting !== undefined) changes.targeting = targeting;
+
     // Only update templateId/customData for custom widgets
     if (existingWidget.type === 'custom') {
-      if (templateId !== undefined) updatePayload.templateId = templateId;
-      if (finalCustomData !== undefined) updatePayload.customData = finalCustomData;
+      if (templateId !== undefined) changes.templateId = templateId;
+      if (finalCustomData !== undefined) changes.customData = finalCustomData;
+    }
+
+    const updatePayload = {
+      ...helpers.object.removeEmpty({ isActive, priority }),
+      ...this._buildSchedule(updateData, existingWidget)
+    };
+
+    if (Object.keys(changes).length > 0) {
+      updatePayload.draft = draftService.stage(VERSION_ENTITY_TYPES.WIDGET, existingWidget, changes);
     }
 
     const widget = await prisma.widgetConfig.update({
@@ -233,6 +350,14 @@ class WidgetService {
       }
     });
 
+    await auditService.record({
+      action: AUDIT_ACTIONS.UPDATE,
+      entityType: AUDIT_ENTITY_TYPES.WIDGET,
+      entityId: id,
+      oldValues: existingWidget,
+      newValues: widget
+    });
+
     return widget;
   }
 
@@ -244,11 +369,18 @@ class WidgetService {
    */
   async delete(id) {
     // Check if widget exists
-    await this.getById(id);
+    const existingWidget = await this.getById(id);
 
     await prisma.widgetConfig.delete({
       where: { id }
     });
+
+    await auditService.record({
+      action: AUDIT_ACTIONS.DELETE,
+      entityType: AUDIT_ENTITY_TYPES.WIDGET,
+      entityId: id,
+      oldValues: existingWidget
+    });
   }
 
   /**
@@ -270,13 +402,25 @@ class WidgetService {
         isActive: false, // Start as inactive
         priority: original.priority,
         templateId: original.templateId,
-        customData: original.customData
+        customData: original.customData,
+        targeting: original.targeting || Prisma.DbNull,
+        startsAt: original.startsAt,
+        endsAt: original.endsAt,
+        timezone: original.timezone,
+        dayparting: original.dayparting || Prisma.DbNull
       },
       include: {
         template: true
       }
     });
 
+    await auditService.record({
+      action: AUDIT_ACTIONS.CREATE,
+      entityType: AUDIT_ENTITY_TYPES.WIDGET,
+      entityId: widget.id,
+      newValues: widget
+    });
+
     return widget;
   }
 
@@ -294,6 +438,14 @@ class WidgetService {
       data: { isActive: !widget.isActive }
     });
 
+    await auditService.record({
+      action: AUDIT_ACTIONS.UPDATE,
+      entityType: AUDIT_ENTITY_TYPES.WIDGET,
+      entityId: id,
+      oldValues: widget,
+      newValues: updated
+    });
+
     return updated;
   }
 
@@ -305,22 +457,43 @@ class WidgetService {
    * @returns {Promise<Object>} Updated widget
    */
   async updatePriority(id, priority) {
+    const existingWidget = await this.getById(id);
+
     const widget = await prisma.widgetConfig.update({
       where: { id },
       data: { priority }
     });
 
+    await auditService.record({
+      action: AUDIT_ACTIONS.UPDATE,
+      entityType: AUDIT_ENTITY_TYPES.WIDGET,
+      entityId: id,
+      oldValues: existingWidget,
+      newValues: widget
+    });
+
     return widget;
   }
 
   /**
    * Reorder widgets for a customer
+   * Every widget whose priority changes gets an audit record.
    *
    * @param {string} customerId - Customer ID
    * @param {Array} widgetIds - Ordered array of widget IDs
    * @returns {Promise<void>}
    */
   async reorder(customerId, widgetIds) {
+    const widgets = await prisma.widgetConfig.findMany({
+      where: { id: { in: widgetIds }, customerId }
+    });
+    const byId = new Map(widgets.map((widget) => [widget.id, widget]));
+
+    const missingId = widgetIds.find((id) => !byId.has(id));
+    if (missingId) {
+      throw NotFoundError.widget(missingId);
+    }
+
     const updates = widgetIds.map((id, index) =>
       prisma.widgetConfig.update({
         where: { id },
@@ -328,7 +501,20 @@ class WidgetService {
       })
     );
 
-    await prisma.$transaction(updates);
+    const updated = await prisma.$transaction(updates);
+
+    for (const widget of updated) {
+      const existingWidget = byId.get(widget.id);
+      if (existingWidget.priority === widget.priority) continue;
+
+      await auditService.record({
+        action: AUDIT_ACTIONS.UPDATE,
+        entityType: AUDIT_ENTITY_TYPES.WIDGET,
+        entityId: widget.id,
+        oldValues: existingWidget,
+        newValues: widget
+      });
+    }
   }
 
   /**
@@ -349,6 +535,76 @@ class WidgetService {
       return acc;
     }, {});
   }
+
+  /**
+   * Build schedule columns from create/update data
+   * Start and end times without an offset are read as wall clock times in
+   * the widget's timezone.
+   * @private
+   *
+   * @param {Object} data - Widget data
+   * @param {Object} existing - Widget before the update (if any)
+   * @returns {Object} Schedule columns to write
+   */
+  _buildSchedule(data, existing = null) {
+    const { startsAt, endsAt, timezone, dayparting } = data;
+    const schedule = {};
+    const zone = timezone || (existing ? existing.timezone : 'UTC');
+
+    if (timezone !== undefined) schedule.timezone = timezone;
+    if (startsAt !== undefined) schedule.startsAt = startsAt ? helpers.date.fromZoned(startsAt, zone) : null;
+    if (endsAt !== undefined) schedule.endsAt = endsAt ? helpers.date.fromZoned(endsAt, zone) : null;
+    if (dayparting !== undefined) {
+      schedule.dayparting = dayparting && dayparting.length > 0 ? dayparting : Prisma.DbNull;
+    }
+
+    const start = 'startsAt' in schedule ? schedule.startsAt : existing && existing.startsAt;
+    const end = 'endsAt' in schedule ? schedule.endsAt : existing && existing.endsAt;
+
+    if (start && end && new Date(end) <= new Date(start)) {
+      throw new ValidationError('End time must be after start time', [
+        { field: 'endsAt', message: 'End time must be after start time' }
+      ]);
+    }
+
+    return schedule;
+  }
+
+  /**
+   * Check if a time falls inside a widget's dayparting windows
+   * Windows whose end is before their start run past midnight and belong to
+   * the day they start on. No windows means no restriction.
+   * @private
+   *
+   * @param {Array|null} dayparting - Windows ({ days, start, end })
+   * @param {string} timezone - Widget timezone
+   * @param {Date} now - Reference time
+   * @returns {boolean} True if inside a window
+   */
+  _isWithinDayparting(dayparting, timezone, now) {
+    if (!Array.isArray(dayparting) || dayparting.length === 0) {
+      return true;
+    }
+
+    const { weekday, hour, minute } = helpers.date.getZonedParts(now, timezone || 'UTC');
+    const current = hour * 60 + minute;
+    const previousDay = (weekday + 6) % 7;
+    const toMinutes = (time) => {
+      const [h, m] = time.split(':').map(Number);
+      return h * 60 + m;
+    };
+
+    return dayparting.some(({ days, start, end }) => {
+      const from = toMinutes(start);
+      const to = toMinutes(end);
+
+      if (from < to) {
+        return days.includes(weekday) && current >= from && current < to;
+      }
+
+      return (days.includes(weekday) && current >= from) || (days.includes(previousDay) && current < to);
+    });
+  }
 }
 
 module.exports = new WidgetService();
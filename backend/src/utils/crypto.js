@@ -69,6 +69,20 @@ const token = {
     });
   },
 
+  /**
+   * Generate draft preview token
+   *
+   * @param {Object} payload - Token payload
+   * @returns {string} JWT preview token
+   */
+  generatePreview(payload) {
+    return jwt.sign(payload, config.jwt.secret, {
+      expiresIn: config.preview.tokenExpiry,
+      issuer: 'prowidget',
+      audience: 'prowidget-preview'
+    });
+  },
+
   /**
    * Verify token
    *
@@ -0,0 +1,107 @@
+/**
+ * Diff Utilities
+ * Structural diff for JSON values and line diff for text
+ *
+ * @module utils/diff
+ */
+
+/**
+ * Maximum lines compared with the LCS table (lines x lines cells)
+ * @type {number}
+ */
+const MAX_LINE_DIFF = 2000;
+
+/**
+ * Check if value is a plain object
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Compare two JSON values and list changed paths
+ * Objects are compared key by key, arrays and scalars as a whole
+ *
+ * @param {*} before - Old value
+ * @param {*} after - New value
+ * @param {string} path - Path prefix
+ * @returns {Array<{path: string, from: *, to: *}>} Changes
+ */
+const objects = (before, after, path = '') => {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+    return Array.from(keys).flatMap((key) =>
+      objects(before[key], after[key], path ? `${path}.${key}` : key)
+    );
+  }
+
+  if (JSON.stringify(before) === JSON.stringify(after)) {
+    return [];
+  }
+
+  return [{
+    path,
+    from: before === undefined ? null : before,
+    to: after === undefined ? null : after
+  }];
+};
+
+/**
+ * Line diff based on the longest common subsequence
+ * Falls back to a full replace for very large inputs
+ *
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {Array<{op: string, text: string}>} Lines with op ' ', '-' or '+'
+ */
+const lines = (before, after) => {
+  const a = (before || '').split('\n');
+  const b = (after || '').split('\n');
+
+  if (a.length > MAX_LINE_DIFF || b.length > MAX_LINE_DIFF) {
+    return [
+      ...a.map((text) => ({ op: '-', text })),
+      ...b.map((text) => ({ op: '+', text }))
+    ];
+  }
+
+  // lcs[i][j] = LCS length of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      result.push({ op: ' ', text: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      result.push({ op: '-', text: a[i++] });
+    } else {
+      result.push({ op: '+', text: b[j++] });
+    }
+  }
+
+  while (i < a.length) result.push({ op: '-', text: a[i++] });
+  while (j < b.length) result.push({ op: '+', text: b[j++] });
+
+  return result;
+};
+
+module.exports = {
+  objects,
+  lines
+};
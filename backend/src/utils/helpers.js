@@ -81,6 +81,28 @@ const string = {
     return SLUG_PATTERN.test(slug);
   },
 
+  /**
+   * Normalize text for search
+   * Folds Turkish letters to ASCII (ı/İ -> i, ş -> s, ...), lowercases and
+   * turns everything except letters and digits into single spaces. Mirrors
+   * the pwx_search_normalize() SQL function.
+   *
+   * @param {string} text - Input text
+   * @returns {string} Normalized text
+   */
+  normalizeSearch(text) {
+    if (!text) return '';
+
+    const TURKISH = { 'İ': 'i', 'I': 'i', 'ı': 'i', 'Ş': 's', 'ş': 's', 'Ğ': 'g', 'ğ': 'g', 'Ü': 'u', 'ü': 'u', 'Ö': 'o', 'ö': 'o', 'Ç': 'c', 'ç': 'c' };
+
+    return text
+      .toString()
+      .replace(/[İIıŞşĞğÜüÖöÇç]/g, (char) => TURKISH[char])
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+  },
+
   /**
    * Truncate string with ellipsis
    *
@@ -299,6 +321,88 @@ const date = {
    */
   isExpired(dateInput) {
     return new Date(dateInput) < new Date();
+  },
+
+  /**
+   * Check if a string is a valid IANA timezone
+   *
+   * @param {string} timeZone - Timezone name (e.g. Europe/Istanbul)
+   * @returns {boolean} True if valid
+   */
+  isValidTimeZone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') return false;
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+      return true;
+    } catch {
+      return false;
+    }
+  },
+
+  /**
+   * Get wall clock parts of a date in a timezone
+   *
+   * @param {Date|string} dateInput - Date
+   * @param {string} timeZone - Timezone name
+   * @returns {Object} year, month, day, hour, minute, second and weekday (0 = Sunday)
+   */
+  getZonedParts(dateInput, timeZone = 'UTC') {
+    const formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+
+    const parts = Object.fromEntries(
+      formatter.formatToParts(new Date(dateInput)).map(({ type, value }) => [type, value])
+    );
+
+    return {
+      year: Number(parts.year),
+      month: Number(parts.month),
+      day: Number(parts.day),
+      hour: Number(parts.hour),
+      minute: Number(parts.minute),
+      second: Number(parts.second),
+      weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+    };
+  },
+
+  /**
+   * Convert a wall clock time in a timezone to a Date
+   * Strings with an explicit offset (or Z) are parsed as-is.
+   *
+   * @param {string} localInput - Date time such as 2024-12-01T09:00
+   * @param {string} timeZone - Timezone the wall clock time is in
+   * @returns {Date} Date (invalid Date if the input cannot be parsed)
+   */
+  fromZoned(localInput, timeZone = 'UTC') {
+    const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?$/.exec(localInput);
+
+    if (!match) {
+      return new Date(localInput);
+    }
+
+    const [, year, month, day, hour, minute, second = 0] = match.map((value) => value && Number(value));
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+
+    // Offset of the timezone at a given instant, in ms
+    const offsetAt = (time) => {
+      const parts = this.getZonedParts(time, timeZone);
+      return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - time;
+    };
+
+    // Second pass corrects the offset around DST transitions
+    let result = wallClock - offsetAt(wallClock);
+    result = wallClock - offsetAt(result);
+
+    return new Date(result);
   }
 };
 
@@ -340,6 +444,66 @@ const async = {
   }
 };
 
+/**
+ * Regular expression utilities
+ */
+const regex = {
+  /**
+   * Check that a pattern cannot backtrack catastrophically
+   * Rejects groups repeated with *, + or {n} that contain a quantifier or an
+   * alternation, such as (a+)+, (.*a){12} or (a|aa)+, and backreferences,
+   * the usual causes of exponential matching time.
+   *
+   * @param {string} pattern - Regular expression source
+   * @returns {boolean} True if the pattern is safe to run on untrusted input
+   */
+  isSafe(pattern) {
+    // Each open group records whether it can match the same text in several ways
+    const groups = [{ ambiguous: false }];
+    let last = null;
+
+    for (let i = 0; i < pattern.length; i++) {
+      const char = pattern[i];
+      const quantifier = /^(?:[*+?]|\{\d+(?:,\d*)?\})/.exec(pattern.slice(i));
+
+      if (char === '\\') {
+        // Backreferences cannot be matched without backtracking
+        if (/[1-9k]/.test(pattern[i + 1] || '')) return false;
+        i += 1;
+        last = { ambiguous: false };
+      } else if (char === '[') {
+        for (i += 1; i < pattern.length && pattern[i] !== ']'; i++) {
+          if (pattern[i] === '\\') i += 1;
+        }
+        last = { ambiguous: false };
+      } else if (char === '(') {
+        groups.push({ ambiguous: false });
+        // Skip the (?:, (?=, (?<= and (?<name> prefixes
+        const prefix = /^\?(?:[:=!]|<[=!]|<[^>]*>)/.exec(pattern.slice(i + 1));
+        if (prefix) i += prefix[0].length;
+        last = null;
+      } else if (char === ')') {
+        last = groups.length > 1 ? groups.pop() : { ambiguous: false };
+        groups[groups.length - 1].ambiguous ||= last.ambiguous;
+      } else if (char === '|') {
+        groups[groups.length - 1].ambiguous = true;
+        last = null;
+      } else if (quantifier) {
+        // Repeating an ambiguous group multiplies the ways to match
+        if (quantifier[0] !== '?' && last?.ambiguous) return false;
+        groups[groups.length - 1].ambiguous = true;
+        i += quantifier[0].length - 1;
+        if (pattern[i + 1] === '?') i += 1;
+        last = null;
+      } else {
+        last = { ambiguous: false };
+      }
+    }
+
+    return true;
+  }
+};
+
 module.exports = {
   pagination,
   string,
@@ -347,5 +511,6 @@ module.exports = {
   array,
   date,
   async,
+  regex,
   isObject
 };
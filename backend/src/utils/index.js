@@ -10,11 +10,17 @@ const ApiResponse = require('./response');
 const crypto = require('./crypto');
 const helpers = require('./helpers');
 const sanitizer = require('./sanitizer');
+const statistics = require('./statistics');
+const requestContext = require('./requestContext');
+const diff = require('./diff');
 
 module.exports = {
   logger,
   ApiResponse,
   crypto,
   helpers,
-  sanitizer
+  sanitizer,
+  statistics,
+  requestContext,
+  diff
 };
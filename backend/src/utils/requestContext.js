@@ -0,0 +1,46 @@
+/**
+ * Request Context
+ * Per-request storage that follows async calls, so services can read
+ * request metadata (user, IP address, user agent) without extra parameters
+ *
+ * @module utils/requestContext
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function inside a request context
+ *
+ * @param {Object} context - Context values ({ req })
+ * @param {Function} fn - Function to run
+ * @returns {*} Function result
+ */
+const run = (context, fn) => storage.run(context, fn);
+
+/**
+ * Get request metadata for the current async call chain
+ * The user is read lazily because authentication runs after the context is set
+ *
+ * @returns {Object} { userId, ipAddress, userAgent } (all null outside a request)
+ */
+const get = () => {
+  const context = storage.getStore();
+  const req = context && context.req;
+
+  if (!req) {
+    return { userId: null, ipAddress: null, userAgent: null };
+  }
+
+  return {
+    userId: req.user?.id || null,
+    ipAddress: req.ip || null,
+    userAgent: req.get('user-agent') || null
+  };
+};
+
+module.exports = {
+  run,
+  get
+};
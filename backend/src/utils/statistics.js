@@ -0,0 +1,132 @@
+/**
+ * Statistics Utilities
+ * Proportion statistics used by A/B test reporting
+ *
+ * @module utils/statistics
+ */
+
+/**
+ * Standard normal cumulative distribution function
+ * Abramowitz & Stegun 7.1.26 approximation (error < 1.5e-7)
+ *
+ * @param {number} x - Value
+ * @returns {number} P(Z <= x)
+ */
+const normalCdf = (x) => {
+  const sign = x < 0 ? -1 : 1;
+  const t = Math.abs(x) / Math.SQRT2;
+  const k = 1 / (1 + 0.3275911 * t);
+  const poly = k * (0.254829592 + k * (-0.284496736 + k * (1.421413741 + k * (-1.453152027 + k * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-t * t);
+
+  return 0.5 * (1 + sign * erf);
+};
+
+/**
+ * Inverse of the standard normal CDF (bisection)
+ *
+ * @param {number} p - Probability (0-1, exclusive)
+ * @returns {number} z such that P(Z <= z) = p
+ */
+const normalQuantile = (p) => {
+  let low = -10;
+  let high = 10;
+
+  for (let i = 0; i < 100; i++) {
+    const mid = (low + high) / 2;
+    if (normalCdf(mid) < p) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+
+  return (low + high) / 2;
+};
+
+/**
+ * Wilson score interval for a proportion
+ *
+ * @param {number} successes - Number of successes
+ * @param {number} trials - Number of trials
+ * @param {number} confidence - Confidence level (e.g. 0.95)
+ * @returns {{lower: number, upper: number}} Interval bounds (0-1)
+ */
+const wilsonInterval = (successes, trials, confidence = 0.95) => {
+  if (!trials) {
+    return { lower: 0, upper: 0 };
+  }
+
+  const z = normalQuantile(1 - (1 - confidence) / 2);
+  const p = successes / trials;
+  const z2 = z * z;
+  const denominator = 1 + z2 / trials;
+  const center = (p + z2 / (2 * trials)) / denominator;
+  const margin = (z * Math.sqrt((p * (1 - p)) / trials + z2 / (4 * trials * trials))) / denominator;
+
+  return {
+    lower: Math.max(0, center - margin),
+    upper: Math.min(1, center + margin)
+  };
+};
+
+/**
+ * Pooled two-proportion z-test (two-sided)
+ *
+ * @param {Object} control - { successes, trials }
+ * @param {Object} treatment - { successes, trials }
+ * @returns {{z: number, pValue: number}} Test statistic and p-value
+ */
+const twoProportionZTest = (control, treatment) => {
+  if (!control.trials || !treatment.trials) {
+    return { z: 0, pValue: 1 };
+  }
+
+  const p1 = control.successes / control.trials;
+  const p2 = treatment.successes / treatment.trials;
+  const pooled = (control.successes + treatment.successes) / (control.trials + treatment.trials);
+  const se = Math.sqrt(pooled * (1 - pooled) * (1 / control.trials + 1 / treatment.trials));
+
+  if (se === 0) {
+    return { z: 0, pValue: 1 };
+  }
+
+  const z = (p2 - p1) / se;
+  const pValue = 2 * (1 - normalCdf(Math.abs(z)));
+
+  return { z, pValue: Math.min(1, Math.max(0, pValue)) };
+};
+
+/**
+ * Bayesian probability that treatment beats control
+ * Uses Beta(1 + successes, 1 + failures) posteriors with a normal approximation
+ *
+ * @param {Object} control - { successes, trials }
+ * @param {Object} treatment - { successes, trials }
+ * @returns {number} P(rate_treatment > rate_control)
+ */
+const probabilityToBeat = (control, treatment) => {
+  const posterior = ({ successes, trials }) => {
+    const alpha = 1 + successes;
+    const beta = 1 + Math.max(0, trials - successes);
+    const sum = alpha + beta;
+
+    return {
+      mean: alpha / sum,
+      variance: (alpha * beta) / (sum * sum * (sum + 1))
+    };
+  };
+
+  const a = posterior(control);
+  const b = posterior(treatment);
+
+  return normalCdf((b.mean - a.mean) / Math.sqrt(a.variance + b.variance));
+};
+
+module.exports = {
+  normalCdf,
+  normalQuantile,
+  wilsonInterval,
+  twoProportionZTest,
+  probabilityToBeat
+};
@@ -0,0 +1,194 @@
+/**
+ * A/B Test Validators
+ * Zod schemas for A/B test endpoints
+ *
+ * @module validators/abTest
+ */
+
+const { z } = require('zod');
+
+/**
+ * A/B test ID parameter validation
+ */
+const abTestIdParam = z.object({
+  params: z.object({
+    id: z.string().uuid('Invalid A/B test ID format')
+  })
+});
+
+/**
+ * Default variant keys, assigned by position when a key is omitted
+ */
+const VARIANT_KEYS = 'ABCDEFGH'.split('');
+
+/**
+ * Variant schema
+ * Settings are merged over the widget settings for visitors in the variant
+ */
+const variantSchema = z.object({
+  key: z
+    .string()
+    .regex(/^[A-Za-z0-9_-]{1,20}$/, 'Variant key must be 1-20 letters, numbers, - or _')
+    .optional(),
+  name: z
+    .string()
+    .max(100, 'Variant name must not exceed 100 characters')
+    .trim()
+    .optional(),
+  weight: z
+    .number()
+    .positive('Variant weight must be positive')
+    .optional()
+    .default(1),
+  settings: z
+    .record(z.any())
+    .optional()
+    .default({})
+});
+
+/**
+ * Variants array schema (A/B/n, control first)
+ */
+const variantsSchema = z
+  .array(variantSchema)
+  .min(2, 'At least 2 variants are required')
+  .max(VARIANT_KEYS.length, `No more than ${VARIANT_KEYS.length} variants are allowed`)
+  .transform((variants) => variants.map((variant, index) => ({
+    ...variant,
+    key: variant.key || VARIANT_KEYS[index]
+  })))
+  .refine(
+    (variants) => new Set(variants.map((v) => v.key)).size === variants.length,
+    { message: 'Variant keys must be unique' }
+  );
+
+/**
+ * Significance settings
+ * Editable while the test is running
+ */
+const significanceFields = {
+  goal: z
+    .enum(['conversion', 'click'], {
+      errorMap: () => ({ message: 'Invalid goal. Use conversion or click' })
+    })
+    .optional(),
+  confidenceLevel: z
+    .number()
+    .min(0.8, 'Confidence level must be at least 0.8')
+    .max(0.999, 'Confidence level must not exceed 0.999')
+    .optional(),
+  minSampleSize: z
+    .number()
+    .int('Minimum sample size must be an integer')
+    .min(10, 'Minimum sample size must be at least 10')
+    .optional(),
+  autoPromote: z.boolean().optional()
+};
+
+/**
+ * Create A/B test validation schema
+ */
+const createABTestSchema = z.object({
+  params: z.object({
+    id: z.string().uuid('Invalid customer ID format')
+  }),
+  body: z.object({
+    name: z
+      .string({
+        required_error: 'Test name is required'
+      })
+      .min(2, 'Name must be at least 2 characters')
+      .max(255, 'Name must not exceed 255 characters')
+      .trim(),
+    description: z
+      .string()
+      .max(1000, 'Description must not exceed 1000 characters')
+      .optional()
+      .nullable(),
+    widgetId: z
+      .string()
+      .uuid('Invalid widget ID format')
+      .optional(),
+    variants: variantsSchema,
+    ...significanceFields
+  })
+});
+
+/**
+ * Update A/B test validation schema
+ */
+const updateABTestSchema = z.object({
+  params: z.object({
+    id: z.string().uuid('Invalid A/B test ID format')
+  }),
+  body: z.object({
+    name: z
+      .string()
+      .min(2, 'Name must be at least 2 characters')
+      .max(255, 'Name must not exceed 255 characters')
+      .trim()
+      .optional(),
+    description: z
+      .string()
+      .max(1000, 'Description must not exceed 1000 characters')
+      .optional()
+      .nullable(),
+    widgetId: z
+      .string()
+      .uuid('Invalid widget ID format')
+      .optional(),
+    variants: variantsSchema.optional(),
+    endDate: z
+      .string()
+      .datetime({ offset: true, message: 'endDate must be an ISO 8601 datetime' })
+      .transform((val) => new Date(val))
+      .optional(),
+    ...significanceFields
+  }).refine(
+    (data) => Object.keys(data).length > 0,
+    { message: 'At least one field must be provided for update' }
+  )
+});
+
+/**
+ * List A/B tests query validation
+ */
+const listABTestsSchema = z.object({
+  params: z.object({
+    id: z.string().uuid('Invalid customer ID format')
+  }),
+  query: z.object({
+    isActive: z
+      .enum(['true', 'false'])
+      .transform((val) => val === 'true')
+      .optional(),
+    widgetId: z
+      .string()
+      .uuid('Invalid widget ID format')
+      .optional()
+  })
+});
+
+/**
+ * Promote variant validation schema
+ */
+const promoteABTestSchema = z.object({
+  params: z.object({
+    id: z.string().uuid('Invalid A/B test ID format')
+  }),
+  body: z.object({
+    variant: z
+      .string({
+        required_error: 'Variant key is required'
+      })
+      .max(20, 'Variant key must not exceed 20 characters')
+  })
+});
+
+module.exports = {
+  abTestIdParam,
+  createABTestSchema,
+  updateABTestSchema,
+  listABTestsSchema,
+  promoteABTestSchema
+};
@@ -0,0 +1,84 @@
+/**
+ * Analytics Validators
+ * Zod schemas for event tracking and analytics endpoints
+ *
+ * @module validators/analytics
+ */
+
+const { z } = require('zod');
+
+/**
+ * Track event validation schema (public)
+ * Accepts both `event` and the CDN's `type` field for the event name
+ */
+const trackEventSchema = z.object({
+  params: z.object({
+    slug: z
+      .string()
+      .min(2, 'Slug must be at least 2 characters')
+      .max(100, 'Slug must not exceed 100 characters')
+  }),
+  body: z.object({
+    event: z.string().max(50).optional(),
+    type: z.string().max(50).optional(),
+    widgetId: z.string().max(100).optional(),
+    widgetType: z.string().max(50).optional(),
+    productId: z.union([z.string().max(255), z.number()]).optional(),
+    visitorId: z.string().max(100).optional(),
+    abTestId: z.string().uuid('Invalid A/B test ID format').optional(),
+    variant: z.string().max(20).optional(),
+    value: z.number().nonnegative('Value must be positive').max(99999999.99, 'Value is too large').optional(),
+    timestamp: z.number().int().positive().optional(),
+    url: z.string().max(2048).optional(),
+    referrer: z.string().max(2048).optional(),
+    metadata: z.record(z.any()).optional()
+  }).refine(
+    (data) => Boolean(data.event || data.type),
+    { message: 'Event name is required' }
+  )
+});
+
+/**
+ * Widget analytics query validation
+ */
+const widgetAnalyticsSchema = z.object({
+  params: z.object({
+    id: z.string().uuid('Invalid customer ID format')
+  }),
+  query: z.object({
+    from: z
+      .string()
+      .datetime({ offset: true, message: 'from must be an ISO 8601 datetime' })
+      .optional(),
+    to: z
+      .string()
+      .datetime({ offset: true, message: 'to must be an ISO 8601 datetime' })
+      .optional(),
+    interval: z
+      .enum(['hour', 'day'], {
+        errorMap: () => ({ message: 'Invalid interval. Use hour or day' })
+      })
+      .optional()
+      .default('day'),
+    widgetId: z
+      .string()
+      .max(100)
+      .optional()
+  }).refine(
+    (data) => !data.from || !data.to || new Date(data.from) < new Date(data.to),
+    { message: 'from must be earlier than to' }
+  ).refine(
+    (data) => {
+      // Hourly buckets are limited to 31 days to keep responses small
+      if (data.interval !== 'hour' || !data.from) return true;
+      const to = data.to ? new Date(data.to) : new Date();
+      return to - new Date(data.from) <= 31 * 24 * 60 * 60 * 1000;
+    },
+    { message: 'Hourly analytics range cannot exceed 31 days' }
+  )
+});
+
+module.exports = {
+  trackEventSchema,
+  widgetAnalyticsSchema
+};
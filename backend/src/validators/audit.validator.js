@@ -0,0 +1,60 @@
+/**
+ * Audit Log Validators
+ * Zod schemas for audit trail endpoints
+ *
+ * @module validators/audit
+ */
+
+const { z } = require('zod');
+const { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES } = require('../config/constants');
+
+/**
+ * List audit logs query validation
+ */
+const listAuditLogsSchema = z.object({
+  query: z.object({
+    page: z
+      .string()
+      .regex(/^\d+$/, 'Page must be a number')
+      .transform(Number)
+      .optional(),
+    limit: z
+      .string()
+      .regex(/^\d+$/, 'Limit must be a number')
+      .transform(Number)
+      .optional(),
+    userId: z
+      .string()
+      .uuid('Invalid user ID format')
+      .optional(),
+    action: z
+      .enum(Object.values(AUDIT_ACTIONS), {
+        errorMap: () => ({ message: `Invalid action. Use ${Object.values(AUDIT_ACTIONS).join(', ')}` })
+      })
+      .optional(),
+    entityType: z
+      .enum(Object.values(AUDIT_ENTITY_TYPES), {
+        errorMap: () => ({ message: `Invalid entity type. Use ${Object.values(AUDIT_ENTITY_TYPES).join(', ')}` })
+      })
+      .optional(),
+    entityId: z
+      .string()
+      .uuid('Invalid entity ID format')
+      .optional(),
+    from: z
+      .string()
+      .datetime({ offset: true, message: 'from must be an ISO 8601 datetime' })
+      .optional(),
+    to: z
+      .string()
+      .datetime({ offset: true, message: 'to must be an ISO 8601 datetime' })
+      .optional()
+  }).refine(
+    (data) => !data.from || !data.to || new Date(data.from) < new Date(data.to),
+    { message: 'from must be earlier than to' }
+  )
+});
+
+module.exports = {
+  listAuditLogsSchema
+};
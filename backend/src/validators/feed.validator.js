@@ -6,6 +6,149 @@
  */
 
 const { z } = require('zod');
+const { helpers } = require('../utils');
+const { FEED_FORMATS, FEED_ROLES, FEED_MERGE_FIELDS } = require('../config/constants');
+
+/**
+ * Product fields a feed column or key can be mapped to
+ * @type {string[]}
+ */
+const MAPPABLE_FIELDS = [
+  'id',
+  'title',
+  'description',
+  'price',
+  'salePrice',
+  'imageUrl',
+  'productUrl',
+  'category',
+  'brand',
+  'availability',
+  'itemGroupId'
+];
+
+/**
+ * Source path: a column/key name, or a nested path such as
+ * "prices.price@currency" or "images.image.1"
+ */
+const sourcePathSchema = z.string().trim().min(1).max(255);
+
+/**
+ * Value transforms applied in order after a path is read
+ */
+const mappingTransformSchema = z.discriminatedUnion('type', [
+  z.object({
+    type: z.literal('regex'),
+    pattern: z
+      .string()
+      .min(1)
+      .max(500)
+      .refine((pattern) => {
+        try {
+          new RegExp(pattern);
+          return true;
+        } catch {
+          return false;
+        }
+      }, 'Invalid regular expression')
+      .refine(
+        (pattern) => helpers.regex.isSafe(pattern),
+        'Regular expression must not repeat groups that contain repeats or alternatives (e.g. (a+)+, (a|aa)+) or use backreferences'
+      ),
+    flags: z.string().regex(/^[imsu]*$/, 'Invalid regular expression flags').optional(),
+    group: z.number().int().min(0).max(20).optional()
+  }),
+  z.object({
+    type: z.literal('multiply'),
+    factor: z.number().finite()
+  }),
+  z.object({
+    type: z.literal('map'),
+    values: z.record(z.string().max(255), z.union([z.string().max(500), z.number()])),
+    default: z.union([z.string().max(500), z.number()]).optional()
+  })
+]);
+
+/**
+ * Mapping rule: path(s), or path(s) with transforms
+ */
+const mappingRuleSchema = z.union([
+  sourcePathSchema,
+  z.array(sourcePathSchema).min(1).max(10),
+  z.object({
+    path: z.union([sourcePathSchema, z.array(sourcePathSchema).min(1).max(10)]),
+    transforms: z.array(mappingTransformSchema).max(10).optional()
+  })
+]);
+
+/**
+ * Mapping key: a product field, currency or "attributes.<name>"
+ */
+const mappingKeySchema = z.union([
+  z.enum([...MAPPABLE_FIELDS, 'currency']),
+  z.string().regex(/^attributes\.[\w-]{1,64}$/, 'Attribute keys must look like attributes.<name>')
+]);
+
+/**
+ * Feed field mapping: product field -> rule
+ * Mapped fields only read the given paths, others use format defaults
+ */
+const fieldMappingSchema = z
+  .record(mappingKeySchema, mappingRuleSchema)
+  .refine((mapping) => Object.keys(mapping).length <= 50, 'At most 50 mapped fields');
+
+/**
+ * Protocols a feed URL can use
+ * @type {string[]}
+ */
+const FEED_URL_PROTOCOLS = ['http:', 'https:', 'ftp:', 'ftps:', 'sftp:'];
+
+/**
+ * Feed URL: http(s), ftp(s) or sftp
+ */
+const feedUrlSchema = z
+  .string()
+  .url('Invalid URL format')
+  .refine(
+    (url) => FEED_URL_PROTOCOLS.some((protocol) => url.toLowerCase().startsWith(`${protocol}//`)),
+    'URL must start with http://, https://, ftp://, ftps:// or sftp://'
+  );
+
+/**
+ * Source credentials, stored encrypted
+ * username/password: HTTP Basic auth, FTP or SFTP login
+ * headers: extra HTTP request headers (API keys)
+ * privateKey/passphrase: SFTP key login
+ */
+const feedCredentialsSchema = z
+  .object({
+    username: z.string().min(1).max(255).optional(),
+    password: z.string().min(1).max(1024).optional(),
+    headers: z
+      .record(
+        z.string().regex(/^[A-Za-z0-9-]{1,64}$/, 'Invalid header name'),
+        z.string().min(1).max(2048)
+      )
+      .refine((headers) => Object.keys(headers).length <= 20, 'At most 20 headers')
+      .optional(),
+    privateKey: z.string().min(1).max(16384).optional(),
+    passphrase: z.string().min(1).max(1024).optional()
+  })
+  .strict()
+  .refine(
+    (credentials) => Object.keys(credentials).length > 0,
+    'Credentials must not be empty, use null to remove them'
+  );
+
+/**
+ * Fields a supplemental feed patches onto primary products
+ */
+const mergeFieldsSchema = z
+  .array(z.enum(FEED_MERGE_FIELDS, {
+    errorMap: () => ({ message: `Invalid merge field. Use ${FEED_MERGE_FIELDS.join(', ')}` })
+  }))
+  .max(FEED_MERGE_FIELDS.length)
+  .transform((fields) => [...new Set(fields)]);
 
 /**
  * Feed ID parameter validation
@@ -35,17 +178,32 @@ const createFeedSchema = z.object({
       .string({
         required_error: 'Feed URL is required'
       })
-      .url('Invalid URL format')
-      .refine(
-        (url) => url.startsWith('http://') || url.startsWith('https://'),
-        'URL must start with http:// or https://'
-      ),
+      .pipe(feedUrlSchema),
     format: z
-      .enum(['google', 'facebook', 'custom'], {
-        errorMap: () => ({ message: 'Invalid feed format. Use google, facebook, or custom' })
+      .enum(Object.values(FEED_FORMATS), {
+        errorMap: () => ({ message: `Invalid feed format. Use ${Object.values(FEED_FORMATS).join(', ')}` })
       })
       .optional()
       .default('google'),
+    fieldMapping: fieldMappingSchema
+      .optional()
+      .nullable(),
+    credentials: feedCredentialsSchema
+      .optional()
+      .nullable(),
+    role: z
+      .enum(Object.values(FEED_ROLES))
+      .optional()
+      .default('primary'),
+    priority: z
+      .number()
+      .int('Priority must be an integer')
+      .min(-100)
+      .max(100)
+      .optional()
+      .default(0),
+    mergeFields: mergeFieldsSchema
+      .optional(),
     syncInterval: z
       .number()
       .int('Sync interval must be an integer')
@@ -74,16 +232,27 @@ const updateFeedSchema = z.object({
       .max(255, 'Name must not exceed 255 characters')
       .trim()
       .optional(),
-    url: z
-      .string()
-      .url('Invalid URL format')
-      .refine(
-        (url) => url.startsWith('http://') || url.startsWith('https://'),
-        'URL must start with http:// or https://'
-      )
+    url: feedUrlSchema
       .optional(),
     format: z
-      .enum(['google', 'facebook', 'custom'])
+      .enum(Object.values(FEED_FORMATS))
+      .optional(),
+    fieldMapping: fieldMappingSchema
+      .optional()
+      .nullable(),
+    credentials: feedCredentialsSchema
+      .optional()
+      .nullable(),
+    role: z
+      .enum(Object.values(FEED_ROLES))
+      .optional(),
+    priority: z
+      .number()
+      .int('Priority must be an integer')
+      .min(-100)
+      .max(100)
+      .optional(),
+    mergeFields: mergeFieldsSchema
       .optional(),
     syncInterval: z
       .number()
@@ -100,6 +269,80 @@ const updateFeedSchema = z.object({
   )
 });
 
+/**
+ * Feed sync history query validation
+ */
+const listSyncRunsSchema = z.object({
+  params: z.object({
+    id: z.string().uuid('Invalid feed ID format')
+  }),
+  query: z.object({
+    page: z
+      .string()
+      .regex(/^\d+$/, 'Page must be a number')
+      .transform(Number)
+      .optional(),
+    limit: z
+      .string()
+      .regex(/^\d+$/, 'Limit must be a number')
+      .transform(Number)
+      .optional(),
+    status: z
+      .enum(['running', 'success', 'error', 'not_modified'])
+      .optional()
+  })
+});
+
+/**
+ * Sync run parameter validation
+ */
+const syncRunParamSchema = z.object({
+  params: z.object({
+    id: z.string().uuid('Invalid feed ID format'),
+    runId: z.string().uuid('Invalid sync run ID format')
+  })
+});
+
+/**
+ * Dry-run request body (preview and validation)
+ * Body values override the saved feed so unsaved mappings can be tried
+ */
+const dryRunBodySchema = z.object({
+  format: z
+    .enum(Object.values(FEED_FORMATS))
+    .optional(),
+  fieldMapping: fieldMappingSchema
+    .optional()
+    .nullable(),
+  content: z
+    .string()
+    .min(1, 'Sample content must not be empty')
+    .max(1024 * 1024, 'Sample content must not exceed 1 MB')
+    .optional(),
+  limit: z
+    .number()
+    .int()
+    .min(1)
+    .max(50)
+    .optional()
+    .default(10)
+});
+
+/**
+ * Feed preview validation
+ */
+const previewFeedSchema = z.object({
+  params: z.object({
+    id: z.string().uuid('Invalid feed ID format')
+  }),
+  body: dryRunBodySchema
+});
+
+/**
+ * Feed dry-run validation report
+ */
+const validateFeedSchema = previewFeedSchema;
+
 /**
  * List feeds query validation
  */
@@ -169,10 +412,34 @@ const productQuerySchema = z.object({
   })
 });
 
+/**
+ * Product price history validation
+ */
+const priceHistorySchema = z.object({
+  params: z.object({
+    id: z.string().uuid('Invalid product ID format')
+  }),
+  query: z.object({
+    days: z
+      .string()
+      .regex(/^\d+$/, 'Days must be a number')
+      .transform(Number)
+      .refine((days) => days >= 1 && days <= 365, 'Days must be between 1 and 365')
+      .optional()
+  })
+});
+
 module.exports = {
+  fieldMappingSchema,
+  feedCredentialsSchema,
   feedIdParam,
   createFeedSchema,
   updateFeedSchema,
+  listSyncRunsSchema,
+  syncRunParamSchema,
+  previewFeedSchema,
+  validateFeedSchema,
   listFeedsSchema,
-  productQuerySchema
+  productQuerySchema,
+  priceHistorySchema
 };
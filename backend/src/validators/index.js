@@ -11,6 +11,12 @@ const widgetValidator = require('./widget.validator');
 const themeValidator = require('./theme.validator');
 const feedValidator = require('./feed.validator');
 const templateValidator = require('./template.validator');
+const analyticsValidator = require('./analytics.validator');
+const abTestValidator = require('./abTest.validator');
+const auditValidator = require('./audit.validator');
+const versionValidator = require('./version.validator');
+const recommendationValidator = require('./recommendation.validator');
+const searchValidator = require('./search.validator');
 
 module.exports = {
   auth: authValidator,
@@ -18,5 +24,11 @@ module.exports = {
   widget: widgetValidator,
   theme: themeValidator,
   feed: feedValidator,
-  template: templateValidator
+  template: templateValidator,
+  analytics: analyticsValidator,
+  abTest: abTestValidator,
+  audit: auditValidator,
+  version: versionValidator,
+  recommendation: recommendationValidator,
+  search: searchValidator
 };
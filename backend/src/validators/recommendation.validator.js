@@ -0,0 +1,42 @@
+/**
+ * Recommendation Validators
+ * Zod schemas for the public recommendation endpoint
+ *
+ * @module validators/recommendation
+ */
+
+const { z } = require('zod');
+const { RECOMMENDATION_STRATEGIES } = require('../config/constants');
+
+/**
+ * Get recommendations validation schema (public)
+ */
+const getRecommendationsSchema = z.object({
+  params: z.object({
+    slug: z
+      .string()
+      .min(2, 'Slug must be at least 2 characters')
+      .max(100, 'Slug must not exceed 100 characters')
+  }),
+  query: z.object({
+    strategy: z
+      .enum(Object.values(RECOMMENDATION_STRATEGIES), {
+        errorMap: () => ({
+          message: `Invalid strategy. Use ${Object.values(RECOMMENDATION_STRATEGIES).join(', ')}`
+        })
+      })
+      .default(RECOMMENDATION_STRATEGIES.TRENDING),
+    productId: z.string().max(255).optional(),
+    limit: z
+      .string()
+      .regex(/^\d+$/, 'Limit must be a number')
+      .transform(Number)
+      .refine((val) => val >= 1 && val <= 50, 'Limit must be between 1 and 50')
+      .optional(),
+    category: z.string().max(255).optional()
+  }).passthrough()
+});
+
+module.exports = {
+  getRecommendationsSchema
+};
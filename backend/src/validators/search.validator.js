@@ -0,0 +1,41 @@
+/**
+ * Search Validators
+ * Zod schemas for the public product search endpoint
+ *
+ * @module validators/search
+ */
+
+const { z } = require('zod');
+
+/**
+ * Search products validation schema (public)
+ */
+const searchSchema = z.object({
+  params: z.object({
+    slug: z
+      .string()
+      .min(2, 'Slug must be at least 2 characters')
+      .max(100, 'Slug must not exceed 100 characters')
+  }),
+  query: z.object({
+    q: z
+      .string({ required_error: 'Search query is required' })
+      .trim()
+      .min(1, 'Search query is required')
+      .max(100, 'Search query too long'),
+    limit: z
+      .string()
+      .regex(/^\d+$/, 'Limit must be a number')
+      .transform(Number)
+      .refine((val) => val >= 1 && val <= 50, 'Limit must be between 1 and 50')
+      .optional(),
+    autocomplete: z
+      .enum(['true', 'false'])
+      .transform((val) => val === 'true')
+      .optional()
+  }).passthrough()
+});
+
+module.exports = {
+  searchSchema
+};
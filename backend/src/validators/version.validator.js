@@ -0,0 +1,85 @@
+/**
+ * Version Validators
+ * Zod schemas for version history endpoints
+ *
+ * @module validators/version
+ */
+
+const { z } = require('zod');
+const { VERSION_ENTITY_TYPES } = require('../config/constants');
+
+/**
+ * Route segment -> versioned entity type
+ */
+const ENTITY_SEGMENTS = Object.freeze({
+  widgets: VERSION_ENTITY_TYPES.WIDGET,
+  themes: VERSION_ENTITY_TYPES.THEME,
+  templates: VERSION_ENTITY_TYPES.TEMPLATE
+});
+
+/**
+ * Entity parameters shared by all version routes
+ */
+const entityParams = {
+  entity: z
+    .enum(Object.keys(ENTITY_SEGMENTS))
+    .transform((val) => ENTITY_SEGMENTS[val]),
+  id: z.string().uuid('Invalid ID format')
+};
+
+/**
+ * Version number schema
+ */
+const versionNumber = z
+  .string()
+  .regex(/^\d+$/, 'Version must be a number')
+  .transform(Number);
+
+/**
+ * List versions validation schema
+ */
+const listVersionsSchema = z.object({
+  params: z.object(entityParams),
+  query: z.object({
+    page: z
+      .string()
+      .regex(/^\d+$/, 'Page must be a number')
+      .transform(Number)
+      .optional(),
+    limit: z
+      .string()
+      .regex(/^\d+$/, 'Limit must be a number')
+      .transform(Number)
+      .optional()
+  })
+});
+
+/**
+ * Single version validation schema (get, restore)
+ */
+const versionParamsSchema = z.object({
+  params: z.object({
+    ...entityParams,
+    version: versionNumber
+  })
+});
+
+/**
+ * Version diff validation schema
+ */
+const diffVersionSchema = z.object({
+  params: z.object({
+    ...entityParams,
+    version: versionNumber
+  }),
+  query: z.object({
+    against: versionNumber.optional()
+  })
+});
+
+module.exports = {
+  ENTITY_SEGMENTS,
+  listVersionsSchema,
+  versionParamsSchema,
+  diffVersionSchema
+};
@@ -6,7 +6,12 @@
  */
 
 const { z } = require('zod');
-const { WIDGET_TYPES } = require('../config/constants');
+const {
+  WIDGET_TYPES,
+  RECOMMENDATION_STRATEGIES,
+  PRODUCT_SELECTION_SORT
+} = require('../config/constants');
+const { date } = require('../utils/helpers');
 
 /**
  * Widget ID parameter validation
@@ -17,6 +22,58 @@ const widgetIdParam = z.object({
   })
 });
 
+/**
+ * Recommendation strategy for product widgets
+ * Widgets without one show the customer's product feed
+ */
+const recommendationSchema = z
+  .enum(Object.values(RECOMMENDATION_STRATEGIES), {
+    errorMap: () => ({
+      message: `Invalid recommendation strategy. Use ${Object.values(RECOMMENDATION_STRATEGIES).join(', ')}`
+    })
+  })
+  .optional();
+
+/**
+ * List of product externalIds
+ */
+const externalIdListSchema = z.array(z.string().min(1).max(255)).max(100);
+
+/**
+ * Product selection for product widgets
+ * Filters are combined with AND; list values match any of their items
+ */
+const productSelectionSchema = z.object({
+  brands: z.array(z.string().min(1).max(255)).max(50).optional(),
+  categories: z.array(z.string().min(1).max(255)).max(50).optional(),
+  minPrice: z.number().nonnegative('Price must be positive').optional(),
+  maxPrice: z.number().nonnegative('Price must be positive').optional(),
+  attributes: z.record(
+    z.union([z.string().max(500), z.array(z.string().max(500)).min(1).max(50)])
+  ).optional(),
+  onSale: z.boolean().optional(),
+  newArrivalDays: z.number().int().min(1).max(365).optional(),
+  sort: z.enum(Object.values(PRODUCT_SELECTION_SORT), {
+    errorMap: () => ({
+      message: `Invalid sort. Use ${Object.values(PRODUCT_SELECTION_SORT).join(', ')}`
+    })
+  }).optional(),
+  pinned: externalIdListSchema.optional(),
+  excluded: externalIdListSchema.optional(),
+  maxPerCategory: z.number().int().min(1).max(100).optional()
+}).strict().refine(
+  (data) => data.minPrice === undefined || data.maxPrice === undefined || data.minPrice <= data.maxPrice,
+  { message: 'maxPrice must not be less than minPrice', path: ['maxPrice'] }
+).nullable().optional();
+
+/**
+ * Settings shared by all widget types
+ * Type specific settings are checked by getSettingsSchema on create
+ */
+const widgetSettingsSchema = z.object({
+  selection: productSelectionSchema
+}).passthrough();
+
 /**
  * Carousel settings schema
  */
@@ -29,6 +86,7 @@ const carouselSettingsSchema = z.object({
   dots: z.boolean().optional().default(true),
   infinite: z.boolean().optional().default(true),
   pauseOnHover: z.boolean().optional().default(true),
+  recommendation: recommendationSchema,
   responsive: z.array(
     z.object({
       breakpoint: z.number(),
@@ -40,6 +98,13 @@ const carouselSettingsSchema = z.object({
   ).optional()
 });
 
+/**
+ * Grid settings schema
+ */
+const gridSettingsSchema = z.object({
+  recommendation: recommendationSchema
+}).passthrough();
+
 /**
  * Banner settings schema
  */
@@ -70,6 +135,119 @@ const popupSettingsSchema = z.object({
   position: z.enum(['center', 'top', 'bottom']).optional().default('center')
 });
 
+/**
+ * Search settings schema
+ */
+const searchSettingsSchema = z.object({
+  inputSelector: z.string().min(1).max(255).optional(),
+  minChars: z.number().int().min(1).max(10).optional().default(2),
+  debounce: z.number().int().min(0).max(2000).optional().default(250),
+  limit: z.number().int().min(1).max(20).optional().default(6),
+  historyLimit: z.number().int().min(0).max(10).optional().default(5),
+  showSuggestions: z.boolean().optional().default(true)
+}).passthrough();
+
+/**
+ * Schedule date time: ISO string, with or without offset. Values without an
+ * offset are read in the widget's timezone
+ */
+const scheduleDateSchema = z
+  .string()
+  .regex(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?$/, 'Invalid date time format')
+  .optional()
+  .nullable();
+
+/**
+ * Timezone schema (IANA name)
+ */
+const timezoneSchema = z
+  .string()
+  .refine((value) => date.isValidTimeZone(value), 'Invalid timezone')
+  .optional();
+
+/**
+ * Dayparting window schema
+ * days: 0 (Sunday) - 6 (Saturday), start/end: HH:mm in the widget timezone
+ */
+const daypartSchema = z.object({
+  days: z.array(z.number().int().min(0).max(6)).min(1, 'Select at least one day'),
+  start: z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'Invalid time format (HH:mm)'),
+  end: z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'Invalid time format (HH:mm)')
+}).refine(
+  (window) => window.start !== window.end,
+  { message: 'Start and end time must differ', path: ['end'] }
+);
+
+const daypartingSchema = z.array(daypartSchema).max(14).optional().nullable();
+
+/**
+ * Targeting operators
+ */
+const STRING_OPERATORS = ['equals', 'notEquals', 'contains', 'notContains', 'startsWith', 'matches'];
+const LIST_OPERATORS = ['in', 'notIn'];
+const NUMBER_OPERATORS = ['equals', 'notEquals', 'gt', 'gte', 'lt', 'lte'];
+
+const stringRule = (type, extra = {}) => z.object({
+  type: z.literal(type),
+  operator: z.enum(STRING_OPERATORS),
+  value: z.string().max(500, 'Value too long'),
+  ...extra
+});
+
+/**
+ * Targeting rule schema (evaluated by the CDN before a widget is mounted)
+ */
+const targetingRuleSchema = z.discriminatedUnion('type', [
+  z.object({
+    type: z.literal('pageType'),
+    operator: z.enum(LIST_OPERATORS),
+    value: z.array(z.enum(['product', 'category', 'search', 'home', 'other'])).min(1)
+  }),
+  stringRule('url'),
+  z.object({
+    type: z.literal('device'),
+    operator: z.enum(LIST_OPERATORS),
+    value: z.array(z.enum(['mobile', 'tablet', 'desktop'])).min(1)
+  }),
+  stringRule('referrer'),
+  stringRule('utm', {
+    param: z.enum(['source', 'medium', 'campaign', 'term', 'content'])
+  }),
+  z.object({
+    type: z.literal('visitor'),
+    operator: z.literal('equals'),
+    value: z.enum(['new', 'returning'])
+  }),
+  stringRule('viewedCategory'),
+  z.object({
+    type: z.literal('cartValue'),
+    operator: z.enum(NUMBER_OPERATORS),
+    value: z.number().min(0)
+  })
+]);
+
+/**
+ * Targeting rule set schema
+ */
+const targetingSchema = z.object({
+  match: z.enum(['all', 'any']).optional().default('all'),
+  rules: z.array(targetingRuleSchema).max(20, 'Too many targeting rules')
+}).superRefine((targeting, ctx) => {
+  targeting.rules.forEach((rule, index) => {
+    if (rule.operator !== 'matches') return;
+
+    try {
+      new RegExp(rule.value);
+    } catch {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: 'Invalid regular expression',
+        path: ['rules', index, 'value']
+      });
+    }
+  });
+}).optional().nullable();
+
 /**
  * Get settings schema based on widget type
  */
@@ -77,10 +255,14 @@ const getSettingsSchema = (type) => {
   switch (type) {
     case WIDGET_TYPES.CAROUSEL:
       return carouselSettingsSchema;
+    case WIDGET_TYPES.GRID:
+      return gridSettingsSchema;
     case WIDGET_TYPES.BANNER:
       return bannerSettingsSchema;
     case WIDGET_TYPES.POPUP:
       return popupSettingsSchema;
+    case WIDGET_TYPES.SEARCH:
+      return searchSettingsSchema;
     default:
       return z.object({}).passthrough();
   }
@@ -94,7 +276,7 @@ const createWidgetSchema = z.object({
     id: z.string().uuid('Invalid customer ID format')
   }),
   body: z.object({
-    type: z.enum(['carousel', 'banner', 'popup', 'grid', 'slider', 'custom', 'CAROUSEL', 'BANNER', 'POPUP', 'GRID', 'SLIDER', 'CUSTOM'], {
+    type: z.enum(['carousel', 'banner', 'popup', 'grid', 'slider', 'custom', 'search', 'CAROUSEL', 'BANNER', 'POPUP', 'GRID', 'SLIDER', 'CUSTOM', 'SEARCH'], {
       required_error: 'Widget type is required',
       invalid_type_error: 'Invalid widget type'
     }).transform(val => val.toLowerCase()),
@@ -105,7 +287,7 @@ const createWidgetSchema = z.object({
       .min(2, 'Name must be at least 2 characters')
       .max(255, 'Name must not exceed 255 characters')
       .trim(),
-    settings: z.record(z.unknown()).optional().default({}),
+    settings: widgetSettingsSchema.optional().default({}),
     placement: z
       .string()
       .max(255, 'Placement selector too long')
@@ -130,7 +312,12 @@ const createWidgetSchema = z.object({
     customData: z
       .record(z.unknown())
       .optional()
-      .nullable()
+      .nullable(),
+    targeting: targetingSchema,
+    startsAt: scheduleDateSchema,
+    endsAt: scheduleDateSchema,
+    timezone: timezoneSchema,
+    dayparting: daypartingSchema
   })
 }).refine(
   (data) => {
@@ -159,7 +346,7 @@ const updateWidgetSchema = z.object({
       .max(255, 'Name must not exceed 255 characters')
       .trim()
       .optional(),
-    settings: z.record(z.unknown()).optional(),
+    settings: widgetSettingsSchema.optional(),
     placement: z
       .string()
       .max(255, 'Placement selector too long')
@@ -182,7 +369,12 @@ const updateWidgetSchema = z.object({
     customData: z
       .record(z.unknown())
       .optional()
-      .nullable()
+      .nullable(),
+    targeting: targetingSchema,
+    startsAt: scheduleDateSchema,
+    endsAt: scheduleDateSchema,
+    timezone: timezoneSchema,
+    dayparting: daypartingSchema
   }).refine(
     (data) => Object.keys(data).length > 0,
     { message: 'At least one field must be provided for update' }
@@ -198,7 +390,7 @@ const listWidgetsSchema = z.object({
   }),
   query: z.object({
     type: z
-      .enum(['carousel', 'banner', 'popup', 'grid', 'slider', 'custom', 'CAROUSEL', 'BANNER', 'POPUP', 'GRID', 'SLIDER', 'CUSTOM'])
+      .enum(['carousel', 'banner', 'popup', 'grid', 'slider', 'custom', 'search', 'CAROUSEL', 'BANNER', 'POPUP', 'GRID', 'SLIDER', 'CUSTOM', 'SEARCH'])
       .transform(val => val.toLowerCase())
       .optional(),
     isActive: z
@@ -214,6 +406,11 @@ module.exports = {
   updateWidgetSchema,
   listWidgetsSchema,
   carouselSettingsSchema,
+  gridSettingsSchema,
   bannerSettingsSchema,
-  popupSettingsSchema
+  popupSettingsSchema,
+  searchSettingsSchema,
+  daypartSchema,
+  targetingSchema,
+  productSelectionSchema
 };
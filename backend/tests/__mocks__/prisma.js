@@ -28,6 +28,7 @@ const mockPrisma = {
     findMany: jest.fn(),
     create: jest.fn(),
     update: jest.fn(),
+    updateMany: jest.fn(),
     delete: jest.fn(),
     count: jest.fn(),
   },
@@ -37,18 +38,34 @@ const mockPrisma = {
     findMany: jest.fn(),
     create: jest.fn(),
     update: jest.fn(),
+    updateMany: jest.fn(),
     upsert: jest.fn(),
     delete: jest.fn(),
   },
+  customTemplate: {
+    findUnique: jest.fn(),
+    findFirst: jest.fn(),
+    findMany: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn(),
+    delete: jest.fn(),
+  },
   xmlFeed: {
     findUnique: jest.fn(),
     findFirst: jest.fn(),
     findMany: jest.fn(),
     create: jest.fn(),
     update: jest.fn(),
+    updateMany: jest.fn(),
     upsert: jest.fn(),
     delete: jest.fn(),
   },
+  feedSyncRun: {
+    findFirst: jest.fn(),
+    findMany: jest.fn(),
+    count: jest.fn(),
+  },
   product: {
     findUnique: jest.fn(),
     findFirst: jest.fn(),
@@ -61,9 +78,54 @@ const mockPrisma = {
     deleteMany: jest.fn(),
     count: jest.fn(),
   },
+  productGroup: {
+    findMany: jest.fn(),
+  },
+  productPriceHistory: {
+    findFirst: jest.fn(),
+    findMany: jest.fn(),
+    createMany: jest.fn(),
+  },
+  feedCache: {
+    findUnique: jest.fn(),
+    upsert: jest.fn(),
+    deleteMany: jest.fn(),
+  },
+  aBTest: {
+    findUnique: jest.fn(),
+    findFirst: jest.fn(),
+    findMany: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn(),
+    delete: jest.fn(),
+  },
+  aBTestVariant: {
+    upsert: jest.fn(),
+    updateMany: jest.fn(),
+    deleteMany: jest.fn(),
+  },
+  configVersion: {
+    findUnique: jest.fn(),
+    findFirst: jest.fn(),
+    findMany: jest.fn(),
+    create: jest.fn(),
+    count: jest.fn(),
+  },
+  auditLog: {
+    findMany: jest.fn(),
+    create: jest.fn(),
+    count: jest.fn(),
+  },
+  widgetEvent: {
+    findMany: jest.fn(),
+    createMany: jest.fn(),
+    count: jest.fn(),
+  },
+  $queryRaw: jest.fn(),
   $connect: jest.fn(),
   $disconnect: jest.fn(),
-  $transaction: jest.fn((callback) => callback(mockPrisma)),
+  $transaction: jest.fn((arg) => (typeof arg === 'function' ? arg(mockPrisma) : Promise.all(arg))),
 };
 
 module.exports = mockPrisma;
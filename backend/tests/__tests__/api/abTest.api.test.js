@@ -0,0 +1,183 @@
+/**
+ * A/B Test API Tests
+ * Validation of the admin endpoints and delivery of running tests in the
+ * public widget config
+ */
+
+const request = require('supertest');
+
+// Mock Prisma
+const mockPrisma = require('../../__mocks__/prisma');
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma),
+  Prisma: { DbNull: 'DbNull' },
+}));
+
+const createApp = require('../../../src/app');
+const { crypto } = require('../../../src/utils');
+const { customerService, widgetService, themeService } = require('../../../src/services');
+
+const CUSTOMER_ID = '6f1c2a9e-4b7d-4c1e-9a2f-3d5e7b9c1a20';
+const WIDGET_ID = '0b8e4f7a-2c9d-4e1b-8f3a-5c7d9e1f2a30';
+const TEST_ID = 'a3c5e7f9-1b2d-4f6a-8c0e-2d4f6a8c0e40';
+
+const buildTest = (overrides = {}) => ({
+  id: TEST_ID,
+  customerId: CUSTOMER_ID,
+  name: 'Title test',
+  widgetId: WIDGET_ID,
+  isActive: false,
+  startDate: null,
+  endDate: null,
+  variants: [
+    { key: 'A', name: 'Control', position: 0, weight: 1, settings: {} },
+    { key: 'B', name: 'New title', position: 1, weight: 1, settings: { title: 'New' } }
+  ],
+  ...overrides
+});
+
+describe('A/B Test API', () => {
+  const app = createApp();
+  const token = crypto.token.generateAccess({ userId: 'user-123' });
+  const auth = { Authorization: `Bearer ${token}` };
+
+  const useRole = (role) => {
+    mockPrisma.user.findUnique.mockResolvedValue({
+      id: 'user-123',
+      email: 'editor@example.com',
+      role,
+      isActive: true
+    });
+  };
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    mockPrisma.$transaction.mockImplementation((arg) => (typeof arg === 'function' ? arg(mockPrisma) : Promise.all(arg)));
+    useRole('editor');
+  });
+
+  describe('POST /api/admin/customers/:id/ab-tests', () => {
+    const create = (body) => request(app)
+      .post(`/api/admin/customers/${CUSTOMER_ID}/ab-tests`)
+      .set(auth)
+      .send(body);
+
+    it('should create a stopped test with keys assigned by position', async () => {
+      mockPrisma.customer.findUnique.mockResolvedValue({ id: CUSTOMER_ID });
+      mockPrisma.widgetConfig.findUnique.mockResolvedValue({ id: WIDGET_ID, customerId: CUSTOMER_ID });
+      mockPrisma.aBTest.create.mockImplementation(({ data }) => Promise.resolve({ id: TEST_ID, ...data }));
+
+      const response = await create({
+        name: 'Title test',
+        widgetId: WIDGET_ID,
+        variants: [{ name: 'Control' }, { name: 'New title', settings: { title: 'New' } }]
+      });
+
+      expect(response.status).toBe(201);
+
+      const { data } = mockPrisma.aBTest.create.mock.calls[0][0];
+      expect(data.isActive).toBe(false);
+      expect(data.variants.create.map((variant) => variant.key)).toEqual(['A', 'B']);
+    });
+
+    it.each([
+      ['a single variant', { name: 'Title test', variants: [{ key: 'A' }] }],
+      ['duplicate variant keys', { name: 'Title test', variants: [{ key: 'A' }, { key: 'A' }] }],
+      ['a zero weight', { name: 'Title test', variants: [{ key: 'A' }, { key: 'B', weight: 0 }] }],
+      ['a missing name', { variants: [{ key: 'A' }, { key: 'B' }] }],
+      ['a confidence level out of range', { name: 'Title test', variants: [{}, {}], confidenceLevel: 0.5 }]
+    ])('should reject %s', async (label, body) => {
+      const response = await create(body);
+
+      expect(response.status).toBe(422);
+      expect(mockPrisma.aBTest.create).not.toHaveBeenCalled();
+    });
+
+    it('should require the editor role', async () => {
+      useRole('viewer');
+
+      const response = await create({ name: 'Title test', variants: [{}, {}] });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('POST /api/admin/ab-tests/:id/start', () => {
+    it('should start a stopped test', async () => {
+      mockPrisma.aBTest.findUnique.mockResolvedValue(buildTest());
+      mockPrisma.aBTest.findFirst.mockResolvedValue(null);
+      mockPrisma.aBTest.update.mockImplementation(({ data }) => Promise.resolve(buildTest(data)));
+
+      const response = await request(app).post(`/api/admin/ab-tests/${TEST_ID}/start`).set(auth);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.isActive).toBe(true);
+      expect(mockPrisma.aBTest.update.mock.calls[0][0].data).toMatchObject({ isActive: true, endDate: null, winner: null });
+    });
+
+    it('should refuse a second running test on the same widget', async () => {
+      mockPrisma.aBTest.findUnique.mockResolvedValue(buildTest());
+      mockPrisma.aBTest.findFirst.mockResolvedValue({ id: 'other-test', name: 'Image test' });
+
+      const response = await request(app).post(`/api/admin/ab-tests/${TEST_ID}/start`).set(auth);
+
+      expect(response.status).toBe(409);
+      expect(mockPrisma.aBTest.update).not.toHaveBeenCalled();
+    });
+
+    it('should reject an invalid test ID', async () => {
+      const response = await request(app).post('/api/admin/ab-tests/not-a-uuid/start').set(auth);
+
+      expect(response.status).toBe(422);
+    });
+  });
+
+  describe('POST /api/admin/ab-tests/:id/stop', () => {
+    it('should end a running test', async () => {
+      mockPrisma.aBTest.findUnique.mockResolvedValue(buildTest({ isActive: true }));
+      mockPrisma.aBTest.update.mockImplementation(({ data }) => Promise.resolve(buildTest(data)));
+
+      const response = await request(app).post(`/api/admin/ab-tests/${TEST_ID}/stop`).set(auth);
+
+      expect(response.status).toBe(200);
+      expect(mockPrisma.aBTest.update.mock.calls[0][0].data.isActive).toBe(false);
+    });
+
+    it('should leave a stopped test unchanged', async () => {
+      mockPrisma.aBTest.findUnique.mockResolvedValue(buildTest());
+
+      const response = await request(app).post(`/api/admin/ab-tests/${TEST_ID}/stop`).set(auth);
+
+      expect(response.status).toBe(200);
+      expect(mockPrisma.aBTest.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/public/widget/:slug', () => {
+    it('should deliver running tests with their variants', async () => {
+      jest.spyOn(customerService, 'getBySlug').mockResolvedValue({ id: CUSTOMER_ID, slug: 'shop', isActive: true });
+      jest.spyOn(widgetService, 'getActiveWidgets').mockResolvedValue([]);
+      jest.spyOn(themeService, 'getThemeForWidget').mockResolvedValue(null);
+      mockPrisma.aBTest.findMany.mockResolvedValue([{
+        id: TEST_ID,
+        name: 'Title test',
+        widgetId: WIDGET_ID,
+        variants: [{ key: 'A', name: 'Control', weight: 1, settings: {} }, { key: 'B', name: 'New title', weight: 1, settings: { title: 'New' } }]
+      }]);
+
+      const response = await request(app).get('/api/public/widget/shop');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.abTests).toEqual([{
+        id: TEST_ID,
+        name: 'Title test',
+        widgetId: WIDGET_ID,
+        variants: [{ key: 'A', name: 'Control', weight: 1, settings: {} }, { key: 'B', name: 'New title', weight: 1, settings: { title: 'New' } }]
+      }]);
+
+      const { where } = mockPrisma.aBTest.findMany.mock.calls[0][0];
+      expect(where).toMatchObject({ customerId: CUSTOMER_ID, isActive: true, OR: [{ endDate: null }, { endDate: { gt: expect.any(Date) } }] });
+      expect(where.startDate.lte).toBeInstanceOf(Date);
+    });
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Product Data API Tests
+ * Public product lists and their feed cache entries
+ */
+
+const request = require('supertest');
+
+// Mock Prisma
+const mockPrisma = require('../../__mocks__/prisma');
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma),
+  Prisma: { DbNull: 'DbNull' },
+}));
+
+const createApp = require('../../../src/app');
+const { customerService } = require('../../../src/services');
+
+const CUSTOMER_ID = '6f1c2a9e-4b7d-4c1e-9a2f-3d5e7b9c1a20';
+
+describe('Product Data API', () => {
+  const app = createApp();
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    jest.spyOn(customerService, 'getBySlug').mockResolvedValue({ id: CUSTOMER_ID, name: 'Shop', slug: 'shop', isActive: true });
+    mockPrisma.feedCache.findUnique.mockResolvedValue(null);
+    mockPrisma.feedCache.upsert.mockResolvedValue({});
+    mockPrisma.product.findMany.mockResolvedValue([]);
+  });
+
+  describe('GET /api/:slug/data', () => {
+    it('should cache product lists of existing categories', async () => {
+      mockPrisma.product.findFirst.mockResolvedValue({ id: 'p1' });
+
+      const response = await request(app).get('/api/shop/data?category=Ayakkabi');
+
+      expect(response.status).toBe(200);
+      expect(mockPrisma.feedCache.upsert).toHaveBeenCalledWith(expect.objectContaining({
+        where: { customerId_cacheKey: { customerId: CUSTOMER_ID, cacheKey: 'products:20:ayakkabi' } }
+      }));
+    });
+
+    it('should not cache product lists of unknown categories', async () => {
+      mockPrisma.product.findFirst.mockResolvedValue(null);
+
+      const response = await request(app).get('/api/shop/data?category=random-1234');
+
+      expect(response.status).toBe(200);
+      expect(response.headers.etag).toBeDefined();
+      expect(mockPrisma.feedCache.findUnique).not.toHaveBeenCalled();
+      expect(mockPrisma.feedCache.upsert).not.toHaveBeenCalled();
+    });
+
+    it('should clamp the limit used in cache keys', async () => {
+      await request(app).get('/api/shop/data?limit=-5');
+
+      expect(mockPrisma.feedCache.upsert.mock.calls[0][0].where.customerId_cacheKey.cacheKey).toBe('products:1:');
+    });
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * Widget Config API Tests
+ * Public widget config delivered to the CDN
+ */
+
+const request = require('supertest');
+
+// Mock Prisma
+const mockPrisma = require('../../__mocks__/prisma');
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma),
+  Prisma: { DbNull: 'DbNull' },
+}));
+
+const createApp = require('../../../src/app');
+const { customerService, themeService } = require('../../../src/services');
+
+const CUSTOMER_ID = '6f1c2a9e-4b7d-4c1e-9a2f-3d5e7b9c1a20';
+
+describe('Widget Config API', () => {
+  const app = createApp();
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    jest.spyOn(customerService, 'getBySlug').mockResolvedValue({ id: CUSTOMER_ID, slug: 'shop', isActive: true });
+    jest.spyOn(themeService, 'getThemeForWidget').mockResolvedValue(null);
+    mockPrisma.aBTest.findMany.mockResolvedValue([]);
+  });
+
+  describe('GET /api/public/widget/:slug', () => {
+    it('should deliver the targeting rules of each widget', async () => {
+      const targeting = {
+        match: 'all',
+        rules: [
+          { type: 'pageType', operator: 'in', value: ['product'] },
+          { type: 'device', operator: 'notIn', value: ['mobile'] }
+        ]
+      };
+      mockPrisma.widgetConfig.findMany.mockResolvedValue([
+        { id: 'w1', type: 'carousel', name: 'Benzer', settings: {}, placement: null, targeting, dayparting: null, timezone: 'UTC' },
+        { id: 'w2', type: 'grid', name: 'Tum sayfalar', settings: {}, placement: null, targeting: null, dayparting: null, timezone: 'UTC' }
+      ]);
+
+      const response = await request(app).get('/api/public/widget/shop');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.widgets.map((widget) => widget.targeting)).toEqual([targeting, null]);
+    });
+  });
+});
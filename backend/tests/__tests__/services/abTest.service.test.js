@@ -0,0 +1,229 @@
+/**
+ * A/B Test Service Tests
+ * Unit tests for result statistics and winner promotion
+ */
+
+const mockPrisma = require('../../__mocks__/prisma');
+
+// Mock Prisma before importing service
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma),
+  Prisma: { DbNull: 'DbNull' },
+}));
+
+const abTestService = require('../../../src/services/abTest.service');
+const { statistics } = require('../../../src/utils');
+
+const buildVariant = (key, position, overrides = {}) => ({
+  id: `variant-${key}`,
+  testId: 'test-123',
+  key,
+  name: null,
+  position,
+  weight: 1,
+  settings: {},
+  impressions: 5000,
+  clicks: 400,
+  conversions: 100,
+  ...overrides
+});
+
+const buildWidget = (overrides = {}) => ({
+  id: 'widget-123',
+  customerId: 'cust-123',
+  name: 'Carousel',
+  settings: { title: 'Old', limit: 8 },
+  placement: null,
+  templateId: null,
+  customData: null,
+  targeting: null,
+  draft: null,
+  ...overrides
+});
+
+const buildTest = (overrides = {}) => ({
+  id: 'test-123',
+  customerId: 'cust-123',
+  name: 'Title test',
+  widgetId: 'widget-123',
+  isActive: true,
+  startDate: new Date('2026-10-01T00:00:00Z'),
+  endDate: null,
+  variants: [
+    buildVariant('A', 0, { name: 'Control', settings: { title: 'Old' } }),
+    buildVariant('B', 1, { name: 'New title', settings: { title: 'New' }, clicks: 420, conversions: 160 })
+  ],
+  goal: 'conversion',
+  confidenceLevel: 0.95,
+  minSampleSize: 1000,
+  autoPromote: true,
+  winner: null,
+  ...overrides
+});
+
+describe('Statistics utils', () => {
+  it('should approximate the standard normal distribution', () => {
+    expect(statistics.normalCdf(0)).toBeCloseTo(0.5, 6);
+    expect(statistics.normalCdf(1.959964)).toBeCloseTo(0.975, 5);
+    expect(statistics.normalQuantile(0.975)).toBeCloseTo(1.96, 2);
+  });
+
+  it('should compute a Wilson interval around the observed rate', () => {
+    const { lower, upper } = statistics.wilsonInterval(100, 5000, 0.95);
+
+    expect(lower).toBeLessThan(0.02);
+    expect(upper).toBeGreaterThan(0.02);
+    expect(lower).toBeCloseTo(0.0165, 3);
+    expect(upper).toBeCloseTo(0.0243, 3);
+  });
+
+  it('should return a neutral z-test when a variant has no traffic', () => {
+    expect(statistics.twoProportionZTest(
+      { successes: 0, trials: 0 },
+      { successes: 5, trials: 100 }
+    )).toEqual({ z: 0, pValue: 1 });
+  });
+});
+
+describe('A/B Test Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getResults', () => {
+    it('should report a significant winner once the sample size is reached', async () => {
+      mockPrisma.aBTest.findUnique.mockResolvedValue(buildTest());
+
+      const results = await abTestService.getResults('test-123');
+
+      expect(results.control).toBe('A');
+      expect(results.variants[0]).toMatchObject({ key: 'A', goalRate: 2, weight: 0.5, comparison: null });
+      expect(results.variants[1]).toMatchObject({ key: 'B', goalRate: 3.2 });
+      expect(results.variants[1].confidenceInterval.lower).toBeLessThan(3.2);
+      expect(results.variants[1].comparison).toMatchObject({ uplift: 60, significant: true });
+      expect(results.variants[1].comparison.pValue).toBeLessThan(0.05);
+      expect(results.variants[1].comparison.probabilityToBeatControl).toBeGreaterThan(0.99);
+      expect(results).toMatchObject({ minSampleReached: true, winner: 'B' });
+    });
+
+    it('should not declare a winner below the minimum sample size', async () => {
+      mockPrisma.aBTest.findUnique.mockResolvedValue(buildTest({ minSampleSize: 10000 }));
+
+      const results = await abTestService.getResults('test-123');
+
+      expect(results.variants[1].comparison.significant).toBe(true);
+      expect(results.minSampleReached).toBe(false);
+      expect(results.winner).toBeNull();
+    });
+
+    it('should use clicks as successes for click goals', async () => {
+      mockPrisma.aBTest.findUnique.mockResolvedValue(buildTest({ goal: 'click' }));
+
+      const results = await abTestService.getResults('test-123');
+
+      expect(results.variants[0].goalRate).toBe(8);
+      expect(results.variants[1].comparison.significant).toBe(false);
+      expect(results.winner).toBeNull();
+    });
+
+    it('should compare every variant with the control in A/B/n tests', async () => {
+      mockPrisma.aBTest.findUnique.mockResolvedValue(buildTest({
+        variants: [
+          buildVariant('A', 0),
+          buildVariant('B', 1, { conversions: 115 }),
+          buildVariant('C', 2, { conversions: 160, weight: 2 })
+        ]
+      }));
+
+      const results = await abTestService.getResults('test-123');
+
+      expect(results.variants.map((v) => v.weight)).toEqual([0.25, 0.25, 0.5]);
+      expect(results.variants[1].comparison.significant).toBe(false);
+      expect(results.variants[2].comparison.significant).toBe(true);
+      expect(results.winner).toBe('C');
+    });
+  });
+
+  describe('evaluateAutoPromotion', () => {
+    it('should merge the winning variant into the widget and end the test', async () => {
+      mockPrisma.aBTest.findUnique.mockResolvedValue(buildTest());
+      mockPrisma.widgetConfig.findUnique.mockResolvedValue(buildWidget());
+      mockPrisma.widgetConfig.update.mockImplementation(({ data }) => Promise.resolve(buildWidget(data)));
+      mockPrisma.aBTest.update.mockImplementation(({ data }) => ({ ...buildTest(), ...data }));
+      mockPrisma.configVersion.findFirst.mockResolvedValue({ version: 2 });
+
+      const test = await abTestService.evaluateAutoPromotion('test-123');
+
+      expect(mockPrisma.widgetConfig.update).toHaveBeenCalledWith({
+        where: { id: 'widget-123' },
+        data: { settings: { title: 'New', limit: 8 } }
+      });
+      expect(test).toMatchObject({ isActive: false, winner: 'B' });
+      expect(test.endDate).toBeInstanceOf(Date);
+    });
+
+    it('should version and audit the promoted widget', async () => {
+      mockPrisma.aBTest.findUnique.mockResolvedValue(buildTest());
+      mockPrisma.widgetConfig.findUnique.mockResolvedValue(buildWidget());
+      mockPrisma.widgetConfig.update.mockImplementation(({ data }) => Promise.resolve(buildWidget(data)));
+      mockPrisma.aBTest.update.mockImplementation(({ data }) => ({ ...buildTest(), ...data }));
+      mockPrisma.configVersion.findFirst.mockResolvedValue({ version: 2 });
+
+      await abTestService.promote('test-123', 'B');
+
+      expect(mockPrisma.configVersion.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          entityType: 'widget',
+          entityId: 'widget-123',
+          version: 3,
+          snapshot: expect.objectContaining({ settings: { title: 'Old', limit: 8 } })
+        })
+      });
+      expect(mockPrisma.auditLog.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ action: 'update', entityType: 'widget', entityId: 'widget-123' })
+      });
+    });
+
+    it('should merge the winning variant into a pending settings draft', async () => {
+      mockPrisma.aBTest.findUnique.mockResolvedValue(buildTest());
+      mockPrisma.widgetConfig.findUnique.mockResolvedValue(buildWidget({
+        draft: { name: 'Carousel', settings: { title: 'Old', limit: 12 } }
+      }));
+      mockPrisma.widgetConfig.update.mockImplementation(({ data }) => Promise.resolve(buildWidget(data)));
+      mockPrisma.aBTest.update.mockImplementation(({ data }) => ({ ...buildTest(), ...data }));
+
+      await abTestService.promote('test-123', 'B');
+
+      const { data } = mockPrisma.widgetConfig.update.mock.calls[0][0];
+      expect(data.settings).toEqual({ title: 'New', limit: 8 });
+      expect(data.draft.settings).toEqual({ title: 'New', limit: 12 });
+    });
+
+    it('should skip tests without auto-promotion', async () => {
+      mockPrisma.aBTest.findUnique.mockResolvedValue(buildTest({ autoPromote: false }));
+
+      const test = await abTestService.evaluateAutoPromotion('test-123');
+
+      expect(test).toBeNull();
+      expect(mockPrisma.widgetConfig.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('evaluateAutoPromotions', () => {
+    it('should check every running auto-promoting test and keep going after failures', async () => {
+      mockPrisma.aBTest.findMany.mockResolvedValue([{ id: 'test-1' }, { id: 'test-2' }]);
+      mockPrisma.aBTest.findUnique
+        .mockRejectedValueOnce(new Error('connection lost'))
+        .mockResolvedValueOnce(buildTest({ id: 'test-2', variants: [buildVariant('A', 0), buildVariant('B', 1)] }));
+
+      const promoted = await abTestService.evaluateAutoPromotions();
+
+      expect(mockPrisma.aBTest.findMany).toHaveBeenCalledWith({
+        where: { isActive: true, autoPromote: true, widgetId: { not: null } },
+        select: { id: true }
+      });
+      expect(mockPrisma.aBTest.findUnique).toHaveBeenCalledTimes(2);
+      expect(promoted).toEqual([]);
+    });
+  });
+});
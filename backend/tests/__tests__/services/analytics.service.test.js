@@ -0,0 +1,165 @@
+/**
+ * Analytics Service Tests
+ * Unit tests for widget event batching and aggregation
+ */
+
+const mockPrisma = require('../../__mocks__/prisma');
+
+// Mock Prisma before importing service
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma),
+}));
+
+const analyticsService = require('../../../src/services/analytics.service');
+const abTestService = require('../../../src/services/abTest.service');
+const { trackEventSchema } = require('../../../src/validators/analytics.validator');
+
+describe('Analytics Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    analyticsService.buffer = [];
+    analyticsService.batchSize = 100;
+  });
+
+  describe('track', () => {
+    it('should map CDN event names to stored event types', () => {
+      expect(analyticsService.resolveEventType('view')).toBe('impression');
+      expect(analyticsService.resolveEventType('add-to-cart')).toBe('add_to_cart');
+      expect(analyticsService.resolveEventType('purchase')).toBe('conversion');
+      expect(analyticsService.resolveEventType('unknown')).toBeNull();
+    });
+
+    it('should ignore unsupported events', () => {
+      const queued = analyticsService.track('cust-123', { event: 'hover' });
+
+      expect(queued).toBe(false);
+      expect(analyticsService.buffer).toHaveLength(0);
+    });
+
+    it('should buffer events until flushed', async () => {
+      mockPrisma.widgetEvent.createMany.mockResolvedValue({ count: 2 });
+
+      analyticsService.track('cust-123', { event: 'impression', widgetId: 'w1' });
+      analyticsService.track('cust-123', { event: 'click', widgetId: 'w1', productId: 42 });
+
+      expect(mockPrisma.widgetEvent.createMany).not.toHaveBeenCalled();
+
+      const written = await analyticsService.flush();
+
+      expect(written).toBe(2);
+      expect(mockPrisma.widgetEvent.createMany).toHaveBeenCalledTimes(1);
+
+      const { data } = mockPrisma.widgetEvent.createMany.mock.calls[0][0];
+      expect(data[1]).toMatchObject({
+        customerId: 'cust-123',
+        type: 'click',
+        widgetId: 'w1',
+        productId: '42'
+      });
+      expect(analyticsService.buffer).toHaveLength(0);
+    });
+
+    it('should flush automatically when batch size is reached', async () => {
+      mockPrisma.widgetEvent.createMany.mockResolvedValue({ count: 2 });
+      analyticsService.batchSize = 2;
+
+      analyticsService.track('cust-123', { event: 'impression' });
+      analyticsService.track('cust-123', { event: 'impression' });
+
+      await analyticsService.flush();
+
+      expect(mockPrisma.widgetEvent.createMany).toHaveBeenCalledTimes(1);
+      expect(mockPrisma.widgetEvent.createMany.mock.calls[0][0].data).toHaveLength(2);
+    });
+
+    it('should only count A/B events from chunks that were written', async () => {
+      const incrementCounters = jest.spyOn(abTestService, 'incrementCounters').mockResolvedValue();
+      mockPrisma.widgetEvent.createMany
+        .mockRejectedValueOnce(new Error('connection lost'))
+        .mockResolvedValueOnce({ count: 2 });
+
+      const ab = { abTestId: 'test-1', variant: 'B' };
+      analyticsService.track('cust-123', { event: 'impression', ...ab });
+      analyticsService.track('cust-123', { event: 'click', ...ab });
+      analyticsService.track('cust-123', { event: 'impression', ...ab });
+      analyticsService.track('cust-123', { event: 'impression', ...ab });
+      analyticsService.batchSize = 2;
+
+      const written = await analyticsService.flush();
+
+      expect(written).toBe(2);
+      expect(incrementCounters).toHaveBeenCalledTimes(1);
+      expect(incrementCounters).toHaveBeenCalledWith('cust-123', 'test-1', 'B', { impression: 2 });
+
+      incrementCounters.mockRestore();
+    });
+
+    it('should keep client timestamps within a day and use server time otherwise', () => {
+      const now = Date.now();
+      const hourAgo = now - 60 * 60 * 1000;
+
+      analyticsService.track('cust-123', { event: 'impression', timestamp: hourAgo });
+      analyticsService.track('cust-123', { event: 'impression', timestamp: 1e16 });
+      analyticsService.track('cust-123', { event: 'impression', timestamp: now - 3 * 24 * 60 * 60 * 1000 });
+
+      const [recent, future, stale] = analyticsService.buffer.map((event) => event.createdAt);
+      expect(recent.getTime()).toBe(hourAgo);
+      expect(future.getTime()).toBeGreaterThanOrEqual(now);
+      expect(future.getTime()).toBeLessThan(now + 60 * 1000);
+      expect(stale.getTime()).toBeGreaterThanOrEqual(now);
+    });
+  });
+
+  describe('event validation', () => {
+    it('should reject values that do not fit the value column', () => {
+      const event = (value) => ({ params: { slug: 'shop' }, body: { event: 'purchase', value } });
+
+      expect(trackEventSchema.safeParse(event(99999999.99)).success).toBe(true);
+      expect(trackEventSchema.safeParse(event(100000000)).success).toBe(false);
+    });
+  });
+
+  describe('getWidgetAggregates', () => {
+    it('should throw when customer does not exist', async () => {
+      mockPrisma.customer.findUnique.mockResolvedValue(null);
+
+      await expect(
+        analyticsService.getWidgetAggregates('missing')
+      ).rejects.toThrow();
+    });
+
+    it('should group rows per widget into zero-filled buckets', async () => {
+      mockPrisma.customer.findUnique.mockResolvedValue({ id: 'cust-123' });
+      mockPrisma.$queryRaw.mockResolvedValue([
+        { widgetId: 'w1', bucket: new Date('2026-10-01T00:00:00Z'), type: 'impression', count: 100, revenue: 0 },
+        { widgetId: 'w1', bucket: new Date('2026-10-01T00:00:00Z'), type: 'click', count: 10, revenue: 0 },
+        { widgetId: 'w1', bucket: new Date('2026-10-02T00:00:00Z'), type: 'conversion', count: 2, revenue: 150.5 }
+      ]);
+      mockPrisma.widgetConfig.findMany.mockResolvedValue([
+        { id: 'w1', name: 'Homepage Carousel', type: 'carousel' }
+      ]);
+
+      const report = await analyticsService.getWidgetAggregates('cust-123', {
+        from: '2026-10-01T00:00:00Z',
+        to: '2026-10-04T00:00:00Z',
+        interval: 'day'
+      });
+
+      expect(report.interval).toBe('day');
+      expect(report.widgets).toHaveLength(1);
+
+      const [widget] = report.widgets;
+      expect(widget.name).toBe('Homepage Carousel');
+      expect(widget.buckets).toHaveLength(3);
+      expect(widget.buckets[2]).toMatchObject({ impressions: 0, clicks: 0, conversions: 0 });
+      expect(widget.totals).toMatchObject({
+        impressions: 100,
+        clicks: 10,
+        conversions: 2,
+        revenue: 150.5,
+        ctr: 10,
+        conversionRate: 20
+      });
+    });
+  });
+});
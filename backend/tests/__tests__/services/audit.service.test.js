@@ -0,0 +1,141 @@
+/**
+ * Audit Service Tests
+ * Unit tests for audit trail recording and querying
+ */
+
+const mockPrisma = require('../../__mocks__/prisma');
+
+// Mock Prisma before importing service
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma),
+}));
+
+const auditService = require('../../../src/services/audit.service');
+const widgetService = require('../../../src/services/widget.service');
+const { requestContext } = require('../../../src/utils');
+
+const buildRequest = () => ({
+  user: { id: 'user-123' },
+  ip: '10.0.0.1',
+  get: (header) => (header === 'user-agent' ? 'jest-agent' : undefined)
+});
+
+describe('Audit Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrisma.auditLog.create.mockImplementation(({ data }) => Promise.resolve(data));
+  });
+
+  describe('record', () => {
+    it('should attach request user, IP address and user agent', async () => {
+      await requestContext.run({ req: buildRequest() }, () => auditService.record({
+        action: 'create',
+        entityType: 'widget',
+        entityId: 'widget-123',
+        newValues: { id: 'widget-123', name: 'Carousel' }
+      }));
+
+      expect(mockPrisma.auditLog.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          userId: 'user-123',
+          ipAddress: '10.0.0.1',
+          userAgent: 'jest-agent',
+          newValues: { id: 'widget-123', name: 'Carousel' }
+        })
+      });
+    });
+
+    it('should only keep changed fields on update and redact secrets', async () => {
+      const log = await auditService.record({
+        action: 'update',
+        entityType: 'customer',
+        entityId: 'cust-123',
+        oldValues: { id: 'cust-123', name: 'Shop', apiKey: 'old-key', updatedAt: new Date(1) },
+        newValues: { id: 'cust-123', name: 'Shop', apiKey: 'new-key', updatedAt: new Date(2) }
+      });
+
+      expect(log.oldValues).toEqual({ apiKey: '[REDACTED]' });
+      expect(log.newValues).toEqual({ apiKey: '[REDACTED]' });
+      expect(log.userId).toBeNull();
+    });
+
+    it('should skip updates without changes', async () => {
+      const log = await auditService.record({
+        action: 'update',
+        entityType: 'theme',
+        entityId: 'theme-123',
+        oldValues: { id: 'theme-123', name: 'Dark' },
+        newValues: { id: 'theme-123', name: 'Dark' }
+      });
+
+      expect(log).toBeNull();
+      expect(mockPrisma.auditLog.create).not.toHaveBeenCalled();
+    });
+
+    it('should not fail the audited operation when the write fails', async () => {
+      mockPrisma.auditLog.create.mockRejectedValue(new Error('db down'));
+
+      await expect(auditService.record({
+        action: 'delete',
+        entityType: 'feed',
+        entityId: 'feed-123',
+        oldValues: { id: 'feed-123' }
+      })).resolves.toBeNull();
+    });
+
+    it('should be written by service mutations', async () => {
+      mockPrisma.widgetConfig.findUnique.mockResolvedValue({
+        id: 'widget-123',
+        customerId: 'cust-123',
+        isActive: true
+      });
+      mockPrisma.widgetConfig.update.mockResolvedValue({
+        id: 'widget-123',
+        customerId: 'cust-123',
+        isActive: false
+      });
+
+      await widgetService.toggleActive('widget-123');
+
+      expect(mockPrisma.auditLog.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          action: 'update',
+          entityType: 'widget',
+          entityId: 'widget-123',
+          oldValues: { isActive: true },
+          newValues: { isActive: false }
+        })
+      });
+    });
+  });
+
+  describe('getAll', () => {
+    it('should filter, paginate and attach users', async () => {
+      mockPrisma.auditLog.count.mockResolvedValue(1);
+      mockPrisma.auditLog.findMany.mockResolvedValue([
+        { id: 'log-1', userId: 'user-123', action: 'update', entityType: 'widget' }
+      ]);
+      mockPrisma.user.findMany.mockResolvedValue([
+        { id: 'user-123', email: 'admin@example.com', firstName: 'Ada', lastName: null }
+      ]);
+
+      const result = await auditService.getAll({
+        entityType: 'widget',
+        from: '2026-10-01T00:00:00Z',
+        page: 2,
+        limit: 10
+      });
+
+      expect(mockPrisma.auditLog.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: {
+          entityType: 'widget',
+          createdAt: { gte: new Date('2026-10-01T00:00:00Z') }
+        },
+        skip: 10,
+        take: 10
+      }));
+      expect(result.data[0].user.email).toBe('admin@example.com');
+      expect(result.pagination).toMatchObject({ total: 1, page: 2, limit: 10 });
+    });
+  });
+});
@@ -0,0 +1,258 @@
+/**
+ * Draft Service Tests
+ * Unit tests for drafts, publishing and preview tokens
+ */
+
+const mockPrisma = require('../../__mocks__/prisma');
+
+// Mock Prisma before importing service
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma),
+  Prisma: { DbNull: 'DbNull' },
+}));
+
+const draftService = require('../../../src/services/draft.service');
+const widgetService = require('../../../src/services/widget.service');
+
+const buildWidget = (overrides = {}) => ({
+  id: 'widget-123',
+  customerId: 'cust-123',
+  name: 'Carousel',
+  type: 'carousel',
+  settings: { limit: 4, title: 'New' },
+  placement: '#home',
+  templateId: null,
+  customData: null,
+  targeting: null,
+  isActive: true,
+  priority: 0,
+  draft: null,
+  ...overrides
+});
+
+const buildContent = (overrides = {}) => ({
+  name: 'Carousel',
+  settings: { limit: 4, title: 'New' },
+  placement: '#home',
+  templateId: null,
+  customData: null,
+  targeting: null,
+  ...overrides
+});
+
+describe('Draft Service', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    mockPrisma.$transaction.mockImplementation((arg) => (
+      typeof arg === 'function' ? arg(mockPrisma) : Promise.all(arg)
+    ));
+    mockPrisma.customer.findUnique.mockResolvedValue({ id: 'cust-123', publishedAt: null });
+    mockPrisma.widgetConfig.findMany.mockResolvedValue([]);
+    mockPrisma.theme.findMany.mockResolvedValue([]);
+    mockPrisma.customTemplate.findMany.mockResolvedValue([]);
+  });
+
+  describe('widget update', () => {
+    it('should save content changes as a draft and apply status changes live', async () => {
+      mockPrisma.widgetConfig.findUnique.mockResolvedValue(buildWidget());
+      mockPrisma.widgetConfig.update.mockImplementation(({ data }) => Promise.resolve(buildWidget(data)));
+
+      await widgetService.update('widget-123', { settings: { limit: 8 }, priority: 5 });
+
+      expect(mockPrisma.widgetConfig.update).toHaveBeenCalledWith({
+        where: { id: 'widget-123' },
+        data: {
+          priority: 5,
+          draft: {
+            name: 'Carousel',
+            settings: { limit: 8, title: 'New' },
+            placement: '#home',
+            templateId: null,
+            customData: null,
+            targeting: null
+          }
+        },
+        include: { template: true }
+      });
+    });
+
+    it('should merge settings into an existing draft', async () => {
+      mockPrisma.widgetConfig.findUnique.mockResolvedValue(buildWidget({
+        draft: { name: 'Draft name', settings: { limit: 8, title: 'New' }, placement: '#home' }
+      }));
+      mockPrisma.widgetConfig.update.mockImplementation(({ data }) => Promise.resolve(buildWidget(data)));
+
+      await widgetService.update('widget-123', { settings: { title: 'Fresh' } });
+
+      expect(mockPrisma.widgetConfig.update.mock.calls[0][0].data.draft).toMatchObject({
+        name: 'Draft name',
+        settings: { limit: 8, title: 'Fresh' }
+      });
+    });
+
+    it('should clear the draft when content matches the live version again', async () => {
+      mockPrisma.widgetConfig.findUnique.mockResolvedValue(buildWidget({
+        draft: { name: 'Draft name' }
+      }));
+      mockPrisma.widgetConfig.update.mockImplementation(({ data }) => Promise.resolve(buildWidget(data)));
+
+      await widgetService.update('widget-123', { name: 'Carousel' });
+
+      expect(mockPrisma.widgetConfig.update.mock.calls[0][0].data.draft).toBe('DbNull');
+    });
+  });
+
+  describe('getPending', () => {
+    it('should list drafted entities with their changed fields', async () => {
+      mockPrisma.customer.findUnique.mockResolvedValue({ id: 'cust-123', publishedAt: null });
+      mockPrisma.widgetConfig.findMany.mockResolvedValue([
+        buildWidget({ draft: buildContent({ settings: { limit: 8, title: 'New' } }) })
+      ]);
+
+      const pending = await draftService.getPending('cust-123');
+
+      expect(mockPrisma.widgetConfig.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { customerId: 'cust-123', draft: { not: 'DbNull' } }
+      }));
+      expect(pending.total).toBe(1);
+      expect(pending.widgets).toEqual([
+        expect.objectContaining({ id: 'widget-123', fields: ['settings'] })
+      ]);
+    });
+
+    it('should throw when the customer does not exist', async () => {
+      mockPrisma.customer.findUnique.mockResolvedValue(null);
+
+      await expect(draftService.getPending('missing')).rejects.toThrow("Customer with identifier 'missing' not found");
+    });
+  });
+
+  describe('publish', () => {
+    it('should apply drafts, clear them and record a version', async () => {
+      const drafted = buildWidget({ draft: buildContent({ name: 'Summer carousel' }) });
+      mockPrisma.widgetConfig.findMany.mockResolvedValue([drafted]);
+      mockPrisma.widgetConfig.update.mockImplementation(({ data }) => Promise.resolve(
+        buildWidget({ ...data, customData: null, draft: null })
+      ));
+      mockPrisma.configVersion.findFirst.mockResolvedValue(null);
+      mockPrisma.configVersion.create.mockImplementation(({ data }) => Promise.resolve(data));
+
+      const summary = await draftService.publish('cust-123');
+
+      expect(mockPrisma.widgetConfig.update).toHaveBeenCalledWith({
+        where: { id: 'widget-123' },
+        data: {
+          name: 'Summer carousel',
+          settings: { limit: 4, title: 'New' },
+          placement: '#home',
+          templateId: null,
+          customData: 'DbNull',
+          targeting: 'DbNull',
+          draft: 'DbNull'
+        }
+      });
+      expect(mockPrisma.customer.update).toHaveBeenCalledWith({
+        where: { id: 'cust-123' },
+        data: { publishedAt: expect.any(Date) }
+      });
+      expect(mockPrisma.configVersion.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          entityType: 'widget',
+          version: 1,
+          snapshot: expect.objectContaining({ name: 'Carousel' })
+        })
+      });
+      expect(summary).toMatchObject({ widgets: 1, themes: 0, templates: 0 });
+    });
+
+    it('should refuse to publish a widget draft whose template was deleted', async () => {
+      mockPrisma.widgetConfig.findMany.mockResolvedValue([
+        buildWidget({ type: 'custom', draft: buildContent({ templateId: 'tpl-gone' }) })
+      ]);
+      mockPrisma.customTemplate.findUnique.mockResolvedValue(null);
+
+      await expect(draftService.publish('cust-123')).rejects.toThrow('template no longer exists');
+      expect(mockPrisma.customer.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('discard', () => {
+    it('should clear drafts of every entity type', async () => {
+      mockPrisma.widgetConfig.updateMany.mockResolvedValue({ count: 2 });
+      mockPrisma.theme.updateMany.mockResolvedValue({ count: 1 });
+      mockPrisma.customTemplate.updateMany.mockResolvedValue({ count: 0 });
+
+      const counts = await draftService.discard('cust-123');
+
+      expect(mockPrisma.widgetConfig.updateMany).toHaveBeenCalledWith({
+        where: { customerId: 'cust-123', draft: { not: 'DbNull' } },
+        data: { draft: 'DbNull' }
+      });
+      expect(counts).toEqual({ widgets: 2, themes: 1, templates: 0 });
+    });
+
+    it('should audit the discarded counts', async () => {
+      mockPrisma.widgetConfig.updateMany.mockResolvedValue({ count: 2 });
+      mockPrisma.theme.updateMany.mockResolvedValue({ count: 1 });
+      mockPrisma.customTemplate.updateMany.mockResolvedValue({ count: 0 });
+
+      await draftService.discard('cust-123');
+
+      expect(mockPrisma.auditLog.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          action: 'update',
+          entityType: 'customer',
+          entityId: 'cust-123',
+          oldValues: { drafts: { widgets: 2, themes: 1, templates: 0 } },
+          newValues: { drafts: { widgets: 0, themes: 0, templates: 0 } }
+        })
+      });
+    });
+
+    it('should not audit when there were no drafts', async () => {
+      mockPrisma.widgetConfig.updateMany.mockResolvedValue({ count: 0 });
+      mockPrisma.theme.updateMany.mockResolvedValue({ count: 0 });
+      mockPrisma.customTemplate.updateMany.mockResolvedValue({ count: 0 });
+
+      await draftService.discard('cust-123');
+
+      expect(mockPrisma.auditLog.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('preview tokens', () => {
+    it('should verify tokens for the customer they were issued to', async () => {
+      const { token, expiresAt } = await draftService.createPreviewToken('cust-123');
+
+      expect(new Date(expiresAt).getTime()).toBeGreaterThan(Date.now());
+      expect(draftService.verifyPreviewToken(token, 'cust-123')).toMatchObject({
+        customerId: 'cust-123',
+        type: 'preview'
+      });
+    });
+
+    it('should reject tokens of another customer', async () => {
+      const { token } = await draftService.createPreviewToken('cust-123');
+
+      expect(() => draftService.verifyPreviewToken(token, 'cust-999')).toThrow('Preview token is not valid');
+    });
+
+    it('should reject malformed tokens', () => {
+      expect(() => draftService.verifyPreviewToken('not-a-token', 'cust-123')).toThrow('Invalid or malformed token');
+    });
+  });
+
+  describe('preview config', () => {
+    it('should serve drafted content only in preview mode', async () => {
+      mockPrisma.widgetConfig.findMany.mockResolvedValue([
+        buildWidget({ draft: buildContent({ settings: { limit: 12 } }), template: null })
+      ]);
+
+      const [widget] = await widgetService.getActiveWidgets('cust-123', { preview: true });
+
+      expect(widget.settings).toEqual({ limit: 12 });
+      expect(widget).not.toHaveProperty('draft');
+      expect(mockPrisma.widgetConfig.findMany.mock.calls[0][0].select.draft).toBe(true);
+    });
+  });
+});
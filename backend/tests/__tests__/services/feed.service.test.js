@@ -0,0 +1,385 @@
+/**
+ * Feed Service Tests
+ * Unit tests for feed previews, validation reports, sync history, conditional
+ * sync validators, source credentials, supplemental feeds and field mapping
+ * validation
+ */
+
+process.env.FEED_CREDENTIALS_KEY = 'test-feed-credentials-key-32char';
+
+const mockPrisma = require('../../__mocks__/prisma');
+
+// Mock Prisma before importing service
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma),
+  Prisma: { DbNull: 'DbNull' },
+}));
+
+const feedService = require('../../../src/services/feed.service');
+const config = require('../../../src/config');
+const { crypto } = require('../../../src/utils');
+const { fieldMappingSchema } = require('../../../src/validators/feed.validator');
+
+const openSealed = ({ encrypted, iv, tag }) =>
+  JSON.parse(crypto.encryption.decrypt(encrypted, iv, tag, process.env.FEED_CREDENTIALS_KEY));
+
+const buildFeed = (overrides = {}) => ({
+  id: 'feed-123',
+  customerId: 'cust-123',
+  url: 'https://shop.example.com/feed.xml',
+  format: 'google',
+  role: 'primary',
+  fieldMapping: { brand: 'g:custom_label_0' },
+  ...overrides
+});
+
+const parserResponse = (status, body) => ({
+  ok: status < 400,
+  status,
+  json: () => Promise.resolve(body)
+});
+
+describe('Feed Service', () => {
+  const originalFetch = global.fetch;
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    global.fetch = jest.fn();
+    mockPrisma.xmlFeed.findUnique.mockResolvedValue(buildFeed());
+  });
+
+  afterAll(() => {
+    global.fetch = originalFetch;
+  });
+
+  describe('sync runs', () => {
+    it('should list runs of a feed newest first', async () => {
+      const runs = [{ id: 'run-2', status: 'error' }, { id: 'run-1', status: 'success' }];
+      mockPrisma.feedSyncRun.count.mockResolvedValue(2);
+      mockPrisma.feedSyncRun.findMany.mockResolvedValue(runs);
+
+      const result = await feedService.getSyncRuns('feed-123', { limit: 20 });
+
+      expect(result.data).toEqual(runs);
+      expect(result.pagination).toMatchObject({ total: 2, page: 1, limit: 20 });
+      expect(mockPrisma.feedSyncRun.findMany).toHaveBeenCalledWith({
+        where: { feedId: 'feed-123' },
+        skip: 0,
+        take: 20,
+        orderBy: { startedAt: 'desc' }
+      });
+    });
+
+    it('should filter runs by status', async () => {
+      mockPrisma.feedSyncRun.count.mockResolvedValue(0);
+      mockPrisma.feedSyncRun.findMany.mockResolvedValue([]);
+
+      await feedService.getSyncRuns('feed-123', { status: 'error' });
+
+      expect(mockPrisma.feedSyncRun.count).toHaveBeenCalledWith({ where: { feedId: 'feed-123', status: 'error' } });
+    });
+
+    it('should not return runs of another feed', async () => {
+      mockPrisma.feedSyncRun.findFirst.mockResolvedValue(null);
+
+      await expect(feedService.getSyncRun('feed-123', 'run-9')).rejects.toMatchObject({ statusCode: 404 });
+      expect(mockPrisma.feedSyncRun.findFirst).toHaveBeenCalledWith({ where: { id: 'run-9', feedId: 'feed-123' } });
+    });
+  });
+
+  describe('conditional sync validators', () => {
+    beforeEach(() => {
+      mockPrisma.xmlFeed.update.mockResolvedValue(buildFeed());
+    });
+
+    it('should drop validators when the feed source changes', async () => {
+      await feedService.update('feed-123', { fieldMapping: null });
+
+      expect(mockPrisma.xmlFeed.update).toHaveBeenCalledWith({
+        where: { id: 'feed-123' },
+        data: { fieldMapping: 'DbNull', etag: null, lastModified: null }
+      });
+    });
+
+    it('should keep validators when only the schedule changes', async () => {
+      await feedService.update('feed-123', { name: 'Ana feed', syncInterval: 30 });
+
+      const { data } = mockPrisma.xmlFeed.update.mock.calls[0][0];
+      expect(data).toMatchObject({ name: 'Ana feed', syncInterval: 30 });
+      expect(data).not.toHaveProperty('etag');
+    });
+
+    it('should force a full download on manual sync', async () => {
+      await feedService.triggerSync('feed-123');
+
+      expect(mockPrisma.xmlFeed.update.mock.calls[0][0].data).toMatchObject({
+        status: 'syncing',
+        etag: null,
+        lastModified: null
+      });
+    });
+  });
+
+  describe('source credentials', () => {
+    const credentials = { username: 'magaza', password: 'gizli', headers: { 'X-Api-Key': 'abc' } };
+
+    beforeEach(() => {
+      mockPrisma.customer.findUnique.mockResolvedValue({ id: 'cust-123' });
+      mockPrisma.xmlFeed.create.mockImplementation(async ({ data }) => ({ id: 'feed-123', ...data }));
+      mockPrisma.xmlFeed.update.mockImplementation(async ({ data }) => buildFeed(data));
+    });
+
+    it('should store credentials encrypted', async () => {
+      await feedService.create('cust-123', { name: 'Ana feed', url: 'sftp://shop.example.com/feed.zip', credentials });
+
+      const { data } = mockPrisma.xmlFeed.create.mock.calls[0][0];
+      expect(data.credentials).toEqual({
+        encrypted: expect.any(String),
+        iv: expect.any(String),
+        tag: expect.any(String)
+      });
+      expect(JSON.stringify(data.credentials)).not.toContain('gizli');
+      expect(openSealed(data.credentials)).toEqual(credentials);
+    });
+
+    it('should return a summary instead of the credentials', async () => {
+      const sealed = crypto.encryption.encrypt(JSON.stringify(credentials), process.env.FEED_CREDENTIALS_KEY);
+      mockPrisma.xmlFeed.findUnique.mockResolvedValue(buildFeed({ credentials: sealed }));
+
+      const feed = await feedService.getById('feed-123');
+
+      expect(feed.credentials).toEqual({
+        username: 'magaza',
+        hasPassword: true,
+        headerNames: ['X-Api-Key'],
+        hasPrivateKey: false,
+        unreadable: false
+      });
+    });
+
+    it('should flag credentials that no longer decrypt', async () => {
+      const sealed = crypto.encryption.encrypt(JSON.stringify(credentials), 'another-feed-credentials-key-32c');
+      mockPrisma.xmlFeed.findUnique.mockResolvedValue(buildFeed({ credentials: sealed }));
+
+      const feed = await feedService.getById('feed-123');
+
+      expect(feed.credentials).toMatchObject({ unreadable: true, username: null });
+    });
+
+    it('should remove credentials with null and force a full download', async () => {
+      mockPrisma.xmlFeed.update.mockResolvedValue(buildFeed({ credentials: null }));
+
+      const feed = await feedService.update('feed-123', { credentials: null });
+
+      expect(mockPrisma.xmlFeed.update.mock.calls[0][0].data).toEqual({
+        credentials: 'DbNull',
+        etag: null,
+        lastModified: null
+      });
+      expect(feed.credentials).toBeNull();
+    });
+
+    it('should refuse to store credentials without an encryption key', async () => {
+      const { key } = config.feedCredentials;
+      config.feedCredentials.key = '';
+
+      try {
+        await expect(feedService.update('feed-123', { credentials })).rejects.toMatchObject({ statusCode: 500 });
+        expect(mockPrisma.xmlFeed.update).not.toHaveBeenCalled();
+      } finally {
+        config.feedCredentials.key = key;
+      }
+    });
+
+    it('should pass encrypted credentials to the parser', async () => {
+      const sealed = crypto.encryption.encrypt(JSON.stringify(credentials), process.env.FEED_CREDENTIALS_KEY);
+      mockPrisma.xmlFeed.findUnique.mockResolvedValue(buildFeed({ credentials: sealed }));
+      global.fetch.mockResolvedValue(parserResponse(200, { success: true, data: {} }));
+
+      await feedService.preview('feed-123', { limit: 5 });
+
+      expect(JSON.parse(global.fetch.mock.calls[0][1].body).credentials).toEqual(sealed);
+    });
+  });
+
+  describe('supplemental feeds', () => {
+    const supplemental = buildFeed({ role: 'supplemental', mergeFields: ['price', 'availability'] });
+
+    beforeEach(() => {
+      mockPrisma.customer.findUnique.mockResolvedValue({ id: 'cust-123' });
+      mockPrisma.xmlFeed.update.mockImplementation(async ({ data }) => buildFeed({ role: 'primary', ...data }));
+    });
+
+    it('should require merge fields for a supplemental feed', async () => {
+      await expect(
+        feedService.create('cust-123', { name: 'Stok', url: 'https://shop.example.com/stok.csv', role: 'supplemental' })
+      ).rejects.toMatchObject({ statusCode: 400 });
+      expect(mockPrisma.xmlFeed.create).not.toHaveBeenCalled();
+    });
+
+    it('should rewrite merged products when merge rules change', async () => {
+      mockPrisma.xmlFeed.findUnique.mockResolvedValue(supplemental);
+      mockPrisma.xmlFeed.update.mockResolvedValue({ ...supplemental, priority: 2 });
+
+      await feedService.update('feed-123', { priority: 2 });
+
+      expect(mockPrisma.xmlFeed.updateMany).toHaveBeenCalledWith({
+        where: { customerId: 'cust-123', role: 'primary' },
+        data: { etag: null, lastModified: null }
+      });
+      expect(mockPrisma.product.updateMany).toHaveBeenCalledWith({
+        where: { customerId: 'cust-123' },
+        data: { contentHash: null }
+      });
+    });
+
+    it('should leave products alone when a primary feed is renamed', async () => {
+      await feedService.update('feed-123', { name: 'Ana feed' });
+
+      expect(mockPrisma.xmlFeed.updateMany).not.toHaveBeenCalled();
+      expect(mockPrisma.product.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should deactivate the products of a feed that becomes supplemental', async () => {
+      mockPrisma.xmlFeed.update.mockResolvedValue({ ...supplemental });
+
+      await feedService.update('feed-123', { role: 'supplemental', mergeFields: ['price'] });
+
+      expect(mockPrisma.product.updateMany).toHaveBeenCalledWith({
+        where: { feedId: 'feed-123' },
+        data: { isActive: false }
+      });
+    });
+
+    it('should rewrite merged products when a supplemental feed is deleted', async () => {
+      mockPrisma.xmlFeed.findUnique.mockResolvedValue(supplemental);
+
+      await feedService.delete('feed-123');
+
+      expect(mockPrisma.xmlFeed.delete).toHaveBeenCalledWith({ where: { id: 'feed-123' } });
+      expect(mockPrisma.xmlFeed.updateMany).toHaveBeenCalled();
+    });
+
+    it('should preview supplemental items as partial products', async () => {
+      mockPrisma.xmlFeed.findUnique.mockResolvedValue(supplemental);
+      global.fetch.mockResolvedValue(parserResponse(200, { success: true, data: {} }));
+
+      await feedService.preview('feed-123', {});
+
+      expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toMatchObject({ partial: true });
+    });
+  });
+
+  describe('preview', () => {
+    const data = { format: 'google', items: [{ source: {}, product: { id: '1' }, valid: true }] };
+
+    it('should preview the feed URL with its saved settings', async () => {
+      global.fetch.mockResolvedValue(parserResponse(200, { success: true, data }));
+
+      const result = await feedService.preview('feed-123', { limit: 5 });
+
+      expect(result).toEqual(data);
+      const [url, request] = global.fetch.mock.calls[0];
+      expect(url).toBe('http://localhost:4100/preview');
+      expect(JSON.parse(request.body)).toEqual({
+        url: 'https://shop.example.com/feed.xml',
+        format: 'google',
+        fieldMapping: { brand: 'g:custom_label_0' },
+        limit: 5
+      });
+    });
+
+    it('should preview pasted content with unsaved settings', async () => {
+      global.fetch.mockResolvedValue(parserResponse(200, { success: true, data }));
+
+      await feedService.preview('feed-123', { content: 'id,title\n1,Kalem', format: 'csv', fieldMapping: null });
+
+      expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toEqual({
+        content: 'id,title\n1,Kalem',
+        format: 'csv',
+        fieldMapping: null
+      });
+    });
+
+    it('should report unreadable feeds as bad requests', async () => {
+      global.fetch.mockResolvedValue(parserResponse(422, {
+        success: false,
+        error: { message: 'XML parsing failed: Unexpected end' }
+      }));
+
+      await expect(feedService.preview('feed-123')).rejects.toMatchObject({
+        statusCode: 400,
+        message: 'XML parsing failed: Unexpected end'
+      });
+    });
+
+    it('should report an unreachable parser as unavailable', async () => {
+      global.fetch.mockRejectedValue(new TypeError('fetch failed'));
+
+      await expect(feedService.preview('feed-123')).rejects.toMatchObject({ statusCode: 503 });
+    });
+
+    it('should fail for unknown feeds', async () => {
+      mockPrisma.xmlFeed.findUnique.mockResolvedValue(null);
+
+      await expect(feedService.preview('missing')).rejects.toMatchObject({ statusCode: 404 });
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('validate', () => {
+    it('should request a validation report for the feed', async () => {
+      const report = { itemCount: 3, productCount: 2, rejectedCount: 1, rejected: [] };
+      global.fetch.mockResolvedValue(parserResponse(200, { success: true, data: report }));
+
+      const result = await feedService.validate('feed-123', { fieldMapping: null });
+
+      expect(result).toEqual(report);
+      const [url, request] = global.fetch.mock.calls[0];
+      expect(url).toBe('http://localhost:4100/validate');
+      expect(JSON.parse(request.body)).toEqual({
+        url: 'https://shop.example.com/feed.xml',
+        format: 'google',
+        fieldMapping: null
+      });
+    });
+
+    it('should report parser failures as unavailable', async () => {
+      global.fetch.mockResolvedValue(parserResponse(500, {
+        success: false,
+        error: { message: 'Internal parser error' }
+      }));
+
+      await expect(feedService.validate('feed-123')).rejects.toMatchObject({ statusCode: 503 });
+    });
+  });
+
+  describe('field mapping validation', () => {
+    it('should accept paths, fallbacks, transforms and attributes', () => {
+      const result = fieldMappingSchema.safeParse({
+        id: '@code',
+        title: ['name', 'info.title'],
+        price: { path: 'prices.price', transforms: [{ type: 'regex', pattern: '([\\d,.]+)' }, { type: 'multiply', factor: 1.2 }] },
+        availability: { path: 'stock', transforms: [{ type: 'map', values: { 0: 'out_of_stock' }, default: 'in_stock' }] },
+        currency: 'prices.price@currency',
+        'attributes.color': 'renk'
+      });
+
+      expect(result.success).toBe(true);
+      expect(fieldMappingSchema.safeParse({ price: { path: 'price', transforms: [{ type: 'regex', pattern: '^(?:TL|TRY)?\\s*([\\d.]+)(?:,(\\d+))?$' }] } }).success).toBe(true);
+    });
+
+    it('should reject unknown fields, bad patterns and unknown transforms', () => {
+      expect(fieldMappingSchema.safeParse({ color: 'renk' }).success).toBe(false);
+      expect(fieldMappingSchema.safeParse({ title: { path: 'name', transforms: [{ type: 'regex', pattern: '(' }] } }).success).toBe(false);
+      expect(fieldMappingSchema.safeParse({ title: { path: 'name', transforms: [{ type: 'regex', pattern: '^(\\w+\\s?)*$' }] } }).success).toBe(false);
+      expect(fieldMappingSchema.safeParse({ title: { path: 'name', transforms: [{ type: 'regex', pattern: '(\\w)\\1' }] } }).success).toBe(false);
+      expect(fieldMappingSchema.safeParse({ title: { path: 'name', transforms: [{ type: 'regex', pattern: '(.*a){12}$' }] } }).success).toBe(false);
+      expect(fieldMappingSchema.safeParse({ title: { path: 'name', transforms: [{ type: 'regex', pattern: '^(a|aa)+$' }] } }).success).toBe(false);
+      expect(fieldMappingSchema.safeParse({ title: { path: 'name', transforms: [{ type: 'regex', pattern: '(\\w|\\d)+$' }] } }).success).toBe(false);
+      expect(fieldMappingSchema.safeParse({ title: { path: 'name', transforms: [{ type: 'regex', pattern: '(a?){30}' }] } }).success).toBe(false);
+      expect(fieldMappingSchema.safeParse({ title: { path: 'name', transforms: [{ type: 'upper' }] } }).success).toBe(false);
+      expect(fieldMappingSchema.safeParse({ price: { path: 'price', transforms: [{ type: 'multiply', factor: 'x' }] } }).success).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,227 @@
+/**
+ * Product Service Tests
+ * Unit tests for the per-query feed cache, price history flags and
+ * variant groups
+ */
+
+const mockPrisma = require('../../__mocks__/prisma');
+
+// Mock Prisma before importing service
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma),
+  Prisma: { DbNull: 'DbNull' },
+}));
+
+const productService = require('../../../src/services/product.service');
+const { crypto } = require('../../../src/utils');
+
+const PAYLOAD = { customer: 'Elle Shoes', products: [{ id: 'SKU-1' }], total: 1 };
+const KEY = { customerId_cacheKey: { customerId: 'cust-123', cacheKey: 'products:20:' } };
+
+const entry = (productId, recordedAt, price, fields = {}) => ({
+  productId,
+  price,
+  salePrice: null,
+  stockStatus: 'in_stock',
+  recordedAt: new Date(recordedAt),
+  ...fields
+});
+
+describe('Product Service', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    jest.useFakeTimers().setSystemTime(new Date('2024-12-02T10:00:00Z'));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('getCached', () => {
+    it('should serve a fresh entry without loading products', async () => {
+      mockPrisma.feedCache.findUnique.mockResolvedValue({
+        payload: PAYLOAD,
+        checksum: 'abc',
+        updatedAt: new Date('2024-12-02T09:58:00Z')
+      });
+      const load = jest.fn();
+
+      const result = await productService.getCached('cust-123', 'products:20:', load);
+
+      expect(mockPrisma.feedCache.findUnique).toHaveBeenCalledWith({ where: KEY });
+      expect(load).not.toHaveBeenCalled();
+      expect(result).toEqual({ payload: PAYLOAD, checksum: 'abc' });
+    });
+
+    it('should rebuild missing and expired entries with a payload checksum', async () => {
+      mockPrisma.feedCache.findUnique.mockResolvedValue({
+        payload: [],
+        checksum: 'old',
+        updatedAt: new Date('2024-12-02T09:50:00Z')
+      });
+      const load = jest.fn().mockResolvedValue(PAYLOAD);
+      const checksum = crypto.hash.md5(JSON.stringify(PAYLOAD));
+
+      const result = await productService.getCached('cust-123', 'products:20:', load);
+
+      expect(result).toEqual({ payload: PAYLOAD, checksum });
+      expect(mockPrisma.feedCache.upsert).toHaveBeenCalledWith({
+        where: KEY,
+        create: { customerId: 'cust-123', cacheKey: 'products:20:', payload: PAYLOAD, checksum },
+        update: { payload: PAYLOAD, checksum }
+      });
+    });
+
+    it('should still return the payload when the cache write fails', async () => {
+      mockPrisma.feedCache.findUnique.mockResolvedValue(null);
+      mockPrisma.feedCache.upsert.mockRejectedValue(new Error('Unique constraint failed'));
+
+      const result = await productService.getCached('cust-123', 'products:20:', async () => PAYLOAD);
+
+      expect(result.payload).toEqual(PAYLOAD);
+    });
+  });
+
+  describe('invalidateCache', () => {
+    it('should clear every entry of the customer', async () => {
+      mockPrisma.feedCache.deleteMany.mockResolvedValue({ count: 3 });
+
+      await expect(productService.invalidateCache('cust-123')).resolves.toBe(3);
+      expect(mockPrisma.feedCache.deleteMany).toHaveBeenCalledWith({ where: { customerId: 'cust-123' } });
+    });
+  });
+
+  describe('getPriceSignals', () => {
+    it('should flag prices that dropped against the highest price in the window', async () => {
+      mockPrisma.productPriceHistory.findMany
+        .mockResolvedValueOnce([entry('p1', '2024-10-01T00:00:00Z', '200.00')])
+        .mockResolvedValueOnce([
+          entry('p1', '2024-11-20T00:00:00Z', '150.00'),
+          entry('p2', '2024-11-25T00:00:00Z', '100.00'),
+          entry('p2', '2024-11-28T00:00:00Z', '100.00', { salePrice: '98.00' })
+        ]);
+
+      const signals = await productService.getPriceSignals([
+        { id: 'p1', price: '200.00', salePrice: '150.00', stockStatus: 'in_stock' },
+        { id: 'p2', price: '100.00', salePrice: '98.00', stockStatus: 'in_stock' }
+      ]);
+
+      expect(signals.get('p1')).toEqual({ priceDrop: { percent: 25, days: 30 }, backInStock: false });
+      expect(signals.get('p2')).toEqual({ priceDrop: null, backInStock: false });
+      expect(mockPrisma.productPriceHistory.findMany.mock.calls[0][0]).toMatchObject({
+        where: { productId: { in: ['p1', 'p2'] }, recordedAt: { lt: new Date('2024-11-02T10:00:00Z') } },
+        distinct: ['productId']
+      });
+    });
+
+    it('should flag products that came back in stock within the restock window', async () => {
+      mockPrisma.productPriceHistory.findMany
+        .mockResolvedValueOnce([entry('p1', '2024-10-01T00:00:00Z', '50.00', { stockStatus: 'out_of_stock' })])
+        .mockResolvedValueOnce([
+          entry('p1', '2024-11-30T00:00:00Z', '50.00'),
+          entry('p2', '2024-11-10T00:00:00Z', '50.00', { stockStatus: 'out_of_stock' }),
+          entry('p2', '2024-11-15T00:00:00Z', '50.00')
+        ]);
+
+      const signals = await productService.getPriceSignals([
+        { id: 'p1', price: '50.00', salePrice: null, stockStatus: 'in_stock' },
+        { id: 'p2', price: '50.00', salePrice: null, stockStatus: 'in_stock' }
+      ]);
+
+      expect(signals.get('p1').backInStock).toBe(true);
+      expect(signals.get('p2').backInStock).toBe(false);
+    });
+
+    it('should not query history without products', async () => {
+      expect((await productService.getPriceSignals([])).size).toBe(0);
+      expect(mockPrisma.productPriceHistory.findMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getPriceHistory', () => {
+    it('should return the timeline with the row in effect when the period starts', async () => {
+      mockPrisma.product.findUnique.mockResolvedValue({ id: 'p1', title: 'Red Heels' });
+      mockPrisma.productPriceHistory.findFirst.mockResolvedValue(
+        entry('p1', '2024-08-01T00:00:00Z', '120.00', { currency: 'TRY' })
+      );
+      mockPrisma.productPriceHistory.findMany.mockResolvedValue([
+        entry('p1', '2024-11-01T00:00:00Z', '120.00', { currency: 'TRY', salePrice: '90.00' })
+      ]);
+
+      const result = await productService.getPriceHistory('p1', { days: 30 });
+
+      expect(mockPrisma.productPriceHistory.findMany.mock.calls[0][0].where).toEqual({
+        productId: 'p1',
+        recordedAt: { gte: new Date('2024-11-02T10:00:00Z') }
+      });
+      expect(result.timeline).toHaveLength(2);
+      expect(result.timeline[1]).toMatchObject({ price: 120, salePrice: 90, stockStatus: 'in_stock' });
+      expect(result).toMatchObject({ days: 30, lowestPrice: 90, highestPrice: 120 });
+    });
+
+    it('should throw for unknown products', async () => {
+      mockPrisma.product.findUnique.mockResolvedValue(null);
+
+      await expect(productService.getPriceHistory('missing')).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('groupVariants', () => {
+    it('should keep the first product of a group and attach its variants', async () => {
+      mockPrisma.productGroup.findMany.mockResolvedValue([{
+        id: 'group-1',
+        externalId: 'ELB-1',
+        variants: [
+          { id: 'v1', externalId: 'ELB-1-S', attributes: { color: 'Kirmizi', size: 'S' } },
+          { id: 'v2', externalId: 'ELB-1-M', attributes: { renk: 'Mavi', beden: 'M' } }
+        ],
+        _count: { variants: 2 }
+      }]);
+
+      const result = await productService.groupVariants('cust-123', [
+        { id: 'v2', externalId: 'ELB-1-M', groupId: 'group-1' },
+        { id: 'p9', externalId: 'CNT-9', groupId: null },
+        { id: 'v1', externalId: 'ELB-1-S', groupId: 'group-1' }
+      ]);
+
+      const query = mockPrisma.productGroup.findMany.mock.calls[0][0];
+      expect(query.where).toEqual({ customerId: 'cust-123', id: { in: ['group-1'] } });
+      expect(query.select.variants.where).toEqual({ isActive: true });
+      expect(result.map((product) => product.id)).toEqual(['v2', 'p9']);
+      expect(result[0].group).toEqual({ id: 'group-1', externalId: 'ELB-1' });
+      expect(result[0].variantCount).toBe(2);
+      expect(result[0].variants).toEqual([
+        { id: 'v1', externalId: 'ELB-1-S', color: 'Kirmizi', size: 'S' },
+        { id: 'v2', externalId: 'ELB-1-M', color: 'Mavi', size: 'M' }
+      ]);
+      expect(result[1]).not.toHaveProperty('variants');
+    });
+
+    it('should still fill the limit when variants collapse', async () => {
+      const variant = (size) => ({ id: `v-${size}`, externalId: `ELB-1-${size}`, groupId: 'group-1' });
+      mockPrisma.product.findMany.mockResolvedValueOnce([
+        variant('S'),
+        variant('M'),
+        variant('L'),
+        { id: 'p1', externalId: 'CNT-1', groupId: null },
+        { id: 'p2', externalId: 'CNT-2', groupId: 'group-2' },
+        { id: 'p3', externalId: 'CNT-3', groupId: null }
+      ]);
+      mockPrisma.productGroup.findMany.mockResolvedValueOnce([]);
+
+      const fetched = await productService.getForWidget('cust-123', { limit: productService.getGroupFetchLimit(3) });
+      const result = await productService.groupVariants('cust-123', fetched, 3);
+
+      expect(mockPrisma.product.findMany.mock.calls[0][0].take).toBe(9);
+      expect(result.map((product) => product.id)).toEqual(['v-S', 'p1', 'p2']);
+      expect(mockPrisma.productGroup.findMany.mock.calls[0][0].where.id).toEqual({ in: ['group-1', 'group-2'] });
+    });
+
+    it('should not query variants when no product has a group', async () => {
+      const products = [{ id: 'p9', externalId: 'CNT-9', groupId: null }];
+
+      await expect(productService.groupVariants('cust-123', products)).resolves.toEqual(products);
+      expect(mockPrisma.productGroup.findMany).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Product Selector Service Tests
+ * Unit tests for widget product selection
+ */
+
+const mockPrisma = require('../../__mocks__/prisma');
+
+// Mock Prisma before importing service
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma),
+  Prisma: { DbNull: 'DbNull' },
+}));
+
+const productSelectorService = require('../../../src/services/productSelector.service');
+const { productSelectionSchema } = require('../../../src/validators/widget.validator');
+
+const buildProduct = (externalId, overrides = {}) => ({
+  id: `id-${externalId}`,
+  externalId,
+  title: `Product ${externalId}`,
+  price: '1000',
+  salePrice: null,
+  currency: 'TRY',
+  imageUrl: null,
+  productUrl: `https://shop.example.com/${externalId}`,
+  brand: null,
+  category: null,
+  stockStatus: 'in_stock',
+  createdAt: new Date('2024-12-01T00:00:00Z'),
+  ...overrides
+});
+
+describe('Product Selector Service', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    jest.useFakeTimers().setSystemTime(new Date('2024-12-02T10:00:00Z'));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('buildWhere', () => {
+    it('should translate filters into a Prisma where clause', () => {
+      const where = productSelectorService.buildWhere('cust-123', {
+        brands: ['Nike', 'Adidas'],
+        categories: ['Ayakkabi'],
+        minPrice: 500,
+        maxPrice: 1500,
+        attributes: { Color: ['siyah', 'beyaz'], size: '42' },
+        onSale: true,
+        newArrivalDays: 7
+      }, ['x1']);
+
+      expect(where).toEqual({
+        customerId: 'cust-123',
+        isActive: true,
+        stockStatus: { not: 'out_of_stock' },
+        externalId: { notIn: ['x1'] },
+        salePrice: { not: null },
+        createdAt: { gte: new Date('2024-11-25T10:00:00Z') },
+        AND: [
+          {
+            OR: [
+              { brand: { equals: 'Nike', mode: 'insensitive' } },
+              { brand: { equals: 'Adidas', mode: 'insensitive' } }
+            ]
+          },
+          { OR: [{ category: { contains: 'Ayakkabi', mode: 'insensitive' } }] },
+          {
+            OR: [
+              { salePrice: { gte: 500, lte: 1500 } },
+              { salePrice: null, price: { gte: 500, lte: 1500 } }
+            ]
+          },
+          {
+            OR: [
+              { attributes: { path: ['color'], equals: 'siyah' } },
+              { attributes: { path: ['color'], equals: 'beyaz' } }
+            ]
+          },
+          { OR: [{ attributes: { path: ['size'], equals: '42' } }] }
+        ]
+      });
+    });
+
+    it('should only keep visible products without filters', () => {
+      expect(productSelectorService.buildWhere('cust-123', {})).toEqual({
+        customerId: 'cust-123',
+        isActive: true,
+        stockStatus: { not: 'out_of_stock' }
+      });
+    });
+  });
+
+  describe('select', () => {
+    it('should show newest products when the widget has no selection', async () => {
+      mockPrisma.product.findMany.mockResolvedValue([buildProduct('a')]);
+
+      const products = await productSelectorService.select('cust-123', null, { limit: 8 });
+
+      expect(mockPrisma.product.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        take: 8,
+        orderBy: { createdAt: 'desc' }
+      }));
+      expect(products).toHaveLength(1);
+    });
+
+    it('should put pinned products first and never show excluded ones', async () => {
+      mockPrisma.product.findMany
+        .mockResolvedValueOnce([buildProduct('pin-2'), buildProduct('pin-1')])
+        .mockResolvedValueOnce([buildProduct('a'), buildProduct('b')]);
+
+      const products = await productSelectorService.select('cust-123', {
+        pinned: ['pin-1', 'hidden', 'pin-2'],
+        excluded: ['hidden', 'c']
+      }, { limit: 3 });
+
+      expect(mockPrisma.product.findMany.mock.calls[0][0].where.externalId)
+        .toEqual({ in: ['pin-1', 'pin-2'] });
+      expect(mockPrisma.product.findMany.mock.calls[1][0]).toMatchObject({
+        where: { externalId: { notIn: ['hidden', 'c', 'pin-1', 'pin-2'] } },
+        take: 1
+      });
+      expect(products.map((p) => p.externalId)).toEqual(['pin-1', 'pin-2', 'a']);
+    });
+
+    it('should sort by discount and cap products per category', async () => {
+      mockPrisma.product.findMany.mockResolvedValue([
+        buildProduct('bag-10', { category: 'Canta', salePrice: '900' }),
+        buildProduct('shoe-50', { category: 'Ayakkabi', salePrice: '500' }),
+        buildProduct('shoe-30', { category: 'ayakkabi', salePrice: '700' }),
+        buildProduct('shoe-0', { category: 'Ayakkabi' }),
+        buildProduct('bag-40', { category: 'Canta', salePrice: '600' })
+      ]);
+
+      const products = await productSelectorService.select('cust-123', {
+        sort: 'discount',
+        onSale: true,
+        maxPerCategory: 1
+      }, { limit: 10 });
+
+      expect(mockPrisma.product.findMany.mock.calls[0][0].take).toBe(500);
+      expect(products.map((p) => p.externalId)).toEqual(['shoe-50', 'bag-40']);
+    });
+
+    it('should sort by the price a visitor pays', async () => {
+      mockPrisma.product.findMany.mockResolvedValue([
+        buildProduct('a', { price: '800' }),
+        buildProduct('b', { price: '1000', salePrice: '600' }),
+        buildProduct('c', { price: '900' })
+      ]);
+
+      const products = await productSelectorService.select('cust-123', { sort: 'price_asc' });
+
+      expect(products.map((p) => p.externalId)).toEqual(['b', 'a', 'c']);
+    });
+  });
+
+  describe('productSelectionSchema', () => {
+    it('should reject unknown keys and inverted price ranges', () => {
+      expect(productSelectionSchema.safeParse({ sort: 'discount', pinned: ['a'] }).success).toBe(true);
+      expect(productSelectionSchema.safeParse({ limit: 5 }).success).toBe(false);
+      expect(productSelectionSchema.safeParse({ minPrice: 200, maxPrice: 100 }).success).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,202 @@
+/**
+ * Recommendation Service Tests
+ * Unit tests for similar, viewed together and trending recommendations
+ */
+
+const mockPrisma = require('../../__mocks__/prisma');
+
+// Mock Prisma before importing service
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma),
+  Prisma: { DbNull: 'DbNull' },
+}));
+
+const recommendationService = require('../../../src/services/recommendation.service');
+const { RECOMMENDATION_STRATEGIES } = require('../../../src/config/constants');
+
+const buildProduct = (externalId, overrides = {}) => ({
+  id: `id-${externalId}`,
+  externalId,
+  title: `Product ${externalId}`,
+  price: '1000',
+  salePrice: null,
+  currency: 'TRY',
+  imageUrl: null,
+  productUrl: `https://shop.example.com/${externalId}`,
+  brand: null,
+  category: null,
+  stockStatus: 'in_stock',
+  attributes: {},
+  ...overrides
+});
+
+describe('Recommendation Service', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  describe('scoreSimilarity', () => {
+    const source = buildProduct('src', {
+      category: 'Ayakkabi > Spor',
+      brand: 'Nike',
+      attributes: { color: 'Siyah', size: 42 }
+    });
+
+    it('should rank shared category, brand, price and attributes', () => {
+      const twin = buildProduct('a', {
+        category: 'Ayakkabi > Spor',
+        brand: 'nike',
+        attributes: { color: 'siyah', size: 42 }
+      });
+
+      expect(recommendationService.scoreSimilarity(source, twin)).toBe(10);
+    });
+
+    it('should give partial credit for sibling categories and nearby prices', () => {
+      const sibling = buildProduct('b', { category: 'Ayakkabi > Klasik', price: '1150' });
+
+      // Half of the category path (1.5) and half of the price band (1)
+      expect(recommendationService.scoreSimilarity(source, sibling)).toBe(2.5);
+    });
+
+    it('should compare sale prices and ignore prices outside the band', () => {
+      const discounted = buildProduct('c', { price: '2000', salePrice: '1000' });
+      const expensive = buildProduct('d', { price: '2000' });
+
+      expect(recommendationService.scoreSimilarity(source, discounted)).toBe(2);
+      expect(recommendationService.scoreSimilarity(source, expensive)).toBe(0);
+    });
+  });
+
+  describe('getSimilar', () => {
+    it('should query related candidates and return them by score', async () => {
+      mockPrisma.product.findUnique.mockResolvedValue(buildProduct('src', {
+        category: 'Canta',
+        brand: 'Elle'
+      }));
+      mockPrisma.product.findMany.mockResolvedValue([
+        buildProduct('brand-only', { brand: 'Elle', price: '5000' }),
+        buildProduct('best', { category: 'Canta', brand: 'Elle' }),
+        buildProduct('unrelated', { price: '9000' })
+      ]);
+
+      const products = await recommendationService.getSimilar('cust-123', 'src', 5);
+
+      const { where } = mockPrisma.product.findMany.mock.calls[0][0];
+      expect(where.externalId).toEqual({ not: 'src' });
+      expect(where.OR).toEqual([
+        { category: 'Canta' },
+        { brand: 'Elle' },
+        { price: { gte: 700, lte: 1300 } }
+      ]);
+      expect(products.map((p) => p.externalId)).toEqual(['best', 'brand-only']);
+      expect(products[0]).not.toHaveProperty('attributes');
+    });
+
+    it('should leave out other variants of the product', async () => {
+      mockPrisma.product.findUnique.mockResolvedValue(buildProduct('src-s', { category: 'Elbise', groupId: 'src' }));
+      mockPrisma.product.findMany.mockResolvedValue([]);
+
+      await recommendationService.getSimilar('cust-123', 'src-s', 5);
+
+      expect(mockPrisma.product.findMany.mock.calls[0][0].where.AND).toEqual([
+        { OR: [{ groupId: null }, { groupId: { not: 'src' } }] }
+      ]);
+    });
+
+    it('should return nothing for an unknown product', async () => {
+      mockPrisma.product.findUnique.mockResolvedValue(null);
+
+      await expect(recommendationService.getSimilar('cust-123', 'missing')).resolves.toEqual([]);
+      expect(mockPrisma.product.findMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getTrending', () => {
+    it('should weight events by type and keep the ranking order', async () => {
+      mockPrisma.$queryRaw.mockResolvedValue([
+        { productId: 'viewed', type: 'product_view', score: 4 },
+        { productId: 'clicked', type: 'click', score: 2 },
+        { productId: 'clicked', type: 'impression', score: 2 },
+        { productId: 'anchor', type: 'conversion', score: 10 }
+      ]);
+      mockPrisma.product.findMany.mockResolvedValue([
+        buildProduct('viewed'),
+        buildProduct('clicked')
+      ]);
+
+      const products = await recommendationService.getTrending('cust-123', {
+        limit: 2,
+        excludeIds: ['anchor']
+      });
+
+      expect(mockPrisma.product.findMany.mock.calls[0][0].where.externalId)
+        .toEqual({ in: ['clicked', 'viewed'] });
+      expect(products.map((p) => p.externalId)).toEqual(['clicked', 'viewed']);
+    });
+
+    it('should fill up with newest products when there are few events', async () => {
+      mockPrisma.$queryRaw.mockResolvedValue([]);
+      mockPrisma.product.findMany.mockResolvedValue([buildProduct('new')]);
+
+      const products = await recommendationService.getTrending('cust-123', {
+        limit: 3,
+        category: 'canta'
+      });
+
+      expect(mockPrisma.product.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: expect.objectContaining({
+          category: { contains: 'canta', mode: 'insensitive' },
+          externalId: { notIn: [] }
+        }),
+        take: 3,
+        orderBy: { createdAt: 'desc' }
+      }));
+      expect(products).toHaveLength(1);
+    });
+  });
+
+  describe('getRecommendations', () => {
+    it('should return products viewed by the same visitors', async () => {
+      mockPrisma.$queryRaw.mockResolvedValue([
+        { productId: 'b', score: 5 },
+        { productId: 'a', score: 2 }
+      ]);
+      mockPrisma.product.findMany.mockResolvedValue([buildProduct('a'), buildProduct('b')]);
+
+      const result = await recommendationService.getRecommendations('cust-123', {
+        strategy: RECOMMENDATION_STRATEGIES.VIEWED_TOGETHER,
+        productId: 'src'
+      });
+
+      expect(result.strategy).toBe(RECOMMENDATION_STRATEGIES.VIEWED_TOGETHER);
+      expect(result.products.map((p) => p.externalId)).toEqual(['b', 'a']);
+    });
+
+    it('should fall back to similar products without co-views', async () => {
+      mockPrisma.$queryRaw.mockResolvedValue([]);
+      mockPrisma.product.findUnique.mockResolvedValue(buildProduct('src', { brand: 'Elle' }));
+      mockPrisma.product.findMany.mockResolvedValue([buildProduct('same-brand', { brand: 'Elle' })]);
+
+      const result = await recommendationService.getRecommendations('cust-123', {
+        strategy: RECOMMENDATION_STRATEGIES.VIEWED_TOGETHER,
+        productId: 'src'
+      });
+
+      expect(result.strategy).toBe(RECOMMENDATION_STRATEGIES.SIMILAR);
+      expect(result.products.map((p) => p.externalId)).toEqual(['same-brand']);
+    });
+
+    it('should serve trending products when no product is given', async () => {
+      mockPrisma.$queryRaw.mockResolvedValue([]);
+      mockPrisma.product.findMany.mockResolvedValue([buildProduct('new')]);
+
+      const result = await recommendationService.getRecommendations('cust-123', {
+        strategy: RECOMMENDATION_STRATEGIES.SIMILAR
+      });
+
+      expect(mockPrisma.product.findUnique).not.toHaveBeenCalled();
+      expect(result.strategy).toBe(RECOMMENDATION_STRATEGIES.TRENDING);
+    });
+  });
+});
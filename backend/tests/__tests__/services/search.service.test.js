@@ -0,0 +1,104 @@
+/**
+ * Search Service Tests
+ * Unit tests for full-text product search and autocomplete
+ */
+
+const mockPrisma = require('../../__mocks__/prisma');
+
+// Mock Prisma before importing service
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma),
+  Prisma: { DbNull: 'DbNull' },
+}));
+
+const searchService = require('../../../src/services/search.service');
+const productService = require('../../../src/services/product.service');
+const { helpers } = require('../../../src/utils');
+
+// $queryRaw is a tagged template: [strings, ...values]
+const queryValues = (call) => mockPrisma.$queryRaw.mock.calls[call].slice(1);
+
+describe('Search Service', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  describe('normalizeSearch', () => {
+    it('should fold Turkish letters and drop punctuation', () => {
+      expect(helpers.string.normalizeSearch('IŞIKLI Çanta - Ağır Gümüş İğne, 42.5'))
+        .toBe('isikli canta agir gumus igne 42 5');
+      expect(helpers.string.normalizeSearch('  ?! ')).toBe('');
+    });
+  });
+
+  describe('buildTsQuery', () => {
+    it('should require every term as a prefix', () => {
+      expect(searchService.buildTsQuery('kirmizi ayak')).toBe('kirmizi:* & ayak:*');
+    });
+
+    it('should ignore terms past the limit', () => {
+      expect(searchService.buildTsQuery('a b c d e f g h i j').split(' & ')).toHaveLength(8);
+    });
+  });
+
+  describe('search', () => {
+    it('should query with normalized text and a prefix tsquery', async () => {
+      const products = [{ id: 'p1', externalId: 'SKU-1', title: 'Kırmızı Ayakkabı', score: 0.9 }];
+      mockPrisma.$queryRaw.mockResolvedValue(products);
+
+      const result = await searchService.search('cust-123', 'Kırmızı AYAKKABI', { limit: 5 });
+
+      expect(queryValues(0)).toEqual([
+        'kirmizi ayakkabi',
+        'kirmizi:* & ayakkabi:*',
+        'cust-123',
+        'kirmizi ayakkabi',
+        5
+      ]);
+      expect(mockPrisma.$queryRaw).toHaveBeenCalledTimes(1);
+      expect(result).toEqual({ query: 'Kırmızı AYAKKABI', products, suggestions: [] });
+    });
+
+    it('should add brand and category suggestions for autocomplete', async () => {
+      const suggestions = [{ type: 'category', value: 'Ayakkabi > Bot', count: 12 }];
+      mockPrisma.$queryRaw.mockResolvedValueOnce([]).mockResolvedValueOnce(suggestions);
+
+      const result = await searchService.search('cust-123', 'Bot', { autocomplete: true });
+
+      expect(queryValues(1)).toEqual(['cust-123', 'cust-123', '% bot%', 5]);
+      expect(result.suggestions).toEqual(suggestions);
+    });
+
+    it('should not query for empty input', async () => {
+      const result = await searchService.search('cust-123', ' - ');
+
+      expect(mockPrisma.$queryRaw).not.toHaveBeenCalled();
+      expect(result.products).toEqual([]);
+    });
+  });
+
+  describe('productService.search', () => {
+    it('should return ranked results in the admin format', async () => {
+      mockPrisma.$queryRaw.mockResolvedValue([{
+        id: 'p1',
+        externalId: 'SKU-1',
+        title: 'Bot',
+        price: '100',
+        salePrice: null,
+        imageUrl: null,
+        productUrl: null,
+        brand: 'Elle',
+        score: 1
+      }]);
+
+      await expect(productService.search('cust-123', 'bot')).resolves.toEqual([{
+        id: 'p1',
+        title: 'Bot',
+        price: '100',
+        salePrice: null,
+        imageUrl: null,
+        productUrl: null
+      }]);
+    });
+  });
+});
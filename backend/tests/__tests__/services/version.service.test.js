@@ -0,0 +1,189 @@
+/**
+ * Version Service Tests
+ * Unit tests for version snapshots, diffs and restore
+ */
+
+const mockPrisma = require('../../__mocks__/prisma');
+
+// Mock Prisma before importing service
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma),
+  Prisma: { DbNull: 'DbNull' },
+}));
+
+const versionService = require('../../../src/services/version.service');
+const widgetService = require('../../../src/services/widget.service');
+const { diff } = require('../../../src/utils');
+
+const buildWidget = (overrides = {}) => ({
+  id: 'widget-123',
+  customerId: 'cust-123',
+  name: 'Carousel',
+  type: 'carousel',
+  settings: { limit: 8, title: 'New' },
+  placement: null,
+  templateId: null,
+  customData: null,
+  isActive: true,
+  ...overrides
+});
+
+describe('Diff utils', () => {
+  it('should list changed JSON paths', () => {
+    expect(diff.objects(
+      { limit: 8, style: { color: 'red' } },
+      { limit: 8, style: { color: 'blue' }, autoplay: true }
+    )).toEqual([
+      { path: 'style.color', from: 'red', to: 'blue' },
+      { path: 'autoplay', from: null, to: true }
+    ]);
+  });
+
+  it('should produce a line diff', () => {
+    expect(diff.lines('a\nb\nc', 'a\nc\nd')).toEqual([
+      { op: ' ', text: 'a' },
+      { op: '-', text: 'b' },
+      { op: ' ', text: 'c' },
+      { op: '+', text: 'd' }
+    ]);
+  });
+});
+
+describe('Version Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrisma.configVersion.create.mockImplementation(({ data }) => Promise.resolve(data));
+  });
+
+  describe('record', () => {
+    it('should store the previous content with the next version number', async () => {
+      mockPrisma.configVersion.findFirst.mockResolvedValue({ version: 3 });
+
+      const version = await versionService.record(
+        'widget',
+        buildWidget({ settings: { limit: 4 } }),
+        buildWidget()
+      );
+
+      expect(version).toMatchObject({
+        customerId: 'cust-123',
+        entityType: 'widget',
+        entityId: 'widget-123',
+        version: 4,
+        snapshot: expect.objectContaining({ settings: { limit: 4 } })
+      });
+      expect(version.snapshot).not.toHaveProperty('isActive');
+    });
+
+    it('should skip updates that only change status fields', async () => {
+      const version = await versionService.record(
+        'widget',
+        buildWidget(),
+        buildWidget({ isActive: false })
+      );
+
+      expect(version).toBeNull();
+      expect(mockPrisma.configVersion.create).not.toHaveBeenCalled();
+    });
+
+    it('should not snapshot widget updates that are only drafted', async () => {
+      mockPrisma.widgetConfig.findUnique.mockResolvedValue(
+        buildWidget({ settings: { limit: 4 }, customer: {}, template: null })
+      );
+      mockPrisma.widgetConfig.update.mockImplementation(({ data }) => Promise.resolve(buildWidget(data)));
+
+      await widgetService.update('widget-123', { settings: { limit: 8 } });
+
+      expect(mockPrisma.configVersion.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('diff', () => {
+    it('should compare a version with the current content', async () => {
+      mockPrisma.configVersion.findUnique.mockResolvedValue({
+        version: 1,
+        snapshot: { name: 'Old carousel', settings: { limit: 4, title: 'New' } }
+      });
+      mockPrisma.widgetConfig.findUnique.mockResolvedValue(buildWidget());
+
+      const result = await versionService.diff('widget', 'widget-123', 1);
+
+      expect(result.to).toBe('current');
+      expect(result.changes).toEqual([
+        { field: 'name', type: 'value', from: 'Old carousel', to: 'Carousel' },
+        { field: 'settings', type: 'json', changes: [{ path: 'limit', from: 4, to: 8 }] }
+      ]);
+    });
+  });
+
+  describe('restore', () => {
+    it('should replace content with the snapshot and keep the current one as a version', async () => {
+      mockPrisma.widgetConfig.findUnique.mockResolvedValue(buildWidget({ customData: { a: 1 } }));
+      mockPrisma.configVersion.findUnique.mockResolvedValue({
+        version: 2,
+        snapshot: { name: 'Carousel', settings: { limit: 4 }, placement: null, templateId: null, customData: null }
+      });
+      mockPrisma.configVersion.findFirst.mockResolvedValue({ version: 5 });
+      mockPrisma.widgetConfig.update.mockImplementation(({ data }) => Promise.resolve(buildWidget({
+        ...data,
+        customData: null
+      })));
+
+      const restored = await versionService.restore('widget', 'widget-123', 2);
+
+      expect(mockPrisma.widgetConfig.update).toHaveBeenCalledWith({
+        where: { id: 'widget-123' },
+        data: {
+          name: 'Carousel',
+          settings: { limit: 4 },
+          placement: null,
+          templateId: null,
+          customData: 'DbNull',
+          targeting: 'DbNull',
+          draft: 'DbNull'
+        }
+      });
+      expect(restored.settings).toEqual({ limit: 4 });
+      expect(mockPrisma.configVersion.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          version: 6,
+          snapshot: expect.objectContaining({ settings: { limit: 8, title: 'New' } })
+        })
+      });
+    });
+
+    it('should discard a pending draft and audit the restore', async () => {
+      mockPrisma.widgetConfig.findUnique.mockResolvedValue(buildWidget({ draft: { settings: { limit: 12 } } }));
+      mockPrisma.configVersion.findUnique.mockResolvedValue({
+        version: 1,
+        snapshot: { name: 'Carousel', settings: { limit: 4 }, placement: null, templateId: null, customData: null }
+      });
+      mockPrisma.configVersion.findFirst.mockResolvedValue({ version: 3 });
+      mockPrisma.widgetConfig.update.mockImplementation(({ data }) => Promise.resolve(buildWidget({
+        ...data,
+        customData: null,
+        draft: null
+      })));
+
+      const restored = await versionService.restore('widget', 'widget-123', 1);
+
+      expect(mockPrisma.widgetConfig.update.mock.calls[0][0].data.draft).toBe('DbNull');
+      expect(restored.draft).toBeNull();
+      expect(mockPrisma.auditLog.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          action: 'update',
+          entityType: 'widget',
+          entityId: 'widget-123'
+        })
+      });
+    });
+
+    it('should throw when the version does not exist', async () => {
+      mockPrisma.widgetConfig.findUnique.mockResolvedValue(buildWidget());
+      mockPrisma.configVersion.findUnique.mockResolvedValue(null);
+
+      await expect(versionService.restore('widget', 'widget-123', 9))
+        .rejects.toThrow("Version with identifier '9' not found");
+    });
+  });
+});
@@ -0,0 +1,222 @@
+/**
+ * Widget Service Tests
+ * Unit tests for widget scheduling, dayparting and targeting
+ */
+
+const mockPrisma = require('../../__mocks__/prisma');
+
+// Mock Prisma before importing service
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma),
+  Prisma: { DbNull: 'DbNull' },
+}));
+
+const widgetService = require('../../../src/services/widget.service');
+const { WIDGET_SCHEDULE_STATUS } = require('../../../src/config/constants');
+
+const buildWidget = (overrides = {}) => ({
+  id: 'widget-123',
+  customerId: 'cust-123',
+  name: 'Popup',
+  type: 'popup',
+  settings: {},
+  placement: null,
+  templateId: null,
+  customData: null,
+  targeting: null,
+  isActive: true,
+  priority: 0,
+  draft: null,
+  startsAt: null,
+  endsAt: null,
+  timezone: 'UTC',
+  dayparting: null,
+  ...overrides
+});
+
+// Weekdays 09:00 - 18:00
+const BUSINESS_HOURS = [{ days: [1, 2, 3, 4, 5], start: '09:00', end: '18:00' }];
+
+describe('Widget Service', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    jest.useFakeTimers().setSystemTime(new Date('2024-12-02T10:00:00Z')); // Monday
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('getScheduleStatus', () => {
+    it('should report upcoming, expired and live windows', () => {
+      expect(widgetService.getScheduleStatus(buildWidget({
+        startsAt: new Date('2024-12-03T00:00:00Z')
+      }))).toBe(WIDGET_SCHEDULE_STATUS.UPCOMING);
+
+      expect(widgetService.getScheduleStatus(buildWidget({
+        endsAt: new Date('2024-12-02T10:00:00Z')
+      }))).toBe(WIDGET_SCHEDULE_STATUS.EXPIRED);
+
+      expect(widgetService.getScheduleStatus(buildWidget({
+        startsAt: new Date('2024-12-01T00:00:00Z'),
+        endsAt: new Date('2024-12-31T00:00:00Z')
+      }))).toBe(WIDGET_SCHEDULE_STATUS.LIVE);
+    });
+
+    it('should report inactive widgets regardless of schedule', () => {
+      expect(widgetService.getScheduleStatus(buildWidget({ isActive: false })))
+        .toBe(WIDGET_SCHEDULE_STATUS.INACTIVE);
+    });
+
+    it('should evaluate dayparting in the widget timezone', () => {
+      // 10:00 UTC is 13:00 in Istanbul and 05:00 in New York
+      expect(widgetService.getScheduleStatus(buildWidget({
+        timezone: 'Europe/Istanbul',
+        dayparting: BUSINESS_HOURS
+      }))).toBe(WIDGET_SCHEDULE_STATUS.LIVE);
+
+      expect(widgetService.getScheduleStatus(buildWidget({
+        timezone: 'America/New_York',
+        dayparting: BUSINESS_HOURS
+      }))).toBe(WIDGET_SCHEDULE_STATUS.OFF_HOURS);
+    });
+
+    it('should support windows running past midnight', () => {
+      // Sunday 22:00 - 02:00, checked on Monday 01:00 Istanbul time
+      jest.setSystemTime(new Date('2024-12-01T22:00:00Z'));
+
+      expect(widgetService.getScheduleStatus(buildWidget({
+        timezone: 'Europe/Istanbul',
+        dayparting: [{ days: [0], start: '22:00', end: '02:00' }]
+      }))).toBe(WIDGET_SCHEDULE_STATUS.LIVE);
+    });
+  });
+
+  describe('getActiveWidgets', () => {
+    it('should filter by schedule window and dayparting', async () => {
+      mockPrisma.widgetConfig.findMany.mockResolvedValue([
+        buildWidget({ id: 'always' }),
+        buildWidget({ id: 'night-only', dayparting: [{ days: [1], start: '20:00', end: '23:00' }] })
+      ]);
+
+      const widgets = await widgetService.getActiveWidgets('cust-123');
+
+      expect(mockPrisma.widgetConfig.findMany.mock.calls[0][0].where).toEqual({
+        customerId: 'cust-123',
+        isActive: true,
+        AND: [
+          { OR: [{ startsAt: null }, { startsAt: { lte: new Date('2024-12-02T10:00:00Z') } }] },
+          { OR: [{ endsAt: null }, { endsAt: { gt: new Date('2024-12-02T10:00:00Z') } }] }
+        ]
+      });
+      expect(widgets.map((widget) => widget.id)).toEqual(['always']);
+      expect(widgets[0]).not.toHaveProperty('dayparting');
+    });
+
+    it('should deliver targeting rules for the CDN to evaluate', async () => {
+      const targeting = { match: 'all', rules: [{ type: 'device', operator: 'in', value: ['mobile'] }] };
+      mockPrisma.widgetConfig.findMany.mockResolvedValue([buildWidget({ targeting })]);
+
+      const [widget] = await widgetService.getActiveWidgets('cust-123');
+
+      expect(mockPrisma.widgetConfig.findMany.mock.calls[0][0].select.targeting).toBe(true);
+      expect(widget.targeting).toEqual(targeting);
+    });
+  });
+
+  describe('update', () => {
+    it('should store schedule changes live and read local times in the widget timezone', async () => {
+      mockPrisma.widgetConfig.findUnique.mockResolvedValue(buildWidget());
+      mockPrisma.widgetConfig.update.mockImplementation(({ data }) => Promise.resolve(buildWidget(data)));
+
+      await widgetService.update('widget-123', {
+        startsAt: '2024-12-10T09:00',
+        endsAt: '2024-12-20T00:00:00Z',
+        timezone: 'Europe/Istanbul',
+        dayparting: []
+      });
+
+      expect(mockPrisma.widgetConfig.update.mock.calls[0][0].data).toEqual({
+        startsAt: new Date('2024-12-10T06:00:00Z'),
+        endsAt: new Date('2024-12-20T00:00:00Z'),
+        timezone: 'Europe/Istanbul',
+        dayparting: 'DbNull'
+      });
+    });
+
+    it('should save targeting changes as a draft', async () => {
+      const targeting = { match: 'any', rules: [{ type: 'visitor', operator: 'equals', value: 'new' }] };
+      mockPrisma.widgetConfig.findUnique.mockResolvedValue(buildWidget());
+      mockPrisma.widgetConfig.update.mockImplementation(({ data }) => Promise.resolve(buildWidget(data)));
+
+      await widgetService.update('widget-123', { targeting });
+
+      const { data } = mockPrisma.widgetConfig.update.mock.calls[0][0];
+      expect(data).not.toHaveProperty('targeting');
+      expect(data.draft).toMatchObject({ name: 'Popup', targeting });
+    });
+
+    it('should reject an end time before the start time', async () => {
+      mockPrisma.widgetConfig.findUnique.mockResolvedValue(buildWidget({
+        startsAt: new Date('2024-12-10T00:00:00Z')
+      }));
+
+      await expect(widgetService.update('widget-123', { endsAt: '2024-12-05T00:00:00Z' }))
+        .rejects.toThrow('End time must be after start time');
+      expect(mockPrisma.widgetConfig.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updatePriority', () => {
+    it('should audit the priority change', async () => {
+      mockPrisma.widgetConfig.findUnique.mockResolvedValue(buildWidget({ priority: 1 }));
+      mockPrisma.widgetConfig.update.mockResolvedValue(buildWidget({ priority: 5 }));
+
+      await widgetService.updatePriority('widget-123', 5);
+
+      expect(mockPrisma.auditLog.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          action: 'update',
+          entityType: 'widget',
+          entityId: 'widget-123',
+          oldValues: expect.objectContaining({ priority: 1 }),
+          newValues: expect.objectContaining({ priority: 5 })
+        })
+      });
+    });
+  });
+
+  describe('reorder', () => {
+    beforeEach(() => {
+      mockPrisma.$transaction.mockImplementation((updates) => Promise.all(updates));
+      mockPrisma.widgetConfig.update.mockImplementation(({ where, data }) =>
+        Promise.resolve(buildWidget({ id: where.id, ...data })));
+    });
+
+    it('should audit widgets whose priority changed', async () => {
+      mockPrisma.widgetConfig.findMany.mockResolvedValue([
+        buildWidget({ id: 'w1', priority: 1 }),
+        buildWidget({ id: 'w2', priority: 2 })
+      ]);
+
+      await widgetService.reorder('cust-123', ['w1', 'w2']);
+
+      expect(mockPrisma.widgetConfig.findMany).toHaveBeenCalledWith({
+        where: { id: { in: ['w1', 'w2'] }, customerId: 'cust-123' }
+      });
+      expect(mockPrisma.auditLog.create).toHaveBeenCalledTimes(2);
+      expect(mockPrisma.auditLog.create.mock.calls[0][0].data).toMatchObject({
+        entityId: 'w1',
+        oldValues: expect.objectContaining({ priority: 1 }),
+        newValues: expect.objectContaining({ priority: 2 })
+      });
+    });
+
+    it('should reject widgets of another customer', async () => {
+      mockPrisma.widgetConfig.findMany.mockResolvedValue([buildWidget({ id: 'w1' })]);
+
+      await expect(widgetService.reorder('cust-123', ['w1', 'w9'])).rejects.toThrow('w9');
+      expect(mockPrisma.widgetConfig.update).not.toHaveBeenCalled();
+    });
+  });
+});
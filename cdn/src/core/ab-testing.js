@@ -1,13 +1,29 @@
 /**
  * A/B Testing Manager
- * Simple client-side A/B testing with persistent group assignment
+ * Client-side A/B/n testing with deterministic, persistent group assignment
  *
  * @module core/ab-testing
  */
 
-import { logger } from './utils.js';
+import { logger, generateId } from './utils.js';
 import { storage, STORAGE_KEYS } from './storage.js';
 
+/**
+ * Hash a string into [0, 1) (32-bit FNV-1a)
+ * @param {string} str - Input string
+ * @returns {number} Bucket position
+ */
+const hashToUnit = (str) => {
+  let hash = 0x811c9dc5;
+
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return (hash >>> 0) / 4294967296;
+};
+
 /**
  * ABTestManager Class
  * Manages A/B test group assignments and variant selection
@@ -21,6 +37,7 @@ class ABTestManager {
     this.storage = storageManager;
     this.defaultSplit = config.defaultSplit || 0.5;
     this.enabled = config.enabled !== false;
+    this.userId = config.userId || null;
 
     // Active tests cache
     this._activeTests = new Map();
@@ -28,26 +45,48 @@ class ABTestManager {
 
   /**
    * Get user's group for a test
-   * Assigns group if not already assigned
+   * Assigns group if not already assigned. Assignment hashes the test ID with
+   * the customer user ID (same group on every device) or the visitor ID.
    * @param {string} testId - Test identifier
-   * @param {number} split - Traffic split (0-1, proportion for group A)
-   * @returns {string} 'A' or 'B'
+   * @param {number|Array} split - Traffic split (0-1, proportion for group A)
+   *   or weighted variants ([{ key, weight }] or variant keys)
+   * @returns {string|null} Variant key ('A', 'B', ...), null if the test has
+   *   no variant with traffic
    */
   getGroup(testId = 'default', split = null) {
+    const variants = this._resolveVariants(testId, split);
+
+    if (variants.length === 0) {
+      logger.warn(`A/B test "${testId}" has no variants with traffic`);
+      return null;
+    }
+
+    const control = variants[0].key;
+
     if (!this.enabled) {
-      return 'A'; // Default to control group when disabled
+      return control; // Default to control group when disabled
     }
 
     const key = `${STORAGE_KEYS.AB_GROUP}_${testId}`;
+    const isValid = (group) => variants.some(v => v.key === group);
 
     try {
-      let group = this.storage.get(key);
+      const forced = this.storage.get(`${STORAGE_KEYS.AB_FORCED}_${testId}`);
+      if (forced && isValid(forced)) {
+        return forced;
+      }
+
+      const stored = this.storage.get(key);
+
+      // Anonymous visitors keep their stored group; known users are always
+      // hashed so they land in the same group on every device
+      if (stored && isValid(stored) && !this.userId) {
+        return stored;
+      }
 
-      if (!group) {
-        // Assign new group based on split ratio
-        const ratio = split !== null ? split : this.defaultSplit;
-        group = Math.random() < ratio ? 'A' : 'B';
+      const group = this._assign(testId, variants);
 
+      if (group !== stored) {
         // Store for 30 days
         this.storage.set(key, group, 30);
 
@@ -60,15 +99,44 @@ class ABTestManager {
       return group;
     } catch (e) {
       logger.warn(`A/B test group error for ${testId}:`, e);
-      return 'A';
+      return control;
     }
   }
 
+  /**
+   * Set the customer's user ID for cross-device assignment
+   * @param {string|null} userId - Logged-in user ID (null to clear)
+   */
+  setUserId(userId) {
+    this.userId = userId ? String(userId) : null;
+    logger.debug(`A/B testing user ID ${this.userId ? 'set' : 'cleared'}`);
+  }
+
+  /**
+   * Get the ID used for group assignment
+   * Customer user ID when supplied, otherwise a persistent visitor ID
+   * @returns {string} Assignment ID
+   */
+  getVisitorId() {
+    if (this.userId) {
+      return this.userId;
+    }
+
+    let visitorId = this.storage.get(STORAGE_KEYS.VISITOR);
+
+    if (!visitorId) {
+      visitorId = generateId('v');
+      this.storage.set(STORAGE_KEYS.VISITOR, visitorId, 365);
+    }
+
+    return visitorId;
+  }
+
   /**
    * Get variant configuration for a test
    * @param {string} testId - Test identifier
-   * @param {Object} variants - Variant configurations { A: {...}, B: {...} }
-   * @param {number} split - Traffic split
+   * @param {Object} variants - Variant configurations { A: {...}, B: {...}, C: {...} }
+   * @param {number|Array} split - Traffic split or weighted variants
    * @returns {any} Selected variant configuration
    */
   getVariant(testId, variants, split = null) {
@@ -77,8 +145,14 @@ class ABTestManager {
       return null;
     }
 
-    const group = this.getGroup(testId, split);
-    return variants[group] || variants['A'] || null;
+    // Unregistered tests with more than two variants split traffic evenly
+    const keys = Object.keys(variants);
+    const resolvedSplit = split === null && !this._activeTests.has(testId) && keys.length > 2
+      ? keys
+      : split;
+
+    const group = this.getGroup(testId, resolvedSplit);
+    return variants[group] || variants[keys[0]] || null;
   }
 
   /**
@@ -86,9 +160,11 @@ class ABTestManager {
    * @param {Object} test - Test configuration
    * @param {string} test.id - Test ID
    * @param {string} test.name - Test name
-   * @param {Object} test.variantA - Variant A config
-   * @param {Object} test.variantB - Variant B config
-   * @param {number} test.split - Traffic split
+   * @param {Array} [test.variants] - Weighted variants [{ key, name, weight, settings }]
+   * @param {Object} [test.variantA] - Variant A config (when variants is omitted)
+   * @param {Object} [test.variantB] - Variant B config (when variants is omitted)
+   * @param {number} [test.split] - Traffic split for A/B variants
+   * @param {string} [test.widgetId] - Widget under test
    */
   registerTest(test) {
     if (!test || !test.id) {
@@ -96,12 +172,20 @@ class ABTestManager {
       return;
     }
 
+    const split = test.split || this.defaultSplit;
+    const variants = Array.isArray(test.variants) && test.variants.length > 0
+      ? this._normalizeVariants(test.variants)
+      : [
+        { ...(test.variantA || {}), key: 'A', weight: split },
+        { ...(test.variantB || {}), key: 'B', weight: 1 - split }
+      ];
+
     this._activeTests.set(test.id, {
       id: test.id,
       name: test.name || test.id,
-      variantA: test.variantA,
-      variantB: test.variantB,
-      split: test.split || this.defaultSplit,
+      variants,
+      split,
+      widgetId: test.widgetId || null,
       registeredAt: Date.now()
     });
 
@@ -188,16 +272,19 @@ class ABTestManager {
   /**
    * Force user into a specific group (for debugging)
    * @param {string} testId - Test ID
-   * @param {string} group - Group to force ('A' or 'B')
+   * @param {string} group - Variant key to force ('A', 'B', 'C', ...)
    */
   forceGroup(testId, group) {
-    if (group !== 'A' && group !== 'B') {
-      logger.warn(`Invalid group: ${group}. Must be 'A' or 'B'`);
+    const test = this._activeTests.get(testId);
+    const keys = test ? test.variants.map(v => v.key) : null;
+
+    if (typeof group !== 'string' || !group || (keys && !keys.includes(group))) {
+      logger.warn(`Invalid group: ${group}. Must be one of ${keys ? keys.join(', ') : 'the test variant keys'}`);
       return;
     }
 
-    const key = `${STORAGE_KEYS.AB_GROUP}_${testId}`;
-    this.storage.set(key, group, 30);
+    this.storage.set(`${STORAGE_KEYS.AB_FORCED}_${testId}`, group, 30);
+    this.storage.set(`${STORAGE_KEYS.AB_GROUP}_${testId}`, group, 30);
     logger.info(`A/B Test "${testId}": Forced to group ${group}`);
   }
 
@@ -206,8 +293,8 @@ class ABTestManager {
    * @param {string} testId - Test ID
    */
   resetGroup(testId) {
-    const key = `${STORAGE_KEYS.AB_GROUP}_${testId}`;
-    this.storage.remove(key);
+    this.storage.remove(`${STORAGE_KEYS.AB_GROUP}_${testId}`);
+    this.storage.remove(`${STORAGE_KEYS.AB_FORCED}_${testId}`);
     logger.debug(`A/B Test "${testId}": Group reset`);
   }
 
@@ -263,25 +350,87 @@ class ABTestManager {
     const assignments = this.getAllAssignments();
     const testCount = Object.keys(assignments).length;
 
-    let groupACount = 0;
-    let groupBCount = 0;
+    const groupDistribution = {};
 
     Object.values(assignments).forEach(group => {
-      if (group === 'A') groupACount++;
-      else if (group === 'B') groupBCount++;
+      groupDistribution[group] = (groupDistribution[group] || 0) + 1;
     });
 
     return {
       enabled: this.enabled,
       activeTests: this._activeTests.size,
       assignedTests: testCount,
-      groupDistribution: {
-        A: groupACount,
-        B: groupBCount
-      }
+      groupDistribution
     };
   }
 
+  /**
+   * Resolve weighted variants for a test
+   * @private
+   * @param {string} testId - Test ID
+   * @param {number|Array|null} split - Split ratio or variants
+   * @returns {Array<{key: string, weight: number}>} Variants (control first)
+   */
+  _resolveVariants(testId, split) {
+    const listed = Array.isArray(split) ? this._normalizeVariants(split) : [];
+    if (listed.length > 0) {
+      return listed;
+    }
+
+    const test = this._activeTests.get(testId);
+
+    if (split === null && test) {
+      return test.variants;
+    }
+
+    const ratio = typeof split === 'number' ? split : this.defaultSplit;
+    return [
+      { key: 'A', weight: ratio },
+      { key: 'B', weight: 1 - ratio }
+    ];
+  }
+
+  /**
+   * Normalize variant definitions to { key, weight, ... }
+   * @private
+   * @param {Array<string|Object>} variants - Variant keys or objects
+   * @returns {Array<Object>} Variants with positive weights
+   */
+  _normalizeVariants(variants) {
+    const letters = 'ABCDEFGH';
+
+    return variants
+      .map((variant, index) => {
+        const item = typeof variant === 'string' ? { key: variant } : { ...variant };
+        item.key = item.key || letters[index] || String(index);
+        item.weight = typeof item.weight === 'number' ? item.weight : 1;
+        return item;
+      })
+      .filter(variant => variant.weight > 0);
+  }
+
+  /**
+   * Pick a variant by hashing the test ID with the assignment ID
+   * @private
+   * @param {string} testId - Test ID
+   * @param {Array<Object>} variants - Weighted variants
+   * @returns {string} Variant key
+   */
+  _assign(testId, variants) {
+    const total = variants.reduce((sum, v) => sum + v.weight, 0);
+    const point = hashToUnit(`${testId}:${this.getVisitorId()}`) * total;
+
+    let cumulative = 0;
+    for (const variant of variants) {
+      cumulative += variant.weight;
+      if (point < cumulative) {
+        return variant.key;
+      }
+    }
+
+    return variants[variants.length - 1].key;
+  }
+
   /**
    * Push event to GA4 dataLayer
    * @private
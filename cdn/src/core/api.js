@@ -47,10 +47,14 @@ class ApiClient {
    * @param {string} options.apiKey - Customer API key
    * @param {number} options.timeout - Request timeout in ms
    * @param {number} options.retries - Number of retry attempts
+   * @param {string} options.previewToken - Draft preview token
+   * @param {Function} options.getVisitorId - Returns the visitor ID sent with events
    */
   constructor(options = {}) {
     this.baseUrl = options.baseUrl || '';
     this.apiKey = options.apiKey || '';
+    this.previewToken = options.previewToken || null;
+    this.getVisitorId = options.getVisitorId || null;
     this.timeout = options.timeout || 10000;
     this.retries = options.retries || 2;
     this.cache = new Map();
@@ -68,6 +72,8 @@ class ApiClient {
     if (options.timeout) this.timeout = options.timeout;
     if (options.retries) this.retries = options.retries;
     if (options.cacheTimeout) this.cacheTimeout = options.cacheTimeout;
+    if (options.previewToken) this.previewToken = options.previewToken;
+    if (options.getVisitorId) this.getVisitorId = options.getVisitorId;
 
     logger.debug('API client configured:', {
       baseUrl: this.baseUrl,
@@ -100,6 +106,15 @@ class ApiClient {
     return url;
   }
 
+  /**
+   * Query parameters that request draft content
+   *
+   * @returns {Object} Preview parameters (empty when not previewing)
+   */
+  _previewParams() {
+    return this.previewToken ? { pwx_preview: this.previewToken } : {};
+  }
+
   /**
    * Build request headers
    *
@@ -317,10 +332,16 @@ class ApiClient {
    */
   async getWidgetConfig(customerSlug, widgetType = null) {
     const endpoint = `/api/public/widget/${customerSlug}`;
-    const params = widgetType ? { type: widgetType } : {};
+    const params = {
+      ...(widgetType ? { type: widgetType } : {}),
+      ...this._previewParams()
+    };
 
     try {
-      const response = await this._request(HTTP_METHODS.GET, endpoint, { params });
+      const response = await this._request(HTTP_METHODS.GET, endpoint, {
+        params,
+        useCache: !this.previewToken
+      });
       return response.data;
     } catch (error) {
       logger.error('Failed to fetch widget config:', error.message);
@@ -353,6 +374,77 @@ class ApiClient {
     }
   }
 
+  /**
+   * Get a widget with the products picked by its selection
+   *
+   * @param {string} customerSlug - Customer slug
+   * @param {string} widgetId - Widget ID
+   * @returns {Promise<Object>} Widget and products
+   */
+  async getWidgetProducts(customerSlug, widgetId) {
+    const endpoint = `/api/${customerSlug}/widget/${widgetId}`;
+
+    try {
+      const response = await this._request(HTTP_METHODS.GET, endpoint, {
+        params: this._previewParams(),
+        useCache: !this.previewToken
+      });
+      return response.data;
+    } catch (error) {
+      logger.error('Failed to fetch widget products:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get product recommendations
+   *
+   * @param {string} customerSlug - Customer slug
+   * @param {Object} options - Query options
+   * @param {string} options.strategy - similar, viewed_together or trending
+   * @param {string} options.productId - Product the recommendations are for
+   * @param {string} options.category - Category filter
+   * @param {number} options.limit - Max products
+   * @returns {Promise<Object>} Strategy used and products
+   */
+  async getRecommendations(customerSlug, options = {}) {
+    const endpoint = `/api/public/recommendations/${customerSlug}`;
+
+    try {
+      const response = await this._request(HTTP_METHODS.GET, endpoint, {
+        params: options
+      });
+      return response.data;
+    } catch (error) {
+      logger.error('Failed to fetch recommendations:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Search products
+   *
+   * @param {string} customerSlug - Customer slug
+   * @param {string} query - Search text
+   * @param {Object} options - Query options
+   * @param {number} options.limit - Max products
+   * @param {boolean} options.autocomplete - Also return brand/category suggestions
+   * @returns {Promise<Object>} Products and suggestions
+   */
+  async searchProducts(customerSlug, query, options = {}) {
+    const endpoint = `/api/public/search/${customerSlug}`;
+
+    try {
+      const response = await this._request(HTTP_METHODS.GET, endpoint, {
+        params: { q: query, ...options }
+      });
+      return response.data;
+    } catch (error) {
+      logger.error('Failed to search products:', error.message);
+      throw error;
+    }
+  }
+
   /**
    * Get theme configuration
    *
@@ -363,7 +455,10 @@ class ApiClient {
     const endpoint = `/api/public/theme/${customerSlug}`;
 
     try {
-      const response = await this._request(HTTP_METHODS.GET, endpoint);
+      const response = await this._request(HTTP_METHODS.GET, endpoint, {
+        params: this._previewParams(),
+        useCache: !this.previewToken
+      });
       return response.data;
     } catch (error) {
       logger.error('Failed to fetch theme:', error.message);
@@ -373,6 +468,8 @@ class ApiClient {
 
   /**
    * Get full widget data (config + theme + products)
+   * Products come from recommendations when a strategy is given, or from
+   * the widget's product selection when it has one
    *
    * @param {string} customerSlug - Customer slug
    * @param {Object} options - Query options
@@ -384,11 +481,7 @@ class ApiClient {
       const [config, theme, productsData] = await Promise.all([
         this.getWidgetConfig(customerSlug, options.widgetType),
         this.getTheme(customerSlug).catch(() => ({})), // Theme is optional
-        this.getProducts(customerSlug, {
-          campaign: options.campaign,
-          category: options.category,
-          limit: options.limit || 20
-        })
+        this._getProductsFor(customerSlug, options)
       ]);
 
       return {
@@ -404,6 +497,35 @@ class ApiClient {
     }
   }
 
+  /**
+   * Fetch the products a widget shows
+   * @private
+   *
+   * @param {string} customerSlug - Customer slug
+   * @param {Object} options - Widget data options
+   * @returns {Promise<Object>} Products data
+   */
+  _getProductsFor(customerSlug, options) {
+    if (options.recommendation) {
+      return this.getRecommendations(customerSlug, {
+        strategy: options.recommendation,
+        productId: options.productId,
+        category: options.category,
+        limit: options.limit || 20
+      });
+    }
+
+    if (options.selection && options.widgetId) {
+      return this.getWidgetProducts(customerSlug, options.widgetId);
+    }
+
+    return this.getProducts(customerSlug, {
+      campaign: options.campaign,
+      category: options.category,
+      limit: options.limit || 20
+    });
+  }
+
   /**
    * Track widget event (analytics)
    *
@@ -420,6 +542,8 @@ class ApiClient {
     try {
       await this._request(HTTP_METHODS.POST, endpoint, {
         body: {
+          // Every event carries the visitor, viewed-together recommendations join on it
+          visitorId: this.getVisitorId ? this.getVisitorId() : undefined,
           ...event,
           timestamp: Date.now(),
           url: window.location.href,
@@ -83,7 +83,18 @@ const DEFAULT_CONFIG = {
   // A/B Testing Configuration
   abTesting: {
     enabled: true,
-    defaultSplit: 0.5             // A/B dagilim orani
+    defaultSplit: 0.5,            // A/B dagilim orani
+    userId: null                  // Musteri kullanici kimligi (cihazlar arasi ayni grup)
+  },
+
+  // Draft Preview
+  preview: {
+    token: null                   // Imzali onizleme tokeni (yayinlanmamis taslaklar)
+  },
+
+  // Current Page
+  page: {
+    productId: null               // Urun sayfasindaki urun (oneri widget'lari icin)
   }
 };
 
@@ -119,12 +130,18 @@ class ConfigManager {
       config = deepMerge(config, scriptConfig);
     }
 
-    // 3. Merge window.PWX_CONFIG if exists
+    // 3. Merge draft preview token from page URL
+    const previewToken = this._getPreviewToken();
+    if (previewToken) {
+      config = deepMerge(config, { preview: { token: previewToken } });
+    }
+
+    // 4. Merge window.PWX_CONFIG if exists
     if (typeof window !== 'undefined' && window.PWX_CONFIG) {
       config = deepMerge(config, window.PWX_CONFIG);
     }
 
-    // 4. Merge passed options
+    // 5. Merge passed options
     if (options && typeof options === 'object') {
       config = deepMerge(config, options);
     }
@@ -149,6 +166,17 @@ class ConfigManager {
     return this._config;
   }
 
+  /**
+   * Get draft preview token from the page URL (?pwx_preview=...)
+   *
+   * @returns {string|null} Preview token
+   */
+  _getPreviewToken() {
+    if (typeof window === 'undefined' || !window.location) return null;
+
+    return new URLSearchParams(window.location.search).get('pwx_preview');
+  }
+
   /**
    * Get script tag configuration
    * Reads data attributes from the PWX script tag
@@ -202,6 +230,14 @@ class ConfigManager {
       config.widgets.autoInit = false;
     }
 
+    if (attrs.userId) {
+      config.abTesting = { userId: String(attrs.userId) };
+    }
+
+    if (attrs.preview) {
+      config.preview = { token: String(attrs.preview) };
+    }
+
     // Theme attributes
     if (attrs.primaryColor) {
       config.theme = config.theme || {};
@@ -22,6 +22,7 @@ import { loader, WIDGET_STATE } from './loader.js';
 import { storage as pwxStorage, STORAGE_KEYS } from './storage.js';
 import { tracker, Tracker } from './tracker.js';
 import { abTest, ABTestManager } from './ab-testing.js';
+import { targeting } from './targeting.js';
 
 // Static widget imports (bundled together)
 import CarouselWidget from '../widgets/carousel.js';
@@ -31,6 +32,7 @@ import GridWidget from '../widgets/grid.js';
 import SliderWidget from '../widgets/slider.js';
 import CustomWidget from '../widgets/custom.js';
 import RecentlyViewedWidget from '../widgets/recently-viewed.js';
+import SearchWidget from '../widgets/search.js';
 
 /**
  * ProWidget Framework Version
@@ -66,6 +68,12 @@ class PWX extends EventEmitter {
      * @type {ABTestManager}
      */
     this.abTest = abTest;
+
+    /**
+     * Audience targeting for auto-rendered widgets
+     * @type {Targeting}
+     */
+    this.targeting = targeting;
   }
 
   /**
@@ -92,9 +100,15 @@ class PWX extends EventEmitter {
         apiKey: cfg.customer.apiKey,
         timeout: cfg.api.timeout,
         retries: cfg.api.retries,
-        cacheTimeout: cfg.api.cacheTimeout
+        cacheTimeout: cfg.api.cacheTimeout,
+        previewToken: cfg.preview.token,
+        getVisitorId: () => this.abTest.getVisitorId()
       });
 
+      if (cfg.preview.token) {
+        logger.info('Draft preview mode: unpublished widget changes are shown');
+      }
+
       // Initialize loader
       await loader.init();
 
@@ -108,6 +122,19 @@ class PWX extends EventEmitter {
         this._initABTesting(cfg.abTesting);
       }
 
+      // Count the visit and keep the landing referrer/UTM for targeting
+      if (isBrowser) {
+        this.targeting.startSession();
+      }
+
+      // Product on this page anchors similar/viewed-together recommendations
+      if (isBrowser && !config.get('page.productId')) {
+        const productData = this._extractProductData();
+        if (productData && productData.id) {
+          config.set('page.productId', String(productData.id));
+        }
+      }
+
       // Import and register built-in widgets
       await this._registerBuiltInWidgets();
 
@@ -164,7 +191,8 @@ class PWX extends EventEmitter {
         GridWidget,
         SliderWidget,
         CustomWidget,
-        RecentlyViewedWidget
+        RecentlyViewedWidget,
+        SearchWidget
       ];
 
       widgets.forEach(Widget => {
@@ -202,15 +230,51 @@ class PWX extends EventEmitter {
   _initABTesting(abConfig) {
     this.abTest = new ABTestManager(pwxStorage, {
       enabled: abConfig.enabled,
-      defaultSplit: abConfig.defaultSplit || 0.5
+      defaultSplit: abConfig.defaultSplit || 0.5,
+      userId: abConfig.userId || null
     });
 
+    this._forwardABConversions();
+
     logger.debug('A/B Testing initialized');
   }
 
+  /**
+   * Forward A/B conversions to the tracking API so test results are counted
+   * Impressions and clicks are already sent by the loader and widgets
+   * @private
+   */
+  _forwardABConversions() {
+    if (!isBrowser) return;
+
+    window.addEventListener('pwx:ab:event', (event) => {
+      const { testId, eventType, group, value } = event.detail || {};
+
+      if (['assignment', 'impression', 'click'].includes(eventType)) {
+        return;
+      }
+
+      const slug = config.getCustomerSlug();
+      const test = this.abTest.getTest(testId);
+
+      if (!slug || !test || !config.isAnalyticsEnabled()) {
+        return;
+      }
+
+      api.trackEvent(slug, {
+        type: 'conversion',
+        widgetId: test.widgetId,
+        abTestId: testId,
+        variant: group,
+        value: typeof value === 'number' ? value : undefined
+      });
+    });
+  }
+
   /**
    * Auto-track product on product pages
-   * Detects product data from page and tracks view
+   * Detects product data from page and tracks view. The view is also sent
+   * to the API, where it feeds viewed-together and trending recommendations.
    * @private
    */
   _autoTrackProduct() {
@@ -219,6 +283,15 @@ class PWX extends EventEmitter {
     if (productData) {
       this.tracker.trackProductView(productData);
       logger.debug('Product auto-tracked:', productData.id);
+
+      const slug = config.getCustomerSlug();
+
+      if (slug && productData.id && config.isAnalyticsEnabled()) {
+        api.trackEvent(slug, {
+          type: 'product_view',
+          productId: String(productData.id)
+        });
+      }
     }
   }
 
@@ -384,7 +457,11 @@ class PWX extends EventEmitter {
     try {
       logger.debug('Fetching widget config for auto-render...');
       const widgetConfig = await api.getWidgetConfig(slug);
-      const widgets = widgetConfig.widgets || [];
+      const abTests = this._registerABTests(widgetConfig.abTests || []);
+      const context = this.getTargetingContext();
+      const widgets = (widgetConfig.widgets || [])
+        .filter(widget => this._matchesTargeting(widget, context))
+        .map(widget => this._applyABVariant(widget, abTests));
 
       if (widgets.length === 0) {
         logger.debug('No widgets configured for auto-render');
@@ -404,6 +481,91 @@ class PWX extends EventEmitter {
     }
   }
 
+  /**
+   * Get the page/visitor context targeting rules are evaluated against
+   *
+   * @returns {Object} Targeting context
+   */
+  getTargetingContext() {
+    return this.targeting.getContext({
+      pageType: this._detectPageType(),
+      tracker: this.tracker
+    });
+  }
+
+  /**
+   * Check a widget's targeting rules
+   * @private
+   * @param {Object} widget - Widget configuration from API
+   * @param {Object} context - Targeting context
+   * @returns {boolean} True if the widget should render
+   */
+  _matchesTargeting(widget, context) {
+    const matched = this.targeting.matches(widget.targeting, context);
+
+    if (!matched) {
+      logger.debug(`Widget ${widget.id} skipped: targeting rules did not match`);
+    }
+
+    return matched;
+  }
+
+  /**
+   * Register A/B tests delivered with the widget config
+   * @private
+   * @param {Array} tests - Running tests from API
+   * @returns {Map<string, Object>} Tests keyed by widget ID
+   */
+  _registerABTests(tests) {
+    const byWidget = new Map();
+
+    tests.forEach(test => {
+      this.abTest.registerTest(test);
+
+      if (test.widgetId) {
+        byWidget.set(test.widgetId, test);
+      }
+    });
+
+    return byWidget;
+  }
+
+  /**
+   * Apply the visitor's A/B variant settings to a widget
+   * @private
+   * @param {Object} widget - Widget configuration from API
+   * @param {Map<string, Object>} abTests - Tests keyed by widget ID
+   * @returns {Object} Widget configuration with variant applied
+   */
+  _applyABVariant(widget, abTests) {
+    const test = abTests.get(widget.id);
+
+    if (!test || !this.abTest.enabled) {
+      return widget;
+    }
+
+    const group = this.abTest.getGroup(test.id);
+
+    if (!group) {
+      return widget;
+    }
+
+    const registered = this.abTest.getTest(test.id);
+    const variant = registered && registered.variants.find(v => v.key === group);
+
+    logger.debug(`A/B test "${test.id}": rendering ${widget.id} with variant ${group}`);
+
+    return {
+      ...widget,
+      settings: {
+        ...(widget.settings || {}),
+        ...((variant && variant.settings) || {}),
+        abTestId: test.id,
+        abVariant: group
+      }
+    };
+  }
+
   /**
    * Create a widget container element
    *
@@ -292,7 +292,7 @@ class WidgetLoader extends EventEmitter {
 
       // Track impression
       if (config.isAnalyticsEnabled()) {
-        this._trackImpression(id, type);
+        this._trackImpression(options.widgetId || id, type, options);
       }
 
       logger.debug(`Widget mounted: ${id}`);
@@ -327,8 +327,25 @@ class WidgetLoader extends EventEmitter {
       return { products: [], config: {} };
     }
 
+    // Search widgets fetch their own suggestions while the visitor types
+    if (type === 'search') {
+      return { products: [], config: {} };
+    }
+
+    // Recommendation widgets are anchored to the product on the page
+    const recommendation = options.recommendation || null;
+    const productId = recommendation ? (options.productId || config.get('page.productId')) : null;
+
     // Generate cache key
-    const cacheKey = `${customerSlug}:${type}:${options.campaign || ''}:${options.category || ''}`;
+    const cacheKey = [
+      customerSlug,
+      type,
+      options.campaign || '',
+      options.category || '',
+      recommendation || '',
+      productId || '',
+      options.selection ? options.widgetId || '' : ''
+    ].join(':');
 
     // Check cache
     if (this._dataCache.has(cacheKey)) {
@@ -341,6 +358,10 @@ class WidgetLoader extends EventEmitter {
       widgetType: type,
       campaign: options.campaign,
       category: options.category,
+      recommendation,
+      productId,
+      selection: options.selection,
+      widgetId: options.widgetId,
       limit: options.limit || 20
     });
 
@@ -543,15 +564,18 @@ class WidgetLoader extends EventEmitter {
    *
    * @param {string} widgetId - Widget ID
    * @param {string} widgetType - Widget type
+   * @param {Object} options - Widget options (A/B test assignment)
    */
-  _trackImpression(widgetId, widgetType) {
+  _trackImpression(widgetId, widgetType, options = {}) {
     const customerSlug = config.getCustomerSlug();
 
     if (customerSlug) {
       api.trackEvent(customerSlug, {
         type: 'impression',
         widgetId,
-        widgetType
+        widgetType,
+        abTestId: options.abTestId,
+        variant: options.abVariant
       });
     }
   }
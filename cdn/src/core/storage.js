@@ -14,6 +14,9 @@ export const STORAGE_KEYS = {
   JOURNEY: 'JOURNEY',           // Son goruntulenen urunler
   SEARCH_HISTORY: 'SEARCH',     // Arama gecmisi
   AB_GROUP: 'AB',               // A/B test grubu
+  AB_FORCED: 'ABF',             // Elle secilen A/B test grubu (debug)
+  VISITOR: 'VISITOR',           // Ziyaretci kimligi
+  VISITS: 'VISITS',             // Ziyaret (oturum) sayisi
   USER: 'USER'                  // Kullanici bilgisi
 };
 
@@ -0,0 +1,287 @@
+/**
+ * Targeting Module
+ * Client-side audience rules evaluated before a widget is mounted
+ *
+ * @module core/targeting
+ */
+
+import { logger } from './utils.js';
+import { storage, STORAGE_KEYS } from './storage.js';
+
+/**
+ * sessionStorage key for the current visit (landing referrer and UTM)
+ */
+const SESSION_KEY = 'pwx_session';
+
+/**
+ * UTM parameters read from the landing URL
+ */
+const UTM_PARAMS = ['source', 'medium', 'campaign', 'term', 'content'];
+
+/**
+ * dataLayer events that carry the cart total
+ */
+const CART_EVENTS = ['view_cart', 'add_to_cart', 'remove_from_cart', 'begin_checkout', 'cart_update'];
+
+/**
+ * Compare an actual value against a rule
+ * Array values (e.g. viewed categories) match if any element matches;
+ * negated operators require that none does.
+ * @param {string} operator - Rule operator
+ * @param {*} actual - Value from the page context
+ * @param {*} expected - Value from the rule
+ * @returns {boolean}
+ */
+const compare = (operator, actual, expected) => {
+  const text = (value) => String(value == null ? '' : value).toLowerCase();
+
+  if (Array.isArray(actual) && !['in', 'notIn'].includes(operator)) {
+    if (operator.startsWith('not')) {
+      const positive = operator.charAt(3).toLowerCase() + operator.slice(4);
+      return !actual.some(item => compare(positive, item, expected));
+    }
+    return actual.some(item => compare(operator, item, expected));
+  }
+
+  switch (operator) {
+    case 'equals':
+      return text(actual) === text(expected);
+    case 'notEquals':
+      return text(actual) !== text(expected);
+    case 'contains':
+      return text(actual).includes(text(expected));
+    case 'notContains':
+      return !text(actual).includes(text(expected));
+    case 'startsWith':
+      return text(actual).startsWith(text(expected));
+    case 'matches':
+      try {
+        return new RegExp(expected, 'i').test(String(actual == null ? '' : actual));
+      } catch (e) {
+        logger.warn(`Invalid targeting pattern: ${expected}`);
+        return false;
+      }
+    case 'in':
+      return [].concat(expected).map(text).includes(text(actual));
+    case 'notIn':
+      return ![].concat(expected).map(text).includes(text(actual));
+    case 'gt':
+      return Number(actual) > Number(expected);
+    case 'gte':
+      return Number(actual) >= Number(expected);
+    case 'lt':
+      return Number(actual) < Number(expected);
+    case 'lte':
+      return Number(actual) <= Number(expected);
+    default:
+      logger.warn(`Unknown targeting operator: ${operator}`);
+      return false;
+  }
+};
+
+/**
+ * Targeting Class
+ * Builds the visitor/page context and evaluates widget rule sets
+ */
+class Targeting {
+  /**
+   * @param {StorageManager} storageManager - Storage instance
+   */
+  constructor(storageManager) {
+    this.storage = storageManager;
+    this._session = null;
+  }
+
+  /**
+   * Start or resume the current visit
+   * A new browser session counts as a new visit; the landing referrer and
+   * UTM parameters are kept for the rest of the session.
+   * @returns {Object} Session data ({ referrer, utm, visits })
+   */
+  startSession() {
+    if (this._session) {
+      return this._session;
+    }
+
+    let session = null;
+
+    try {
+      session = JSON.parse(window.sessionStorage.getItem(SESSION_KEY));
+    } catch (e) {
+      // sessionStorage not available, session lives in memory
+    }
+
+    if (!session) {
+      const visits = (this.storage.get(STORAGE_KEYS.VISITS) || 0) + 1;
+      this.storage.set(STORAGE_KEYS.VISITS, visits, 365);
+
+      session = {
+        referrer: document.referrer || '',
+        utm: {},
+        visits
+      };
+    }
+
+    // UTM parameters on the current URL override the landing ones
+    const params = new URLSearchParams(window.location.search);
+    UTM_PARAMS.forEach(name => {
+      const value = params.get(`utm_${name}`);
+      if (value) {
+        session.utm[name] = value;
+      }
+    });
+
+    try {
+      window.sessionStorage.setItem(SESSION_KEY, JSON.stringify(session));
+    } catch (e) {
+      // Ignore storage errors
+    }
+
+    this._session = session;
+    return session;
+  }
+
+  /**
+   * Build the context rules are evaluated against
+   * @param {Object} options - Context sources
+   * @param {string} options.pageType - Detected page type
+   * @param {Tracker} [options.tracker] - Tracker for the product journey
+   * @returns {Object} Targeting context
+   */
+  getContext({ pageType, tracker } = {}) {
+    const session = this.startSession();
+    const journey = tracker ? tracker.getRecentlyViewed(100) : [];
+
+    return {
+      pageType: pageType || 'other',
+      url: window.location.href,
+      device: this.getDevice(),
+      referrer: session.referrer,
+      utm: session.utm,
+      visitor: session.visits > 1 ? 'returning' : 'new',
+      viewedCategories: journey.map(p => p.category).filter(Boolean),
+      cartValue: this.getCartValue()
+    };
+  }
+
+  /**
+   * Detect the device class
+   * @returns {string} 'mobile', 'tablet' or 'desktop'
+   */
+  getDevice() {
+    const ua = navigator.userAgent || '';
+
+    if (/iPad|Tablet|PlayBook|Silk|(Android(?!.*Mobile))/i.test(ua)) {
+      return 'tablet';
+    }
+
+    if (/Mobi|iPhone|iPod|Android|IEMobile|Opera Mini/i.test(ua)) {
+      return 'mobile';
+    }
+
+    const width = window.innerWidth || document.documentElement.clientWidth;
+
+    if (width && width < 768) return 'mobile';
+    if (width && width < 1024) return 'tablet';
+
+    return 'desktop';
+  }
+
+  /**
+   * Read the cart total from the dataLayer
+   * Uses the latest `cartValue` push or GA4 cart event; an unknown cart
+   * counts as empty.
+   * @returns {number} Cart value
+   */
+  getCartValue() {
+    const dataLayer = Array.isArray(window.dataLayer) ? window.dataLayer : [];
+
+    for (let i = dataLayer.length - 1; i >= 0; i--) {
+      const item = dataLayer[i];
+
+      if (!item || typeof item !== 'object') continue;
+
+      if (item.cartValue != null && !isNaN(Number(item.cartValue))) {
+        return Number(item.cartValue);
+      }
+
+      if (item.ecommerce && CART_EVENTS.includes(item.event)) {
+        const { value, items } = item.ecommerce;
+
+        if (value != null && !isNaN(Number(value))) {
+          return Number(value);
+        }
+
+        if (Array.isArray(items)) {
+          return items.reduce(
+            (sum, product) => sum + (Number(product.price) || 0) * (Number(product.quantity) || 1),
+            0
+          );
+        }
+      }
+    }
+
+    return 0;
+  }
+
+  /**
+   * Check if a widget's rule set matches the context
+   * @param {Object|null} targeting - Rule set ({ match: 'all'|'any', rules: [] })
+   * @param {Object} context - Context from getContext()
+   * @returns {boolean} True if the widget should render
+   */
+  matches(targeting, context) {
+    if (!targeting || !Array.isArray(targeting.rules) || targeting.rules.length === 0) {
+      return true;
+    }
+
+    const results = targeting.rules.map(rule => this.evaluateRule(rule, context));
+
+    return targeting.match === 'any'
+      ? results.some(Boolean)
+      : results.every(Boolean);
+  }
+
+  /**
+   * Evaluate a single rule
+   * @param {Object} rule - Rule ({ type, operator, value, param? })
+   * @param {Object} context - Targeting context
+   * @returns {boolean}
+   */
+  evaluateRule(rule, context) {
+    const { type, operator, value, param } = rule || {};
+
+    switch (type) {
+      case 'pageType':
+        return compare(operator, context.pageType, value);
+      case 'url':
+        return compare(operator, context.url, value);
+      case 'device':
+        return compare(operator, context.device, value);
+      case 'referrer':
+        return compare(operator, context.referrer, value);
+      case 'utm':
+        return compare(operator, context.utm[param], value);
+      case 'visitor':
+        return compare(operator, context.visitor, value);
+      case 'viewedCategory':
+        return compare(operator, context.viewedCategories, value);
+      case 'cartValue':
+        return compare(operator, context.cartValue, value);
+      default:
+        logger.warn(`Unknown targeting rule type: ${type}`);
+        return false;
+    }
+  }
+}
+
+// Create singleton instance
+const targeting = new Targeting(storage);
+
+export {
+  Targeting,
+  targeting,
+  compare
+};
+
+export default targeting;
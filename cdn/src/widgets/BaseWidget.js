@@ -18,6 +18,12 @@ import {
 import { config } from '../core/config.js';
 import { api } from '../core/api.js';
 
+/**
+ * Color swatches shown per product card
+ * @type {number}
+ */
+const MAX_SWATCHES = 5;
+
 /**
  * Base Widget Class
  * All widgets should extend this class
@@ -40,6 +46,9 @@ class BaseWidget extends EventEmitter {
     showPrice: true,
     showTitle: true,
     showImage: true,
+    showPriceDrop: true,
+    showBackInStock: true,
+    showVariants: true,
     imageLoading: 'lazy',
     linkTarget: '_blank',
     currency: 'TRY',
@@ -364,6 +373,27 @@ class BaseWidget extends EventEmitter {
         margin-left: 8px;
       }
 
+      .${this.cssPrefix}-product-variants {
+        display: flex;
+        align-items: center;
+        gap: 4px;
+        margin-top: 6px;
+        font-size: 12px;
+        color: #666;
+      }
+
+      .${this.cssPrefix}-swatch {
+        width: 16px;
+        height: 16px;
+        border-radius: 50%;
+        border: 1px solid #ddd;
+        background: #f5f5f5 center / cover no-repeat;
+      }
+
+      .${this.cssPrefix}-swatch-more {
+        margin-right: 4px;
+      }
+
       .${this.cssPrefix}-product-link {
         text-decoration: none;
         color: inherit;
@@ -395,6 +425,30 @@ class BaseWidget extends EventEmitter {
       .${this.cssPrefix}-badge--new {
         background: #28a745;
       }
+
+      .${this.cssPrefix}-badges {
+        position: absolute;
+        top: 8px;
+        left: 8px;
+        display: flex;
+        flex-direction: column;
+        align-items: flex-start;
+        gap: 4px;
+      }
+
+      .${this.cssPrefix}-badges .${this.cssPrefix}-badge {
+        position: static;
+      }
+
+      .${this.cssPrefix}-badge--price-drop {
+        background: #fd7e14;
+        text-transform: none;
+      }
+
+      .${this.cssPrefix}-badge--back-in-stock {
+        background: #28a745;
+        text-transform: none;
+      }
     `;
   }
 
@@ -479,9 +533,11 @@ class BaseWidget extends EventEmitter {
     if (customerSlug) {
       api.trackEvent(customerSlug, {
         type: 'click',
-        widgetId: this.id,
+        widgetId: this.options.widgetId || this.id,
         widgetType: this.type,
-        productId
+        productId,
+        abTestId: this.options.abTestId,
+        variant: this.options.abVariant
       });
     }
   }
@@ -568,6 +624,9 @@ class BaseWidget extends EventEmitter {
       showImage = this.options.showImage,
       showTitle = this.options.showTitle,
       showPrice = this.options.showPrice,
+      showPriceDrop = this.options.showPriceDrop,
+      showBackInStock = this.options.showBackInStock,
+      showVariants = this.options.showVariants,
       linkTarget = this.options.linkTarget,
       imageLoading = this.options.imageLoading
     } = options;
@@ -604,17 +663,36 @@ class BaseWidget extends EventEmitter {
 
       imageContainer.appendChild(img);
 
-      // Badge
+      // Badges: sale discount, price drop and restock from the price history
+      const badges = createElement('div', {
+        className: `${this.cssPrefix}-badges`
+      });
+
       if (product.salePrice && product.price) {
         const discount = Math.round((1 - product.salePrice / product.price) * 100);
         if (discount > 0) {
-          const badge = createElement('span', {
+          badges.appendChild(createElement('span', {
             className: `${this.cssPrefix}-badge ${this.cssPrefix}-badge--sale`
-          }, `%${discount}`);
-          imageContainer.appendChild(badge);
+          }, `%${discount}`));
         }
       }
 
+      if (showPriceDrop && product.priceDrop) {
+        badges.appendChild(createElement('span', {
+          className: `${this.cssPrefix}-badge ${this.cssPrefix}-badge--price-drop`
+        }, `Son ${product.priceDrop.days} günde %${product.priceDrop.percent} düştü`));
+      }
+
+      if (showBackInStock && product.backInStock) {
+        badges.appendChild(createElement('span', {
+          className: `${this.cssPrefix}-badge ${this.cssPrefix}-badge--back-in-stock`
+        }, 'Tekrar stokta'));
+      }
+
+      if (badges.childNodes.length > 0) {
+        imageContainer.appendChild(badges);
+      }
+
       link.appendChild(imageContainer);
     }
 
@@ -660,9 +738,61 @@ class BaseWidget extends EventEmitter {
     link.appendChild(content);
     card.appendChild(link);
 
+    // Variants: color swatches, or the option count for size-only groups
+    if (showVariants && product.variantCount > 1) {
+      content.appendChild(this.createVariantSwatches(product, card));
+    }
+
     return card;
   }
 
+  /**
+   * Create the variant summary of a grouped product
+   * Hovering a swatch shows that color's image on the card
+   *
+   * @param {Object} product - Product data with colors and variantCount
+   * @param {HTMLElement} card - Product card element
+   * @returns {HTMLElement} Variants element
+   */
+  createVariantSwatches(product, card) {
+    const colors = product.colors || [];
+    const container = createElement('div', {
+      className: `${this.cssPrefix}-product-variants`
+    });
+
+    if (colors.length <= 1) {
+      container.appendChild(document.createTextNode(`${product.variantCount} seçenek`));
+      return container;
+    }
+
+    const image = card.querySelector(`.${this.cssPrefix}-product-image`);
+    const originalSrc = image && image.src;
+
+    colors.slice(0, MAX_SWATCHES).forEach((color) => {
+      const swatch = createElement('span', {
+        className: `${this.cssPrefix}-swatch`,
+        title: color.name,
+        style: color.imageLink ? { backgroundImage: `url("${encodeURI(color.imageLink)}")` } : {}
+      });
+
+      if (image && color.imageLink) {
+        swatch.addEventListener('mouseenter', () => { image.src = color.imageLink; });
+        swatch.addEventListener('mouseleave', () => { image.src = originalSrc; });
+      }
+
+      container.appendChild(swatch);
+    });
+
+    if (colors.length > MAX_SWATCHES) {
+      container.appendChild(createElement('span', {
+        className: `${this.cssPrefix}-swatch-more`
+      }, `+${colors.length - MAX_SWATCHES}`));
+    }
+
+    container.appendChild(document.createTextNode(`${colors.length} renkte mevcut`));
+    return container;
+  }
+
   /**
    * Format price with currency
    *
@@ -12,6 +12,7 @@ import PopupWidget from './popup.js';
 import GridWidget from './grid.js';
 import SliderWidget from './slider.js';
 import CustomWidget from './custom.js';
+import SearchWidget from './search.js';
 
 export {
   BaseWidget,
@@ -20,7 +21,8 @@ export {
   PopupWidget,
   GridWidget,
   SliderWidget,
-  CustomWidget
+  CustomWidget,
+  SearchWidget
 };
 
 export default {
@@ -30,5 +32,6 @@ export default {
   PopupWidget,
   GridWidget,
   SliderWidget,
-  CustomWidget
+  CustomWidget,
+  SearchWidget
 };
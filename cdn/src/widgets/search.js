@@ -0,0 +1,552 @@
+/**
+ * Search Widget
+ * Autocomplete dropdown for the storefront's own search input
+ * Shows recent searches and live product suggestions
+ *
+ * @module widgets/search
+ */
+
+import BaseWidget from './BaseWidget.js';
+import { logger, escapeHtml, debounce } from '../core/utils.js';
+import { config } from '../core/config.js';
+import { api } from '../core/api.js';
+
+/**
+ * SearchWidget Class
+ * Attaches to an existing search input instead of rendering one
+ */
+class SearchWidget extends BaseWidget {
+  /**
+   * Widget type identifier
+   */
+  static type = 'search';
+
+  /**
+   * Default options
+   */
+  static defaultOptions = {
+    ...BaseWidget.defaultOptions,
+    // Storefront search input
+    inputSelector: 'input[type="search"], input[name="q"]',
+    // Min characters before suggestions are fetched
+    minChars: 2,
+    // Delay between keystrokes and the request (ms)
+    debounce: 250,
+    // Number of product suggestions
+    limit: 6,
+    // Number of recent searches shown for an empty input
+    historyLimit: 5,
+    // Show brand/category suggestions
+    showSuggestions: true,
+    // Section titles
+    historyTitle: 'Son Aramalariniz',
+    productsTitle: 'Urunler',
+    emptyText: 'Sonuc bulunamadi'
+  };
+
+  /**
+   * Constructor
+   */
+  constructor(params) {
+    super(params);
+
+    /**
+     * Tracker reference (will be set from PWX.tracker)
+     * @type {Tracker|null}
+     */
+    this.tracker = null;
+
+    /**
+     * Storefront search input
+     * @type {HTMLInputElement|null}
+     */
+    this.input = null;
+
+    /**
+     * Product suggestions of the last response
+     * @type {Array}
+     */
+    this.products = [];
+
+    /**
+     * Brand/category suggestions of the last response
+     * @type {Array}
+     */
+    this.suggestions = [];
+
+    /**
+     * Dropdown state
+     * @type {Object}
+     */
+    this.search = {
+      query: '',
+      open: false,
+      activeIndex: -1,
+      requestId: 0
+    };
+  }
+
+  /**
+   * Before init hook - find the input and get tracker reference
+   */
+  async beforeInit() {
+    if (typeof window !== 'undefined' && window.PWX && window.PWX.tracker) {
+      this.tracker = window.PWX.tracker;
+    }
+
+    this.input = document.querySelector(this.options.inputSelector);
+
+    if (!this.input) {
+      logger.warn(`Search ${this.id}: Input "${this.options.inputSelector}" not found`);
+    }
+  }
+
+  /**
+   * Get widget styles
+   */
+  getStyles() {
+    return `
+      ${super.getStyles()}
+
+      /* Search Widget Styles */
+      .${this.cssPrefix}-search {
+        position: fixed;
+        z-index: 2147483000;
+        display: none;
+        max-height: 70vh;
+        overflow-y: auto;
+        background: #fff;
+        border-radius: var(--pwx-border-radius, 8px);
+        box-shadow: var(--pwx-shadow, 0 8px 24px rgba(0,0,0,0.15));
+      }
+
+      .${this.cssPrefix}-search.pwx-search--open {
+        display: block;
+      }
+
+      .pwx-search-section {
+        padding: 8px 0;
+      }
+
+      .pwx-search-section + .pwx-search-section {
+        border-top: 1px solid #eee;
+      }
+
+      .pwx-search-heading {
+        padding: 4px 16px;
+        font-size: 12px;
+        font-weight: 600;
+        color: #888;
+        text-transform: uppercase;
+      }
+
+      .pwx-search-option {
+        display: flex;
+        align-items: center;
+        gap: 12px;
+        padding: 8px 16px;
+        font-size: 14px;
+        color: #333;
+        text-decoration: none;
+        cursor: pointer;
+      }
+
+      .pwx-search-option.pwx-search-option--active,
+      .pwx-search-option:hover {
+        background: #f5f5f5;
+      }
+
+      .pwx-search-option-meta {
+        margin-left: auto;
+        font-size: 12px;
+        color: #888;
+      }
+
+      .pwx-search-image {
+        width: 40px;
+        height: 40px;
+        flex-shrink: 0;
+        object-fit: cover;
+        border-radius: 4px;
+        background: #f5f5f5;
+      }
+
+      .pwx-search-name {
+        flex: 1;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+      }
+
+      .pwx-search-price {
+        font-weight: 600;
+        color: var(--pwx-primary-color, #000);
+        white-space: nowrap;
+      }
+
+      .pwx-search-empty {
+        padding: 16px;
+        font-size: 14px;
+        color: #666;
+        text-align: center;
+      }
+    `;
+  }
+
+  /**
+   * Render the dropdown for the current state
+   * Recent searches for an empty input, suggestions otherwise
+   */
+  async render() {
+    if (!this.input) {
+      this.container.style.display = 'none';
+      return;
+    }
+
+    const showHistory = this.search.query.length < this.options.minChars;
+    const html = showHistory ? this._renderHistory() : this._renderResults();
+
+    this.container.innerHTML = html;
+    this.container.setAttribute('role', 'listbox');
+    this.search.activeIndex = -1;
+
+    this.state.rendered = true;
+  }
+
+  /**
+   * Render recent searches
+   * @private
+   * @returns {string}
+   */
+  _renderHistory() {
+    const history = this.tracker ? this.tracker.getSearchHistory(this.options.historyLimit) : [];
+
+    if (history.length === 0) {
+      return '';
+    }
+
+    const items = history.map(query => `
+      <div class="pwx-search-option" role="option" data-pwx-query="${escapeHtml(query)}">
+        <span class="pwx-search-name">${escapeHtml(query)}</span>
+      </div>
+    `).join('');
+
+    return `
+      <div class="pwx-search-section">
+        <div class="pwx-search-heading">${escapeHtml(this.options.historyTitle)}</div>
+        ${items}
+      </div>
+    `;
+  }
+
+  /**
+   * Render brand/category and product suggestions
+   * @private
+   * @returns {string}
+   */
+  _renderResults() {
+    if (this.products.length === 0 && this.suggestions.length === 0) {
+      return `<div class="pwx-search-empty">${escapeHtml(this.options.emptyText)}</div>`;
+    }
+
+    const suggestions = this.options.showSuggestions ? this.suggestions.map(s => `
+      <div class="pwx-search-option" role="option" data-pwx-query="${escapeHtml(s.value)}">
+        <span class="pwx-search-name">${escapeHtml(s.value)}</span>
+        <span class="pwx-search-option-meta">${s.count}</span>
+      </div>
+    `).join('') : '';
+
+    const products = this.products.map(p => `
+      <a href="${escapeHtml(p.url || '#')}"
+         class="pwx-search-option"
+         role="option"
+         data-product-id="${escapeHtml(p.id)}">
+        ${p.imageLink ? `<img src="${escapeHtml(p.imageLink)}" alt="" loading="lazy" class="pwx-search-image">` : ''}
+        <span class="pwx-search-name">${escapeHtml(p.title || '')}</span>
+        <span class="pwx-search-price">${this.formatPrice(p.salePrice || p.price)}</span>
+      </a>
+    `).join('');
+
+    return `
+      ${suggestions ? `<div class="pwx-search-section">${suggestions}</div>` : ''}
+      ${products ? `
+        <div class="pwx-search-section">
+          <div class="pwx-search-heading">${escapeHtml(this.options.productsTitle)}</div>
+          ${products}
+        </div>
+      ` : ''}
+    `;
+  }
+
+  /**
+   * Bind input and dropdown events
+   * @protected
+   */
+  _bindEvents() {
+    super._bindEvents();
+
+    if (!this.input) {
+      return;
+    }
+
+    this.input.setAttribute('autocomplete', 'off');
+    this.input.setAttribute('aria-autocomplete', 'list');
+    this.input.setAttribute('aria-expanded', 'false');
+    this.input.setAttribute('aria-controls', this.container.id || this.id);
+
+    const fetchSuggestions = debounce(() => this._fetchSuggestions(), this.options.debounce);
+
+    this._addListener(this.input, 'focus', () => this._open());
+    this._addListener(this.input, 'input', () => {
+      this.search.query = this.input.value.trim();
+
+      if (this.search.query.length < this.options.minChars) {
+        this.render().then(() => this._open());
+        return;
+      }
+
+      fetchSuggestions();
+    });
+    this._addListener(this.input, 'keydown', (e) => this._handleKeydown(e));
+    this._addListener(this.input, 'blur', () => this._close());
+
+    // Keep focus in the input while an option is clicked
+    this._addListener(this.container, 'mousedown', (e) => e.preventDefault());
+
+    if (this.input.form) {
+      this._addListener(this.input.form, 'submit', () => this._trackQuery(this.input.value));
+    }
+
+    this._addListener(window, 'scroll', () => this._position(), { passive: true });
+  }
+
+  /**
+   * Fetch suggestions for the current query
+   * Responses to older queries are dropped
+   * @private
+   */
+  async _fetchSuggestions() {
+    const customerSlug = this.options.customer || config.getCustomerSlug();
+    const query = this.search.query;
+    const requestId = ++this.search.requestId;
+
+    if (!customerSlug || query.length < this.options.minChars) {
+      return;
+    }
+
+    try {
+      const result = await api.searchProducts(customerSlug, query, {
+        limit: this.options.limit,
+        autocomplete: this.options.showSuggestions
+      });
+
+      if (requestId !== this.search.requestId || this.state.destroyed) {
+        return;
+      }
+
+      this.products = result.products || [];
+      this.suggestions = result.suggestions || [];
+
+      await this.render();
+      this._open();
+
+      this.emit('search', { id: this.id, query, productCount: this.products.length });
+    } catch (error) {
+      logger.debug(`Search ${this.id}: Suggestions failed`, error.message);
+    }
+  }
+
+  /**
+   * Handle keyboard navigation
+   * @private
+   * @param {KeyboardEvent} event
+   */
+  _handleKeydown(event) {
+    const options = this._getOptions();
+
+    switch (event.key) {
+      case 'ArrowDown':
+      case 'ArrowUp': {
+        if (options.length === 0) return;
+        event.preventDefault();
+        this._open();
+
+        const step = event.key === 'ArrowDown' ? 1 : -1;
+        this._setActive((this.search.activeIndex + step + options.length) % options.length);
+        break;
+      }
+      case 'Enter':
+        if (this.search.open && this.search.activeIndex >= 0) {
+          event.preventDefault();
+          options[this.search.activeIndex].click();
+        }
+        break;
+      case 'Escape':
+        this._close();
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Handle option clicks
+   * Queries are put into the input, products are tracked and followed
+   *
+   * @param {Event} event - Click event
+   */
+  _handleClick(event) {
+    const queryOption = event.target.closest('[data-pwx-query]');
+
+    if (queryOption) {
+      event.preventDefault();
+      this._selectQuery(queryOption.dataset.pwxQuery);
+      return;
+    }
+
+    if (event.target.closest('[data-product-id]')) {
+      this._trackQuery(this.search.query);
+      super._handleClick(event);
+      this._close();
+    }
+  }
+
+  /**
+   * Search for a recent search or brand/category suggestion
+   * @private
+   * @param {string} query
+   */
+  _selectQuery(query) {
+    this.input.value = query;
+    this._trackQuery(query);
+
+    if (this.input.form) {
+      this._close();
+      if (typeof this.input.form.requestSubmit === 'function') {
+        this.input.form.requestSubmit();
+      } else {
+        this.input.form.submit();
+      }
+      return;
+    }
+
+    this.search.query = query;
+    this._fetchSuggestions();
+  }
+
+  /**
+   * Add a query to the visitor's search history
+   * @private
+   * @param {string} query
+   */
+  _trackQuery(query) {
+    if (this.tracker && query) {
+      this.tracker.trackSearch(query);
+    }
+  }
+
+  /**
+   * Get navigable options
+   * @private
+   * @returns {Array<HTMLElement>}
+   */
+  _getOptions() {
+    return Array.from(this.container.querySelectorAll('.pwx-search-option'));
+  }
+
+  /**
+   * Highlight an option
+   * @private
+   * @param {number} index
+   */
+  _setActive(index) {
+    const options = this._getOptions();
+
+    options.forEach((option, i) => {
+      option.classList.toggle('pwx-search-option--active', i === index);
+      option.setAttribute('aria-selected', String(i === index));
+    });
+
+    this.search.activeIndex = index;
+
+    const active = options[index];
+    if (active) {
+      active.id = active.id || `${this.id}-option-${index}`;
+      this.input.setAttribute('aria-activedescendant', active.id);
+      active.scrollIntoView?.({ block: 'nearest' });
+    }
+  }
+
+  /**
+   * Open the dropdown if it has content
+   * @private
+   */
+  _open() {
+    if (!this.input || !this.container.innerHTML.trim()) {
+      this._close();
+      return;
+    }
+
+    this.search.open = true;
+    this.container.classList.add('pwx-search--open');
+    this.input.setAttribute('aria-expanded', 'true');
+    this._position();
+  }
+
+  /**
+   * Close the dropdown
+   * @private
+   */
+  _close() {
+    this.search.open = false;
+    this.search.activeIndex = -1;
+    this.container.classList.remove('pwx-search--open');
+
+    if (this.input) {
+      this.input.setAttribute('aria-expanded', 'false');
+      this.input.removeAttribute('aria-activedescendant');
+    }
+  }
+
+  /**
+   * Place the dropdown below the input
+   * @private
+   */
+  _position() {
+    if (!this.search.open) return;
+
+    const rect = this.input.getBoundingClientRect();
+    const style = this.container.style;
+
+    style.top = `${rect.bottom + 4}px`;
+    style.left = `${rect.left}px`;
+    style.width = `${rect.width}px`;
+  }
+
+  /**
+   * Handle window resize
+   */
+  onResize() {
+    this._position();
+  }
+
+  /**
+   * Destroy widget
+   */
+  destroy() {
+    if (this.input) {
+      ['aria-autocomplete', 'aria-expanded', 'aria-controls', 'aria-activedescendant']
+        .forEach(attr => this.input.removeAttribute(attr));
+    }
+
+    // Drop responses that arrive after destroy
+    this.search.requestId++;
+    this.input = null;
+    this.tracker = null;
+    this.suggestions = [];
+    super.destroy();
+  }
+}
+
+export default SearchWidget;
+export { SearchWidget };
@@ -0,0 +1,41 @@
+/**
+ * A/B Testing Tests
+ * Tests for group assignment of registered tests
+ */
+
+import { ABTestManager } from '../src/core/ab-testing.js';
+
+const createStorage = () => {
+  const store = {};
+  return {
+    get: jest.fn((key) => (key in store ? store[key] : null)),
+    set: jest.fn((key, value) => {
+      store[key] = value;
+    }),
+  };
+};
+
+describe('A/B Testing', () => {
+  let manager;
+
+  beforeEach(() => {
+    manager = new ABTestManager(createStorage(), { userId: 'user-1' });
+  });
+
+  it('should assign a weighted variant and keep it', () => {
+    manager.registerTest({ id: 'test-1', variants: [{ key: 'A', weight: 0 }, { key: 'B', weight: 1 }] });
+
+    expect(manager.getGroup('test-1')).toBe('B');
+    expect(manager.getGroup('test-1')).toBe('B');
+  });
+
+  it('should return null when no variant has traffic', () => {
+    manager.registerTest({ id: 'test-2', variants: [{ key: 'A', weight: 0 }, { key: 'B', weight: 0 }] });
+
+    expect(manager.getTest('test-2').variants).toEqual([]);
+    expect(manager.getGroup('test-2')).toBeNull();
+
+    manager.enabled = false;
+    expect(manager.getGroup('test-2')).toBeNull();
+  });
+});
@@ -0,0 +1,31 @@
+/**
+ * API Client Tests
+ * Tests for event tracking requests
+ */
+
+import { ApiClient } from '../src/core/api.js';
+
+describe('API Client', () => {
+  describe('trackEvent', () => {
+    it('should send the visitor ID with every event', async () => {
+      const client = new ApiClient({ getVisitorId: () => 'v-1' });
+      client._request = jest.fn().mockResolvedValue(null);
+
+      await client.trackEvent('demo', { type: 'click', widgetId: 'w1', productId: 'p1' });
+      await client.trackEvent('demo', { type: 'impression', widgetId: 'w1' });
+
+      const bodies = client._request.mock.calls.map(([, , options]) => options.body);
+      expect(bodies.map((body) => body.visitorId)).toEqual(['v-1', 'v-1']);
+      expect(bodies[0]).toMatchObject({ type: 'click', productId: 'p1' });
+    });
+
+    it('should leave the visitor ID out until one is configured', async () => {
+      const client = new ApiClient();
+      client._request = jest.fn().mockResolvedValue(null);
+
+      await client.trackEvent('demo', { type: 'click' });
+
+      expect(client._request.mock.calls[0][2].body.visitorId).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Product Card Tests
+ * Tests for the sale, price drop and back in stock badges and variant
+ * swatches
+ */
+
+import BaseWidget from '../src/widgets/BaseWidget.js';
+
+const product = (fields = {}) => ({
+  id: 'p1',
+  title: 'Kirmizi Elbise',
+  price: 500,
+  salePrice: null,
+  imageLink: 'https://shop.example.com/p1.jpg',
+  url: 'https://shop.example.com/p1',
+  priceDrop: null,
+  backInStock: false,
+  ...fields,
+});
+
+describe('Product Card', () => {
+  let widget;
+
+  const badges = (card) =>
+    Array.from(card.querySelectorAll('.pwx-badge')).map((badge) => badge.textContent);
+
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="pwx-grid"></div>';
+    widget = new BaseWidget({ id: 'grid-1', container: document.getElementById('pwx-grid') });
+  });
+
+  it('should show price drop and back in stock badges next to the discount', () => {
+    const card = widget.createProductCard(
+      product({ salePrice: 400, priceDrop: { percent: 20, days: 30 }, backInStock: true })
+    );
+
+    expect(badges(card)).toEqual(['%20', 'Son 30 günde %20 düştü', 'Tekrar stokta']);
+    expect(card.querySelector('.pwx-badge--price-drop')).not.toBeNull();
+    expect(card.querySelector('.pwx-badge--back-in-stock')).not.toBeNull();
+  });
+
+  it('should leave out badges that are turned off or have no data', () => {
+    const card = widget.createProductCard(
+      product({ priceDrop: { percent: 15, days: 30 }, backInStock: true }),
+      { showPriceDrop: false }
+    );
+
+    expect(badges(card)).toEqual(['Tekrar stokta']);
+    expect(widget.createProductCard(product()).querySelector('.pwx-badges')).toBeNull();
+  });
+
+  it('should show color swatches of grouped products', () => {
+    const colors = ['Kirmizi', 'Mavi', 'Siyah', 'Beyaz', 'Yesil', 'Pembe'].map((name) => ({
+      name,
+      imageLink: `https://shop.example.com/${name}.jpg`,
+      url: `https://shop.example.com/${name}`,
+    }));
+    const card = widget.createProductCard(product({ variantCount: 12, colors }));
+    const swatches = card.querySelectorAll('.pwx-swatch');
+    const image = card.querySelector('.pwx-product-image');
+
+    expect(swatches).toHaveLength(5);
+    expect(swatches[1].title).toBe('Mavi');
+    expect(card.querySelector('.pwx-product-variants').textContent).toBe('+16 renkte mevcut');
+
+    swatches[1].dispatchEvent(new MouseEvent('mouseenter'));
+    expect(image.src).toBe('https://shop.example.com/Mavi.jpg');
+    swatches[1].dispatchEvent(new MouseEvent('mouseleave'));
+    expect(image.src).toBe('https://shop.example.com/p1.jpg');
+  });
+
+  it('should count options of groups without colors', () => {
+    const card = widget.createProductCard(product({ variantCount: 4, colors: [] }));
+
+    expect(card.querySelector('.pwx-product-variants').textContent).toBe('4 seçenek');
+    expect(widget.createProductCard(product()).querySelector('.pwx-product-variants')).toBeNull();
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Search Widget Tests
+ * Tests for recent searches, live suggestions and keyboard navigation
+ */
+
+import SearchWidget from '../src/widgets/search.js';
+import { config } from '../src/core/config.js';
+import { api } from '../src/core/api.js';
+
+jest.mock('../src/core/api.js', () => ({
+  api: {
+    searchProducts: jest.fn(),
+    trackEvent: jest.fn(),
+  },
+}));
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('Search Widget', () => {
+  let input;
+  let container;
+  let tracker;
+  let widget;
+
+  const type = (value) => {
+    input.value = value;
+    input.dispatchEvent(new Event('input'));
+  };
+
+  const keydown = (key) => {
+    input.dispatchEvent(new KeyboardEvent('keydown', { key }));
+  };
+
+  beforeEach(async () => {
+    document.body.innerHTML = `
+      <form id="search-form"><input id="q" name="q"></form>
+      <div id="pwx-search"></div>
+    `;
+    input = document.getElementById('q');
+    container = document.getElementById('pwx-search');
+
+    tracker = {
+      getSearchHistory: jest.fn(() => ['elbise', 'spor ayakkabi']),
+      trackSearch: jest.fn(),
+    };
+    window.PWX = { tracker };
+
+    config.set('customer.slug', 'demo');
+    config.set('analytics.enabled', true);
+
+    api.searchProducts.mockResolvedValue({
+      query: 'kirmizi',
+      products: [
+        { id: 'p1', title: 'Kirmizi Elbise', price: '500', url: 'https://shop.example.com/p1' },
+        { id: 'p2', title: 'Kirmizi Canta', price: '300', url: 'https://shop.example.com/p2' },
+      ],
+      suggestions: [{ type: 'brand', value: 'Kirmizi Moda', count: 4 }],
+    });
+
+    widget = new SearchWidget({
+      id: 'search-1',
+      container,
+      config: { inputSelector: '#q', debounce: 0 },
+    });
+    await widget.init();
+  });
+
+  afterEach(() => {
+    widget.destroy();
+    delete window.PWX;
+  });
+
+  it('should show recent searches when the input is focused', () => {
+    input.dispatchEvent(new Event('focus'));
+
+    const options = container.querySelectorAll('[data-pwx-query]');
+    expect(tracker.getSearchHistory).toHaveBeenCalledWith(5);
+    expect(Array.from(options).map((o) => o.dataset.pwxQuery)).toEqual(['elbise', 'spor ayakkabi']);
+    expect(container.classList.contains('pwx-search--open')).toBe(true);
+    expect(input.getAttribute('aria-expanded')).toBe('true');
+  });
+
+  it('should fetch live suggestions while typing', async () => {
+    type('kirmizi');
+    await flush();
+    await flush();
+
+    expect(api.searchProducts).toHaveBeenCalledWith('demo', 'kirmizi', { limit: 6, autocomplete: true });
+    expect(container.querySelectorAll('[data-product-id]')).toHaveLength(2);
+    expect(container.querySelector('[data-pwx-query]').dataset.pwxQuery).toBe('Kirmizi Moda');
+  });
+
+  it('should move through options with the arrow keys and close on Escape', async () => {
+    type('kirmizi');
+    await flush();
+    await flush();
+
+    keydown('ArrowDown');
+    keydown('ArrowDown');
+    let active = container.querySelector('.pwx-search-option--active');
+    expect(active.dataset.productId).toBe('p1');
+    expect(input.getAttribute('aria-activedescendant')).toBe(active.id);
+
+    keydown('ArrowUp');
+    keydown('ArrowUp');
+    active = container.querySelector('.pwx-search-option--active');
+    expect(active.dataset.productId).toBe('p2');
+
+    keydown('Escape');
+    expect(container.classList.contains('pwx-search--open')).toBe(false);
+  });
+
+  it('should track suggestion clicks and remember the query', async () => {
+    type('kirmizi');
+    await flush();
+    await flush();
+
+    container.querySelector('[data-product-id="p2"]').dispatchEvent(
+      new MouseEvent('click', { bubbles: true, cancelable: true })
+    );
+
+    expect(tracker.trackSearch).toHaveBeenCalledWith('kirmizi');
+    expect(api.trackEvent).toHaveBeenCalledWith('demo', expect.objectContaining({
+      type: 'click',
+      widgetType: 'search',
+      productId: 'p2',
+    }));
+  });
+
+  it('should submit the form when a recent search is chosen', () => {
+    const onSubmit = jest.fn((e) => e.preventDefault());
+    input.form.addEventListener('submit', onSubmit);
+    input.dispatchEvent(new Event('focus'));
+
+    keydown('ArrowDown');
+    keydown('Enter');
+
+    expect(input.value).toBe('elbise');
+    expect(tracker.trackSearch).toHaveBeenCalledWith('elbise');
+    expect(onSubmit).toHaveBeenCalled();
+  });
+});
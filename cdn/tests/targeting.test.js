@@ -0,0 +1,175 @@
+/**
+ * Targeting Module Tests
+ * Tests for targeting rule evaluation and context detection
+ */
+
+import { Targeting, compare } from '../src/core/targeting.js';
+import pwx from '../src/core/init.js';
+
+const createStorage = () => {
+  const store = {};
+  return {
+    get: jest.fn((key) => (key in store ? store[key] : null)),
+    set: jest.fn((key, value) => {
+      store[key] = value;
+    }),
+  };
+};
+
+const baseContext = {
+  pageType: 'product',
+  url: 'https://shop.example.com/urun/kirmizi-ayakkabi?utm_source=newsletter',
+  device: 'mobile',
+  referrer: 'https://www.google.com/',
+  utm: { source: 'newsletter', campaign: 'kis' },
+  visitor: 'returning',
+  viewedCategories: ['Ayakkabi > Spor', 'Canta'],
+  cartValue: 750,
+};
+
+describe('Targeting Module', () => {
+  let targeting;
+
+  beforeEach(() => {
+    targeting = new Targeting(createStorage());
+    window.sessionStorage.clear();
+    window.dataLayer = undefined;
+  });
+
+  describe('compare', () => {
+    it('should compare strings case-insensitively', () => {
+      expect(compare('equals', 'Product', 'product')).toBe(true);
+      expect(compare('contains', '/URUN/x', '/urun/')).toBe(true);
+      expect(compare('startsWith', 'https://a.com', 'http://')).toBe(false);
+    });
+
+    it('should match any element of array values and none for negations', () => {
+      expect(compare('contains', ['Ayakkabi', 'Canta'], 'canta')).toBe(true);
+      expect(compare('notContains', ['Ayakkabi', 'Canta'], 'canta')).toBe(false);
+      expect(compare('notContains', [], 'canta')).toBe(true);
+    });
+
+    it('should support list, numeric and pattern operators', () => {
+      expect(compare('in', 'tablet', ['mobile', 'tablet'])).toBe(true);
+      expect(compare('notIn', 'desktop', ['mobile', 'tablet'])).toBe(true);
+      expect(compare('gte', 500, 500)).toBe(true);
+      expect(compare('lt', 499.9, 500)).toBe(true);
+      expect(compare('matches', '/kampanya/kis-2024', '^/kampanya/')).toBe(true);
+      expect(compare('matches', 'x', '[')).toBe(false);
+    });
+  });
+
+  describe('matches', () => {
+    it('should render widgets without rules', () => {
+      expect(targeting.matches(null, baseContext)).toBe(true);
+      expect(targeting.matches({ match: 'all', rules: [] }, baseContext)).toBe(true);
+    });
+
+    it('should require all rules by default', () => {
+      const rules = [
+        { type: 'pageType', operator: 'in', value: ['product', 'category'] },
+        { type: 'device', operator: 'in', value: ['mobile'] },
+        { type: 'utm', param: 'source', operator: 'equals', value: 'newsletter' },
+        { type: 'visitor', operator: 'equals', value: 'returning' },
+        { type: 'viewedCategory', operator: 'contains', value: 'ayakkabi' },
+        { type: 'cartValue', operator: 'gte', value: 500 },
+        { type: 'referrer', operator: 'contains', value: 'google.' },
+        { type: 'url', operator: 'matches', value: '/urun/' },
+      ];
+
+      expect(targeting.matches({ rules }, baseContext)).toBe(true);
+      expect(targeting.matches({ rules }, { ...baseContext, device: 'desktop' })).toBe(false);
+    });
+
+    it('should require one rule when match is any', () => {
+      const rules = [
+        { type: 'visitor', operator: 'equals', value: 'new' },
+        { type: 'cartValue', operator: 'gt', value: 700 },
+      ];
+
+      expect(targeting.matches({ match: 'any', rules }, baseContext)).toBe(true);
+      expect(targeting.matches({ match: 'all', rules }, baseContext)).toBe(false);
+    });
+
+    it('should fail unknown rule types', () => {
+      expect(targeting.matches({ rules: [{ type: 'weather', operator: 'equals', value: 'sunny' }] }, baseContext)).toBe(false);
+    });
+  });
+
+  describe('context', () => {
+    it('should count a visit once per session', () => {
+      expect(targeting.startSession().visits).toBe(1);
+
+      // A new page in the same session reuses the stored session
+      const samePage = new Targeting(targeting.storage);
+      expect(samePage.startSession().visits).toBe(1);
+
+      // A new browser session is a returning visit
+      window.sessionStorage.clear();
+      const nextVisit = new Targeting(targeting.storage);
+      expect(nextVisit.getContext({ pageType: 'home' }).visitor).toBe('returning');
+    });
+
+    it('should read viewed categories from the tracker journey', () => {
+      const tracker = {
+        getRecentlyViewed: jest.fn(() => [{ category: 'Canta' }, { category: '' }]),
+      };
+
+      expect(targeting.getContext({ pageType: 'home', tracker }).viewedCategories).toEqual(['Canta']);
+    });
+
+    it('should read the cart value from the latest dataLayer cart push', () => {
+      window.dataLayer = [
+        { event: 'view_cart', ecommerce: { value: 120 } },
+        { event: 'add_to_cart', ecommerce: { items: [{ price: 100, quantity: 2 }, { price: '50' }] } },
+        { event: 'page_view' },
+      ];
+
+      expect(targeting.getCartValue()).toBe(250);
+
+      window.dataLayer.push({ cartValue: '999.5' });
+      expect(targeting.getCartValue()).toBe(999.5);
+    });
+
+    it('should treat a missing cart as empty', () => {
+      expect(targeting.getCartValue()).toBe(0);
+    });
+  });
+
+  describe('widget config', () => {
+    // Shape of GET /api/public/widget/:slug
+    const widgetConfig = {
+      customerId: 'cust-123',
+      customerSlug: 'shop',
+      widgets: [
+        {
+          id: 'w-product',
+          type: 'carousel',
+          name: 'Benzer Urunler',
+          settings: {},
+          placement: null,
+          targeting: { match: 'all', rules: [{ type: 'pageType', operator: 'in', value: ['product'] }] },
+        },
+        {
+          id: 'w-desktop',
+          type: 'grid',
+          name: 'Masaustu',
+          settings: {},
+          placement: null,
+          targeting: { match: 'all', rules: [{ type: 'device', operator: 'in', value: ['desktop'] }] },
+        },
+        { id: 'w-all', type: 'banner', name: 'Kampanya', settings: {}, placement: null, targeting: null },
+      ],
+      theme: null,
+      abTests: [],
+    };
+
+    it('should only keep widgets whose delivered rules match the page', () => {
+      const rendered = widgetConfig.widgets
+        .filter((widget) => pwx._matchesTargeting(widget, baseContext))
+        .map((widget) => widget.id);
+
+      expect(rendered).toEqual(['w-product', 'w-all']);
+    });
+  });
+});
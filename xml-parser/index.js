@@ -13,6 +13,8 @@
  *   node index.js --mode=single --feed=<feedId>    # Sync single feed
  *   node index.js --stats              # Show statistics
  *
+ * Scheduler mode also serves the internal preview API on PARSER_API_PORT.
+ *
  * @module xml-parser
  */
 
@@ -21,6 +23,8 @@ const { hideBin } = require('yargs/helpers');
 const logger = require('./src/utils/logger');
 const { parserService, storageService } = require('./src/services');
 const { scheduler } = require('./src/jobs');
+const api = require('./src/api/server');
+const config = require('./src/config');
 
 /**
  * Parse command line arguments
@@ -113,10 +117,21 @@ async function main() {
 async function runScheduler() {
   logger.info('Starting in scheduler mode...');
 
+  // Internal API for feed previews from the admin panel
+  let server = null;
+  if (config.api.port > 0) {
+    try {
+      server = api.start(config.api.port);
+    } catch (error) {
+      logger.error('Parser API not started, feed previews are unavailable', { error: error.message });
+    }
+  }
+
   // Handle graceful shutdown
   process.on('SIGTERM', async () => {
     logger.info('SIGTERM received, shutting down...');
     scheduler.stop();
+    server?.close();
     await storageService.disconnect();
     process.exit(0);
   });
@@ -124,6 +139,7 @@ async function runScheduler() {
   process.on('SIGINT', async () => {
     logger.info('SIGINT received, shutting down...');
     scheduler.stop();
+    server?.close();
     await storageService.disconnect();
     process.exit(0);
   });
@@ -235,12 +251,18 @@ function printSingleResult(result) {
   console.log(`Customer: ${result.customerName}`);
   console.log(`Status: ${result.success ? 'SUCCESS' : 'FAILED'}`);
 
-  if (result.success) {
+  if (result.notModified) {
+    console.log(`Products: ${result.productCount}`);
+    console.log('Feed not modified since last sync, skipped');
+  } else if (result.success) {
     console.log(`Products: ${result.productCount}`);
     console.log(`Campaigns: ${result.campaignCount || 0}`);
+    console.log(`Downloaded: ${Math.round((result.bytesRead || 0) / 1024)} KB`);
     console.log(`Created: ${result.upsertResult?.created || 0}`);
     console.log(`Updated: ${result.upsertResult?.updated || 0}`);
+    console.log(`Unchanged: ${result.upsertResult?.unchanged || 0}`);
     console.log(`Deactivated: ${result.deactivatedCount || 0}`);
+    (result.warnings || []).forEach((warning) => console.log(`Warning: ${warning.message}`));
   } else {
     console.log(`Error: ${result.error}`);
   }
@@ -0,0 +1,177 @@
+/**
+ * Internal API Server
+ * Small HTTP API the backend calls for feed previews and validation
+ *
+ * @module api/server
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { previewService } = require('../services');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Largest accepted request body (pasted sample feeds)
+ * @type {number}
+ */
+const MAX_BODY_BYTES = 2 * 1024 * 1024;
+
+/**
+ * Error with an HTTP status
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} statusCode - HTTP status code
+   * @param {string} message - Error message
+   */
+  constructor(statusCode, message) {
+    super(message);
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Wrap a feed reading service call
+ *
+ * @param {Function} read - Service method taking the request body
+ * @returns {Function} Route handler
+ */
+const feedHandler = (read) => async (body) => {
+  if (!body.url && !body.content) {
+    throw new HttpError(400, 'url or content is required');
+  }
+
+  try {
+    return await read(body);
+  } catch (error) {
+    // Unreadable feeds are the caller's input, not a server fault
+    throw new HttpError(422, error.message);
+  }
+};
+
+/**
+ * Route handlers keyed by "METHOD /path"
+ * @type {Object<string, Function>}
+ */
+const routes = {
+  'GET /health': async () => ({ status: 'ok' }),
+  'POST /preview': feedHandler((body) => previewService.preview(body)),
+  'POST /validate': feedHandler((body) => previewService.validate(body))
+};
+
+/**
+ * Read a JSON request body
+ *
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} Parsed body
+ * @throws {HttpError} If the body is too large or not JSON
+ */
+const readBody = async (req) => {
+  let size = 0;
+  const chunks = [];
+
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw new HttpError(413, 'Request body too large');
+    }
+    chunks.push(chunk);
+  }
+
+  if (size === 0) return {};
+
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  } catch {
+    throw new HttpError(400, 'Request body must be JSON');
+  }
+};
+
+/**
+ * Check the shared parser token of a request
+ * Without a configured token every request is refused
+ *
+ * @param {http.IncomingMessage} req - Request
+ * @returns {boolean} True if the token matches
+ */
+const isAuthorized = (req) => {
+  const expected = Buffer.from(config.api.token);
+  const received = Buffer.from(String(req.headers['x-parser-token'] || ''));
+
+  return expected.length > 0 && received.length === expected.length && crypto.timingSafeEqual(received, expected);
+};
+
+/**
+ * Send a JSON response in the backend's response shape
+ *
+ * @param {http.ServerResponse} res - Response
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} payload - Response body
+ */
+const send = (res, statusCode, payload) => {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(payload));
+};
+
+/**
+ * Create the API server
+ *
+ * @returns {http.Server} Server (not listening)
+ */
+const createServer = () => http.createServer(async (req, res) => {
+  const path = new URL(req.url, 'http://localhost').pathname;
+  const handler = routes[`${req.method} ${path}`];
+
+  try {
+    if (!handler) {
+      throw new HttpError(404, `Route ${req.method} ${path} not found`);
+    }
+
+    if (path !== '/health' && !isAuthorized(req)) {
+      throw new HttpError(401, 'Invalid parser token');
+    }
+
+    const body = req.method === 'POST' ? await readBody(req) : {};
+    send(res, 200, { success: true, data: await handler(body) });
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+
+    if (statusCode === 500) {
+      logger.error('API request failed', { path, error: error.message });
+    }
+
+    send(res, statusCode, {
+      success: false,
+      error: { message: statusCode === 500 ? 'Internal parser error' : error.message }
+    });
+  }
+});
+
+/**
+ * Start the API server
+ * The API fetches arbitrary URLs and decrypts feed credentials, so it
+ * never starts without a shared token
+ *
+ * @param {number} port - Port to listen on
+ * @returns {http.Server} Listening server
+ * @throws {Error} If PARSER_API_TOKEN is not set
+ */
+const start = (port = config.api.port) => {
+  if (!config.api.token) {
+    throw new Error('PARSER_API_TOKEN must be set to start the parser API');
+  }
+
+  const server = createServer();
+
+  server.listen(port, () => {
+    logger.info(`Parser API listening on port ${port}`);
+  });
+
+  return server;
+};
+
+module.exports = {
+  createServer,
+  start
+};
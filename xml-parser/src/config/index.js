@@ -31,14 +31,36 @@ const config = {
     timeoutMs: parseInt(process.env.SYNC_TIMEOUT_MS, 10) || 30000,
     retryCount: parseInt(process.env.SYNC_RETRY_COUNT, 10) || 3,
     retryDelayMs: parseInt(process.env.SYNC_RETRY_DELAY_MS, 10) || 5000,
-    maxConcurrent: parseInt(process.env.MAX_CONCURRENT_SYNCS, 10) || 5
+    maxConcurrent: parseInt(process.env.MAX_CONCURRENT_SYNCS, 10) || 5,
+    // Products normalized and written per batch while a feed streams in
+    batchSize: parseInt(process.env.SYNC_BATCH_SIZE, 10) || 500,
+    // Sync runs kept per feed
+    runHistory: parseInt(process.env.SYNC_RUN_HISTORY, 10) || 100
   },
 
   // HTTP client settings
   http: {
+    // Also the connect timeout of FTP and SFTP sources
     timeoutMs: parseInt(process.env.HTTP_TIMEOUT_MS, 10) || 30000,
     maxRedirects: parseInt(process.env.HTTP_MAX_REDIRECTS, 10) || 5,
-    userAgent: process.env.HTTP_USER_AGENT || 'ProWidget-FeedParser/1.0'
+    userAgent: process.env.HTTP_USER_AGENT || 'ProWidget-FeedParser/1.0',
+    // Encoding for feeds that are neither declared nor valid UTF-8
+    fallbackEncoding: process.env.HTTP_FALLBACK_ENCODING || 'windows-1254'
+  },
+
+  // Per-feed source credentials
+  credentials: {
+    // Shared with the backend, 32 characters
+    key: process.env.FEED_CREDENTIALS_KEY || ''
+  },
+
+  // Internal HTTP API used by the backend (feed preview)
+  api: {
+    // 0 disables the API
+    port: parseInt(process.env.PARSER_API_PORT || '4100', 10),
+    // Sent by the backend as X-Parser-Token, required to start the API
+    token: process.env.PARSER_API_TOKEN || '',
+    previewLimit: 50
   },
 
   // Logging
@@ -60,20 +82,38 @@ const config = {
       category: ['g:product_type', 'g:google_product_category', 'category'],
       brand: ['g:brand', 'brand'],
       availability: ['g:availability', 'availability'],
+      itemGroupId: ['g:item_group_id', 'item_group_id'],
       currency: ['g:price', 'price'] // Will be extracted from price string
     },
     facebook: {
-      id: ['id'],
-      title: ['title'],
-      description: ['description'],
-      price: ['price'],
-      salePrice: ['sale_price'],
-      imageUrl: ['image_link', 'image_url'],
-      productUrl: ['link', 'url'],
-      category: ['product_type', 'category'],
-      brand: ['brand'],
-      availability: ['availability'],
-      currency: ['price']
+      id: ['g:id', 'id'],
+      title: ['g:title', 'title'],
+      description: ['g:description', 'description'],
+      price: ['g:price', 'price'],
+      salePrice: ['g:sale_price', 'sale_price'],
+      salePriceEffectiveDate: ['g:sale_price_effective_date', 'sale_price_effective_date'],
+      imageUrl: ['g:image_link', 'image_link', 'image_url'],
+      additionalImages: ['g:additional_image_link', 'additional_image_link'],
+      productUrl: ['g:link', 'link', 'url'],
+      category: ['g:product_type', 'product_type', 'g:google_product_category', 'google_product_category', 'category'],
+      brand: ['g:brand', 'brand'],
+      availability: ['g:availability', 'availability'],
+      itemGroupId: ['g:item_group_id', 'item_group_id'],
+      currency: ['g:price', 'price']
+    },
+    csv: {
+      id: ['id', 'sku', 'product_id', 'urun_kodu', 'stok_kodu', 'code'],
+      title: ['title', 'name', 'product_name', 'urun_adi'],
+      description: ['description', 'aciklama'],
+      price: ['price', 'regular_price', 'list_price', 'satis_fiyati', 'fiyat'],
+      salePrice: ['sale_price', 'special_price', 'discount_price', 'indirimli_fiyat'],
+      imageUrl: ['image_link', 'image_url', 'image', 'resim', 'gorsel'],
+      productUrl: ['link', 'url', 'product_url', 'urun_linki'],
+      category: ['category', 'product_type', 'kategori'],
+      brand: ['brand', 'manufacturer', 'marka'],
+      availability: ['availability', 'stock_status', 'stok_durumu', 'stock', 'stok'],
+      itemGroupId: ['item_group_id', 'group_id', 'parent_id', 'parent_sku', 'ana_urun_kodu'],
+      currency: ['currency', 'para_birimi']
     },
     custom: {
       id: ['id', 'sku', 'product_id', 'code'],
@@ -86,6 +126,7 @@ const config = {
       category: ['category', 'categories', 'product_type'],
       brand: ['brand', 'manufacturer', 'vendor'],
       availability: ['availability', 'stock', 'in_stock'],
+      itemGroupId: ['item_group_id', 'group_id', 'parent_id'],
       currency: ['currency', 'price']
     }
   }
@@ -7,6 +7,20 @@
 
 const logger = require('../utils/logger');
 
+/**
+ * Weight of each product field in the completeness score
+ * @type {Object<string, number>}
+ */
+const COMPLETENESS_WEIGHTS = {
+  title: 2,
+  description: 1,
+  price: 2,
+  image: 2,
+  url: 1,
+  category: 1,
+  brand: 1
+};
+
 /**
  * Normalize products to standard format
  */
@@ -15,24 +29,28 @@ class ProductNormalizer {
    * Normalize array of products
    *
    * @param {Array} products - Raw products from parser
+   * @param {number} offset - Feed position of the first product, for fallback IDs of batches
+   * @param {Object} options - Validation options
+   * @param {boolean} options.partial - Supplemental items, only the ID is required
    * @returns {Array} Normalized products
    */
-  normalize(products) {
+  normalize(products, offset = 0, options = {}) {
     if (!Array.isArray(products)) {
       logger.warn('Products is not an array, returning empty array');
       return [];
     }
 
     const normalized = products
-      .map((product, index) => this.normalizeProduct(product, index))
-      .filter((product) => this.isValidProduct(product));
+      .map((product, index) => this.normalizeProduct(product, offset + index))
+      .filter((product) => this.isValidProduct(product, options));
 
-    logger.info(`Normalized ${normalized.length} of ${products.length} products`);
+    logger.debug(`Normalized ${normalized.length} of ${products.length} products`);
     return normalized;
   }
 
   /**
    * Normalize single product
+   * Variants of one product share a group ID, null for standalone products
    *
    * @param {Object} product - Raw product
    * @param {number} index - Product index (for fallback ID)
@@ -51,6 +69,7 @@ class ProductNormalizer {
       category: this.normalizeText(product.category, 255),
       brand: this.normalizeText(product.brand, 255),
       stock: this.normalizeStockStatus(product.stockStatus),
+      groupId: this.normalizeText(product.itemGroupId, 255) || null,
       attributes: this.normalizeAttributes(product.attributes)
     };
   }
@@ -206,8 +225,10 @@ class ProductNormalizer {
         .replace(/[^a-z0-9_]/g, '_')
         .slice(0, 50);
 
-      // Normalize value
-      if (typeof value === 'object') {
+      // Normalize value, lists of plain values (e.g. image URLs) stay lists
+      if (Array.isArray(value) && value.every((item) => typeof item !== 'object')) {
+        normalized[normalizedKey] = value.map((item) => String(item).slice(0, 500));
+      } else if (typeof value === 'object') {
         normalized[normalizedKey] = JSON.stringify(value);
       } else {
         normalized[normalizedKey] = String(value).slice(0, 500);
@@ -221,20 +242,39 @@ class ProductNormalizer {
    * Check if product is valid
    *
    * @param {Object} product - Normalized product
+   * @param {Object} options - Validation options
+   * @param {boolean} options.partial - Only the ID is required
    * @returns {boolean} True if valid
    */
-  isValidProduct(product) {
+  isValidProduct(product, options = {}) {
+    return this.getValidationErrors(product, options).length === 0;
+  }
+
+  /**
+   * Get the reasons a product is rejected
+   *
+   * @param {Object} product - Normalized product
+   * @param {Object} options - Validation options
+   * @param {boolean} options.partial - Supplemental item, only the ID is required
+   * @returns {string[]} Reason codes, empty if valid
+   */
+  getValidationErrors(product, { partial = false } = {}) {
+    const errors = [];
+
     // Must have ID and title
-    if (!product.id || !product.title) {
-      return false;
-    }
+    if (!product.id) errors.push('missing_id');
+    if (partial) return errors;
+
+    if (!product.title) errors.push('missing_title');
 
     // Must have price greater than 0
-    if (product.price === null || product.price <= 0) {
-      return false;
+    if (product.price === null || product.price === undefined) {
+      errors.push('missing_price');
+    } else if (product.price <= 0) {
+      errors.push('invalid_price');
     }
 
-    return true;
+    return errors;
   }
 
   /**
@@ -268,17 +308,30 @@ class ProductNormalizer {
    * @returns {number} Completeness score
    */
   getProductCompleteness(product) {
-    let score = 0;
+    return Object.entries(COMPLETENESS_WEIGHTS).reduce(
+      (score, [field, weight]) => (this.hasField(product, field) ? score + weight : score),
+      0
+    );
+  }
 
-    if (product.title) score += 2;
-    if (product.description) score += 1;
-    if (product.price > 0) score += 2;
-    if (product.image) score += 2;
-    if (product.url) score += 1;
-    if (product.category) score += 1;
-    if (product.brand) score += 1;
+  /**
+   * Get the completeness score weights
+   *
+   * @returns {Object<string, number>} Field -> weight
+   */
+  getCompletenessWeights() {
+    return { ...COMPLETENESS_WEIGHTS };
+  }
 
-    return score;
+  /**
+   * Check if a product has a completeness field filled
+   *
+   * @param {Object} product - Product object
+   * @param {string} field - Field name
+   * @returns {boolean} True if filled
+   */
+  hasField(product, field) {
+    return field === 'price' ? product.price > 0 : Boolean(product[field]);
   }
 }
 
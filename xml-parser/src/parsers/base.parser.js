@@ -6,6 +6,8 @@
  */
 
 const { XMLParser } = require('fast-xml-parser');
+const { readXmlItems } = require('./stream.reader');
+const FieldMapper = require('./field.mapper');
 const logger = require('../utils/logger');
 
 /**
@@ -28,6 +30,21 @@ class BaseParser {
     };
 
     this.xmlParser = new XMLParser(this.options);
+    this.fieldMapper = null;
+  }
+
+  /**
+   * Use a feed's own field mapping
+   * Mapped fields are read from their source paths, others keep the format defaults
+   *
+   * @param {Object|null} fieldMapping - Product field -> source path rule
+   * @returns {BaseParser} This parser
+   */
+  setFieldMapping(fieldMapping) {
+    this.fieldMapper = fieldMapping && Object.keys(fieldMapping).length > 0
+      ? new FieldMapper(fieldMapping)
+      : null;
+    return this;
   }
 
   /**
@@ -47,14 +64,122 @@ class BaseParser {
   }
 
   /**
-   * Extract products from parsed XML
+   * Parse raw feed content
+   * XML by default, CSV and JSON parsers override this
+   *
+   * @param {string} content - Raw feed content
+   * @returns {*} Parsed document passed to extractProducts
+   */
+  parseContent(content) {
+    return this.parseXml(content);
+  }
+
+  /**
+   * Find raw product items in parsed content
    * Must be implemented by subclasses
    *
    * @param {Object} parsedXml - Parsed XML object
+   * @returns {Array} Array of raw items
+   */
+  extractItems(parsedXml) {
+    throw new Error('extractItems must be implemented by subclass');
+  }
+
+  /**
+   * Extract products from parsed XML
+   *
+   * @param {Object} parsedXml - Parsed XML object
    * @returns {Array} Array of raw product objects
    */
   extractProducts(parsedXml) {
-    throw new Error('extractProducts must be implemented by subclass');
+    return this.extractItems(parsedXml).map((item) => this.mapItem(item));
+  }
+
+  /**
+   * Map a raw item to a product, then apply the feed's field mapping
+   *
+   * @param {Object} item - Raw feed item
+   * @returns {Object} Mapped product
+   */
+  mapItem(item) {
+    const product = this.mapProduct(item);
+    return this.fieldMapper ? this.applyFieldMapping(product, item) : product;
+  }
+
+  /**
+   * Map raw item to product structure
+   * Must be implemented by subclasses
+   *
+   * @param {Object} item - Raw feed item
+   * @returns {Object} Mapped product
+   */
+  mapProduct(item) {
+    throw new Error('mapProduct must be implemented by subclass');
+  }
+
+  /**
+   * Overwrite product fields from the feed's field mapping
+   * A mapped field only reads its own paths; when none match it is left empty
+   *
+   * @param {Object} product - Product mapped with format defaults
+   * @param {Object} item - Raw feed item
+   * @returns {Object} Product
+   */
+  applyFieldMapping(product, item) {
+    const mapper = this.fieldMapper;
+    const mapped = { ...product, attributes: { ...product.attributes } };
+
+    for (const field of mapper.fields) {
+      const value = mapper.resolve(item, field);
+
+      if (mapper.isAttribute(field)) {
+        const name = mapper.attributeName(field);
+        if (value === null) {
+          delete mapped.attributes[name];
+        } else {
+          mapped.attributes[name] = value;
+        }
+        continue;
+      }
+
+      switch (field) {
+        case 'id':
+          mapped.externalId = value === null ? '' : String(value);
+          break;
+
+        case 'price':
+        case 'salePrice': {
+          const { price, currency } = this.parsePrice(value);
+          mapped[field] = price;
+          // A code in the price text applies unless currency is mapped too
+          if (field === 'price' && /[A-Z]{3}/.test(String(value)) && !mapper.fields.includes('currency')) {
+            mapped.currency = currency;
+          }
+          break;
+        }
+
+        case 'currency':
+          mapped.currency = /^[A-Z]{3}$/i.test(String(value)) ? String(value).toUpperCase() : product.currency;
+          break;
+
+        case 'availability':
+          mapped.stockStatus = this.parseAvailability(value);
+          break;
+
+        case 'description':
+          mapped.description = this.cleanDescription(value === null ? '' : String(value));
+          break;
+
+        default:
+          mapped[field] = value === null ? '' : String(value).replace(/\s+/g, ' ').trim();
+      }
+    }
+
+    if (mapper.fields.includes('price') || mapper.fields.includes('salePrice')) {
+      mapped.salePrice = mapped.salePrice > 0 && mapped.salePrice < mapped.price ? mapped.salePrice : null;
+    }
+
+    return mapped;
   }
 
   /**
@@ -103,8 +228,9 @@ class BaseParser {
     // Handle array of possible paths
     if (Array.isArray(path)) {
       for (const p of path) {
-        const value = this.getValue(obj, p, undefined);
-        if (value !== undefined) return value;
+        // Missing paths resolve to null, keep looking
+        const value = this.getValue(obj, p);
+        if (value !== null) return value;
       }
       return defaultValue;
     }
@@ -180,13 +306,16 @@ class BaseParser {
   /**
    * Parse availability string to stock status
    *
-   * @param {string} availability - Availability string
+   * @param {string|number|boolean} availability - Availability value
    * @returns {string} Normalized stock status
    */
   parseAvailability(availability) {
-    if (!availability) return 'in_stock';
+    if (availability === null || availability === undefined || availability === '') {
+      return 'in_stock';
+    }
 
-    const lower = availability.toLowerCase();
+    // JSON feeds may send stock counts or booleans
+    const lower = String(availability).toLowerCase();
 
     if (lower.includes('out') || lower.includes('yok') || lower === '0' || lower === 'false') {
       return 'out_of_stock';
@@ -199,6 +328,26 @@ class BaseParser {
     return 'in_stock';
   }
 
+  /**
+   * Clean HTML and extra whitespace from description
+   *
+   * @param {string} description - Raw description
+   * @returns {string} Cleaned description
+   */
+  cleanDescription(description) {
+    if (!description) return '';
+
+    return description
+      .replace(/<[^>]*>/g, '') // Remove HTML tags
+      .replace(/&nbsp;/g, ' ') // Replace &nbsp;
+      .replace(/&amp;/g, '&') // Replace &amp;
+      .replace(/&lt;/g, '<') // Replace &lt;
+      .replace(/&gt;/g, '>') // Replace &gt;
+      .replace(/&quot;/g, '"') // Replace &quot;
+      .replace(/\s+/g, ' ') // Normalize whitespace
+      .trim();
+  }
+
   /**
    * Ensure value is an array
    *
@@ -210,17 +359,77 @@ class BaseParser {
     return Array.isArray(value) ? value : [value];
   }
 
+  /**
+   * Get the element names of product items, used when streaming
+   * RSS items and Atom entries by default
+   *
+   * @returns {string[]} Item element names
+   */
+  getItemTags() {
+    return ['item', 'entry'];
+  }
+
+  /**
+   * Check if a feed can be parsed as a stream
+   * The start of the feed must already contain an item element
+   *
+   * @param {string} head - Start of the feed content
+   * @returns {boolean} True if parseStream can be used
+   */
+  canStream(head) {
+    const tags = this.getItemTags();
+    if (tags.length === 0) return false;
+
+    return new RegExp(`<(${tags.join('|')})[\\s/>]`, 'i').test(head);
+  }
+
+  /**
+   * Parse a feed stream item by item
+   * Yields the same products as parse() without holding the whole document
+   *
+   * @param {AsyncIterable<string>} chunks - Decoded feed content
+   * @returns {AsyncGenerator<Object>} Raw product objects
+   */
+  async *parseStream(chunks) {
+    for await (const item of this.streamItems(chunks)) {
+      yield this.mapItem(item);
+    }
+  }
+
+  /**
+   * Read raw items from a feed stream
+   *
+   * @param {AsyncIterable<string>} chunks - Decoded feed content
+   * @returns {AsyncGenerator<Object>} Raw items
+   */
+  async *streamItems(chunks) {
+    for await (const xml of readXmlItems(chunks, this.getItemTags())) {
+      let item;
+
+      try {
+        item = Object.values(this.parseXml(xml))[0];
+      } catch (error) {
+        logger.warn('Skipping unreadable feed item', { error: error.message });
+        continue;
+      }
+
+      if (item && typeof item === 'object') {
+        yield item;
+      }
+    }
+  }
+
   /**
    * Main parse method - orchestrates the parsing process
    *
-   * @param {string} xmlString - Raw XML string
+   * @param {string} content - Raw feed content
    * @returns {Object} Parsed and structured feed data
    */
-  parse(xmlString) {
+  parse(content) {
     const startTime = Date.now();
 
-    // Parse XML
-    const parsedXml = this.parseXml(xmlString);
+    // Parse XML (or CSV/JSON in subclasses)
+    const parsedXml = this.parseContent(content);
 
     // Extract products and campaigns
     const rawProducts = this.extractProducts(parsedXml);
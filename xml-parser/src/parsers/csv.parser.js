@@ -0,0 +1,340 @@
+/**
+ * CSV Feed Parser
+ * Parses comma, semicolon, pipe or tab separated product exports
+ *
+ * @module parsers/csv
+ */
+
+const GenericParser = require('./generic.parser');
+const logger = require('../utils/logger');
+
+/**
+ * Delimiters tried when the feed does not specify one
+ * @type {string[]}
+ */
+const DELIMITERS = [',', ';', '\t', '|'];
+
+/**
+ * Number of lines sampled for delimiter detection
+ * @type {number}
+ */
+const SAMPLE_LINES = 5;
+
+/**
+ * Incremental RFC 4180 row reader
+ * Quoted values may contain delimiters, doubled quotes and line breaks;
+ * state carries over between pushed chunks
+ */
+class RowReader {
+  /**
+   * @param {string} delimiter - Column delimiter
+   */
+  constructor(delimiter) {
+    this.delimiter = delimiter;
+    this.row = [];
+    this.value = '';
+    this.quoted = false;
+    // A quote inside a quoted value either closes it or starts an escaped quote
+    this.quoteClosed = false;
+    this.afterCR = false;
+  }
+
+  /**
+   * Read a chunk of CSV text
+   *
+   * @param {string} text - CSV text
+   * @returns {Array<string[]>} Rows completed by this chunk
+   */
+  push(text) {
+    const rows = [];
+
+    for (const char of text) {
+      if (this.quoted) {
+        if (char === '"') {
+          this.quoted = false;
+          this.quoteClosed = true;
+        } else {
+          this.value += char;
+        }
+        continue;
+      }
+
+      if (this.quoteClosed) {
+        this.quoteClosed = false;
+        if (char === '"') {
+          this.value += '"';
+          this.quoted = true;
+          continue;
+        }
+      }
+
+      if (this.afterCR) {
+        this.afterCR = false;
+        if (char === '\n') continue;
+      }
+
+      if (char === '"' && this.value === '') {
+        this.quoted = true;
+      } else if (char === this.delimiter) {
+        this.row.push(this.value);
+        this.value = '';
+      } else if (char === '\n' || char === '\r') {
+        this.afterCR = char === '\r';
+        rows.push(this.endRow());
+      } else {
+        this.value += char;
+      }
+    }
+
+    return rows;
+  }
+
+  /**
+   * Finish reading
+   *
+   * @returns {Array<string[]>} Last row if the text did not end with a line break
+   */
+  end() {
+    return this.value !== '' || this.row.length > 0 ? [this.endRow()] : [];
+  }
+
+  /**
+   * Close the current row
+   *
+   * @returns {string[]} Row values
+   */
+  endRow() {
+    const row = [...this.row, this.value];
+    this.row = [];
+    this.value = '';
+    return row;
+  }
+}
+
+/**
+ * Parser for delimited text feeds
+ * The first row holds column names; columns are matched to product fields
+ * through the field mapping, unmapped columns become attributes
+ */
+class CsvParser extends GenericParser {
+  /**
+   * @param {Object} options - Parser options
+   * @param {string} options.format - Feed format (csv or tsv)
+   * @param {string} options.delimiter - Column delimiter, detected if omitted
+   * @param {Object} options.fieldMapping - Feed specific field mapping
+   */
+  constructor(options = {}) {
+    const { format = 'csv', delimiter = null, fieldMapping } = options;
+
+    super('csv', { fieldMapping });
+
+    this.format = format;
+    this.delimiter = delimiter;
+  }
+
+  /**
+   * Get products path in CSV feed
+   * @returns {string} Path to products
+   */
+  getProductsPath() {
+    return 'rows';
+  }
+
+  /**
+   * Parse CSV content into row objects keyed by column name
+   *
+   * @param {string} content - Raw CSV content
+   * @returns {Array<Object>} Rows
+   */
+  parseContent(content) {
+    const text = content.replace(/^\uFEFF/, '');
+    const delimiter = this.delimiter || this.detectDelimiter(text);
+    const [header = [], ...rows] = this.parseRows(text, delimiter);
+    const columns = this.getColumns(header, delimiter);
+
+    return rows
+      .map((row) => this.toItem(columns, row))
+      .filter(Boolean);
+  }
+
+  /**
+   * Rows are the items
+   *
+   * @param {Array<Object>} rows - Parsed rows
+   * @returns {Array<Object>} Rows
+   */
+  extractItems(rows) {
+    return rows;
+  }
+
+  /**
+   * Read a CSV stream row by row
+   * The delimiter is detected from the first chunk
+   *
+   * @param {AsyncIterable<string>} chunks - Decoded feed content
+   * @returns {AsyncGenerator<Object>} Row objects
+   */
+  async *streamItems(chunks) {
+    let reader = null;
+    let columns = null;
+
+    const toItems = (rows) => rows.flatMap((row) => {
+      if (!columns) {
+        columns = this.getColumns(row, reader.delimiter);
+        return [];
+      }
+
+      const item = this.toItem(columns, row);
+      return item ? [item] : [];
+    });
+
+    for await (let chunk of chunks) {
+      if (!reader) {
+        chunk = chunk.replace(/^\uFEFF/, '');
+        reader = new RowReader(this.delimiter || this.detectDelimiter(chunk));
+      }
+
+      yield* toItems(reader.push(chunk));
+    }
+
+    if (reader) {
+      yield* toItems(reader.end());
+    }
+  }
+
+  /**
+   * CSV feeds can always be streamed
+   * @returns {boolean} True
+   */
+  canStream() {
+    return true;
+  }
+
+  /**
+   * Read column names from the header row
+   *
+   * @param {string[]} header - Header row
+   * @param {string} delimiter - Detected delimiter
+   * @returns {string[]} Column names
+   */
+  getColumns(header, delimiter) {
+    const columns = header.map((column) => column.trim());
+
+    logger.info(`Parsed CSV with ${columns.length} columns`, { delimiter: JSON.stringify(delimiter) });
+
+    return columns;
+  }
+
+  /**
+   * Turn a row into an object keyed by column name
+   *
+   * @param {string[]} columns - Column names
+   * @param {string[]} row - Row values
+   * @returns {Object|null} Row object, null for blank rows
+   */
+  toItem(columns, row) {
+    if (!row.some((value) => value.trim() !== '')) return null;
+
+    const item = {};
+    columns.forEach((column, index) => {
+      if (column) {
+        item[column] = (row[index] || '').trim();
+      }
+    });
+    return item;
+  }
+
+  /**
+   * Pick the delimiter that splits the sample lines most consistently
+   * Delimiters inside quoted values are not counted
+   *
+   * @param {string} content - CSV content
+   * @returns {string} Delimiter
+   */
+  detectDelimiter(content) {
+    const sample = this.splitLines(content, SAMPLE_LINES);
+
+    let best = { delimiter: ',', score: 0 };
+
+    for (const delimiter of DELIMITERS) {
+      const counts = sample.map((line) => this.countOutsideQuotes(line, delimiter));
+      const columns = counts[0];
+
+      // Every sampled line should have the header's column count
+      const consistent = counts.filter((count) => count === columns).length;
+      const score = columns > 0 ? consistent * 1000 + columns : 0;
+
+      if (score > best.score) {
+        best = { delimiter, score };
+      }
+    }
+
+    return best.delimiter;
+  }
+
+  /**
+   * Take the first lines of CSV content, keeping quoted line breaks
+   *
+   * @param {string} content - CSV content
+   * @param {number} limit - Max lines
+   * @returns {string[]} Raw lines
+   */
+  splitLines(content, limit) {
+    const lines = [];
+    let start = 0;
+    let quoted = false;
+
+    for (let i = 0; i < content.length && lines.length < limit; i++) {
+      const char = content[i];
+
+      if (char === '"') {
+        quoted = !quoted;
+      } else if (char === '\n' && !quoted) {
+        lines.push(content.slice(start, i).replace(/\r$/, ''));
+        start = i + 1;
+      }
+    }
+
+    if (lines.length < limit && start < content.length) {
+      lines.push(content.slice(start));
+    }
+
+    return lines.filter((line) => line.trim() !== '');
+  }
+
+  /**
+   * Count a delimiter outside quoted values
+   *
+   * @param {string} line - CSV line
+   * @param {string} delimiter - Delimiter
+   * @returns {number} Count
+   */
+  countOutsideQuotes(line, delimiter) {
+    let count = 0;
+    let quoted = false;
+
+    for (const char of line) {
+      if (char === '"') {
+        quoted = !quoted;
+      } else if (char === delimiter && !quoted) {
+        count++;
+      }
+    }
+
+    return count;
+  }
+
+  /**
+   * Split CSV content into rows of values (RFC 4180)
+   *
+   * @param {string} content - CSV content
+   * @param {string} delimiter - Delimiter
+   * @returns {Array<string[]>} Rows
+   */
+  parseRows(content, delimiter) {
+    const reader = new RowReader(delimiter);
+    return [...reader.push(content), ...reader.end()];
+  }
+}
+
+module.exports = CsvParser;
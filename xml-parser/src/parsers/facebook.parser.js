@@ -0,0 +1,199 @@
+/**
+ * Facebook Catalog Feed Parser
+ * Parses Meta (Facebook/Instagram) catalog XML feed format
+ *
+ * @module parsers/facebook
+ */
+
+const BaseParser = require('./base.parser');
+const config = require('../config');
+
+/**
+ * Parser for Meta catalog feed format
+ * Supports RSS 2.0 and Atom feeds, with or without the g: namespace
+ */
+class FacebookParser extends BaseParser {
+  constructor() {
+    super({
+      ignoreAttributes: false,
+      attributeNamePrefix: '@_',
+      // Handle namespaces
+      removeNSPrefix: false
+    });
+
+    this.format = 'facebook';
+    this.fieldMapping = config.fieldMappings.facebook;
+  }
+
+  /**
+   * Get field mapping for Facebook format
+   * @returns {Object} Field mapping
+   */
+  getFieldMapping() {
+    return this.fieldMapping;
+  }
+
+  /**
+   * Get products path in Facebook feed
+   * @returns {string} Path to products
+   */
+  getProductsPath() {
+    return 'rss.channel.item';
+  }
+
+  /**
+   * Find items in parsed Facebook feed
+   *
+   * @param {Object} parsedXml - Parsed XML object
+   * @returns {Array} Array of raw items
+   */
+  extractItems(parsedXml) {
+    let items = [];
+
+    // RSS 2.0 format: rss > channel > item
+    if (parsedXml.rss?.channel?.item) {
+      items = this.ensureArray(parsedXml.rss.channel.item);
+    }
+    // Atom format: feed > entry
+    else if (parsedXml.feed?.entry) {
+      items = this.ensureArray(parsedXml.feed.entry);
+    }
+
+    return items;
+  }
+
+  /**
+   * Map raw item to product structure
+   * The sale price only applies inside its sale_price_effective_date window
+   *
+   * @param {Object} item - Raw feed item
+   * @returns {Object} Mapped product
+   */
+  mapProduct(item) {
+    // Get price info
+    const priceStr = this.getValue(item, this.fieldMapping.price);
+    const salePriceStr = this.getValue(item, this.fieldMapping.salePrice);
+    const { price, currency } = this.parsePrice(priceStr);
+    const { price: salePrice } = this.parsePrice(salePriceStr);
+
+    const saleWindow = this.getValue(item, this.fieldMapping.salePriceEffectiveDate);
+    const onSale = salePrice > 0 && salePrice < price && this.isSaleActive(saleWindow);
+
+    // Get availability
+    const availabilityStr = this.getValue(item, this.fieldMapping.availability);
+    const stockStatus = this.parseAvailability(availabilityStr);
+
+    return {
+      externalId: String(this.getValue(item, this.fieldMapping.id, '')),
+      title: this.getValue(item, this.fieldMapping.title, ''),
+      description: this.cleanDescription(
+        this.getValue(item, this.fieldMapping.description, '')
+      ),
+      price,
+      salePrice: onSale ? salePrice : null,
+      currency,
+      imageUrl: this.getValue(item, this.fieldMapping.imageUrl, ''),
+      productUrl: this.getValue(item, this.fieldMapping.productUrl, ''),
+      category: this.getValue(item, this.fieldMapping.category, ''),
+      brand: this.getValue(item, this.fieldMapping.brand, ''),
+      stockStatus,
+      itemGroupId: this.getValue(item, this.fieldMapping.itemGroupId, ''),
+      attributes: this.extractAttributes(item)
+    };
+  }
+
+  /**
+   * Extract additional attributes from item
+   *
+   * @param {Object} item - Raw feed item
+   * @returns {Object} Additional attributes
+   */
+  extractAttributes(item) {
+    const attributes = {};
+
+    const additionalImages = this.getAdditionalImages(item);
+    if (additionalImages.length > 0) {
+      attributes.additional_images = additionalImages;
+    }
+
+    const itemGroupId = this.getValue(item, this.fieldMapping.itemGroupId);
+    if (itemGroupId !== null && itemGroupId !== '') {
+      attributes.item_group_id = String(itemGroupId);
+    }
+
+    const saleWindow = this.getValue(item, this.fieldMapping.salePriceEffectiveDate);
+    if (saleWindow) {
+      attributes.sale_price_effective_date = String(saleWindow);
+    }
+
+    // Common Meta catalog attributes
+    const attrFields = [
+      { key: 'gtin', paths: ['g:gtin', 'gtin'] },
+      { key: 'mpn', paths: ['g:mpn', 'mpn'] },
+      { key: 'condition', paths: ['g:condition', 'condition'] },
+      { key: 'color', paths: ['g:color', 'color'] },
+      { key: 'size', paths: ['g:size', 'size'] },
+      { key: 'material', paths: ['g:material', 'material'] },
+      { key: 'pattern', paths: ['g:pattern', 'pattern'] },
+      { key: 'gender', paths: ['g:gender', 'gender'] },
+      { key: 'age_group', paths: ['g:age_group', 'age_group'] },
+      { key: 'fb_product_category', paths: ['g:fb_product_category', 'fb_product_category'] },
+      { key: 'inventory', paths: ['g:inventory', 'g:quantity_to_sell_on_facebook', 'inventory', 'quantity_to_sell_on_facebook'] },
+      { key: 'custom_label_0', paths: ['g:custom_label_0', 'custom_label_0'] },
+      { key: 'custom_label_1', paths: ['g:custom_label_1', 'custom_label_1'] },
+      { key: 'custom_label_2', paths: ['g:custom_label_2', 'custom_label_2'] },
+      { key: 'custom_label_3', paths: ['g:custom_label_3', 'custom_label_3'] },
+      { key: 'custom_label_4', paths: ['g:custom_label_4', 'custom_label_4'] }
+    ];
+
+    for (const attr of attrFields) {
+      const value = this.getValue(item, attr.paths);
+      if (value !== null && value !== '') {
+        attributes[attr.key] = value;
+      }
+    }
+
+    return attributes;
+  }
+
+  /**
+   * Get additional image URLs
+   * Images come as repeated tags or as one comma separated list
+   *
+   * @param {Object} item - Raw feed item
+   * @returns {string[]} Image URLs
+   */
+  getAdditionalImages(item) {
+    const raw = this.fieldMapping.additionalImages
+      .map((path) => item[path])
+      .find((value) => value !== undefined);
+
+    return this.ensureArray(raw)
+      .map((value) => (typeof value === 'object' ? value['#text'] : value))
+      .flatMap((value) => String(value || '').split(','))
+      .map((url) => url.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Check whether a sale price effective date covers the current time
+   * Format: "2024-12-01T00:00+03:00/2024-12-31T23:59+03:00". A missing or
+   * unreadable bound leaves that side of the window open.
+   *
+   * @param {string} value - sale_price_effective_date value
+   * @param {Date} now - Reference time
+   * @returns {boolean} True if the sale is active
+   */
+  isSaleActive(value, now = new Date()) {
+    if (!value || typeof value !== 'string') return true;
+
+    const [start, end] = value.split('/').map((part) => Date.parse(part.trim()));
+
+    if (!Number.isNaN(start) && now.getTime() < start) return false;
+    if (!Number.isNaN(end) && now.getTime() > end) return false;
+
+    return true;
+  }
+}
+
+module.exports = FacebookParser;
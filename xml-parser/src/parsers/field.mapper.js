@@ -0,0 +1,348 @@
+/**
+ * Field Mapper
+ * Resolves a feed's own field mapping against raw feed items
+ *
+ * @module parsers/mapping
+ */
+
+const vm = require('vm');
+const logger = require('../utils/logger');
+
+/**
+ * Prefix of mapping keys that write product attributes
+ * @type {string}
+ */
+const ATTRIBUTE_PREFIX = 'attributes.';
+
+/**
+ * Longest accepted mapping pattern
+ * @type {number}
+ */
+const MAX_PATTERN_LENGTH = 500;
+
+/**
+ * Longest value a mapping pattern is matched against
+ * @type {number}
+ */
+const MAX_MATCH_LENGTH = 10000;
+
+/**
+ * Longest time a mapping pattern may run on one value, in milliseconds
+ * @type {number}
+ */
+const MATCH_TIMEOUT_MS = 50;
+
+/**
+ * Sandbox that runs mapping patterns under MATCH_TIMEOUT_MS
+ * Mappings saved before the backend rejected ambiguous patterns may still
+ * backtrack catastrophically on some values.
+ */
+const matchContext = vm.createContext({});
+const matchScript = new vm.Script('value.match(regex)');
+
+/**
+ * Maps source paths of raw items to product fields
+ *
+ * A rule is a path, a list of fallback paths, or
+ * { path, transforms: [{ type: 'regex' | 'multiply' | 'map', ... }] }.
+ * Paths use dots for nesting, numbers for array positions and @name for XML
+ * attributes: "prices.price@currency", "images.image.1".
+ */
+class FieldMapper {
+  /**
+   * @param {Object} mapping - Product field -> rule
+   */
+  constructor(mapping = {}) {
+    this.rules = new Map();
+
+    for (const [field, rule] of Object.entries(mapping)) {
+      const normalized = this.normalizeRule(rule);
+      if (normalized.paths.length > 0) {
+        this.rules.set(field, normalized);
+      }
+    }
+  }
+
+  /**
+   * Mapped product fields
+   * @returns {string[]} Field names, attributes as "attributes.<name>"
+   */
+  get fields() {
+    return [...this.rules.keys()];
+  }
+
+  /**
+   * Check if a mapping key writes a product attribute
+   *
+   * @param {string} field - Mapping key
+   * @returns {boolean} True for "attributes.<name>"
+   */
+  isAttribute(field) {
+    return field.startsWith(ATTRIBUTE_PREFIX);
+  }
+
+  /**
+   * Get the attribute name of a mapping key
+   *
+   * @param {string} field - Mapping key
+   * @returns {string} Attribute name
+   */
+  attributeName(field) {
+    return field.slice(ATTRIBUTE_PREFIX.length);
+  }
+
+  /**
+   * Normalize a mapping rule
+   *
+   * @param {string|string[]|Object} rule - Mapping rule
+   * @returns {Object} { paths, transforms }
+   */
+  normalizeRule(rule) {
+    const { path, transforms = [] } = rule && typeof rule === 'object' && !Array.isArray(rule)
+      ? rule
+      : { path: rule };
+
+    return {
+      paths: [].concat(path ?? []).filter((p) => typeof p === 'string' && p.trim() !== ''),
+      transforms: [].concat(transforms).map((t) => this.compileTransform(t)).filter(Boolean)
+    };
+  }
+
+  /**
+   * Prepare a transform, dropping ones that cannot run
+   *
+   * @param {Object} transform - Transform definition
+   * @returns {Object|null} Transform with compiled pattern
+   */
+  compileTransform(transform) {
+    if (!transform || typeof transform !== 'object') return null;
+
+    if (transform.type === 'regex') {
+      const pattern = String(transform.pattern ?? '');
+
+      if (pattern.length > MAX_PATTERN_LENGTH) {
+        logger.warn('Ignoring oversized mapping pattern', { pattern: pattern.slice(0, 100) });
+        return null;
+      }
+
+      try {
+        return { ...transform, regex: new RegExp(transform.pattern, transform.flags || '') };
+      } catch (error) {
+        logger.warn('Ignoring invalid mapping pattern', { pattern: transform.pattern, error: error.message });
+        return null;
+      }
+    }
+
+    return ['multiply', 'map'].includes(transform.type) ? transform : null;
+  }
+
+  /**
+   * Resolve a mapped field for a raw item
+   * Scalar fields return text or numbers; attributes keep lists
+   *
+   * @param {Object} item - Raw feed item
+   * @param {string} field - Mapping key
+   * @returns {*} Value, null if no path matched
+   */
+  resolve(item, field) {
+    const rule = this.rules.get(field);
+    if (!rule) return null;
+
+    for (const path of rule.paths) {
+      const raw = this.getPath(item, path);
+
+      if (Array.isArray(raw) && this.isAttribute(field)) {
+        const values = raw
+          .map((value) => this.transform(this.toScalar(value), rule.transforms))
+          .filter((value) => value !== null && value !== '');
+        if (values.length > 0) return values;
+        continue;
+      }
+
+      const value = this.transform(this.toScalar(raw), rule.transforms);
+      if (value !== null && value !== '') return value;
+    }
+
+    return null;
+  }
+
+  /**
+   * Read a path from a raw item
+   * Flat keys (CSV columns) are matched whole before the path is split
+   *
+   * @param {Object} item - Raw feed item
+   * @param {string} path - Source path
+   * @returns {*} Raw value or undefined
+   */
+  getPath(item, path) {
+    if (!item || typeof item !== 'object') return undefined;
+    if (item[path] !== undefined) return item[path];
+
+    const segments = path.replace(/@/g, '.@').split('.').filter(Boolean);
+
+    return this.walk(item, segments);
+  }
+
+  /**
+   * Follow path segments
+   * A name after repeated elements continues into each of them, so
+   * "images.image@url" collects every image URL
+   *
+   * @param {*} current - Current value
+   * @param {string[]} segments - Remaining segments
+   * @returns {*} Raw value, an array when repeated elements were crossed
+   */
+  walk(current, segments) {
+    if (segments.length === 0) return current;
+
+    const [segment, ...rest] = segments;
+
+    if (Array.isArray(current) && !/^\d+$/.test(segment)) {
+      const values = current
+        .map((element) => this.walk(element, segments))
+        .flat()
+        .filter((value) => value !== undefined);
+      return values.length > 0 ? values : undefined;
+    }
+
+    if (current === null || typeof current !== 'object') return undefined;
+
+    return this.walk(this.getKey(current, segment), rest);
+  }
+
+  /**
+   * Read one path segment
+   * Tries the exact key, then without namespace prefix, then ignoring case
+   *
+   * @param {Object} obj - Current object
+   * @param {string} segment - Path segment
+   * @returns {*} Value or undefined
+   */
+  getKey(obj, segment) {
+    if (segment.startsWith('@')) {
+      const name = segment.slice(1);
+      return obj[`@_${name}`] ?? obj[segment] ?? obj[name];
+    }
+
+    if (obj[segment] !== undefined) return obj[segment];
+
+    const local = (key) => key.split(':').pop().toLowerCase();
+    const wanted = local(segment);
+    const match = Object.keys(obj).find((key) => local(key) === wanted);
+
+    return match !== undefined ? obj[match] : undefined;
+  }
+
+  /**
+   * Reduce a raw value to text or a number
+   *
+   * @param {*} value - Raw value
+   * @returns {*} Scalar value or null
+   */
+  toScalar(value) {
+    if (value === undefined || value === null) return null;
+    if (Array.isArray(value)) {
+      return value.map((v) => this.toScalar(v)).find((v) => v !== null && v !== '') ?? null;
+    }
+
+    if (typeof value === 'object') {
+      if (value['#text'] !== undefined) return value['#text'];
+      if (value['_'] !== undefined) return value['_'];
+      return null;
+    }
+
+    return typeof value === 'string' ? value.trim() : value;
+  }
+
+  /**
+   * Run transforms in order
+   *
+   * @param {*} value - Scalar value
+   * @param {Object[]} transforms - Compiled transforms
+   * @returns {*} Transformed value
+   */
+  transform(value, transforms) {
+    return transforms.reduce((current, transform) => {
+      if (current === null || current === '') return current;
+
+      switch (transform.type) {
+        case 'regex': {
+          if (transform.timedOut) return current;
+
+          const match = this.match(String(current).slice(0, MAX_MATCH_LENGTH), transform);
+          if (match === undefined) return current;
+          if (!match) return null;
+          return match[transform.group ?? (match.length > 1 ? 1 : 0)] ?? null;
+        }
+
+        case 'multiply': {
+          const number = this.toNumber(current);
+          return number === null ? null : number * Number(transform.factor);
+        }
+
+        case 'map': {
+          const values = transform.values || {};
+          const key = String(current).trim();
+          const match = Object.keys(values).find((k) => k.toLowerCase() === key.toLowerCase());
+
+          if (values[key] !== undefined) return values[key];
+          if (match !== undefined) return values[match];
+          return transform.default !== undefined ? transform.default : current;
+        }
+
+        default:
+          return current;
+      }
+    }, value);
+  }
+
+  /**
+   * Match a value against a regex transform under MATCH_TIMEOUT_MS
+   * A pattern that runs out of time is skipped for the rest of the feed.
+   *
+   * @param {string} value - Value to match
+   * @param {Object} transform - Compiled regex transform
+   * @returns {Array|null|undefined} Match, null if none, undefined on timeout
+   */
+  match(value, transform) {
+    matchContext.value = value;
+    matchContext.regex = transform.regex;
+
+    try {
+      return matchScript.runInContext(matchContext, { timeout: MATCH_TIMEOUT_MS });
+    } catch (error) {
+      if (error.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw error;
+
+      transform.timedOut = true;
+      logger.warn('Skipping slow mapping pattern', { pattern: String(transform.pattern).slice(0, 100) });
+      return undefined;
+    } finally {
+      matchContext.value = null;
+      matchContext.regex = null;
+    }
+  }
+
+  /**
+   * Read a number from text such as "1.299,90 TRY"
+   *
+   * @param {*} value - Value
+   * @returns {number|null} Number or null
+   */
+  toNumber(value) {
+    if (typeof value === 'number') return value;
+
+    const match = String(value).match(/-?[\d.,]+/);
+    if (!match) return null;
+
+    // The last separator is the decimal separator
+    const parts = match[0].replace(/,/g, '.').split('.');
+    const text = parts.length > 1
+      ? `${parts.slice(0, -1).join('')}.${parts[parts.length - 1]}`
+      : parts[0];
+
+    const number = parseFloat(text);
+    return Number.isNaN(number) ? null : number;
+  }
+}
+
+module.exports = FieldMapper;
@@ -14,7 +14,12 @@ const logger = require('../utils/logger');
  * Automatically detects structure and maps fields
  */
 class GenericParser extends BaseParser {
-  constructor(format = 'custom') {
+  /**
+   * @param {string} format - Feed format, selects the default field mapping
+   * @param {Object} options - Parser options
+   * @param {Object} options.fieldMapping - Feed specific field mapping
+   */
+  constructor(format = 'custom', options = {}) {
     super({
       ignoreAttributes: false,
       attributeNamePrefix: '@_',
@@ -23,6 +28,7 @@ class GenericParser extends BaseParser {
 
     this.format = format;
     this.fieldMapping = config.fieldMappings[format] || config.fieldMappings.custom;
+    this.setFieldMapping(options.fieldMapping);
   }
 
   /**
@@ -42,13 +48,23 @@ class GenericParser extends BaseParser {
   }
 
   /**
-   * Extract products from parsed XML
+   * Get item element names for streaming
+   * Leaf elements of the product paths below
+   *
+   * @returns {string[]} Item element names
+   */
+  getItemTags() {
+    return ['item', 'entry', 'product', 'urun'];
+  }
+
+  /**
+   * Find items in parsed XML
    * Automatically detects the product container
    *
    * @param {Object} parsedXml - Parsed XML object
-   * @returns {Array} Array of product objects
+   * @returns {Array} Array of raw items
    */
-  extractProducts(parsedXml) {
+  extractItems(parsedXml) {
     // Try to find the products array in common locations
     const possiblePaths = [
       // RSS formats
@@ -75,7 +91,7 @@ class GenericParser extends BaseParser {
         const itemArray = this.ensureArray(items);
         if (itemArray.length > 0) {
           logger.info(`Detected feed format: ${name} with ${itemArray.length} items`);
-          return itemArray.map((item) => this.mapProduct(item));
+          return itemArray;
         }
       }
     }
@@ -84,7 +100,7 @@ class GenericParser extends BaseParser {
     const detectedItems = this.detectProductArray(parsedXml);
     if (detectedItems.length > 0) {
       logger.info(`Auto-detected ${detectedItems.length} items`);
-      return detectedItems.map((item) => this.mapProduct(item));
+      return detectedItems;
     }
 
     logger.warn('Could not detect product structure in feed');
@@ -203,6 +219,10 @@ class GenericParser extends BaseParser {
     const { price, currency } = this.parsePrice(priceValue);
     const { price: salePrice } = this.parsePrice(salePriceValue);
 
+    // A currency column overrides the code found in the price text
+    const currencyValue = String(this.findValue(flatItem, this.fieldMapping.currency) || '').trim();
+    const currencyCode = /^[A-Z]{3}$/i.test(currencyValue) ? currencyValue.toUpperCase() : currency;
+
     // Get other fields
     const imageUrl = this.findValue(flatItem, this.fieldMapping.imageUrl) || '';
     const productUrl = this.findValue(flatItem, this.fieldMapping.productUrl) || '';
@@ -213,30 +233,38 @@ class GenericParser extends BaseParser {
     const availabilityStr = this.findValue(flatItem, this.fieldMapping.availability);
     const stockStatus = this.parseAvailability(availabilityStr);
 
+    // Group IDs are never guessed from a partial key, "parent_id" would match "id"
+    const itemGroupId = this.findValue(flatItem, this.fieldMapping.itemGroupId || [], { partial: false }) || '';
+
     return {
       externalId: String(id),
       title: this.cleanText(title),
       description,
       price,
       salePrice: salePrice > 0 && salePrice < price ? salePrice : null,
-      currency,
+      currency: currencyCode,
       imageUrl: this.cleanUrl(imageUrl),
       productUrl: this.cleanUrl(productUrl),
       category: this.cleanText(category),
       brand: this.cleanText(brand),
       stockStatus,
+      itemGroupId: this.cleanText(String(itemGroupId)),
       attributes: this.extractRemainingAttributes(flatItem)
     };
   }
 
   /**
    * Find value in object using multiple possible keys
+   * Exact and case-insensitive matches on any key win over partial matches,
+   * so "sale_price" is not read from a "price" column
    *
    * @param {Object} obj - Source object
    * @param {string[]} possibleKeys - Possible key names
+   * @param {Object} options - Match options
+   * @param {boolean} options.partial - Fall back to partial key matches
    * @returns {*} Found value or undefined
    */
-  findValue(obj, possibleKeys) {
+  findValue(obj, possibleKeys, { partial = true } = {}) {
     if (!Array.isArray(possibleKeys)) {
       possibleKeys = [possibleKeys];
     }
@@ -255,8 +283,15 @@ class GenericParser extends BaseParser {
       if (match && obj[match] !== undefined) {
         return this.extractValue(obj[match]);
       }
+    }
 
+    if (!partial) {
+      return undefined;
+    }
+
+    for (const key of possibleKeys) {
       // Partial match
+      const lowerKey = key.toLowerCase();
       const partialMatch = objKeys.find((k) =>
         k.toLowerCase().includes(lowerKey) || lowerKey.includes(k.toLowerCase())
       );
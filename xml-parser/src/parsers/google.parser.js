@@ -21,6 +21,7 @@ class GoogleParser extends BaseParser {
       removeNSPrefix: false
     });
 
+    this.format = 'google';
     this.fieldMapping = config.fieldMappings.google;
   }
 
@@ -41,12 +42,12 @@ class GoogleParser extends BaseParser {
   }
 
   /**
-   * Extract products from parsed Google feed
+   * Find items in parsed Google feed
    *
    * @param {Object} parsedXml - Parsed XML object
-   * @returns {Array} Array of raw product objects
+   * @returns {Array} Array of raw items
    */
-  extractProducts(parsedXml) {
+  extractItems(parsedXml) {
     // Try different possible structures
     let items = [];
 
@@ -63,7 +64,7 @@ class GoogleParser extends BaseParser {
       items = this.ensureArray(parsedXml.channel.item);
     }
 
-    return items.map((item) => this.mapProduct(item));
+    return items;
   }
 
   /**
@@ -98,6 +99,7 @@ class GoogleParser extends BaseParser {
       category: this.getValue(item, this.fieldMapping.category, ''),
       brand: this.getValue(item, this.fieldMapping.brand, ''),
       stockStatus,
+      itemGroupId: this.getValue(item, this.fieldMapping.itemGroupId, ''),
       attributes: this.extractAttributes(item)
     };
   }
@@ -136,26 +138,6 @@ class GoogleParser extends BaseParser {
     return attributes;
   }
 
-  /**
-   * Clean HTML and extra whitespace from description
-   *
-   * @param {string} description - Raw description
-   * @returns {string} Cleaned description
-   */
-  cleanDescription(description) {
-    if (!description) return '';
-
-    return description
-      .replace(/<[^>]*>/g, '') // Remove HTML tags
-      .replace(/&nbsp;/g, ' ') // Replace &nbsp;
-      .replace(/&amp;/g, '&') // Replace &amp;
-      .replace(/&lt;/g, '<') // Replace &lt;
-      .replace(/&gt;/g, '>') // Replace &gt;
-      .replace(/&quot;/g, '"') // Replace &quot;
-      .replace(/\s+/g, ' ') // Normalize whitespace
-      .trim();
-  }
-
   /**
    * Extract campaigns from feed (if present)
    *
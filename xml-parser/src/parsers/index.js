@@ -1,75 +1,132 @@
 /**
  * Parsers Index
- * Factory for creating appropriate parser based on feed format
+ * Registry of parsers by feed format
  *
  * @module parsers
  */
 
 const BaseParser = require('./base.parser');
 const GoogleParser = require('./google.parser');
+const FacebookParser = require('./facebook.parser');
 const GenericParser = require('./generic.parser');
+const CsvParser = require('./csv.parser');
+const JsonParser = require('./json.parser');
 const logger = require('../utils/logger');
 
+/**
+ * Parser factories and log labels keyed by feed format
+ * @type {Map<string, Object>}
+ */
+const registry = new Map();
+
+/**
+ * Register a parser for a feed format
+ * Registering an existing format replaces its parser
+ *
+ * @param {string} format - Feed format
+ * @param {Function} factory - Creates a parser from feed options
+ * @param {string} label - Name used in logs
+ */
+const registerParser = (format, factory, label = format) => {
+  registry.set(format.toLowerCase(), { factory, label });
+};
+
+/**
+ * Check if a feed format has a parser
+ *
+ * @param {string} format - Feed format
+ * @returns {boolean} True if registered
+ */
+const hasParser = (format) => registry.has(String(format).toLowerCase());
+
+registerParser('google', () => new GoogleParser(), 'Google Merchant');
+registerParser('facebook', () => new FacebookParser(), 'Facebook Catalog');
+registerParser('custom', () => new GenericParser('custom'), 'Generic');
+registerParser('csv', () => new CsvParser({ format: 'csv' }), 'CSV');
+registerParser('tsv', () => new CsvParser({ format: 'tsv', delimiter: '\t' }), 'TSV');
+registerParser('json', () => new JsonParser(), 'JSON');
+
 /**
  * Parser factory - creates appropriate parser for feed format
+ * Unknown formats fall back to the generic XML parser. The feed's field
+ * mapping applies to every format.
  *
- * @param {string} format - Feed format (google, facebook, custom)
+ * @param {string} format - Feed format (google, facebook, custom, csv, tsv, json)
+ * @param {Object} options - Feed options
+ * @param {Object} options.fieldMapping - Feed specific field mapping
  * @returns {BaseParser} Parser instance
  */
-const createParser = (format) => {
-  switch (format.toLowerCase()) {
-    case 'google':
-      logger.info('Using Google Merchant parser');
-      return new GoogleParser();
-
-    case 'facebook':
-      logger.info('Using Facebook Catalog parser');
-      return new GenericParser('facebook');
-
-    case 'custom':
-    default:
-      logger.info('Using Generic parser');
-      return new GenericParser('custom');
-  }
+const createParser = (format, options = {}) => {
+  const entry = registry.get(String(format).toLowerCase()) || registry.get('custom');
+
+  logger.info(`Using ${entry.label} parser`);
+  return entry.factory(options).setFieldMapping(options.fieldMapping);
 };
 
 /**
- * Auto-detect parser based on XML content
+ * Auto-detect parser based on feed content
  *
- * @param {string} xmlContent - XML content
+ * @param {string} content - Feed content
+ * @param {Object} options - Feed options
+ * @param {Object} options.fieldMapping - Feed specific field mapping
  * @returns {BaseParser} Detected parser
  */
-const detectParser = (xmlContent) => {
-  const content = xmlContent.toLowerCase();
+const detectParser = (content, options = {}) => {
+  const start = content.replace(/^\uFEFF/, '').trimStart().charAt(0);
+
+  // Non-XML content: JSON documents or delimited text
+  if (start === '{' || start === '[') {
+    logger.info('Auto-detected JSON format');
+    return createParser('json', options);
+  }
+
+  if (start !== '<') {
+    logger.info('Auto-detected CSV format');
+    return createParser('csv', options);
+  }
+
+  const xmlContent = content.toLowerCase();
+
+  // Meta catalogs often use the Google namespace, check their own fields first
+  if (
+    xmlContent.includes('xmlns:fb') ||
+    xmlContent.includes('fb_product_category') ||
+    xmlContent.includes('quantity_to_sell_on_facebook')
+  ) {
+    logger.info('Auto-detected Facebook Catalog format');
+    return createParser('facebook', options);
+  }
 
   // Check for Google Merchant format
   if (
-    content.includes('g:id') ||
-    content.includes('g:title') ||
-    content.includes('xmlns:g="http://base.google.com')
+    xmlContent.includes('g:id') ||
+    xmlContent.includes('g:title') ||
+    xmlContent.includes('xmlns:g="http://base.google.com')
   ) {
     logger.info('Auto-detected Google Merchant format');
-    return new GoogleParser();
+    return createParser('google', options);
   }
 
   // Check for Facebook format
-  if (
-    content.includes('xmlns:fb') ||
-    content.includes('facebook.com')
-  ) {
+  if (xmlContent.includes('facebook.com')) {
     logger.info('Auto-detected Facebook Catalog format');
-    return new GenericParser('facebook');
+    return createParser('facebook', options);
   }
 
   // Default to generic parser
   logger.info('Using generic parser (no specific format detected)');
-  return new GenericParser('custom');
+  return createParser('custom', options);
 };
 
 module.exports = {
   BaseParser,
   GoogleParser,
+  FacebookParser,
   GenericParser,
+  CsvParser,
+  JsonParser,
+  registerParser,
+  hasParser,
   createParser,
   detectParser
 };
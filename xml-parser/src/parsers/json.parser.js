@@ -0,0 +1,99 @@
+/**
+ * JSON Feed Parser
+ * Parses product exports served as JSON
+ *
+ * @module parsers/json
+ */
+
+const GenericParser = require('./generic.parser');
+const logger = require('../utils/logger');
+
+/**
+ * Keys that commonly hold the product list in JSON exports
+ * @type {string[]}
+ */
+const PRODUCT_KEYS = ['products', 'items', 'data', 'results', 'entries', 'urunler'];
+
+/**
+ * Parser for JSON feeds
+ * Accepts a top level array or an object wrapping the product list
+ */
+class JsonParser extends GenericParser {
+  /**
+   * @param {Object} options - Parser options
+   * @param {Object} options.fieldMapping - Feed specific field mapping
+   */
+  constructor(options = {}) {
+    super('custom', { fieldMapping: options.fieldMapping });
+
+    this.format = 'json';
+  }
+
+  /**
+   * JSON documents are parsed whole
+   * @returns {string[]} No item elements
+   */
+  getItemTags() {
+    return [];
+  }
+
+  /**
+   * Parse JSON content
+   *
+   * @param {string} content - Raw JSON content
+   * @returns {*} Parsed JSON
+   * @throws {Error} If parsing fails
+   */
+  parseContent(content) {
+    try {
+      return JSON.parse(content.replace(/^\uFEFF/, ''));
+    } catch (error) {
+      logger.error('JSON parsing failed', { error: error.message });
+      throw new Error(`JSON parsing failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Find items in parsed JSON
+   *
+   * @param {*} data - Parsed JSON
+   * @returns {Array} Array of raw items
+   */
+  extractItems(data) {
+    const items = this.findProductList(data);
+
+    if (items.length === 0) {
+      logger.warn('Could not detect product list in JSON feed');
+    }
+
+    return items;
+  }
+
+  /**
+   * Find the product list in a JSON document
+   *
+   * @param {*} data - Parsed JSON
+   * @param {number} depth - Current recursion depth
+   * @returns {Array} Product objects
+   */
+  findProductList(data, depth = 0) {
+    if (Array.isArray(data)) {
+      return data.filter((item) => item && typeof item === 'object');
+    }
+
+    if (!data || typeof data !== 'object' || depth > 2) {
+      return [];
+    }
+
+    for (const key of Object.keys(data)) {
+      if (PRODUCT_KEYS.includes(key.toLowerCase())) {
+        const items = this.findProductList(data[key], depth + 1);
+        if (items.length > 0) return items;
+      }
+    }
+
+    return this.detectProductArray(data);
+  }
+}
+
+module.exports = JsonParser;
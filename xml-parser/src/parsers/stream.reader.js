@@ -0,0 +1,78 @@
+/**
+ * Stream Reader
+ * Splits streamed XML into product item fragments
+ *
+ * @module parsers/stream
+ */
+
+const sax = require('sax');
+
+/**
+ * Read product items from streamed XML
+ * The SAX parser only tracks element boundaries; each item is yielded as its
+ * raw XML so parsers can map it with their usual fast-xml-parser options.
+ * Memory holds the current chunk and the item being read, never the document.
+ *
+ * @param {AsyncIterable<string>} chunks - Decoded feed text
+ * @param {string[]} itemTags - Item element names (e.g. item, entry)
+ * @returns {AsyncGenerator<string>} Item XML fragments
+ */
+async function* readXmlItems(chunks, itemTags) {
+  const tags = new Set(itemTags.map((tag) => tag.toLowerCase()));
+
+  // Lenient mode: feeds often carry HTML entities and stray markup
+  const parser = sax.parser(false, { lowercase: true, position: true });
+
+  const ready = [];
+  let buffer = '';
+  let bufferStart = 0;
+  let itemStart = -1;
+  let depth = 0;
+
+  parser.onopentag = (node) => {
+    if (itemStart >= 0) {
+      depth++;
+    } else if (tags.has(node.name)) {
+      itemStart = parser.startTagPosition - 1;
+      depth = 1;
+    }
+  };
+
+  parser.onclosetag = () => {
+    if (itemStart < 0) return;
+
+    depth--;
+    if (depth === 0) {
+      ready.push(buffer.slice(itemStart - bufferStart, parser.position - bufferStart));
+      itemStart = -1;
+    }
+  };
+
+  // Keep going past malformed markup, the item parser reports bad items
+  parser.onerror = () => {
+    parser.error = null;
+    parser.resume();
+  };
+
+  for await (const chunk of chunks) {
+    buffer += chunk;
+    parser.write(chunk);
+
+    yield* ready.splice(0);
+
+    // Drop consumed text, keeping the open item or a tag cut by the chunk
+    const keepFrom = itemStart >= 0
+      ? itemStart - bufferStart
+      : Math.max(buffer.lastIndexOf('<'), 0);
+
+    buffer = buffer.slice(keepFrom);
+    bufferStart += keepFrom;
+  }
+
+  parser.close();
+  yield* ready.splice(0);
+}
+
+module.exports = {
+  readXmlItems
+};
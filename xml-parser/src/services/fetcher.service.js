@@ -1,88 +1,209 @@
 /**
  * Fetcher Service
- * Handles fetching XML feeds from URLs
+ * Handles fetching XML, CSV and JSON feeds from URLs
  *
  * @module services/fetcher
  */
 
-const axios = require('axios');
+const zlib = require('zlib');
+const { PassThrough, Readable, pipeline } = require('stream');
+const unzipper = require('unzipper');
+const { getTransport, hasTransport } = require('../transports');
+const { openCredentials } = require('../utils/crypto');
 const config = require('../config');
 const logger = require('../utils/logger');
 
 /**
- * Service for fetching XML feeds from remote URLs
+ * Characters read before a streamed feed is handed to the parser
+ * Enough to validate the response and detect the feed format
+ * @type {number}
+ */
+const STREAM_HEAD_SIZE = 64 * 1024;
+
+/**
+ * Local file header that starts a zip archive
+ * @type {Buffer}
+ */
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+
+/**
+ * Archive entry read from zipped feeds: the first feed-like file
+ * @type {RegExp}
+ */
+const ZIP_ENTRY_PATTERN = /\.(xml|csv|tsv|txt|json)$/i;
+
+/**
+ * Service for fetching feeds from remote URLs
+ * The URL's transport (HTTP, FTP, SFTP) opens the feed; gzip and zip
+ * payloads are unpacked before the text is decoded
  */
 class FetcherService {
-  constructor() {
-    this.client = axios.create({
-      timeout: config.http.timeoutMs,
-      maxRedirects: config.http.maxRedirects,
-      headers: {
-        'User-Agent': config.http.userAgent,
-        'Accept': 'application/xml, text/xml, */*',
-        'Accept-Encoding': 'gzip, deflate'
-      },
-      // Response as text for XML parsing
-      responseType: 'text',
-      // Decompress responses
-      decompress: true
-    });
-
-    // Add request interceptor for logging
-    this.client.interceptors.request.use(
-      (config) => {
-        logger.debug(`Fetching: ${config.url}`);
-        config.metadata = { startTime: Date.now() };
-        return config;
-      },
-      (error) => {
-        logger.fetchError(error.config?.url, error);
-        return Promise.reject(error);
-      }
-    );
-
-    // Add response interceptor for logging
-    this.client.interceptors.response.use(
-      (response) => {
-        const duration = Date.now() - response.config.metadata.startTime;
-        logger.debug(`Fetched ${response.config.url} in ${duration}ms`);
-        return response;
-      },
-      (error) => {
-        logger.fetchError(error.config?.url, error);
-        return Promise.reject(error);
-      }
-    );
+  /**
+   * Fetch feed content from URL
+   *
+   * @param {string} url - Feed URL
+   * @param {Object} options - Fetch options (see fetchStream)
+   * @returns {Promise<string>} Decoded feed content
+   * @throws {Error} If the feed cannot be fetched
+   */
+  async fetch(url, options = {}) {
+    const result = await this.fetchStream(url, options);
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    let content = '';
+    for await (const chunk of result.chunks || []) {
+      content += chunk;
+    }
+
+    return content.trim();
   }
 
   /**
-   * Fetch XML from URL
+   * Open a feed as a stream of decoded text
+   * Only the start of the feed is read up front, to validate it and detect its
+   * format; the rest is downloaded while it is consumed. Retries cover the
+   * request and the start of the feed, not failures mid-stream.
+   *
+   * With the validators of the last synced response the request is
+   * conditional; an unchanged feed is returned as notModified with no content.
    *
    * @param {string} url - Feed URL
    * @param {Object} options - Fetch options
-   * @returns {Promise<string>} XML content
+   * @param {Object} options.credentials - Encrypted credentials of the feed
+   * @param {string} options.etag - ETag of the last synced response
+   * @param {string} options.lastModified - Last-Modified of the last synced response
+   * @returns {Promise<Object>} Fetch result with head, chunks and metadata
+   *   (including the response etag and lastModified)
    */
-  async fetch(url, options = {}) {
-    const { retryCount = config.sync.retryCount, retryDelay = config.sync.retryDelayMs } = options;
+  async fetchStream(url, options = {}) {
+    const startTime = Date.now();
+    const metadata = {
+      url,
+      fetchedAt: new Date().toISOString(),
+      bytesRead: 0,
+      etag: null,
+      lastModified: null
+    };
 
-    let lastError;
+    try {
+      const transport = getTransport(url);
+      if (!transport) {
+        throw new Error(`Unsupported feed URL: ${url}`);
+      }
 
-    for (let attempt = 1; attempt <= retryCount; attempt++) {
-      try {
-        const response = await this.client.get(url);
+      const credentials = openCredentials(options.credentials);
+
+      const result = await this.withRetry(url, options, async () => {
+        metadata.bytesRead = 0;
 
-        // Validate response
-        if (!response.data) {
-          throw new Error('Empty response received');
+        const response = await transport.open(new URL(url), {
+          credentials,
+          etag: options.etag,
+          lastModified: options.lastModified
+        });
+
+        metadata.etag = response.etag;
+        metadata.lastModified = response.lastModified;
+
+        if (response.notModified) {
+          return { notModified: true };
+        }
+
+        const body = await this.unpack(response.stream, metadata);
+        const iterator = this.decodeStream(body, response.contentType);
+
+        let head = '';
+        while (head.length < STREAM_HEAD_SIZE) {
+          const { value, done } = await iterator.next();
+          if (done) break;
+          head += value;
         }
 
-        // Check if response looks like XML
-        const content = response.data.trim();
-        if (!content.startsWith('<?xml') && !content.startsWith('<')) {
-          throw new Error('Response does not appear to be XML');
+        try {
+          this.validateContent(head.trim());
+        } catch (error) {
+          body.destroy();
+          throw error;
         }
 
-        return content;
+        return { head, chunks: this.prepend(head, iterator) };
+      });
+
+      metadata.durationMs = Date.now() - startTime;
+
+      return { success: true, notModified: false, ...result, metadata };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        metadata: { ...metadata, durationMs: Date.now() - startTime }
+      };
+    }
+  }
+
+  /**
+   * Unpack a compressed feed
+   * gzip and zip payloads are recognized by their first bytes, whatever the
+   * file name or content type says; other payloads pass through. Downloaded
+   * (compressed) bytes are counted as bytesRead.
+   *
+   * @param {Readable} stream - Raw body
+   * @param {Object} metadata - Receives the byte count as bytesRead
+   * @returns {Promise<Readable>} Feed bytes
+   */
+  async unpack(stream, metadata = {}) {
+    const iterator = stream[Symbol.asyncIterator]();
+    const first = await iterator.next();
+    const bytes = first.done ? Buffer.alloc(0) : first.value;
+
+    const source = Readable.from((async function* counted() {
+      if (first.done) return;
+
+      metadata.bytesRead = bytes.length;
+      yield bytes;
+
+      for await (const chunk of iterator) {
+        metadata.bytesRead += chunk.length;
+        yield chunk;
+      }
+    })());
+
+    let unpacker = null;
+
+    if (bytes[0] === 0x1f && bytes[1] === 0x8b) {
+      logger.debug('Unpacking gzip feed');
+      unpacker = zlib.createGunzip();
+    } else if (bytes.subarray(0, 4).equals(ZIP_SIGNATURE)) {
+      logger.debug('Unpacking zip feed');
+      unpacker = unzipper.ParseOne(ZIP_ENTRY_PATTERN);
+    }
+
+    if (!unpacker) return source;
+
+    // Errors reach the reader through the last stream; the zip parser is
+    // not async iterable itself
+    return pipeline(source, unpacker, new PassThrough(), () => {});
+  }
+
+  /**
+   * Run a request with retries and backoff
+   *
+   * @param {string} url - Feed URL (for logs)
+   * @param {Object} options - Retry options
+   * @param {Function} fn - Request function
+   * @returns {Promise<*>} Request result
+   */
+  async withRetry(url, options, fn) {
+    const { retryCount = config.sync.retryCount, retryDelay = config.sync.retryDelayMs } = options;
+
+    let lastError;
+
+    for (let attempt = 1; attempt <= retryCount; attempt++) {
+      try {
+        return await fn();
       } catch (error) {
         lastError = this.normalizeError(error);
 
@@ -99,6 +220,59 @@ class FetcherService {
     throw lastError;
   }
 
+  /**
+   * Reject responses that are not feeds
+   *
+   * @param {string} content - Decoded content (or its start)
+   * @throws {Error} If content is empty or an HTML page
+   */
+  validateContent(content) {
+    if (!content) {
+      throw new Error('Empty response received');
+    }
+
+    // Error and login pages are served as HTML with a 200 status
+    if (/^<(!doctype html|html)/i.test(content)) {
+      throw new Error('Response is an HTML page, not a feed');
+    }
+  }
+
+  /**
+   * Decode a byte stream to text chunks
+   * The encoding is detected from the first chunk
+   *
+   * @param {AsyncIterable<Buffer>} stream - Feed bytes
+   * @param {string} contentType - Content-Type header
+   * @returns {AsyncGenerator<string>} Decoded text
+   */
+  async *decodeStream(stream, contentType) {
+    let decoder = null;
+
+    for await (const chunk of stream) {
+      if (!decoder) {
+        decoder = new TextDecoder(this.detectEncoding(chunk, contentType));
+      }
+
+      const text = decoder.decode(chunk, { stream: true });
+      if (text) yield text;
+    }
+
+    const rest = decoder ? decoder.decode() : '';
+    if (rest) yield rest;
+  }
+
+  /**
+   * Yield text already read, then the rest of a stream
+   *
+   * @param {string} head - Text already read
+   * @param {AsyncGenerator<string>} rest - Remaining text
+   * @returns {AsyncGenerator<string>} Full text
+   */
+  async *prepend(head, rest) {
+    if (head) yield head;
+    yield* rest;
+  }
+
   /**
    * Fetch with validation
    *
@@ -136,20 +310,75 @@ class FetcherService {
   }
 
   /**
-   * Validate URL format
+   * Decode feed bytes to text
    *
-   * @param {string} url - URL to validate
-   * @returns {boolean} True if valid
+   * @param {Buffer} buffer - Response body
+   * @param {string} contentType - Content-Type header
+   * @returns {string} Decoded content
    */
-  isValidUrl(url) {
+  decode(buffer, contentType) {
+    return new TextDecoder(this.detectEncoding(buffer, contentType)).decode(buffer);
+  }
+
+  /**
+   * Detect the character encoding of feed bytes
+   * A byte order mark wins, then the charset declared in the Content-Type
+   * header or XML declaration. Undeclared content is UTF-8 when it decodes
+   * cleanly, otherwise the fallback encoding (Turkish Windows exports).
+   *
+   * @param {Buffer} buffer - Response body
+   * @param {string} contentType - Content-Type header
+   * @returns {string} Encoding label
+   */
+  detectEncoding(buffer, contentType = '') {
+    // Byte order mark
+    if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) return 'utf-8';
+    if (buffer[0] === 0xff && buffer[1] === 0xfe) return 'utf-16le';
+    if (buffer[0] === 0xfe && buffer[1] === 0xff) return 'utf-16be';
+
+    const headerCharset = String(contentType || '').match(/charset=["']?([\w.:-]+)/i);
+    const xmlCharset = buffer.subarray(0, 200).toString('latin1')
+      .match(/^\s*<\?xml[^>]*encoding=["']([\w.:-]+)["']/i);
+    const declared = (headerCharset || xmlCharset || [])[1];
+
+    if (declared && !/^utf-?8$/i.test(declared) && this.isSupportedEncoding(declared)) {
+      return declared.toLowerCase();
+    }
+
+    try {
+      // Streaming: a character cut at the end of the chunk is not an error
+      new TextDecoder('utf-8', { fatal: true }).decode(buffer, { stream: true });
+      return 'utf-8';
+    } catch {
+      return config.http.fallbackEncoding;
+    }
+  }
+
+  /**
+   * Check if an encoding label can be decoded
+   *
+   * @param {string} encoding - Encoding label
+   * @returns {boolean} True if supported
+   */
+  isSupportedEncoding(encoding) {
     try {
-      const parsed = new URL(url);
-      return ['http:', 'https:'].includes(parsed.protocol);
+      new TextDecoder(encoding);
+      return true;
     } catch {
       return false;
     }
   }
 
+  /**
+   * Validate URL format
+   *
+   * @param {string} url - URL to validate
+   * @returns {boolean} True if a transport can open it
+   */
+  isValidUrl(url) {
+    return hasTransport(url);
+  }
+
   /**
    * Normalize error for consistent handling
    *
@@ -175,6 +404,9 @@ class FetcherService {
       }
       return new Error(`Network error: ${error.code || 'Unknown'}`);
     }
+    if (error.message === 'PATTERN_NOT_FOUND') {
+      return new Error('Zip archive has no XML, CSV or JSON file');
+    }
     return error;
   }
 
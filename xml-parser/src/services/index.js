@@ -8,9 +8,11 @@
 const fetcherService = require('./fetcher.service');
 const storageService = require('./storage.service');
 const parserService = require('./parser.service');
+const previewService = require('./preview.service');
 
 module.exports = {
   fetcherService,
   storageService,
-  parserService
+  parserService,
+  previewService
 };
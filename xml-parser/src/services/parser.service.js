@@ -12,12 +12,22 @@ const storageService = require('./storage.service');
 const logger = require('../utils/logger');
 const config = require('../config');
 
+/**
+ * Drop in product count, compared to the last sync, that is reported as a warning
+ * @type {number}
+ */
+const PRODUCT_DROP_WARNING_RATIO = 0.2;
+
 /**
  * Main service that orchestrates feed parsing
  */
 class ParserService {
   /**
    * Sync a single feed
+   * Each sync is recorded as a FeedSyncRun with its counts and warnings.
+   * The feed is requested with the validators of the last successful sync;
+   * when the server answers 304 nothing is parsed or written. Supplemental
+   * feeds store their merge fields as overrides instead of products.
    *
    * @param {Object} feed - Feed object from database
    * @returns {Promise<Object>} Sync result
@@ -26,9 +36,14 @@ class ParserService {
     const startTime = Date.now();
     const { id: feedId, url, format, customerId, syncInterval } = feed;
     const customerName = feed.customer?.name || 'Unknown';
+    const supplemental = feed.role === 'supplemental';
 
     logger.syncStart(customerId, customerName);
 
+    const run = await this.startRun(feedId);
+    let fetchResult = null;
+    let stored = null;
+
     try {
       // Mark feed as syncing
       await storageService.markFeedSyncing(feedId);
@@ -38,70 +53,97 @@ class ParserService {
         throw new Error(`Invalid feed URL: ${url}`);
       }
 
-      // Fetch XML content
-      const fetchResult = await fetcherService.fetchWithMetadata(url);
+      // Open feed stream, only its start is downloaded here
+      fetchResult = await fetcherService.fetchStream(url, {
+        credentials: feed.credentials,
+        etag: feed.etag,
+        lastModified: feed.lastModified
+      });
 
       if (!fetchResult.success) {
         throw new Error(`Failed to fetch feed: ${fetchResult.error}`);
       }
 
-      // Create parser based on format
-      const parser = format ? createParser(format) : detectParser(fetchResult.content);
+      if (fetchResult.notModified) {
+        return this.skipUnchanged(feed, run, startTime);
+      }
 
-      // Parse XML
-      const parsed = parser.parse(fetchResult.content);
+      // Create parser based on format, with the feed's own column mapping
+      const parserOptions = { fieldMapping: feed.fieldMapping };
+      const parser = format
+        ? createParser(format, parserOptions)
+        : detectParser(fetchResult.head, parserOptions);
 
-      // Normalize products
-      const normalizedProducts = productNormalizer.normalize(parsed.products);
-      const deduplicatedProducts = productNormalizer.deduplicate(normalizedProducts);
+      // Parse, normalize and store products batch by batch
+      const contents = { campaignCount: 0 };
+      stored = await this.storeProducts(feed, this.readProducts(parser, fetchResult, contents));
+      const { productIds, upsertResult } = stored;
 
-      if (deduplicatedProducts.length === 0) {
+      if (productIds.size === 0) {
         throw new Error('No valid products found in feed');
       }
 
-      // Store products
-      const upsertResult = await storageService.upsertProducts(
-        customerId,
-        feedId,
-        deduplicatedProducts
-      );
-
-      // Deactivate products no longer in feed
-      const activeIds = deduplicatedProducts.map((p) => p.id);
-      const deactivatedCount = await storageService.deactivateOldProducts(
-        customerId,
-        feedId,
-        activeIds
-      );
+      // Deactivate products no longer in feed, or drop their supplemental values
+      const deactivatedCount = supplemental
+        ? await storageService.deleteStaleOverrides(customerId, feedId, productIds)
+        : await storageService.deactivateOldProducts(customerId, feedId, productIds);
 
-      // Update feed cache
-      await storageService.updateFeedCache(
-        customerId,
-        deduplicatedProducts,
-        parsed.campaigns
-      );
+      // Products changed, cached widget lists are stale
+      await storageService.invalidateFeedCache(customerId);
 
       // Mark feed as successful
-      await storageService.markFeedSuccess(feedId, deduplicatedProducts.length, syncInterval);
+      await storageService.markFeedSuccess(feedId, productIds.size, syncInterval, {
+        etag: fetchResult.metadata.etag,
+        lastModified: fetchResult.metadata.lastModified
+      });
+
+      const warnings = this.getWarnings(feed, stored);
+
+      await this.finishRun(run, startTime, {
+        status: 'success',
+        bytesFetched: fetchResult.metadata.bytesRead,
+        itemsParsed: stored.itemCount,
+        productCount: productIds.size,
+        insertedCount: upsertResult.created,
+        updatedCount: upsertResult.updated,
+        unchangedCount: upsertResult.unchanged,
+        deactivatedCount,
+        warnings
+      });
 
       const duration = Date.now() - startTime;
-      logger.syncSuccess(customerId, deduplicatedProducts.length, duration);
+      logger.syncSuccess(customerId, productIds.size, duration);
 
       return {
         success: true,
         feedId,
         customerId,
         customerName,
-        productCount: deduplicatedProducts.length,
-        campaignCount: parsed.campaigns.length,
+        productCount: productIds.size,
+        itemCount: stored.itemCount,
+        campaignCount: contents.campaignCount,
+        bytesRead: fetchResult.metadata.bytesRead,
         upsertResult,
         deactivatedCount,
+        warnings,
         durationMs: duration
       };
     } catch (error) {
       // Mark feed as error
       await storageService.markFeedError(feedId, error.message);
 
+      await this.finishRun(run, startTime, {
+        status: 'error',
+        bytesFetched: fetchResult ? fetchResult.metadata.bytesRead : 0,
+        itemsParsed: stored ? stored.itemCount : 0,
+        productCount: stored ? stored.productIds.size : 0,
+        insertedCount: stored ? stored.upsertResult.created : 0,
+        updatedCount: stored ? stored.upsertResult.updated : 0,
+        unchangedCount: stored ? stored.upsertResult.unchanged : 0,
+        warnings: stored ? this.getWarnings(feed, stored) : [],
+        errorMessage: error.message
+      });
+
       logger.syncError(customerId, error);
 
       return {
@@ -115,6 +157,220 @@ class ParserService {
     }
   }
 
+  /**
+   * Finish a sync the server answered with 304
+   * Products, cache and product count stay as they are, only the schedule moves
+   *
+   * @param {Object} feed - Feed object from database
+   * @param {Object|null} run - Run from startRun
+   * @param {number} startTime - Sync start timestamp
+   * @returns {Promise<Object>} Sync result
+   */
+  async skipUnchanged(feed, run, startTime) {
+    const { id: feedId, customerId, syncInterval, productCount } = feed;
+
+    await storageService.markFeedNotModified(feedId, syncInterval);
+
+    await this.finishRun(run, startTime, {
+      status: 'not_modified',
+      productCount
+    });
+
+    const duration = Date.now() - startTime;
+    logger.info('Feed not modified since last sync, skipped', { feedId, customerId, durationMs: duration });
+
+    return {
+      success: true,
+      notModified: true,
+      feedId,
+      customerId,
+      customerName: feed.customer?.name || 'Unknown',
+      productCount,
+      durationMs: duration
+    };
+  }
+
+  /**
+   * Record the start of a sync run
+   * History is diagnostics only, a failed write does not stop the sync
+   *
+   * @param {string} feedId - Feed ID
+   * @returns {Promise<Object|null>} Run, null if it could not be recorded
+   */
+  async startRun(feedId) {
+    try {
+      return await storageService.startSyncRun(feedId);
+    } catch (error) {
+      logger.warn('Could not record sync run', { feedId, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Record the outcome of a sync run and prune old runs
+   *
+   * @param {Object|null} run - Run from startRun
+   * @param {number} startTime - Sync start timestamp
+   * @param {Object} data - Run outcome
+   * @returns {Promise<void>}
+   */
+  async finishRun(run, startTime, data) {
+    if (!run) return;
+
+    try {
+      await storageService.finishSyncRun(run.id, {
+        ...data,
+        durationMs: Date.now() - startTime
+      });
+      await storageService.pruneSyncRuns(run.feedId, config.sync.runHistory);
+    } catch (error) {
+      logger.warn('Could not record sync run', { feedId: run.feedId, error: error.message });
+    }
+  }
+
+  /**
+   * Collect warnings about a sync
+   *
+   * @param {Object} feed - Feed object from database
+   * @param {Object} stored - Result of storeProducts
+   * @returns {Array<Object>} Warnings as { code, message, count }
+   */
+  getWarnings(feed, stored) {
+    const warnings = [];
+    const { rejectedCount, duplicateCount, upsertResult, productIds } = stored;
+
+    if (rejectedCount > 0) {
+      warnings.push({
+        code: 'rejected_items',
+        message: `${rejectedCount} items skipped for a missing ID, title or price`,
+        count: rejectedCount
+      });
+    }
+
+    if (duplicateCount > 0) {
+      warnings.push({
+        code: 'duplicate_ids',
+        message: `${duplicateCount} items repeated an earlier product ID`,
+        count: duplicateCount
+      });
+    }
+
+    if (upsertResult.conflicts > 0) {
+      warnings.push({
+        code: 'id_conflicts',
+        message: `${upsertResult.conflicts} product IDs belong to a primary feed with equal or higher priority`,
+        count: upsertResult.conflicts
+      });
+    }
+
+    if (upsertResult.errors > 0) {
+      warnings.push({
+        code: 'store_errors',
+        message: `${upsertResult.errors} products could not be stored`,
+        count: upsertResult.errors
+      });
+    }
+
+    const previousCount = feed.productCount || 0;
+    if (previousCount > 0 && productIds.size < previousCount * (1 - PRODUCT_DROP_WARNING_RATIO)) {
+      warnings.push({
+        code: 'product_count_drop',
+        message: `Product count fell from ${previousCount} to ${productIds.size}`,
+        count: previousCount - productIds.size
+      });
+    }
+
+    return warnings;
+  }
+
+  /**
+   * Read raw products from a fetched feed
+   * XML and CSV feeds are parsed as they stream in; feeds the parser cannot
+   * stream (JSON, unknown XML layouts) are read whole and parsed at once.
+   * Campaigns are only read from feeds parsed at once.
+   *
+   * @param {BaseParser} parser - Feed parser
+   * @param {Object} fetchResult - Result of fetcherService.fetchStream
+   * @param {Object} [contents] - Receives the campaignCount of the feed
+   * @returns {AsyncGenerator<Object>} Raw products
+   */
+  async *readProducts(parser, { head, chunks }, contents = {}) {
+    if (parser.canStream(head)) {
+      yield* parser.parseStream(chunks);
+      return;
+    }
+
+    let content = '';
+    for await (const chunk of chunks) {
+      content += chunk;
+    }
+
+    const parsed = parser.parse(content.trim());
+    contents.campaignCount = parsed.campaigns.length;
+
+    yield* parsed.products;
+  }
+
+  /**
+   * Normalize and store products in batches
+   * Memory holds one batch plus the IDs seen so far. A product ID repeated in
+   * a later batch keeps its first occurrence. Items of supplemental feeds
+   * only need an ID and are stored as overrides.
+   *
+   * @param {Object} feed - Feed object from database
+   * @param {AsyncIterable<Object>} products - Raw products
+   * @returns {Promise<Object>} Stored product IDs, summed upsert result and
+   *   item, rejected and duplicate counts
+   */
+  async storeProducts(feed, products) {
+    const { id: feedId, customerId } = feed;
+    const supplemental = feed.role === 'supplemental';
+    const productIds = new Set();
+    const upsertResult = { created: 0, updated: 0, unchanged: 0, conflicts: 0, errors: 0, total: 0 };
+    let rejectedCount = 0;
+    let duplicateCount = 0;
+
+    let batch = [];
+    let offset = 0;
+
+    const flush = async () => {
+      const normalized = productNormalizer.normalize(batch, offset, { partial: supplemental });
+      rejectedCount += batch.length - normalized.length;
+      offset += batch.length;
+      batch = [];
+
+      const fresh = productNormalizer
+        .deduplicate(normalized)
+        .filter((product) => !productIds.has(product.id));
+      duplicateCount += normalized.length - fresh.length;
+
+      if (fresh.length === 0) return;
+
+      fresh.forEach((product) => productIds.add(product.id));
+
+      const result = supplemental
+        ? await storageService.upsertOverrides(customerId, feedId, fresh, feed.mergeFields || [])
+        : await storageService.upsertProducts(customerId, feedId, fresh, { priority: feed.priority || 0 });
+      for (const key of Object.keys(upsertResult)) {
+        upsertResult[key] += result[key] || 0;
+      }
+
+      logger.debug(`Stored ${productIds.size} products so far`, { feedId });
+    };
+
+    for await (const product of products) {
+      batch.push(product);
+
+      if (batch.length >= config.sync.batchSize) {
+        await flush();
+      }
+    }
+
+    await flush();
+
+    return { productIds, upsertResult, itemCount: offset, rejectedCount, duplicateCount };
+  }
+
   /**
    * Sync all feeds due for sync
    *
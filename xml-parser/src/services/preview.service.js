@@ -0,0 +1,258 @@
+/**
+ * Preview Service
+ * Dry-run parsing and validation of feeds, nothing is stored
+ *
+ * @module services/preview
+ */
+
+const { createParser, detectParser } = require('../parsers');
+const { productNormalizer } = require('../normalizers');
+const fetcherService = require('./fetcher.service');
+const config = require('../config');
+
+/**
+ * Most rejected items and duplicate IDs listed in a validation report
+ * @type {number}
+ */
+const REPORT_LIST_LIMIT = 100;
+
+/**
+ * Service that previews and validates feeds for the admin panel
+ */
+class PreviewService {
+  /**
+   * Parse the first items of a feed with an unsaved format and field mapping
+   *
+   * @param {Object} request - Preview request
+   * @param {string} request.url - Feed URL, read when no content is given
+   * @param {Object} request.credentials - Encrypted credentials of the feed
+   * @param {string} request.content - Pasted sample feed
+   * @param {string} request.format - Feed format, detected if omitted
+   * @param {Object} request.fieldMapping - Field mapping to try
+   * @param {boolean} request.partial - Supplemental feed, items only need an ID
+   * @param {number} request.limit - Number of items
+   * @returns {Promise<Object>} Detected format and source item / product pairs
+   * @throws {Error} If the feed cannot be read
+   */
+  async preview({ url, credentials, content, format, fieldMapping, partial, limit }) {
+    const count = this.getLimit(limit);
+    const source = content ? this.fromContent(content) : await this.open(url, credentials);
+    const parser = this.getParser(source, format, fieldMapping);
+
+    const items = [];
+    for await (const item of this.readItems(parser, source)) {
+      items.push(item);
+      if (items.length >= count) break;
+    }
+
+    return {
+      format: parser.format,
+      items: items.map((item, index) => {
+        const product = productNormalizer.normalizeProduct(parser.mapItem(item), index);
+
+        return {
+          source: item,
+          product,
+          valid: productNormalizer.isValidProduct(product, { partial })
+        };
+      })
+    };
+  }
+
+  /**
+   * Validate a whole feed without storing it
+   * Products go through the same normalization, validation and batch
+   * deduplication as a sync; memory holds one batch and the IDs seen
+   *
+   * @param {Object} request - Validation request
+   * @param {string} request.url - Feed URL, read when no content is given
+   * @param {Object} request.credentials - Encrypted credentials of the feed
+   * @param {string} request.content - Pasted sample feed
+   * @param {string} request.format - Feed format, detected if omitted
+   * @param {Object} request.fieldMapping - Field mapping to try
+   * @param {boolean} request.partial - Supplemental feed, items only need an ID
+   * @param {number} request.limit - Number of sample products
+   * @returns {Promise<Object>} Validation report
+   * @throws {Error} If the feed cannot be read
+   */
+  async validate({ url, credentials, content, format, fieldMapping, partial, limit }) {
+    const startTime = Date.now();
+    const sampleSize = this.getLimit(limit);
+    const source = content ? this.fromContent(content) : await this.open(url, credentials);
+    const parser = this.getParser(source, format, fieldMapping);
+
+    const weights = productNormalizer.getCompletenessWeights();
+    const coverage = Object.fromEntries(Object.keys(weights).map((field) => [field, 0]));
+    const seen = new Set();
+    const duplicates = new Map();
+    const rejected = [];
+    const sample = [];
+    let itemCount = 0;
+    let rejectedCount = 0;
+    let duplicateCount = 0;
+    let completeness = 0;
+    let batch = [];
+
+    const flush = () => {
+      const valid = [];
+
+      for (const { product, index } of batch) {
+        const reasons = productNormalizer.getValidationErrors(product, { partial });
+
+        if (reasons.length === 0) {
+          valid.push(product);
+        } else {
+          rejectedCount++;
+          if (rejected.length < REPORT_LIST_LIMIT) {
+            rejected.push({ index, id: product.id, title: product.title, reasons });
+          }
+        }
+      }
+
+      // Same outcome as a sync: the batch's most complete copy, first batch wins
+      const kept = new Set(productNormalizer.deduplicate(valid));
+
+      for (const product of valid) {
+        if (!kept.has(product) || seen.has(product.id)) {
+          duplicateCount++;
+          if (duplicates.has(product.id) || duplicates.size < REPORT_LIST_LIMIT) {
+            duplicates.set(product.id, (duplicates.get(product.id) || 1) + 1);
+          }
+          continue;
+        }
+
+        seen.add(product.id);
+        completeness += productNormalizer.getProductCompleteness(product);
+        Object.keys(coverage).forEach((field) => {
+          if (productNormalizer.hasField(product, field)) coverage[field]++;
+        });
+
+        if (sample.length < sampleSize) sample.push(product);
+      }
+
+      batch = [];
+    };
+
+    for await (const item of this.readItems(parser, source)) {
+      const product = productNormalizer.normalizeProduct(parser.mapItem(item), itemCount);
+      batch.push({ product, index: itemCount });
+      itemCount++;
+
+      if (batch.length >= config.sync.batchSize) flush();
+    }
+    flush();
+
+    const productCount = seen.size;
+    const percent = (value) => (productCount > 0 ? Math.round((value / productCount) * 1000) / 10 : 0);
+
+    return {
+      format: parser.format,
+      bytesRead: source.metadata.bytesRead,
+      durationMs: Date.now() - startTime,
+      itemCount,
+      productCount,
+      rejectedCount,
+      duplicateCount,
+      rejected,
+      duplicates: [...duplicates].map(([id, count]) => ({ id, count })),
+      coverage: Object.fromEntries(
+        Object.entries(coverage).map(([field, count]) => [field, { count, percent: percent(count) }])
+      ),
+      completeness: {
+        average: productCount > 0 ? Math.round((completeness / productCount) * 10) / 10 : 0,
+        max: Object.values(weights).reduce((sum, weight) => sum + weight, 0)
+      },
+      sample
+    };
+  }
+
+  /**
+   * Clamp a requested item count
+   *
+   * @param {*} limit - Requested count
+   * @returns {number} Count between 1 and the configured limit
+   */
+  getLimit(limit) {
+    return Math.min(Math.max(parseInt(limit, 10) || 10, 1), config.api.previewLimit);
+  }
+
+  /**
+   * Create the parser for a request
+   *
+   * @param {Object} source - Head and chunks
+   * @param {string} format - Feed format, detected from the head if omitted
+   * @param {Object} fieldMapping - Field mapping
+   * @returns {BaseParser} Parser
+   */
+  getParser(source, format, fieldMapping) {
+    const parserOptions = { fieldMapping };
+
+    return format
+      ? createParser(format, parserOptions)
+      : detectParser(source.head, parserOptions);
+  }
+
+  /**
+   * Open a feed URL as a stream
+   *
+   * @param {string} url - Feed URL
+   * @param {Object} credentials - Encrypted credentials of the feed
+   * @returns {Promise<Object>} Stream fetch result
+   * @throws {Error} If the URL is invalid or the feed cannot be fetched
+   */
+  async open(url, credentials) {
+    if (!fetcherService.isValidUrl(url)) {
+      throw new Error(`Invalid feed URL: ${url}`);
+    }
+
+    const result = await fetcherService.fetchStream(url, { credentials, retryCount: 1 });
+
+    if (!result.success) {
+      throw new Error(`Failed to fetch feed: ${result.error}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Wrap pasted content like a fetched stream
+   *
+   * @param {string} content - Sample feed
+   * @returns {Object} Head, chunks and size
+   */
+  fromContent(content) {
+    const text = content.trim();
+
+    return {
+      head: text,
+      metadata: { bytesRead: Buffer.byteLength(text) },
+      chunks: (async function* chunks() {
+        yield text;
+      })()
+    };
+  }
+
+  /**
+   * Read the raw items of a feed
+   * Streamed feeds stop downloading when the caller stops reading
+   *
+   * @param {BaseParser} parser - Feed parser
+   * @param {Object} source - Head and chunks
+   * @returns {AsyncGenerator<Object>} Raw items
+   */
+  async *readItems(parser, { head, chunks }) {
+    if (parser.canStream(head)) {
+      yield* parser.streamItems(chunks);
+      return;
+    }
+
+    let content = '';
+    for await (const chunk of chunks) {
+      content += chunk;
+    }
+
+    yield* parser.extractItems(parser.parseContent(content.trim()));
+  }
+}
+
+module.exports = new PreviewService();
@@ -5,9 +5,27 @@
  * @module services/storage
  */
 
+const crypto = require('crypto');
 const { PrismaClient } = require('@prisma/client');
 const logger = require('../utils/logger');
 
+/**
+ * Product column each supplemental merge field writes
+ * @type {Object<string, string>}
+ */
+const MERGE_FIELD_COLUMNS = {
+  title: 'title',
+  description: 'description',
+  price: 'price',
+  salePrice: 'salePrice',
+  currency: 'currency',
+  imageUrl: 'imageUrl',
+  productUrl: 'productUrl',
+  category: 'category',
+  brand: 'brand',
+  availability: 'stockStatus'
+};
+
 /**
  * Service for storing parsed feed data
  */
@@ -127,7 +145,8 @@ class StorageService {
       where: { slug },
       include: {
         xmlFeeds: {
-          where: { isActive: true },
+          where: { isActive: true, role: 'primary' },
+          orderBy: { priority: 'desc' },
           take: 1
         }
       }
@@ -164,13 +183,17 @@ class StorageService {
 
   /**
    * Update feed after successful sync
+   * The response validators are kept for the next conditional request
    *
    * @param {string} feedId - Feed ID
    * @param {number} productCount - Number of products
    * @param {number} syncIntervalMinutes - Sync interval
+   * @param {Object} validators - Response validators
+   * @param {string} validators.etag - ETag header
+   * @param {string} validators.lastModified - Last-Modified header
    * @returns {Promise<void>}
    */
-  async markFeedSuccess(feedId, productCount, syncIntervalMinutes) {
+  async markFeedSuccess(feedId, productCount, syncIntervalMinutes, validators = {}) {
     const nextSyncAt = new Date(Date.now() + syncIntervalMinutes * 60 * 1000);
 
     await this.prisma.xmlFeed.update({
@@ -180,6 +203,30 @@ class StorageService {
         lastSyncAt: new Date(),
         nextSyncAt,
         productCount,
+        etag: validators.etag || null,
+        lastModified: validators.lastModified || null,
+        errorMessage: null
+      }
+    });
+  }
+
+  /**
+   * Update feed after a sync the server answered with 304
+   * Products and validators stay as they are
+   *
+   * @param {string} feedId - Feed ID
+   * @param {number} syncIntervalMinutes - Sync interval
+   * @returns {Promise<void>}
+   */
+  async markFeedNotModified(feedId, syncIntervalMinutes) {
+    const nextSyncAt = new Date(Date.now() + syncIntervalMinutes * 60 * 1000);
+
+    await this.prisma.xmlFeed.update({
+      where: { id: feedId },
+      data: {
+        status: 'active',
+        lastSyncAt: new Date(),
+        nextSyncAt,
         errorMessage: null
       }
     });
@@ -203,161 +250,586 @@ class StorageService {
   }
 
   /**
-   * Upsert products from feed
+   * Record the start of a feed sync
+   *
+   * @param {string} feedId - Feed ID
+   * @returns {Promise<Object>} Created run
+   */
+  async startSyncRun(feedId) {
+    return this.prisma.feedSyncRun.create({
+      data: { feedId }
+    });
+  }
+
+  /**
+   * Record the outcome of a feed sync
+   *
+   * @param {string} runId - Run ID
+   * @param {Object} data - Status, counts, warnings and error
+   * @returns {Promise<Object>} Updated run
+   */
+  async finishSyncRun(runId, data) {
+    return this.prisma.feedSyncRun.update({
+      where: { id: runId },
+      data: {
+        ...data,
+        errorMessage: data.errorMessage ? data.errorMessage.slice(0, 1000) : null,
+        finishedAt: new Date()
+      }
+    });
+  }
+
+  /**
+   * Delete the oldest runs of a feed beyond the history size
+   *
+   * @param {string} feedId - Feed ID
+   * @param {number} keep - Number of runs to keep
+   * @returns {Promise<number>} Number deleted
+   */
+  async pruneSyncRuns(feedId, keep) {
+    const old = await this.prisma.feedSyncRun.findMany({
+      where: { feedId },
+      orderBy: { startedAt: 'desc' },
+      skip: keep,
+      select: { id: true }
+    });
+
+    if (old.length === 0) return 0;
+
+    const result = await this.prisma.feedSyncRun.deleteMany({
+      where: { id: { in: old.map((run) => run.id) } }
+    });
+
+    return result.count;
+  }
+
+  /**
+   * Upsert products from a primary feed
+   * Each product carries a hash of its stored fields. Active products with
+   * the same hash are not written, so updatedAt only moves when a product
+   * actually changes.
+   *
+   * When several primary feeds of a customer share a product ID the feed
+   * with the higher priority owns it; on equal priority the current owner
+   * keeps it. Values of supplemental feeds are applied over the feed's
+   * values before hashing. New products and changed prices or stock are
+   * recorded in the price history. Variants sharing an item group are linked
+   * to one parent product group.
    *
    * @param {string} customerId - Customer ID
    * @param {string} feedId - Feed ID
    * @param {Array} products - Normalized products
-   * @returns {Promise<Object>} Upsert result
+   * @param {Object} options - Merge options
+   * @param {number} options.priority - Priority of the feed
+   * @returns {Promise<Object>} Upsert result, conflicts are IDs owned by another feed
    */
-  async upsertProducts(customerId, feedId, products) {
+  async upsertProducts(customerId, feedId, products, { priority = 0 } = {}) {
     let created = 0;
     let updated = 0;
+    let unchanged = 0;
+    let conflicts = 0;
     let errors = 0;
 
     // Process in batches
     const batchSize = 100;
     for (let i = 0; i < products.length; i += batchSize) {
       const batch = products.slice(i, i + batchSize);
+      const externalIds = batch.map((product) => product.id);
 
-      const operations = batch.map((product) =>
-        this.prisma.product.upsert({
-          where: {
-            customerId_externalId: {
-              customerId,
-              externalId: product.id
-            }
-          },
-          create: {
-            customerId,
-            feedId,
-            externalId: product.id,
-            title: product.title,
-            description: product.description || null,
-            price: product.price,
-            salePrice: product.salePrice,
-            currency: product.currency,
-            imageUrl: product.image || null,
-            productUrl: product.url || null,
-            category: product.category || null,
-            brand: product.brand || null,
-            stockStatus: product.stock,
-            attributes: product.attributes || {},
-            isActive: true
-          },
-          update: {
-            feedId,
-            title: product.title,
-            description: product.description || null,
-            price: product.price,
-            salePrice: product.salePrice,
-            currency: product.currency,
-            imageUrl: product.image || null,
-            productUrl: product.url || null,
-            category: product.category || null,
-            brand: product.brand || null,
-            stockStatus: product.stock,
-            attributes: product.attributes || {},
-            isActive: true
-          }
-        }).catch((err) => {
-          errors++;
-          logger.warn(`Failed to upsert product ${product.id}`, { error: err.message });
-          return null;
-        })
-      );
-
-      const results = await Promise.all(operations);
-
-      // Count created vs updated (approximate)
-      results.forEach((result) => {
-        if (result) {
-          const isNew = result.createdAt.getTime() === result.updatedAt.getTime();
-          if (isNew) created++;
-          else updated++;
+      const existing = await this.prisma.product.findMany({
+        where: {
+          customerId,
+          externalId: { in: externalIds }
+        },
+        select: {
+          externalId: true,
+          feedId: true,
+          contentHash: true,
+          isActive: true,
+          price: true,
+          salePrice: true,
+          stockStatus: true,
+          feed: { select: { role: true, priority: true, isActive: true } }
         }
       });
+      const existingById = new Map(existing.map((product) => [product.externalId, product]));
+      const overrides = await this.getOverrides(customerId, externalIds);
+      const groups = await this.getProductGroups(customerId, batch);
+
+      const history = [];
+      const operations = [];
+      for (const product of batch) {
+        const current = existingById.get(product.id);
+
+        if (current && this.isOwnedByOtherFeed(current, feedId, priority)) {
+          conflicts++;
+          continue;
+        }
+
+        const data = { ...this.toProductData(feedId, product, groups), ...overrides.get(product.id) };
+        const contentHash = this.getContentHash(data);
+
+        // The hash covers the feed ID, a product moved between feeds is written
+        if (current && current.isActive && current.contentHash === contentHash) {
+          unchanged++;
+          continue;
+        }
+
+        operations.push(
+          this.prisma.product.upsert({
+            where: {
+              customerId_externalId: {
+                customerId,
+                externalId: product.id
+              }
+            },
+            create: {
+              customerId,
+              externalId: product.id,
+              ...data,
+              contentHash,
+              isActive: true
+            },
+            update: {
+              ...data,
+              contentHash,
+              isActive: true
+            },
+            select: { id: true }
+          }).then(({ id }) => {
+            if (current) updated++;
+            else created++;
+            if (this.isPriceChange(current, data)) history.push(this.toPriceHistory(id, data));
+          }).catch((err) => {
+            errors++;
+            logger.warn(`Failed to upsert product ${product.id}`, { error: err.message });
+          })
+        );
+      }
+
+      await Promise.all(operations);
+      await this.recordPriceHistory(history);
     }
 
-    return { created, updated, errors, total: products.length };
+    return { created, updated, unchanged, conflicts, errors, total: products.length };
   }
 
   /**
-   * Deactivate products not in current feed
+   * Find or create the parent groups of a batch's variants
    *
    * @param {string} customerId - Customer ID
-   * @param {string} feedId - Feed ID
-   * @param {Array} activeIds - Active product external IDs
-   * @returns {Promise<number>} Number deactivated
+   * @param {Array} products - Normalized products
+   * @returns {Promise<Map<string, string>>} Feed group ID -> product group ID
    */
-  async deactivateOldProducts(customerId, feedId, activeIds) {
-    const result = await this.prisma.product.updateMany({
+  async getProductGroups(customerId, products) {
+    const externalIds = [...new Set(products.map((product) => product.groupId).filter(Boolean))];
+
+    if (externalIds.length === 0) {
+      return new Map();
+    }
+
+    await this.prisma.productGroup.createMany({
+      data: externalIds.map((externalId) => ({ customerId, externalId })),
+      skipDuplicates: true
+    });
+
+    const groups = await this.prisma.productGroup.findMany({
+      where: { customerId, externalId: { in: externalIds } },
+      select: { id: true, externalId: true }
+    });
+
+    return new Map(groups.map((group) => [group.externalId, group.id]));
+  }
+
+  /**
+   * Check if a write changes the price, sale price or stock of a product
+   *
+   * @param {Object|undefined} current - Stored product, undefined for new ones
+   * @param {Object} data - Product row data to write
+   * @returns {boolean} True for new products and changed values
+   */
+  isPriceChange(current, data) {
+    if (!current) return true;
+
+    const amount = (value) => (value === null || value === undefined ? null : Number(value));
+
+    return (
+      amount(current.price) !== amount(data.price) ||
+      amount(current.salePrice) !== amount(data.salePrice) ||
+      current.stockStatus !== data.stockStatus
+    );
+  }
+
+  /**
+   * Price history row of a product
+   *
+   * @param {string} productId - Product ID
+   * @param {Object} data - Written product data
+   * @returns {Object} History row data
+   */
+  toPriceHistory(productId, data) {
+    return {
+      productId,
+      price: data.price,
+      salePrice: data.salePrice ?? null,
+      currency: data.currency || 'TRY',
+      stockStatus: data.stockStatus
+    };
+  }
+
+  /**
+   * Store price history rows
+   * The products are already written, a failed insert only loses history
+   *
+   * @param {Array<Object>} rows - History rows
+   * @returns {Promise<void>}
+   */
+  async recordPriceHistory(rows) {
+    if (rows.length === 0) return;
+
+    try {
+      await this.prisma.productPriceHistory.createMany({ data: rows });
+    } catch (error) {
+      logger.warn('Could not record price history', { count: rows.length, error: error.message });
+    }
+  }
+
+  /**
+   * Check if an active product belongs to another primary feed that takes
+   * precedence over the syncing feed
+   *
+   * @param {Object} current - Stored product with its feed
+   * @param {string} feedId - Syncing feed ID
+   * @param {number} priority - Syncing feed priority
+   * @returns {boolean} True if the product must not be written
+   */
+  isOwnedByOtherFeed(current, feedId, priority) {
+    const owner = current.feed;
+
+    return Boolean(
+      current.isActive &&
+      current.feedId !== feedId &&
+      owner &&
+      owner.isActive &&
+      owner.role === 'primary' &&
+      owner.priority >= priority
+    );
+  }
+
+  /**
+   * Merged supplemental values for product IDs
+   * Feeds are applied by ascending priority, so for each field the
+   * supplemental feed with the highest priority wins
+   *
+   * @param {string} customerId - Customer ID
+   * @param {string[]} externalIds - Product external IDs
+   * @returns {Promise<Map<string, Object>>} Product columns by external ID
+   */
+  async getOverrides(customerId, externalIds) {
+    const rows = await this.prisma.productOverride.findMany({
       where: {
         customerId,
-        feedId,
-        externalId: { notIn: activeIds },
-        isActive: true
+        externalId: { in: externalIds },
+        feed: { isActive: true, role: 'supplemental' }
       },
-      data: {
-        isActive: false
-      }
+      select: { externalId: true, data: true },
+      orderBy: [{ feed: { priority: 'asc' } }, { updatedAt: 'asc' }]
     });
 
-    return result.count;
+    const merged = new Map();
+    for (const row of rows) {
+      merged.set(row.externalId, { ...merged.get(row.externalId), ...row.data });
+    }
+
+    return merged;
   }
 
   /**
-   * Update feed cache
+   * Store the values of a supplemental feed and patch them onto products
+   * Only the feed's merge fields with a value are kept. Products that do
+   * not exist yet get the values when a primary feed creates them.
    *
    * @param {string} customerId - Customer ID
-   * @param {Array} products - Products for cache
-   * @param {Array} campaigns - Campaigns for cache
-   * @returns {Promise<void>}
+   * @param {string} feedId - Supplemental feed ID
+   * @param {Array} products - Normalized products
+   * @param {string[]} mergeFields - Fields the feed patches
+   * @returns {Promise<Object>} Upsert result, counts are override rows
    */
-  async updateFeedCache(customerId, products, campaigns = []) {
-    // Format for widget consumption
-    const payload = {
-      products: products.slice(0, 100).map((p) => ({
-        id: p.id,
-        title: p.title,
-        price: p.price,
-        salePrice: p.salePrice,
-        image: p.image,
-        url: p.url,
-        category: p.category,
-        brand: p.brand,
-        stock: p.stock
-      })),
-      campaigns: campaigns.slice(0, 10),
-      updatedAt: new Date().toISOString()
-    };
+  async upsertOverrides(customerId, feedId, products, mergeFields) {
+    let created = 0;
+    let updated = 0;
+    let unchanged = 0;
+    let errors = 0;
+
+    const batchSize = 100;
+    for (let i = 0; i < products.length; i += batchSize) {
+      const batch = products.slice(i, i + batchSize);
 
-    await this.prisma.feedCache.upsert({
-      where: { customerId },
-      create: {
+      const existing = await this.prisma.productOverride.findMany({
+        where: {
+          feedId,
+          externalId: { in: batch.map((product) => product.id) }
+        },
+        select: { externalId: true, data: true }
+      });
+      const existingById = new Map(existing.map((row) => [row.externalId, row]));
+
+      const changedIds = [];
+      const operations = [];
+      for (const product of batch) {
+        const data = this.pickMergeFields(this.toProductData(feedId, product), mergeFields);
+        const current = existingById.get(product.id);
+
+        if (current && JSON.stringify(current.data) === JSON.stringify(data)) {
+          unchanged++;
+          continue;
+        }
+
+        operations.push(
+          this.prisma.productOverride.upsert({
+            where: { feedId_externalId: { feedId, externalId: product.id } },
+            create: { customerId, feedId, externalId: product.id, data },
+            update: { data }
+          }).then(() => {
+            changedIds.push(product.id);
+            if (current) updated++;
+            else created++;
+          }).catch((err) => {
+            errors++;
+            logger.warn(`Failed to store supplemental values of ${product.id}`, { error: err.message });
+          })
+        );
+      }
+
+      await Promise.all(operations);
+      await this.applyOverrides(customerId, changedIds);
+    }
+
+    return { created, updated, unchanged, conflicts: 0, errors, total: products.length };
+  }
+
+  /**
+   * Product columns of a supplemental product for the given merge fields
+   * Empty values and prices of 0 are left out so they never blank a
+   * primary value
+   *
+   * @param {Object} data - Product row data
+   * @param {string[]} mergeFields - Merge fields
+   * @returns {Object} Product columns to patch
+   */
+  pickMergeFields(data, mergeFields) {
+    const picked = {};
+
+    for (const field of mergeFields) {
+      const column = MERGE_FIELD_COLUMNS[field];
+      const value = column ? data[column] : null;
+
+      if (value === null || value === undefined || value === '') continue;
+      if (column === 'price' && !(value > 0)) continue;
+
+      picked[column] = value;
+    }
+
+    return picked;
+  }
+
+  /**
+   * Write the merged supplemental values onto stored products
+   * The content hash is dropped so the next primary sync writes the
+   * product again with all values merged. Price and stock changes are
+   * recorded in the price history.
+   *
+   * @param {string} customerId - Customer ID
+   * @param {string[]} externalIds - Product external IDs
+   * @returns {Promise<number>} Number of products patched
+   */
+  async applyOverrides(customerId, externalIds) {
+    if (externalIds.length === 0) return 0;
+
+    const overrides = await this.getOverrides(customerId, externalIds);
+    const products = await this.prisma.product.findMany({
+      where: {
         customerId,
-        payload,
-        checksum: this.generateChecksum(payload)
+        externalId: { in: [...overrides.keys()] },
+        feed: { role: 'primary' }
       },
-      update: {
-        payload,
-        checksum: this.generateChecksum(payload)
-      }
+      select: { id: true, externalId: true, price: true, salePrice: true, currency: true, stockStatus: true }
     });
 
-    logger.info(`Updated feed cache for customer ${customerId}`);
+    const history = [];
+    for (const product of products) {
+      const data = overrides.get(product.externalId);
+
+      await this.prisma.product.update({
+        where: { id: product.id },
+        data: { ...data, contentHash: null }
+      });
+
+      const patched = { ...product, ...data };
+      if (this.isPriceChange(product, patched)) history.push(this.toPriceHistory(product.id, patched));
+    }
+
+    await this.recordPriceHistory(history);
+
+    return products.length;
   }
 
   /**
-   * Generate checksum for cache validation
+   * Delete the values of products a supplemental feed no longer lists
+   * The customer's primary feeds are downloaded in full on their next sync
+   * so the affected products get their own values back
    *
-   * @param {Object} data - Data to checksum
-   * @returns {string} Checksum
+   * @param {string} customerId - Customer ID
+   * @param {string} feedId - Supplemental feed ID
+   * @param {Set<string>|Array} activeIds - External IDs in the feed
+   * @returns {Promise<number>} Number of deleted overrides
    */
-  generateChecksum(data) {
-    const crypto = require('crypto');
-    const str = JSON.stringify(data);
-    return crypto.createHash('md5').update(str).digest('hex');
+  async deleteStaleOverrides(customerId, feedId, activeIds) {
+    const active = activeIds instanceof Set ? activeIds : new Set(activeIds);
+    const pageSize = 1000;
+
+    const stale = [];
+    let lastId = null;
+
+    for (;;) {
+      const page = await this.prisma.productOverride.findMany({
+        where: {
+          feedId,
+          ...(lastId && { id: { gt: lastId } })
+        },
+        select: { id: true, externalId: true },
+        orderBy: { id: 'asc' },
+        take: pageSize
+      });
+
+      stale.push(...page.filter((row) => !active.has(row.externalId)));
+
+      if (page.length < pageSize) break;
+      lastId = page[page.length - 1].id;
+    }
+
+    if (stale.length === 0) return 0;
+
+    for (let i = 0; i < stale.length; i += pageSize) {
+      const chunk = stale.slice(i, i + pageSize);
+
+      await this.prisma.productOverride.deleteMany({
+        where: { id: { in: chunk.map((row) => row.id) } }
+      });
+      await this.prisma.product.updateMany({
+        where: { customerId, externalId: { in: chunk.map((row) => row.externalId) } },
+        data: { contentHash: null }
+      });
+    }
+
+    await this.prisma.xmlFeed.updateMany({
+      where: { customerId, role: 'primary' },
+      data: { etag: null, lastModified: null }
+    });
+
+    return stale.length;
+  }
+
+  /**
+   * Map a normalized product to its stored fields
+   *
+   * @param {string} feedId - Feed ID
+   * @param {Object} product - Normalized product
+   * @param {Map<string, string>} [groups] - Feed group ID -> product group ID
+   * @returns {Object} Product row data
+   */
+  toProductData(feedId, product, groups = new Map()) {
+    return {
+      feedId,
+      title: product.title,
+      description: product.description || null,
+      price: product.price,
+      salePrice: product.salePrice,
+      currency: product.currency,
+      imageUrl: product.image || null,
+      productUrl: product.url || null,
+      category: product.category || null,
+      brand: product.brand || null,
+      stockStatus: product.stock,
+      groupId: groups.get(product.groupId) || null,
+      attributes: product.attributes || {}
+    };
+  }
+
+  /**
+   * Hash product row data
+   *
+   * @param {Object} data - Product row data
+   * @returns {string} SHA-256 hex digest
+   */
+  getContentHash(data) {
+    return crypto.createHash('sha256').update(JSON.stringify(data)).digest('hex');
+  }
+
+  /**
+   * Deactivate products not in current feed
+   * Active products are compared page by page, large feeds would exceed the
+   * bind parameter limit of a single NOT IN query
+   *
+   * @param {string} customerId - Customer ID
+   * @param {string} feedId - Feed ID
+   * @param {Set<string>|Array} activeIds - Active product external IDs
+   * @returns {Promise<number>} Number deactivated
+   */
+  async deactivateOldProducts(customerId, feedId, activeIds) {
+    const active = activeIds instanceof Set ? activeIds : new Set(activeIds);
+    const pageSize = 1000;
+
+    let count = 0;
+    let lastId = null;
+
+    for (;;) {
+      const page = await this.prisma.product.findMany({
+        where: {
+          customerId,
+          feedId,
+          isActive: true,
+          ...(lastId && { id: { gt: lastId } })
+        },
+        select: { id: true, externalId: true },
+        orderBy: { id: 'asc' },
+        take: pageSize
+      });
+
+      const staleIds = page
+        .filter((product) => !active.has(product.externalId))
+        .map((product) => product.id);
+
+      if (staleIds.length > 0) {
+        const result = await this.prisma.product.updateMany({
+          where: { id: { in: staleIds } },
+          data: { isActive: false }
+        });
+        count += result.count;
+      }
+
+      if (page.length < pageSize) break;
+      lastId = page[page.length - 1].id;
+    }
+
+    return count;
+  }
+
+  /**
+   * Clear cached widget product lists of a customer
+   * The backend rebuilds each widget or query entry on its next request
+   *
+   * @param {string} customerId - Customer ID
+   * @returns {Promise<number>} Number of cleared entries
+   */
+  async invalidateFeedCache(customerId) {
+    const result = await this.prisma.feedCache.deleteMany({
+      where: { customerId }
+    });
+
+    logger.info(`Cleared ${result.count} feed cache entries for customer ${customerId}`);
+
+    return result.count;
   }
 
   /**
@@ -0,0 +1,73 @@
+/**
+ * FTP Transport
+ * Downloads feeds from FTP and FTPS servers
+ *
+ * @module transports/ftp
+ */
+
+const { PassThrough } = require('stream');
+const { Client } = require('basic-ftp');
+const config = require('../config');
+
+/**
+ * Transport for ftp:// and ftps:// feeds
+ * The file's modification time stands in for Last-Modified, an unchanged
+ * file is reported as notModified without downloading it
+ */
+class FtpTransport {
+  /**
+   * @param {Object} options - Transport options
+   * @param {boolean} options.secure - Use explicit FTPS
+   */
+  constructor({ secure = false } = {}) {
+    this.secure = secure;
+  }
+
+  /**
+   * Open a feed
+   *
+   * @param {URL} url - Feed URL
+   * @param {Object} options - Open options
+   * @param {Object} options.credentials - Username and password
+   * @param {string} options.lastModified - Modification time of the last synced file
+   * @returns {Promise<Object>} Body stream and validators
+   */
+  async open(url, { credentials = {}, lastModified } = {}) {
+    const client = new Client(config.http.timeoutMs);
+    const path = decodeURIComponent(url.pathname);
+
+    try {
+      await client.access({
+        host: url.hostname,
+        port: url.port ? Number(url.port) : 21,
+        user: credentials.username || decodeURIComponent(url.username) || 'anonymous',
+        password: credentials.password || decodeURIComponent(url.password) || 'anonymous@',
+        secure: this.secure
+      });
+
+      // MDTM is optional, servers without it always download
+      const modifiedAt = await client.lastMod(path).catch(() => null);
+      const modified = modifiedAt ? modifiedAt.toUTCString() : null;
+
+      if (modified && modified === lastModified) {
+        client.close();
+        return { notModified: true, contentType: null, etag: null, lastModified: modified };
+      }
+
+      const stream = new PassThrough();
+
+      // Closed when the reader finishes or stops early
+      stream.on('close', () => client.close());
+      client.downloadTo(stream, path).catch((error) => {
+        if (!stream.destroyed) stream.destroy(error);
+      });
+
+      return { notModified: false, stream, contentType: null, etag: null, lastModified: modified };
+    } catch (error) {
+      client.close();
+      throw error;
+    }
+  }
+}
+
+module.exports = FtpTransport;
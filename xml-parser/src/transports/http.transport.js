@@ -0,0 +1,168 @@
+/**
+ * HTTP Transport
+ * Opens feeds served over HTTP(S), with Basic auth and custom headers
+ *
+ * @module transports/http
+ */
+
+const axios = require('axios');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+/**
+ * Transport for http:// and https:// feeds
+ */
+class HttpTransport {
+  constructor() {
+    this.client = axios.create({
+      timeout: config.http.timeoutMs,
+      // Redirects are followed in open() so credentials stay on their origin
+      maxRedirects: 0,
+      headers: {
+        'User-Agent': config.http.userAgent,
+        'Accept': 'application/xml, text/xml, text/csv, application/json, */*',
+        'Accept-Encoding': 'gzip, deflate'
+      },
+      // Raw bytes, decoded after the encoding is detected
+      responseType: 'stream',
+      // Decompress responses
+      decompress: true
+    });
+
+    // Add request interceptor for logging
+    this.client.interceptors.request.use(
+      (config) => {
+        logger.debug(`Fetching: ${config.url}`);
+        config.metadata = { startTime: Date.now() };
+        return config;
+      },
+      (error) => {
+        logger.fetchError(error.config?.url, error);
+        return Promise.reject(error);
+      }
+    );
+
+    // Add response interceptor for logging
+    this.client.interceptors.response.use(
+      (response) => {
+        const duration = Date.now() - response.config.metadata.startTime;
+        logger.debug(`Fetched ${response.config.url} in ${duration}ms`);
+        return response;
+      },
+      (error) => {
+        logger.fetchError(error.config?.url, error);
+        return Promise.reject(error);
+      }
+    );
+  }
+
+  /**
+   * Open a feed
+   * With the validators of the last synced response the request is
+   * conditional and a 304 answer is returned as notModified. Redirects are
+   * followed here, credentials are dropped once the origin changes.
+   *
+   * @param {URL} url - Feed URL
+   * @param {Object} options - Open options
+   * @param {Object} options.credentials - Username/password and headers
+   * @param {string} options.etag - ETag of the last synced response
+   * @param {string} options.lastModified - Last-Modified of the last synced response
+   * @returns {Promise<Object>} Body stream, content type and validators
+   */
+  async open(url, { credentials = {}, etag, lastModified } = {}) {
+    let target = url;
+    let auth = credentials;
+    let response = await this.request(target, auth, { etag, lastModified });
+
+    for (let redirects = 0; REDIRECT_STATUSES.has(response.status); redirects++) {
+      response.data?.destroy?.();
+
+      if (redirects >= config.http.maxRedirects) {
+        throw new Error(`Too many redirects fetching ${url.href}`);
+      }
+
+      const next = this.getRedirectTarget(target, response.headers?.location);
+      if (next.origin !== target.origin) auth = {};
+
+      target = next;
+      response = await this.request(target, auth, { etag, lastModified });
+    }
+
+    const result = {
+      notModified: response.status === 304,
+      contentType: response.headers?.['content-type'] || null,
+      etag: response.headers?.etag || null,
+      lastModified: response.headers?.['last-modified'] || null
+    };
+
+    if (result.notModified) {
+      response.data.destroy?.();
+      return result;
+    }
+
+    return { ...result, stream: response.data };
+  }
+
+  /**
+   * Send a single GET request without following redirects
+   *
+   * @param {URL} url - Request URL
+   * @param {Object} credentials - Username/password and headers
+   * @param {Object} validators - ETag / Last-Modified of the last sync
+   * @returns {Promise<Object>} Axios response
+   */
+  request(url, credentials, validators) {
+    return this.client.get(url.href, {
+      headers: {
+        ...credentials.headers,
+        ...this.getConditionalHeaders(validators)
+      },
+      auth: credentials.username
+        ? { username: credentials.username, password: credentials.password || '' }
+        : undefined,
+      validateStatus: (status) => (status >= 200 && status < 300) || status === 304 || REDIRECT_STATUSES.has(status)
+    });
+  }
+
+  /**
+   * Resolve the Location of a redirect
+   *
+   * @param {URL} from - Redirecting URL
+   * @param {string} location - Location header
+   * @returns {URL} Next URL
+   * @throws {Error} If the location is missing or not HTTP(S)
+   */
+  getRedirectTarget(from, location) {
+    if (!location) {
+      throw new Error(`Redirect without location from ${from.href}`);
+    }
+
+    const next = new URL(location, from);
+    if (next.protocol !== 'http:' && next.protocol !== 'https:') {
+      throw new Error(`Unsupported redirect to ${next.href}`);
+    }
+
+    return next;
+  }
+
+  /**
+   * Build conditional request headers from stored validators
+   *
+   * @param {Object} options - Validators
+   * @param {string} options.etag - ETag of the last synced response
+   * @param {string} options.lastModified - Last-Modified of the last synced response
+   * @returns {Object} If-None-Match / If-Modified-Since headers
+   */
+  getConditionalHeaders({ etag, lastModified } = {}) {
+    const headers = {};
+
+    if (etag) headers['If-None-Match'] = etag;
+    if (lastModified) headers['If-Modified-Since'] = lastModified;
+
+    return headers;
+  }
+}
+
+module.exports = HttpTransport;
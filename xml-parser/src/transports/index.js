@@ -0,0 +1,69 @@
+/**
+ * Transports Index
+ * Registry of feed transports by URL protocol
+ *
+ * A transport opens a feed URL and resolves to
+ * { notModified, stream, contentType, etag, lastModified }; the stream holds
+ * the raw bytes, decompression and decoding happen in the fetcher.
+ *
+ * @module transports
+ */
+
+const HttpTransport = require('./http.transport');
+const FtpTransport = require('./ftp.transport');
+const SftpTransport = require('./sftp.transport');
+
+/**
+ * Transports keyed by URL protocol ("https:")
+ * @type {Map<string, Object>}
+ */
+const registry = new Map();
+
+/**
+ * Register a transport for URL protocols
+ * Registering an existing protocol replaces its transport
+ *
+ * @param {string|string[]} protocols - Protocols without the colon
+ * @param {Object} transport - Object with an open(url, options) method
+ */
+const registerTransport = (protocols, transport) => {
+  [].concat(protocols).forEach((protocol) => {
+    registry.set(`${protocol.toLowerCase()}:`, transport);
+  });
+};
+
+/**
+ * Find the transport of a feed URL
+ *
+ * @param {string|URL} url - Feed URL
+ * @returns {Object|null} Transport, null for unsupported or invalid URLs
+ */
+const getTransport = (url) => {
+  try {
+    return registry.get(new URL(url).protocol) || null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Check if a feed URL can be opened
+ *
+ * @param {string} url - Feed URL
+ * @returns {boolean} True if a transport handles its protocol
+ */
+const hasTransport = (url) => getTransport(url) !== null;
+
+registerTransport(['http', 'https'], new HttpTransport());
+registerTransport('ftp', new FtpTransport());
+registerTransport('ftps', new FtpTransport({ secure: true }));
+registerTransport('sftp', new SftpTransport());
+
+module.exports = {
+  HttpTransport,
+  FtpTransport,
+  SftpTransport,
+  registerTransport,
+  getTransport,
+  hasTransport
+};
@@ -0,0 +1,62 @@
+/**
+ * SFTP Transport
+ * Downloads feeds over SSH with a password or private key
+ *
+ * @module transports/sftp
+ */
+
+const SftpClient = require('ssh2-sftp-client');
+const config = require('../config');
+
+/**
+ * Transport for sftp:// feeds
+ * The file's modification time stands in for Last-Modified, an unchanged
+ * file is reported as notModified without downloading it
+ */
+class SftpTransport {
+  /**
+   * Open a feed
+   *
+   * @param {URL} url - Feed URL
+   * @param {Object} options - Open options
+   * @param {Object} options.credentials - Username with password or private key
+   * @param {string} options.lastModified - Modification time of the last synced file
+   * @returns {Promise<Object>} Body stream and validators
+   */
+  async open(url, { credentials = {}, lastModified } = {}) {
+    const client = new SftpClient();
+    const path = decodeURIComponent(url.pathname);
+
+    try {
+      await client.connect({
+        host: url.hostname,
+        port: url.port ? Number(url.port) : 22,
+        username: credentials.username || decodeURIComponent(url.username),
+        password: credentials.password || decodeURIComponent(url.password) || undefined,
+        privateKey: credentials.privateKey,
+        passphrase: credentials.passphrase,
+        readyTimeout: config.http.timeoutMs
+      });
+
+      const stats = await client.stat(path);
+      const modified = new Date(stats.modifyTime).toUTCString();
+
+      if (modified === lastModified) {
+        await client.end();
+        return { notModified: true, contentType: null, etag: null, lastModified: modified };
+      }
+
+      const stream = client.createReadStream(path);
+
+      // Closed when the reader finishes or stops early
+      stream.on('close', () => client.end().catch(() => {}));
+
+      return { notModified: false, stream, contentType: null, etag: null, lastModified: modified };
+    } catch (error) {
+      await client.end().catch(() => {});
+      throw error;
+    }
+  }
+}
+
+module.exports = SftpTransport;
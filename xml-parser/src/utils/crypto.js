@@ -0,0 +1,59 @@
+/**
+ * Crypto Utility
+ * Opens values sealed with the backend's encryption helper (AES-256-GCM)
+ *
+ * @module utils/crypto
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+
+/**
+ * Decrypt a value sealed by the backend
+ *
+ * @param {Object} sealed - Encrypted value
+ * @param {string} sealed.encrypted - Encrypted hex string
+ * @param {string} sealed.iv - Initialization vector hex string
+ * @param {string} sealed.tag - Auth tag hex string
+ * @param {string} key - Encryption key (32 bytes for AES-256)
+ * @returns {string} Decrypted text
+ */
+const decrypt = ({ encrypted, iv, tag }, key = config.credentials.key) => {
+  const decipher = crypto.createDecipheriv(
+    'aes-256-gcm',
+    Buffer.from(key),
+    Buffer.from(iv, 'hex')
+  );
+
+  decipher.setAuthTag(Buffer.from(tag, 'hex'));
+
+  let decrypted = decipher.update(encrypted, 'hex', 'utf8');
+  decrypted += decipher.final('utf8');
+
+  return decrypted;
+};
+
+/**
+ * Open sealed feed credentials
+ *
+ * @param {Object|null} sealed - Encrypted credentials from XmlFeed.credentials
+ * @returns {Object} Credentials ({ username, password, headers, privateKey,
+ *   passphrase }), empty if none are stored
+ * @throws {Error} If the credentials cannot be decrypted
+ */
+const openCredentials = (sealed) => {
+  if (!sealed || !sealed.encrypted) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(decrypt(sealed));
+  } catch {
+    throw new Error('Feed credentials could not be decrypted, check FEED_CREDENTIALS_KEY');
+  }
+};
+
+module.exports = {
+  decrypt,
+  openCredentials
+};
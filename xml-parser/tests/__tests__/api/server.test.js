@@ -0,0 +1,167 @@
+/**
+ * Parser API Tests
+ * Feed preview and validation over the internal HTTP API
+ */
+
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../../src/services/storage.service', () => ({}));
+
+// Small batches so duplicates span batches
+process.env.SYNC_BATCH_SIZE = '2';
+process.env.PARSER_API_TOKEN = 'test-token';
+
+const { createServer } = require('../../../src/api/server');
+
+const csv = 'urun_kodu;urun_adi;fiyat;stok\nA-1;Kalem;12,50;var\nA-2;;8;yok\nA-3;Silgi;5;yok\n';
+
+describe('Parser API', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll((done) => {
+    server = createServer().listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  const post = (path, body, token = 'test-token') => fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Parser-Token': token },
+    body: JSON.stringify(body)
+  });
+
+  describe('authentication', () => {
+    it('should reject requests without or with a wrong token', async () => {
+      const missing = await fetch(`${baseUrl}/preview`, { method: 'POST', body: JSON.stringify({ content: csv }) });
+      const wrong = await post('/preview', { content: csv }, 'wrong-token');
+
+      expect(missing.status).toBe(401);
+      expect(wrong.status).toBe(401);
+    });
+
+    it('should leave the health check open', async () => {
+      const response = await fetch(`${baseUrl}/health`);
+
+      expect(response.status).toBe(200);
+    });
+
+    it('should refuse to start without a token', () => {
+      jest.isolateModules(() => {
+        process.env.PARSER_API_TOKEN = '';
+        const { start } = require('../../../src/api/server');
+
+        expect(() => start(0)).toThrow('PARSER_API_TOKEN must be set');
+      });
+      process.env.PARSER_API_TOKEN = 'test-token';
+    });
+  });
+
+  describe('POST /preview', () => {
+    it('should return source items with their mapped products', async () => {
+      const response = await post('/preview', {
+        content: csv,
+        fieldMapping: { availability: { path: 'stok', transforms: [{ type: 'map', values: { var: 'in_stock', yok: 'out_of_stock' } }] } },
+        limit: 2
+      });
+      const { success, data } = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(success).toBe(true);
+      expect(data.format).toBe('csv');
+      expect(data.items).toHaveLength(2);
+      expect(data.items[0]).toEqual({
+        source: { urun_kodu: 'A-1', urun_adi: 'Kalem', fiyat: '12,50', stok: 'var' },
+        product: expect.objectContaining({ id: 'A-1', title: 'Kalem', price: 12.5, stock: 'in_stock' }),
+        valid: true
+      });
+      expect(data.items[1]).toMatchObject({ product: { id: 'A-2', stock: 'out_of_stock' }, valid: false });
+    });
+
+    it('should use the requested format', async () => {
+      const response = await post('/preview', {
+        content: '{"items": [{"id": "J-1", "title": "Kalem", "price": 3}]}',
+        format: 'json'
+      });
+      const { data } = await response.json();
+
+      expect(data.format).toBe('json');
+      expect(data.items[0].product).toMatchObject({ id: 'J-1', price: 3 });
+    });
+
+    it('should reject requests without a feed', async () => {
+      const response = await post('/preview', { format: 'csv' });
+
+      expect(response.status).toBe(400);
+      expect((await response.json()).error.message).toBe('url or content is required');
+    });
+
+    it('should report unreadable feeds', async () => {
+      const response = await post('/preview', { content: '{"items": [', format: 'json' });
+
+      expect(response.status).toBe(422);
+      expect((await response.json()).error.message).toMatch(/JSON parsing failed/);
+    });
+  });
+
+  describe('POST /validate', () => {
+    const feed = [
+      'id;title;price;brand',
+      'A-1;Kalem;10;Faber',
+      'A-2;;5;',
+      'A-3;Silgi;0;',
+      'A-1;Kalem Mavi;12;Faber',
+      'A-5;Cetvel;3;',
+      'A-5;Cetvel Uzun;4;Rotring',
+      'A-4;Defter;;'
+    ].join('\n');
+
+    it('should report rejected items, duplicates and coverage', async () => {
+      const response = await post('/validate', { content: feed, limit: 1 });
+      const { data } = await response.json();
+
+      expect(response.status).toBe(200);
+      expect(data).toMatchObject({
+        format: 'csv',
+        itemCount: 7,
+        productCount: 2,
+        rejectedCount: 3,
+        duplicateCount: 2,
+        rejected: [
+          { index: 1, id: 'A-2', reasons: ['missing_title'] },
+          { index: 2, id: 'A-3', reasons: ['invalid_price'] },
+          { index: 6, id: 'A-4', reasons: ['invalid_price'] }
+        ],
+        duplicates: [{ id: 'A-1', count: 2 }, { id: 'A-5', count: 2 }],
+        completeness: { average: 5, max: 10 }
+      });
+      expect(data.coverage.brand).toEqual({ count: 2, percent: 100 });
+      expect(data.coverage.image).toEqual({ count: 0, percent: 0 });
+      expect(data.sample).toHaveLength(1);
+      expect(data.bytesRead).toBe(Buffer.byteLength(feed));
+    });
+
+    it('should keep the most complete copy within a batch like a sync', async () => {
+      const response = await post('/validate', { content: feed });
+      const { data } = await response.json();
+
+      expect(data.sample.map((product) => product.title)).toEqual(['Kalem', 'Cetvel Uzun']);
+    });
+  });
+
+  it('should answer unknown routes with 404', async () => {
+    const response = await fetch(`${baseUrl}/nope`, { headers: { 'X-Parser-Token': 'test-token' } });
+
+    expect(response.status).toBe(404);
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * CSV Parser Tests
+ * Fixture based tests for delimited product exports
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const { CsvParser, createParser, detectParser } = require('../../../src/parsers');
+
+const readFixture = (name) => fs.readFileSync(path.join(__dirname, '../../fixtures', name), 'utf8');
+
+describe('CSV Parser', () => {
+  let parser;
+
+  beforeEach(() => {
+    parser = new CsvParser();
+  });
+
+  describe('parse', () => {
+    it('should map Turkish column names to product fields', () => {
+      const { products } = parser.parse(readFixture('products.csv'));
+
+      expect(products).toHaveLength(2);
+      expect(products[0]).toEqual({
+        externalId: 'BOT-001',
+        title: 'Siyah Deri Bot',
+        description: 'Hakiki deri; su gecirmez kisa bot',
+        price: 1299.99,
+        salePrice: 999.99,
+        currency: 'TRY',
+        imageUrl: 'https://cdn.example.com/bot-001.jpg',
+        productUrl: '',
+        category: 'Ayakkabi > Bot',
+        brand: 'Elle',
+        stockStatus: 'in_stock',
+        itemGroupId: '',
+        attributes: { renk: 'Siyah' }
+      });
+    });
+
+    it('should read variant group IDs only from exact column names', () => {
+      const { products } = parser.parse('id,title,price,group_id,renk\nBOT-1-S,Bot,100,BOT-1,Siyah\n');
+      const ungrouped = parser.parse('id,title,price\nA-1,Kalem,10\n').products;
+
+      expect(products[0]).toMatchObject({ externalId: 'BOT-1-S', itemGroupId: 'BOT-1' });
+      expect(products[0].attributes).toEqual({ renk: 'Siyah' });
+      expect(ungrouped[0].itemGroupId).toBe('');
+    });
+
+    it('should unescape doubled quotes and skip blank rows', () => {
+      const { products } = parser.parse(readFixture('products.csv'));
+
+      expect(products[1]).toMatchObject({
+        externalId: 'CNT-7',
+        title: 'Deri "Vintage" Canta',
+        price: 2450,
+        salePrice: null,
+        stockStatus: 'out_of_stock'
+      });
+    });
+
+    it('should strip a byte order mark from the header', () => {
+      const { products } = parser.parse('\uFEFFid,title,price\nA-1,Kalem,"12,50"\n');
+
+      expect(products[0]).toMatchObject({ externalId: 'A-1', title: 'Kalem', price: 12.5 });
+    });
+  });
+
+  describe('detectDelimiter', () => {
+    it('should ignore delimiters inside quoted values', () => {
+      const content = 'id;title;price\n1;"Kalem, mavi";10\n2;"Defter, A4";25\n';
+
+      expect(parser.detectDelimiter(content)).toBe(';');
+    });
+
+    it('should detect tab and pipe delimiters', () => {
+      expect(parser.detectDelimiter('id\ttitle\n1\tKalem\n')).toBe('\t');
+      expect(parser.detectDelimiter('id|title|price\n1|Kalem|10\n')).toBe('|');
+    });
+  });
+
+  describe('field mapping', () => {
+    it('should read mapped columns instead of the defaults', () => {
+      const mapped = new CsvParser({
+        fieldMapping: { id: 'Stok Kodu', title: ['Urun Ismi', 'Baslik'], price: 'Liste' }
+      });
+      const { products } = mapped.parse('Stok Kodu,Baslik,Liste\nX-9,Silgi,7.5\n');
+
+      expect(products[0]).toMatchObject({ externalId: 'X-9', title: 'Silgi', price: 7.5 });
+    });
+
+    it('should use the currency column when present', () => {
+      const { products } = parser.parse('sku,name,price,currency\n1,Kalem,10,usd\n');
+
+      expect(products[0].currency).toBe('USD');
+    });
+  });
+
+  describe('parser selection', () => {
+    it('should split TSV feeds on tabs', () => {
+      const tsv = createParser('tsv');
+      const { products } = tsv.parse('id\ttitle\tprice\n1\tKalem, mavi\t10\n');
+
+      expect(tsv).toBeInstanceOf(CsvParser);
+      expect(products[0]).toMatchObject({ externalId: '1', title: 'Kalem, mavi', price: 10 });
+    });
+
+    it('should detect delimited content', () => {
+      expect(detectParser(readFixture('products.csv'))).toBeInstanceOf(CsvParser);
+    });
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Facebook Parser Tests
+ * Fixture based tests for Meta catalog feeds
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const { FacebookParser, createParser, detectParser } = require('../../../src/parsers');
+const productNormalizer = require('../../../src/normalizers/product.normalizer');
+
+const readFixture = (name) => fs.readFileSync(path.join(__dirname, '../../fixtures', name), 'utf8');
+
+describe('Facebook Parser', () => {
+  let parser;
+
+  beforeEach(() => {
+    jest.useFakeTimers().setSystemTime(new Date('2024-12-15T12:00:00Z'));
+    parser = new FacebookParser();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('parse', () => {
+    it('should map RSS catalog items', () => {
+      const { products } = parser.parse(readFixture('facebook-feed.xml'));
+
+      expect(products).toHaveLength(2);
+      expect(products[0]).toEqual({
+        externalId: 'ELB-100-S',
+        title: 'Cicekli Elbise - Kirmizi S',
+        description: 'Pamuklu & hafif',
+        price: 1299.9,
+        salePrice: 899.9,
+        currency: 'TRY',
+        imageUrl: 'https://cdn.example.com/elb-100-1.jpg',
+        productUrl: 'https://magaza.example.com/elbise-100',
+        category: 'Giyim > Elbise',
+        brand: 'Moda',
+        stockStatus: 'in_stock',
+        itemGroupId: 'ELB-100',
+        attributes: {
+          additional_images: [
+            'https://cdn.example.com/elb-100-2.jpg',
+            'https://cdn.example.com/elb-100-3.jpg'
+          ],
+          item_group_id: 'ELB-100',
+          sale_price_effective_date: '2024-12-01T00:00+03:00/2024-12-31T23:59+03:00',
+          condition: 'new',
+          color: 'Kirmizi',
+          size: 'S',
+          fb_product_category: 'Clothing & Accessories > Clothing > Dresses',
+          inventory: 12
+        }
+      });
+    });
+
+    it('should split comma separated additional images', () => {
+      const { products } = parser.parse(readFixture('facebook-feed.xml'));
+
+      expect(products[1].attributes.additional_images).toEqual([
+        'https://cdn.example.com/elb-100-4.jpg',
+        'https://cdn.example.com/elb-100-5.jpg'
+      ]);
+      expect(products[1].stockStatus).toBe('out_of_stock');
+    });
+
+    it('should drop the sale price outside its effective date', () => {
+      const { products } = parser.parse(readFixture('facebook-feed.xml'));
+
+      expect(products[1].salePrice).toBeNull();
+      expect(products[1].attributes.sale_price_effective_date)
+        .toBe('2024-11-01T00:00+03:00/2024-11-30T23:59+03:00');
+    });
+
+    it('should map Atom entries', () => {
+      const { products } = parser.parse(readFixture('facebook-feed.atom.xml'));
+
+      expect(products).toHaveLength(1);
+      expect(products[0]).toMatchObject({
+        externalId: 'CNT-7',
+        price: 2450,
+        salePrice: 1990,
+        brand: 'Deri Ustasi',
+        attributes: {}
+      });
+    });
+  });
+
+  describe('isSaleActive', () => {
+    it('should treat missing bounds as open', () => {
+      expect(parser.isSaleActive(undefined)).toBe(true);
+      expect(parser.isSaleActive('2024-12-01T00:00+0300')).toBe(true);
+      expect(parser.isSaleActive('2025-01-01T00:00+0300')).toBe(false);
+      expect(parser.isSaleActive('/2024-12-10')).toBe(false);
+    });
+  });
+
+  describe('parser selection', () => {
+    it('should use the Facebook parser for the facebook format', () => {
+      expect(createParser('facebook')).toBeInstanceOf(FacebookParser);
+    });
+
+    it('should detect Meta catalogs that use the Google namespace', () => {
+      expect(detectParser(readFixture('facebook-feed.xml'))).toBeInstanceOf(FacebookParser);
+    });
+  });
+
+  describe('normalization', () => {
+    it('should keep additional images and group ID on the stored product', () => {
+      const { products } = parser.parse(readFixture('facebook-feed.xml'));
+      const [normalized] = productNormalizer.normalize(products);
+
+      expect(normalized.attributes).toMatchObject({
+        additional_images: [
+          'https://cdn.example.com/elb-100-2.jpg',
+          'https://cdn.example.com/elb-100-3.jpg'
+        ],
+        item_group_id: 'ELB-100'
+      });
+    });
+  });
+});
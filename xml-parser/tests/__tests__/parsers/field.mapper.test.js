@@ -0,0 +1,164 @@
+/**
+ * Field Mapping Tests
+ * Feed specific source paths and transforms
+ */
+
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const { createParser } = require('../../../src/parsers');
+const FieldMapper = require('../../../src/parsers/field.mapper');
+
+const customFeed = `<?xml version="1.0" encoding="UTF-8"?>
+<urunler>
+  <urun kod="K-1">
+    <bilgi><ad>Deri Canta</ad><marka>Ustam</marka></bilgi>
+    <fiyatlar><fiyat birim="EUR">100,00</fiyat><indirim>%20</indirim></fiyatlar>
+    <gorseller><gorsel url="https://cdn.example.com/k1-a.jpg"/><gorsel url="https://cdn.example.com/k1-b.jpg"/></gorseller>
+    <stok>0</stok>
+    <renk>kahve</renk>
+  </urun>
+</urunler>`;
+
+const mapping = {
+  id: '@kod',
+  title: { path: 'bilgi.ad' },
+  brand: ['bilgi.uretici', 'bilgi.marka'],
+  price: 'fiyatlar.fiyat',
+  currency: 'fiyatlar.fiyat@birim',
+  salePrice: {
+    path: 'fiyatlar.fiyat',
+    transforms: [{ type: 'multiply', factor: 0.8 }]
+  },
+  imageUrl: 'gorseller.gorsel.1@url',
+  availability: {
+    path: 'stok',
+    transforms: [{ type: 'map', values: { 0: 'out_of_stock' }, default: 'in_stock' }]
+  },
+  'attributes.discount': {
+    path: 'fiyatlar.indirim',
+    transforms: [{ type: 'regex', pattern: '(\\d+)' }]
+  },
+  'attributes.images': 'gorseller.gorsel@url'
+};
+
+describe('Field Mapping', () => {
+  describe('FieldMapper', () => {
+    const item = {
+      'g:price': { '#text': '1.299,90 TRY', '@_type': 'list' },
+      images: { image: ['a.jpg', 'b.jpg'] },
+      'Urun Adi (TR)': 'Kalem'
+    };
+
+    it('should read nested paths, attributes and array positions', () => {
+      const mapper = new FieldMapper({
+        price: 'price',
+        category: 'g:price@type',
+        imageUrl: 'images.image.1',
+        title: 'Urun Adi (TR)'
+      });
+
+      expect(mapper.resolve(item, 'price')).toBe('1.299,90 TRY');
+      expect(mapper.resolve(item, 'category')).toBe('list');
+      expect(mapper.resolve(item, 'imageUrl')).toBe('b.jpg');
+      expect(mapper.resolve(item, 'title')).toBe('Kalem');
+    });
+
+    it('should chain transforms', () => {
+      const mapper = new FieldMapper({
+        price: {
+          path: 'g:price',
+          transforms: [
+            { type: 'regex', pattern: '([\\d.,]+)\\s*TRY' },
+            { type: 'multiply', factor: 2 }
+          ]
+        }
+      });
+
+      expect(mapper.resolve(item, 'price')).toBeCloseTo(2599.8);
+    });
+
+    it('should map values ignoring case and keep unmatched values', () => {
+      const mapper = new FieldMapper({
+        availability: { path: 'stock', transforms: [{ type: 'map', values: { Var: 'in_stock' } }] }
+      });
+
+      expect(mapper.resolve({ stock: 'VAR' }, 'availability')).toBe('in_stock');
+      expect(mapper.resolve({ stock: 'sinirli' }, 'availability')).toBe('sinirli');
+    });
+
+    it('should drop invalid patterns', () => {
+      const mapper = new FieldMapper({
+        title: { path: 'name', transforms: [{ type: 'regex', pattern: '(' }] }
+      });
+
+      expect(mapper.resolve({ name: 'Kalem' }, 'title')).toBe('Kalem');
+    });
+
+    it('should stop patterns that backtrack catastrophically', () => {
+      const mapper = new FieldMapper({
+        title: { path: 'name', transforms: [{ type: 'regex', pattern: '^(a|aa)+$' }] },
+        price: { path: 'price', transforms: [{ type: 'regex', pattern: '([\\d,.]+)\\s*TL' }] }
+      });
+      const started = Date.now();
+
+      expect(mapper.resolve({ name: `${'a'.repeat(40)}!` }, 'title')).toBe(`${'a'.repeat(40)}!`);
+      expect(mapper.resolve({ name: `${'a'.repeat(40)}!` }, 'title')).toBe(`${'a'.repeat(40)}!`);
+      expect(mapper.resolve({ price: '12,50 TL' }, 'price')).toBe('12,50');
+      expect(Date.now() - started).toBeLessThan(1000);
+    });
+
+    it('should drop oversized patterns', () => {
+      const mapper = new FieldMapper({
+        brand: { path: 'brand', transforms: [{ type: 'regex', pattern: `(${'a'.repeat(600)})` }] }
+      });
+
+      expect(mapper.resolve({ brand: 'Faber' }, 'brand')).toBe('Faber');
+    });
+  });
+
+  describe('parsers', () => {
+    it('should map custom XML with nested paths and transforms', () => {
+      const parser = createParser('custom', { fieldMapping: mapping });
+      const { products } = parser.parse(customFeed);
+
+      expect(products).toHaveLength(1);
+      expect(products[0]).toMatchObject({
+        externalId: 'K-1',
+        title: 'Deri Canta',
+        brand: 'Ustam',
+        price: 100,
+        salePrice: 80,
+        currency: 'EUR',
+        imageUrl: 'https://cdn.example.com/k1-b.jpg',
+        stockStatus: 'out_of_stock'
+      });
+      expect(products[0].attributes).toMatchObject({
+        discount: '20',
+        images: ['https://cdn.example.com/k1-a.jpg', 'https://cdn.example.com/k1-b.jpg']
+      });
+    });
+
+    it('should apply the mapping to Google feeds', () => {
+      const parser = createParser('google', {
+        fieldMapping: { brand: 'g:custom_label_0', price: { path: 'g:price', transforms: [{ type: 'multiply', factor: 1.2 }] } }
+      });
+      const { products } = parser.parse(`<rss xmlns:g="http://base.google.com/ns/1.0"><channel><item>
+        <g:id>1</g:id><g:title>Bot</g:title><g:price>100.00 TRY</g:price><g:brand>Elle</g:brand><g:custom_label_0>Elle Kids</g:custom_label_0>
+      </item></channel></rss>`);
+
+      expect(products[0]).toMatchObject({ externalId: '1', brand: 'Elle Kids', price: 120, currency: 'TRY' });
+    });
+
+    it('should leave a mapped field empty when its path is missing', () => {
+      const parser = createParser('csv', { fieldMapping: { brand: 'Uretici' } });
+      const { products } = parser.parse('id,title,brand\n1,Kalem,Faber\n');
+
+      expect(products[0].brand).toBe('');
+    });
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * JSON Parser Tests
+ * Fixture based tests for JSON product exports
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const { JsonParser, GenericParser, createParser, detectParser } = require('../../../src/parsers');
+
+const readFixture = (name) => fs.readFileSync(path.join(__dirname, '../../fixtures', name), 'utf8');
+
+describe('JSON Parser', () => {
+  let parser;
+
+  beforeEach(() => {
+    parser = new JsonParser();
+  });
+
+  describe('parse', () => {
+    it('should find the product list under wrapper keys', () => {
+      const { products } = parser.parse(readFixture('products.json'));
+
+      expect(products).toHaveLength(2);
+      expect(products[0]).toMatchObject({
+        externalId: 'SNK-42',
+        title: 'Beyaz Sneaker',
+        price: 1499.9,
+        salePrice: 1199.9,
+        currency: 'EUR',
+        imageUrl: 'https://cdn.example.com/snk-42.jpg',
+        productUrl: 'https://magaza.example.com/snk-42',
+        brand: 'Kosu',
+        stockStatus: 'in_stock'
+      });
+    });
+
+    it('should read prices and stock flags in text form', () => {
+      const { products } = parser.parse(readFixture('products.json'));
+
+      expect(products[1]).toMatchObject({
+        price: 1499.9,
+        salePrice: null,
+        currency: 'TRY',
+        stockStatus: 'out_of_stock'
+      });
+    });
+
+    it('should accept a top level array', () => {
+      const { products } = parser.parse('[{"id": 7, "title": "Kalem", "price": 10}]');
+
+      expect(products[0]).toMatchObject({ externalId: '7', title: 'Kalem', price: 10 });
+    });
+
+    it('should apply the field mapping', () => {
+      const mapped = new JsonParser({ fieldMapping: { id: 'barkod', title: 'ad' } });
+      const { products } = mapped.parse('{"items": [{"barkod": "869001", "ad": "Kalem", "price": 10}]}');
+
+      expect(products[0]).toMatchObject({ externalId: '869001', title: 'Kalem' });
+    });
+
+    it('should reject invalid JSON', () => {
+      expect(() => parser.parse('{"products": [')).toThrow('JSON parsing failed');
+    });
+  });
+
+  describe('parser selection', () => {
+    it('should use the JSON parser for the json format', () => {
+      expect(createParser('json')).toBeInstanceOf(JsonParser);
+    });
+
+    it('should detect JSON content', () => {
+      expect(detectParser(readFixture('products.json'))).toBeInstanceOf(JsonParser);
+    });
+
+    it('should fall back to the generic parser for unknown formats', () => {
+      const fallback = createParser('yaml');
+
+      expect(fallback).toBeInstanceOf(GenericParser);
+      expect(fallback).not.toBeInstanceOf(JsonParser);
+    });
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Streaming Parse Tests
+ * Streamed feeds must yield the same products as whole document parsing
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const { GoogleParser, FacebookParser, GenericParser, CsvParser, JsonParser } = require('../../../src/parsers');
+const { readXmlItems } = require('../../../src/parsers/stream.reader');
+
+const readFixture = (name) => fs.readFileSync(path.join(__dirname, '../../fixtures', name), 'utf8');
+
+/**
+ * Split text into fixed size chunks, cutting through tags and values
+ */
+async function* toChunks(text, size = 7) {
+  for (let i = 0; i < text.length; i += size) {
+    yield text.slice(i, i + size);
+  }
+}
+
+const collect = async (iterable) => {
+  const items = [];
+  for await (const item of iterable) {
+    items.push(item);
+  }
+  return items;
+};
+
+const googleFeed = (count) => `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:g="http://base.google.com/ns/1.0">
+  <channel>
+    <title>Magaza</title>
+    <!-- <item> in a comment is not a product -->
+    ${Array.from({ length: count }, (_, i) => `<item>
+      <g:id>SKU-${i}</g:id>
+      <g:title><![CDATA[Urun ${i} </item> & <b>kalin</b>]]></g:title>
+      <g:description>Aciklama &amp; detay</g:description>
+      <g:price>${100 + i}.90 TRY</g:price>
+      <g:link>https://magaza.example.com/${i}</g:link>
+      <g:image_link>https://cdn.example.com/${i}.jpg</g:image_link>
+      <g:availability>${i % 2 ? 'out of stock' : 'in stock'}</g:availability>
+    </item>`).join('\n    ')}
+  </channel>
+</rss>`;
+
+describe('Streaming parse', () => {
+  describe('readXmlItems', () => {
+    it('should yield item fragments across chunk boundaries', async () => {
+      const fragments = await collect(readXmlItems(toChunks(googleFeed(3), 5), ['item']));
+
+      expect(fragments).toHaveLength(3);
+      expect(fragments[0]).toMatch(/^<item>/);
+      expect(fragments[0]).toMatch(/<\/item>$/);
+      expect(fragments[0]).toContain('<![CDATA[Urun 0 </item>');
+    });
+
+    it('should keep nested elements with the same name inside the item', async () => {
+      const xml = '<products><product><id>1</id><related><product><id>2</id></product></related></product></products>';
+      const fragments = await collect(readXmlItems(toChunks(xml, 3), ['product']));
+
+      expect(fragments).toEqual([
+        '<product><id>1</id><related><product><id>2</id></product></related></product>'
+      ]);
+    });
+  });
+
+  describe('parseStream', () => {
+    it('should match whole document parsing for Google feeds', async () => {
+      const parser = new GoogleParser();
+      const feed = googleFeed(25);
+
+      const streamed = await collect(parser.parseStream(toChunks(feed)));
+
+      expect(streamed).toHaveLength(25);
+      expect(streamed).toEqual(parser.parse(feed).products);
+      expect(streamed[1]).toMatchObject({
+        externalId: 'SKU-1',
+        title: 'Urun 1 </item> & <b>kalin</b>',
+        price: 101.9,
+        stockStatus: 'out_of_stock'
+      });
+    });
+
+    it('should match whole document parsing for Facebook RSS and Atom feeds', async () => {
+      jest.useFakeTimers().setSystemTime(new Date('2024-12-15T12:00:00Z'));
+      const parser = new FacebookParser();
+
+      for (const name of ['facebook-feed.xml', 'facebook-feed.atom.xml']) {
+        const feed = readFixture(name);
+        const streamed = await collect(parser.parseStream(toChunks(feed, 11)));
+
+        expect(streamed).toEqual(parser.parse(feed).products);
+      }
+
+      jest.useRealTimers();
+    });
+
+    it('should stream generic product lists', async () => {
+      const parser = new GenericParser();
+      const feed = '<urunler><urun><sku>A1</sku><name>Kalem</name><price>10</price></urun><urun><sku>A2</sku><name>Silgi</name></urun></urunler>';
+      const streamed = await collect(parser.parseStream(toChunks(feed)));
+
+      expect(streamed.map((product) => product.title)).toEqual(['Kalem', 'Silgi']);
+      expect(streamed).toEqual(parser.parse(feed).products);
+    });
+
+    it('should stream CSV rows with quoted line breaks', async () => {
+      const parser = new CsvParser();
+      const feed = readFixture('products.csv');
+      const streamed = await collect(parser.parseStream(toChunks(feed, feed.indexOf('\n') + 3)));
+
+      expect(streamed).toEqual(parser.parse(feed).products);
+      expect(streamed[0].description).toBe('Hakiki deri; su gecirmez kisa bot');
+    });
+  });
+
+  describe('canStream', () => {
+    it('should stream only when the feed start contains items', () => {
+      expect(new GoogleParser().canStream(googleFeed(1))).toBe(true);
+      expect(new GoogleParser().canStream('<rss><channel><title>Bos</title>')).toBe(false);
+      expect(new GenericParser().canStream('<katalog><kayit><id>1</id></kayit>')).toBe(false);
+      expect(new CsvParser().canStream('id,title')).toBe(true);
+      expect(new JsonParser().canStream('{"products": []}')).toBe(false);
+    });
+  });
+});
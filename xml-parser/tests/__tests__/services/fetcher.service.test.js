@@ -0,0 +1,268 @@
+/**
+ * Fetcher Service Tests
+ * Character set detection, conditional requests, credentials and
+ * decompression for downloaded feeds
+ */
+
+process.env.FEED_CREDENTIALS_KEY = 'test-feed-credentials-key-32char';
+
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const fetcherService = require('../../../src/services/fetcher.service');
+const { getTransport } = require('../../../src/transports');
+
+const httpTransport = getTransport('https://example.com');
+
+/**
+ * Credentials sealed like the backend's encryption.encrypt does
+ */
+const seal = (credentials) => {
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv('aes-256-gcm', Buffer.from(process.env.FEED_CREDENTIALS_KEY), iv);
+  const encrypted = cipher.update(JSON.stringify(credentials), 'utf8', 'hex') + cipher.final('hex');
+
+  return { encrypted, iv: iv.toString('hex'), tag: cipher.getAuthTag().toString('hex') };
+};
+
+const crc32 = (buffer) => {
+  let crc = ~0;
+  for (const byte of buffer) {
+    crc ^= byte;
+    for (let bit = 0; bit < 8; bit++) crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+  }
+  return ~crc >>> 0;
+};
+
+/**
+ * Zip archive with one stored (uncompressed) file
+ */
+const zipFile = (name, content) => {
+  const data = Buffer.from(content);
+  const fileName = Buffer.from(name);
+  const crc = crc32(data);
+
+  const local = Buffer.alloc(30);
+  local.writeUInt32LE(0x04034b50, 0);
+  local.writeUInt16LE(20, 4);
+  local.writeUInt32LE(crc, 14);
+  local.writeUInt32LE(data.length, 18);
+  local.writeUInt32LE(data.length, 22);
+  local.writeUInt16LE(fileName.length, 26);
+
+  const central = Buffer.alloc(46);
+  central.writeUInt32LE(0x02014b50, 0);
+  central.writeUInt16LE(20, 4);
+  central.writeUInt16LE(20, 6);
+  central.writeUInt32LE(crc, 16);
+  central.writeUInt32LE(data.length, 20);
+  central.writeUInt32LE(data.length, 24);
+  central.writeUInt16LE(fileName.length, 28);
+
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(1, 8);
+  end.writeUInt16LE(1, 10);
+  end.writeUInt32LE(central.length + fileName.length, 12);
+  end.writeUInt32LE(local.length + fileName.length + data.length, 16);
+
+  return Buffer.concat([local, fileName, data, central, fileName, end]);
+};
+
+// "Ürün;Şeker" in windows-1254
+const windows1254 = Buffer.from([0xdc, 0x72, 0xfc, 0x6e, 0x3b, 0xde, 0x65, 0x6b, 0x65, 0x72]);
+
+describe('Fetcher Service', () => {
+  describe('detectEncoding', () => {
+    it('should prefer a byte order mark', () => {
+      const buffer = Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from('id,title')]);
+
+      expect(fetcherService.detectEncoding(buffer, 'text/csv; charset=iso-8859-9')).toBe('utf-8');
+    });
+
+    it('should use the charset from the Content-Type header', () => {
+      expect(fetcherService.detectEncoding(windows1254, 'text/csv; charset=ISO-8859-9')).toBe('iso-8859-9');
+    });
+
+    it('should use the XML declaration encoding', () => {
+      const buffer = Buffer.from('<?xml version="1.0" encoding="windows-1254"?><rss/>');
+
+      expect(fetcherService.detectEncoding(buffer, 'application/xml')).toBe('windows-1254');
+    });
+
+    it('should ignore unknown declared charsets', () => {
+      expect(fetcherService.detectEncoding(Buffer.from('id'), 'text/csv; charset=x-unknown')).toBe('utf-8');
+    });
+
+    it('should fall back for undeclared non UTF-8 bytes', () => {
+      expect(fetcherService.detectEncoding(windows1254)).toBe('windows-1254');
+    });
+  });
+
+  describe('decode', () => {
+    it('should decode Turkish Windows exports', () => {
+      expect(fetcherService.decode(windows1254, 'text/csv')).toBe('Ürün;Şeker');
+    });
+
+    it('should drop the UTF-8 byte order mark', () => {
+      const buffer = Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from('Şeker', 'utf8')]);
+
+      expect(fetcherService.decode(buffer)).toBe('Şeker');
+    });
+  });
+
+  describe('fetchStream', () => {
+    const readAll = async (chunks) => {
+      let text = '';
+      for await (const chunk of chunks) text += chunk;
+      return text;
+    };
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should send the stored validators as conditional headers', async () => {
+      const get = jest.spyOn(httpTransport.client, 'get').mockResolvedValue({
+        status: 200,
+        headers: { 'content-type': 'text/csv', etag: '"v2"', 'last-modified': 'Mon, 19 Oct 2026 10:00:00 GMT' },
+        data: Readable.from([Buffer.from('id,title\n1,Şeker')])
+      });
+
+      const result = await fetcherService.fetchStream('https://example.com/feed.csv', {
+        etag: '"v1"',
+        lastModified: 'Sun, 18 Oct 2026 10:00:00 GMT'
+      });
+
+      expect(get.mock.calls[0][1].headers).toEqual({
+        'If-None-Match': '"v1"',
+        'If-Modified-Since': 'Sun, 18 Oct 2026 10:00:00 GMT'
+      });
+      expect(result.success).toBe(true);
+      expect(result.notModified).toBe(false);
+      expect(result.metadata.etag).toBe('"v2"');
+      expect(result.metadata.lastModified).toBe('Mon, 19 Oct 2026 10:00:00 GMT');
+      expect(await readAll(result.chunks)).toBe('id,title\n1,Şeker');
+    });
+
+    it('should report an unchanged feed without content', async () => {
+      jest.spyOn(httpTransport.client, 'get').mockResolvedValue({
+        status: 304,
+        headers: { etag: '"v1"' },
+        data: Readable.from([])
+      });
+
+      const result = await fetcherService.fetchStream('https://example.com/feed.csv', { etag: '"v1"' });
+
+      expect(result.success).toBe(true);
+      expect(result.notModified).toBe(true);
+      expect(result.chunks).toBeUndefined();
+      expect(result.metadata.bytesRead).toBe(0);
+    });
+
+    it('should send an unconditional request without validators', async () => {
+      const get = jest.spyOn(httpTransport.client, 'get').mockResolvedValue({
+        status: 200,
+        headers: {},
+        data: Readable.from([Buffer.from('[{"id":"1"}]')])
+      });
+
+      const result = await fetcherService.fetchStream('https://example.com/feed.json');
+
+      expect(get.mock.calls[0][1].headers).toEqual({});
+      expect(get.mock.calls[0][1].auth).toBeUndefined();
+      expect(result.metadata.etag).toBeNull();
+    });
+
+    it('should send decrypted Basic auth and custom headers', async () => {
+      const get = jest.spyOn(httpTransport.client, 'get').mockResolvedValue({
+        status: 200,
+        headers: {},
+        data: Readable.from([Buffer.from('id,title')])
+      });
+
+      await fetcherService.fetchStream('https://example.com/feed.csv', {
+        credentials: seal({ username: 'magaza', password: 'gizli', headers: { 'X-Api-Key': 'abc' } })
+      });
+
+      expect(get.mock.calls[0][1].auth).toEqual({ username: 'magaza', password: 'gizli' });
+      expect(get.mock.calls[0][1].headers).toEqual({ 'X-Api-Key': 'abc' });
+    });
+
+    it('should fail when credentials cannot be decrypted', async () => {
+      const get = jest.spyOn(httpTransport.client, 'get');
+
+      const result = await fetcherService.fetchStream('https://example.com/feed.csv', {
+        credentials: { ...seal({ username: 'magaza' }), tag: '00'.repeat(16) }
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toMatch(/FEED_CREDENTIALS_KEY/);
+      expect(get).not.toHaveBeenCalled();
+    });
+
+    it('should reject unsupported protocols', async () => {
+      const result = await fetcherService.fetchStream('file:///etc/passwd');
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Unsupported feed URL: file:///etc/passwd');
+    });
+
+    it('should unpack gzip feeds', async () => {
+      const gzipped = zlib.gzipSync('id,title\n1,Kalem');
+      jest.spyOn(httpTransport.client, 'get').mockResolvedValue({
+        status: 200,
+        headers: { 'content-type': 'application/gzip' },
+        data: Readable.from([gzipped])
+      });
+
+      const result = await fetcherService.fetchStream('https://example.com/feed.csv.gz');
+
+      expect(await readAll(result.chunks)).toBe('id,title\n1,Kalem');
+      expect(result.metadata.bytesRead).toBe(gzipped.length);
+    });
+
+    it('should unpack the feed file of a zip archive', async () => {
+      jest.spyOn(httpTransport.client, 'get').mockResolvedValue({
+        status: 200,
+        headers: { 'content-type': 'application/zip' },
+        data: Readable.from([zipFile('export/urunler.xml', '<urunler><urun><id>1</id></urun></urunler>')])
+      });
+
+      const result = await fetcherService.fetchStream('https://example.com/feed.zip');
+
+      expect(result.success).toBe(true);
+      expect(await readAll(result.chunks)).toBe('<urunler><urun><id>1</id></urun></urunler>');
+    });
+
+    it('should fail for zip archives without a feed file', async () => {
+      jest.spyOn(httpTransport.client, 'get').mockResolvedValue({
+        status: 200,
+        headers: {},
+        data: Readable.from([zipFile('readme.pdf', '%PDF')])
+      });
+
+      const result = await fetcherService.fetchStream('https://example.com/feed.zip', { retryCount: 1 });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Zip archive has no XML, CSV or JSON file');
+    });
+  });
+
+  describe('isValidUrl', () => {
+    it('should accept URLs with a registered transport', () => {
+      expect(fetcherService.isValidUrl('https://example.com/feed.xml')).toBe(true);
+      expect(fetcherService.isValidUrl('ftp://ftp.example.com/feed.xml.gz')).toBe(true);
+      expect(fetcherService.isValidUrl('sftp://example.com/exports/feed.zip')).toBe(true);
+      expect(fetcherService.isValidUrl('file:///etc/passwd')).toBe(false);
+      expect(fetcherService.isValidUrl('not a url')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,314 @@
+/**
+ * Parser Service Tests
+ * Feed sync writes products in bounded batches, records each run,
+ * skips feeds that did not change and stores supplemental feeds as overrides
+ */
+
+process.env.SYNC_BATCH_SIZE = '10';
+
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  syncStart: jest.fn(),
+  syncSuccess: jest.fn(),
+  syncError: jest.fn()
+}));
+
+jest.mock('../../../src/services/storage.service', () => ({
+  markFeedSyncing: jest.fn(),
+  markFeedSuccess: jest.fn(),
+  markFeedNotModified: jest.fn(),
+  markFeedError: jest.fn(),
+  upsertProducts: jest.fn(),
+  upsertOverrides: jest.fn(),
+  deactivateOldProducts: jest.fn(),
+  deleteStaleOverrides: jest.fn(),
+  invalidateFeedCache: jest.fn(),
+  startSyncRun: jest.fn(),
+  finishSyncRun: jest.fn(),
+  pruneSyncRuns: jest.fn()
+}));
+
+jest.mock('../../../src/services/fetcher.service', () => ({
+  isValidUrl: jest.fn(() => true),
+  fetchStream: jest.fn()
+}));
+
+const parserService = require('../../../src/services/parser.service');
+const storageService = require('../../../src/services/storage.service');
+const fetcherService = require('../../../src/services/fetcher.service');
+
+const feed = {
+  id: 'feed-1',
+  customerId: 'cust-1',
+  url: 'https://magaza.example.com/feed.xml',
+  format: 'google',
+  syncInterval: 60,
+  customer: { name: 'Magaza' }
+};
+
+const googleFeed = (ids) => `<rss xmlns:g="http://base.google.com/ns/1.0"><channel>${ids
+  .map((id) => `<item><g:id>${id}</g:id><g:title>Urun ${id}</g:title><g:price>10 TRY</g:price></item>`)
+  .join('')}</channel></rss>`;
+
+/**
+ * Fetch result that hands the feed out in small chunks
+ */
+const streamResult = (content) => ({
+  success: true,
+  notModified: false,
+  head: content.slice(0, 200),
+  chunks: (async function* chunks() {
+    for (let i = 0; i < content.length; i += 64) {
+      yield content.slice(i, i + 64);
+    }
+  })(),
+  metadata: { bytesRead: content.length, etag: '"v2"', lastModified: null }
+});
+
+describe('Parser Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    storageService.upsertProducts.mockImplementation(async (customerId, feedId, products) => ({
+      created: products.length,
+      updated: 0,
+      unchanged: 0,
+      errors: 0,
+      total: products.length
+    }));
+    storageService.deactivateOldProducts.mockResolvedValue(2);
+    storageService.startSyncRun.mockResolvedValue({ id: 'run-1', feedId: 'feed-1' });
+  });
+
+  describe('syncFeed', () => {
+    it('should store streamed products in batches', async () => {
+      const ids = Array.from({ length: 25 }, (_, i) => `SKU-${i}`);
+      fetcherService.fetchStream.mockResolvedValue(streamResult(googleFeed(ids)));
+
+      const result = await parserService.syncFeed(feed);
+
+      expect(result).toMatchObject({
+        success: true,
+        productCount: 25,
+        bytesRead: expect.any(Number),
+        upsertResult: { created: 25, updated: 0, errors: 0, total: 25 },
+        deactivatedCount: 2
+      });
+      expect(storageService.upsertProducts.mock.calls.map(([, , products]) => products.length))
+        .toEqual([10, 10, 5]);
+      expect(storageService.markFeedSuccess).toHaveBeenCalledWith('feed-1', 25, 60, {
+        etag: '"v2"',
+        lastModified: null
+      });
+    });
+
+    it('should skip IDs already stored by an earlier batch', async () => {
+      const ids = [...Array.from({ length: 10 }, (_, i) => `SKU-${i}`), 'SKU-0', 'SKU-10'];
+      fetcherService.fetchStream.mockResolvedValue(streamResult(googleFeed(ids)));
+
+      const result = await parserService.syncFeed(feed);
+
+      expect(result.productCount).toBe(11);
+      expect(storageService.upsertProducts.mock.calls[1][2].map((product) => product.id))
+        .toEqual(['SKU-10']);
+
+      const [, , activeIds] = storageService.deactivateOldProducts.mock.calls[0];
+      expect(activeIds).toBeInstanceOf(Set);
+      expect(activeIds.size).toBe(11);
+    });
+
+    it('should parse feeds that cannot be streamed as a whole', async () => {
+      const content = JSON.stringify({ products: [{ id: 'J-1', title: 'Kalem', price: 10 }] });
+      fetcherService.fetchStream.mockResolvedValue(streamResult(content));
+
+      const result = await parserService.syncFeed({ ...feed, format: 'json' });
+
+      expect(result.productCount).toBe(1);
+      expect(storageService.upsertProducts.mock.calls[0][2][0]).toMatchObject({ id: 'J-1', title: 'Kalem' });
+    });
+
+    it('should count the campaigns of feeds parsed as a whole', async () => {
+      const content = JSON.stringify({
+        products: [{ id: 'J-1', title: 'Kalem', price: 10 }],
+        campaigns: { campaign: [{ id: 'K-1' }, { id: 'K-2' }] }
+      });
+      fetcherService.fetchStream.mockResolvedValue(streamResult(content));
+
+      const result = await parserService.syncFeed({ ...feed, format: 'json' });
+
+      expect(result.productCount).toBe(1);
+      expect(result.campaignCount).toBe(2);
+    });
+
+    it('should fail without storing when the feed has no products', async () => {
+      fetcherService.fetchStream.mockResolvedValue(streamResult(googleFeed([])));
+
+      const result = await parserService.syncFeed(feed);
+
+      expect(result).toMatchObject({ success: false, error: 'No valid products found in feed' });
+      expect(storageService.upsertProducts).not.toHaveBeenCalled();
+      expect(storageService.deactivateOldProducts).not.toHaveBeenCalled();
+      expect(storageService.markFeedError).toHaveBeenCalledWith('feed-1', 'No valid products found in feed');
+    });
+
+    it('should pass the feed priority to product upserts', async () => {
+      fetcherService.fetchStream.mockResolvedValue(streamResult(googleFeed(['SKU-1'])));
+
+      await parserService.syncFeed({ ...feed, priority: 5 });
+
+      expect(storageService.upsertProducts).toHaveBeenCalledWith('cust-1', 'feed-1', expect.any(Array), {
+        priority: 5
+      });
+    });
+
+    it('should warn about IDs owned by another primary feed', async () => {
+      storageService.upsertProducts.mockResolvedValue({
+        created: 1, updated: 0, unchanged: 0, conflicts: 2, errors: 0, total: 3
+      });
+      fetcherService.fetchStream.mockResolvedValue(streamResult(googleFeed(['SKU-1', 'SKU-2', 'SKU-3'])));
+
+      const result = await parserService.syncFeed(feed);
+
+      expect(result.warnings).toEqual([expect.objectContaining({ code: 'id_conflicts', count: 2 })]);
+    });
+  });
+
+  describe('supplemental feeds', () => {
+    const supplementalFeed = {
+      ...feed,
+      id: 'feed-s',
+      format: 'csv',
+      role: 'supplemental',
+      mergeFields: ['price', 'availability']
+    };
+
+    beforeEach(() => {
+      storageService.startSyncRun.mockResolvedValue({ id: 'run-2', feedId: 'feed-s' });
+      storageService.upsertOverrides.mockImplementation(async (customerId, feedId, products) => ({
+        created: products.length, updated: 0, unchanged: 0, conflicts: 0, errors: 0, total: products.length
+      }));
+      storageService.deleteStaleOverrides.mockResolvedValue(1);
+    });
+
+    it('should store items with only an ID and the merge fields as overrides', async () => {
+      fetcherService.fetchStream.mockResolvedValue(streamResult('id,price,availability\nSKU-1,9.90,out of stock\nSKU-2,,in stock\n'));
+
+      const result = await parserService.syncFeed(supplementalFeed);
+
+      expect(result).toMatchObject({ success: true, productCount: 2, deactivatedCount: 1 });
+      expect(storageService.upsertProducts).not.toHaveBeenCalled();
+      expect(storageService.deactivateOldProducts).not.toHaveBeenCalled();
+
+      const [customerId, feedId, products, mergeFields] = storageService.upsertOverrides.mock.calls[0];
+      expect([customerId, feedId, mergeFields]).toEqual(['cust-1', 'feed-s', ['price', 'availability']]);
+      expect(products.map((product) => [product.id, product.price, product.stock])).toEqual([
+        ['SKU-1', 9.9, 'out_of_stock'],
+        ['SKU-2', 0, 'in_stock']
+      ]);
+
+      const [, , activeIds] = storageService.deleteStaleOverrides.mock.calls[0];
+      expect([...activeIds]).toEqual(['SKU-1', 'SKU-2']);
+      expect(storageService.invalidateFeedCache).toHaveBeenCalledWith('cust-1');
+    });
+  });
+
+  describe('sync runs', () => {
+    it('should record counts and warnings of a sync', async () => {
+      const ids = ['SKU-1', 'SKU-2', 'SKU-2', 'SKU-3'];
+      const content = googleFeed(ids).replace('<g:title>Urun SKU-3</g:title>', '');
+      fetcherService.fetchStream.mockResolvedValue(streamResult(content));
+
+      const result = await parserService.syncFeed({ ...feed, productCount: 10 });
+
+      expect(result.warnings.map((warning) => warning.code))
+        .toEqual(['rejected_items', 'duplicate_ids', 'product_count_drop']);
+      expect(storageService.startSyncRun).toHaveBeenCalledWith('feed-1');
+      expect(storageService.finishSyncRun).toHaveBeenCalledWith('run-1', expect.objectContaining({
+        status: 'success',
+        bytesFetched: content.length,
+        itemsParsed: 4,
+        productCount: 2,
+        insertedCount: 2,
+        updatedCount: 0,
+        deactivatedCount: 2,
+        durationMs: expect.any(Number),
+        warnings: expect.arrayContaining([
+          { code: 'product_count_drop', message: 'Product count fell from 10 to 2', count: 8 }
+        ])
+      }));
+      expect(storageService.pruneSyncRuns).toHaveBeenCalledWith('feed-1', 100);
+    });
+
+    it('should record the error of a failed sync', async () => {
+      fetcherService.fetchStream.mockResolvedValue({ success: false, error: 'HTTP 404', metadata: { bytesRead: 0 } });
+
+      await parserService.syncFeed(feed);
+
+      expect(storageService.finishSyncRun).toHaveBeenCalledWith('run-1', expect.objectContaining({
+        status: 'error',
+        bytesFetched: 0,
+        itemsParsed: 0,
+        errorMessage: 'Failed to fetch feed: HTTP 404'
+      }));
+    });
+
+    it('should sync even if the run cannot be recorded', async () => {
+      storageService.startSyncRun.mockRejectedValue(new Error('relation does not exist'));
+      fetcherService.fetchStream.mockResolvedValue(streamResult(googleFeed(['SKU-1'])));
+
+      const result = await parserService.syncFeed(feed);
+
+      expect(result.success).toBe(true);
+      expect(storageService.finishSyncRun).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('conditional sync', () => {
+    it('should request the feed with the stored validators', async () => {
+      fetcherService.fetchStream.mockResolvedValue(streamResult(googleFeed(['SKU-1'])));
+
+      await parserService.syncFeed({ ...feed, etag: '"v1"', lastModified: 'Sun, 18 Oct 2026 10:00:00 GMT' });
+
+      expect(fetcherService.fetchStream).toHaveBeenCalledWith(feed.url, {
+        etag: '"v1"',
+        lastModified: 'Sun, 18 Oct 2026 10:00:00 GMT'
+      });
+    });
+
+    it('should skip a feed the server reports as not modified', async () => {
+      fetcherService.fetchStream.mockResolvedValue({
+        success: true,
+        notModified: true,
+        metadata: { bytesRead: 0, etag: '"v1"', lastModified: null }
+      });
+
+      const result = await parserService.syncFeed({ ...feed, etag: '"v1"', productCount: 25 });
+
+      expect(result).toMatchObject({ success: true, notModified: true, productCount: 25 });
+      expect(storageService.upsertProducts).not.toHaveBeenCalled();
+      expect(storageService.deactivateOldProducts).not.toHaveBeenCalled();
+      expect(storageService.invalidateFeedCache).not.toHaveBeenCalled();
+      expect(storageService.markFeedSuccess).not.toHaveBeenCalled();
+      expect(storageService.markFeedNotModified).toHaveBeenCalledWith('feed-1', 60);
+      expect(storageService.finishSyncRun).toHaveBeenCalledWith('run-1', expect.objectContaining({
+        status: 'not_modified',
+        productCount: 25
+      }));
+    });
+
+    it('should record products that did not change', async () => {
+      storageService.upsertProducts.mockResolvedValue({ created: 0, updated: 1, unchanged: 2, errors: 0, total: 3 });
+      fetcherService.fetchStream.mockResolvedValue(streamResult(googleFeed(['SKU-1', 'SKU-2', 'SKU-3'])));
+
+      const result = await parserService.syncFeed(feed);
+
+      expect(result.upsertResult).toEqual({ created: 0, updated: 1, unchanged: 2, conflicts: 0, errors: 0, total: 3 });
+      expect(storageService.finishSyncRun).toHaveBeenCalledWith('run-1', expect.objectContaining({
+        updatedCount: 1,
+        unchangedCount: 2
+      }));
+    });
+  });
+});
@@ -0,0 +1,320 @@
+/**
+ * Storage Service Tests
+ * Product upserts skip rows whose content did not change, respect feed
+ * precedence, merge the values of supplemental feeds, link variants to
+ * their product group and record price and stock changes
+ */
+
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => ({
+    product: {
+      findMany: jest.fn(),
+      upsert: jest.fn(),
+      update: jest.fn(),
+      updateMany: jest.fn()
+    },
+    productGroup: {
+      createMany: jest.fn(),
+      findMany: jest.fn()
+    },
+    productPriceHistory: {
+      createMany: jest.fn()
+    },
+    productOverride: {
+      findMany: jest.fn(),
+      upsert: jest.fn(),
+      deleteMany: jest.fn()
+    },
+    xmlFeed: {
+      updateMany: jest.fn()
+    }
+  }))
+}));
+
+const storageService = require('../../../src/services/storage.service');
+
+const { prisma } = storageService;
+
+const product = (id, overrides = {}) => ({
+  id,
+  title: `Urun ${id}`,
+  price: 10,
+  salePrice: null,
+  currency: 'TRY',
+  stock: 'in_stock',
+  attributes: {},
+  ...overrides
+});
+
+const storedHash = (feedId, item, overrides = {}) =>
+  storageService.getContentHash({ ...storageService.toProductData(feedId, item), ...overrides });
+
+const primaryFeed = (priority = 0) => ({ role: 'primary', priority, isActive: true });
+
+const stored = (externalId, feedId, fields = {}) => ({
+  externalId,
+  feedId,
+  contentHash: null,
+  isActive: true,
+  feed: primaryFeed(),
+  ...fields
+});
+
+describe('Storage Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.product.upsert.mockResolvedValue({ id: 'p-1' });
+    prisma.product.update.mockResolvedValue({});
+    prisma.productPriceHistory.createMany.mockResolvedValue({ count: 1 });
+    prisma.product.updateMany.mockResolvedValue({ count: 1 });
+    prisma.productOverride.findMany.mockResolvedValue([]);
+    prisma.productOverride.upsert.mockResolvedValue({});
+  });
+
+  describe('upsertProducts', () => {
+    it('should create new products with their content hash', async () => {
+      prisma.product.findMany.mockResolvedValue([]);
+
+      const result = await storageService.upsertProducts('cust-1', 'feed-1', [product('A')]);
+
+      expect(result).toEqual({ created: 1, updated: 0, unchanged: 0, conflicts: 0, errors: 0, total: 1 });
+      expect(prisma.product.upsert.mock.calls[0][0].create).toMatchObject({
+        externalId: 'A',
+        feedId: 'feed-1',
+        contentHash: storedHash('feed-1', product('A'))
+      });
+    });
+
+    it('should skip products whose content did not change', async () => {
+      prisma.product.findMany.mockResolvedValue([
+        stored('A', 'feed-1', { contentHash: storedHash('feed-1', product('A')) }),
+        stored('B', 'feed-1', { contentHash: storedHash('feed-1', product('B')) })
+      ]);
+
+      const result = await storageService.upsertProducts('cust-1', 'feed-1', [
+        product('A'),
+        product('B', { price: 12 })
+      ]);
+
+      expect(result).toEqual({ created: 0, updated: 1, unchanged: 1, conflicts: 0, errors: 0, total: 2 });
+      expect(prisma.product.upsert).toHaveBeenCalledTimes(1);
+      expect(prisma.product.upsert.mock.calls[0][0].update).toMatchObject({ price: 12, isActive: true });
+    });
+
+    it('should write unchanged products that were deactivated or have no hash', async () => {
+      prisma.product.findMany.mockResolvedValue([
+        stored('A', 'feed-1', { contentHash: storedHash('feed-1', product('A')), isActive: false }),
+        stored('B', 'feed-1')
+      ]);
+
+      const result = await storageService.upsertProducts('cust-1', 'feed-1', [product('A'), product('B')]);
+
+      expect(result.updated).toBe(2);
+      expect(prisma.product.upsert).toHaveBeenCalledTimes(2);
+    });
+
+    it('should write products that moved to a feed with higher priority', async () => {
+      prisma.product.findMany.mockResolvedValue([
+        stored('A', 'feed-1', { contentHash: storedHash('feed-1', product('A')) })
+      ]);
+
+      const result = await storageService.upsertProducts('cust-1', 'feed-2', [product('A')], { priority: 1 });
+
+      expect(result.updated).toBe(1);
+      expect(prisma.product.upsert.mock.calls[0][0].update).toMatchObject({ feedId: 'feed-2' });
+    });
+
+    it('should leave products of primary feeds with equal or higher priority', async () => {
+      prisma.product.findMany.mockResolvedValue([
+        stored('A', 'feed-1'),
+        stored('B', 'feed-1', { feed: primaryFeed(5) })
+      ]);
+
+      const result = await storageService.upsertProducts('cust-1', 'feed-2', [product('A'), product('B')], {
+        priority: 3
+      });
+
+      expect(result).toMatchObject({ updated: 1, conflicts: 1 });
+      expect(prisma.product.upsert.mock.calls[0][0].where.customerId_externalId.externalId).toBe('A');
+    });
+
+    it('should take over products of inactive feeds and deactivated products', async () => {
+      prisma.product.findMany.mockResolvedValue([
+        stored('A', 'feed-1', { feed: { ...primaryFeed(5), isActive: false } }),
+        stored('B', 'feed-1', { feed: primaryFeed(5), isActive: false })
+      ]);
+
+      const result = await storageService.upsertProducts('cust-1', 'feed-2', [product('A'), product('B')]);
+
+      expect(result).toMatchObject({ updated: 2, conflicts: 0 });
+    });
+
+    it('should apply supplemental values by feed priority', async () => {
+      prisma.product.findMany.mockResolvedValue([]);
+      prisma.productOverride.findMany.mockResolvedValue([
+        { externalId: 'A', data: { price: 8, stockStatus: 'out_of_stock' } },
+        { externalId: 'A', data: { price: 7 } }
+      ]);
+
+      await storageService.upsertProducts('cust-1', 'feed-1', [product('A')]);
+
+      expect(prisma.productOverride.findMany.mock.calls[0][0]).toMatchObject({
+        where: { customerId: 'cust-1', feed: { isActive: true, role: 'supplemental' } },
+        orderBy: [{ feed: { priority: 'asc' } }, { updatedAt: 'asc' }]
+      });
+      expect(prisma.product.upsert.mock.calls[0][0].create).toMatchObject({
+        title: 'Urun A',
+        price: 7,
+        stockStatus: 'out_of_stock',
+        contentHash: storedHash('feed-1', product('A'), { price: 7, stockStatus: 'out_of_stock' })
+      });
+    });
+
+    it('should link variants to the parent group of their item group', async () => {
+      prisma.product.findMany.mockResolvedValue([]);
+      prisma.productGroup.createMany.mockResolvedValue({ count: 1 });
+      prisma.productGroup.findMany.mockResolvedValue([{ id: 'group-1', externalId: 'ELB-1' }]);
+
+      await storageService.upsertProducts('cust-1', 'feed-1', [
+        product('ELB-1-S', { groupId: 'ELB-1' }),
+        product('ELB-1-M', { groupId: 'ELB-1' }),
+        product('CNT-1')
+      ]);
+
+      expect(prisma.productGroup.createMany).toHaveBeenCalledWith({
+        data: [{ customerId: 'cust-1', externalId: 'ELB-1' }],
+        skipDuplicates: true
+      });
+      expect(prisma.product.upsert.mock.calls.map(([args]) => args.create.groupId))
+        .toEqual(['group-1', 'group-1', null]);
+    });
+
+    it('should count failed writes as errors', async () => {
+      prisma.product.findMany.mockResolvedValue([]);
+      prisma.product.upsert.mockRejectedValueOnce(new Error('value too long'));
+
+      const result = await storageService.upsertProducts('cust-1', 'feed-1', [product('A'), product('B')]);
+
+      expect(result).toEqual({ created: 1, updated: 0, unchanged: 0, conflicts: 0, errors: 1, total: 2 });
+    });
+
+    it('should record the price of new products and price or stock changes', async () => {
+      prisma.product.findMany.mockResolvedValue([
+        stored('A', 'feed-1', { price: '10.00', salePrice: null, stockStatus: 'in_stock' }),
+        stored('B', 'feed-1', { price: '10.00', salePrice: null, stockStatus: 'out_of_stock' })
+      ]);
+      prisma.product.upsert
+        .mockResolvedValueOnce({ id: 'p-a' })
+        .mockResolvedValueOnce({ id: 'p-b' })
+        .mockResolvedValueOnce({ id: 'p-c' });
+
+      await storageService.upsertProducts('cust-1', 'feed-1', [
+        product('A', { title: 'Yeni baslik' }),
+        product('B'),
+        product('C', { price: 20, salePrice: 15 })
+      ]);
+
+      expect(prisma.productPriceHistory.createMany).toHaveBeenCalledTimes(1);
+      expect(prisma.productPriceHistory.createMany.mock.calls[0][0].data).toEqual([
+        { productId: 'p-b', price: 10, salePrice: null, currency: 'TRY', stockStatus: 'in_stock' },
+        { productId: 'p-c', price: 20, salePrice: 15, currency: 'TRY', stockStatus: 'in_stock' }
+      ]);
+    });
+
+    it('should keep the products when the price history cannot be written', async () => {
+      prisma.product.findMany.mockResolvedValue([]);
+      prisma.productPriceHistory.createMany.mockRejectedValueOnce(new Error('relation does not exist'));
+
+      const result = await storageService.upsertProducts('cust-1', 'feed-1', [product('A')]);
+
+      expect(result).toMatchObject({ created: 1, errors: 0 });
+    });
+  });
+
+  describe('upsertOverrides', () => {
+    it('should store the merge fields that have a value and patch products', async () => {
+      prisma.product.findMany.mockResolvedValue([
+        { id: 'p-a', externalId: 'A', price: '12.00', salePrice: null, currency: 'TRY', stockStatus: 'in_stock' }
+      ]);
+      prisma.productOverride.findMany
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([{ externalId: 'A', data: { price: 9, stockStatus: 'out_of_stock' } }]);
+
+      const result = await storageService.upsertOverrides(
+        'cust-1',
+        'feed-s',
+        [product('A', { title: '', price: 9, stock: 'out_of_stock' }), product('B', { title: '', price: 0 })],
+        ['title', 'price', 'availability']
+      );
+
+      expect(result).toMatchObject({ created: 2, updated: 0, unchanged: 0 });
+      expect(prisma.productOverride.upsert.mock.calls[1][0].create.data).toEqual({ stockStatus: 'in_stock' });
+      expect(prisma.productOverride.upsert.mock.calls[0][0].create).toEqual({
+        customerId: 'cust-1',
+        feedId: 'feed-s',
+        externalId: 'A',
+        data: { price: 9, stockStatus: 'out_of_stock' }
+      });
+      expect(prisma.product.findMany.mock.calls[0][0].where).toEqual({
+        customerId: 'cust-1',
+        externalId: { in: ['A'] },
+        feed: { role: 'primary' }
+      });
+      expect(prisma.product.update).toHaveBeenCalledWith({
+        where: { id: 'p-a' },
+        data: { price: 9, stockStatus: 'out_of_stock', contentHash: null }
+      });
+      expect(prisma.productPriceHistory.createMany).toHaveBeenCalledWith({
+        data: [{ productId: 'p-a', price: 9, salePrice: null, currency: 'TRY', stockStatus: 'out_of_stock' }]
+      });
+    });
+
+    it('should skip values that did not change', async () => {
+      prisma.productOverride.findMany.mockResolvedValueOnce([{ externalId: 'A', data: { price: 9 } }]);
+
+      const result = await storageService.upsertOverrides('cust-1', 'feed-s', [product('A', { price: 9 })], [
+        'price'
+      ]);
+
+      expect(result).toMatchObject({ created: 0, updated: 0, unchanged: 1 });
+      expect(prisma.productOverride.upsert).not.toHaveBeenCalled();
+      expect(prisma.product.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deleteStaleOverrides', () => {
+    it('should delete values no longer listed and refresh primary feeds', async () => {
+      prisma.productOverride.findMany.mockResolvedValue([
+        { id: 'o-1', externalId: 'A' },
+        { id: 'o-2', externalId: 'B' }
+      ]);
+
+      const count = await storageService.deleteStaleOverrides('cust-1', 'feed-s', new Set(['A']));
+
+      expect(count).toBe(1);
+      expect(prisma.productOverride.deleteMany).toHaveBeenCalledWith({ where: { id: { in: ['o-2'] } } });
+      expect(prisma.product.updateMany).toHaveBeenCalledWith({
+        where: { customerId: 'cust-1', externalId: { in: ['B'] } },
+        data: { contentHash: null }
+      });
+      expect(prisma.xmlFeed.updateMany).toHaveBeenCalledWith({
+        where: { customerId: 'cust-1', role: 'primary' },
+        data: { etag: null, lastModified: null }
+      });
+    });
+
+    it('should not touch primary feeds when nothing is stale', async () => {
+      prisma.productOverride.findMany.mockResolvedValue([{ id: 'o-1', externalId: 'A' }]);
+
+      expect(await storageService.deleteStaleOverrides('cust-1', 'feed-s', ['A'])).toBe(0);
+      expect(prisma.xmlFeed.updateMany).not.toHaveBeenCalled();
+    });
+  });
+});
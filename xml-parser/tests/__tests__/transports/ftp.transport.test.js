@@ -0,0 +1,76 @@
+/**
+ * FTP Transport Tests
+ * Login, change detection by modification time and streamed downloads
+ */
+
+jest.mock('basic-ftp', () => {
+  const client = {
+    access: jest.fn(),
+    lastMod: jest.fn(),
+    downloadTo: jest.fn(),
+    close: jest.fn()
+  };
+
+  return { Client: jest.fn(() => client), mockClient: client };
+});
+
+const { mockClient: client } = require('basic-ftp');
+const FtpTransport = require('../../../src/transports/ftp.transport');
+
+const readAll = async (stream) => {
+  let text = '';
+  for await (const chunk of stream) text += chunk;
+  return text;
+};
+
+describe('FTP Transport', () => {
+  const transport = new FtpTransport();
+  const modifiedAt = new Date('2026-10-19T08:00:00Z');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    client.lastMod.mockResolvedValue(modifiedAt);
+    client.downloadTo.mockImplementation(async (stream) => {
+      stream.end('id;title\n1;Kalem');
+    });
+  });
+
+  it('should log in with the feed credentials before the URL user', async () => {
+    await transport.open(new URL('ftp://anon@ftp.example.com:2121/exports/urunler%20listesi.csv'), {
+      credentials: { username: 'magaza', password: 'gizli' }
+    });
+
+    expect(client.access).toHaveBeenCalledWith({
+      host: 'ftp.example.com',
+      port: 2121,
+      user: 'magaza',
+      password: 'gizli',
+      secure: false
+    });
+    expect(client.downloadTo.mock.calls[0][1]).toBe('/exports/urunler listesi.csv');
+  });
+
+  it('should stream the file with its modification time', async () => {
+    const result = await transport.open(new URL('ftp://ftp.example.com/feed.csv'));
+
+    expect(result).toMatchObject({ notModified: false, lastModified: modifiedAt.toUTCString() });
+    expect(await readAll(result.stream)).toBe('id;title\n1;Kalem');
+  });
+
+  it('should not download a file that did not change', async () => {
+    const result = await transport.open(new URL('ftp://ftp.example.com/feed.csv'), {
+      lastModified: modifiedAt.toUTCString()
+    });
+
+    expect(result.notModified).toBe(true);
+    expect(client.downloadTo).not.toHaveBeenCalled();
+    expect(client.close).toHaveBeenCalled();
+  });
+
+  it('should close the connection when login fails', async () => {
+    client.access.mockRejectedValue(new Error('530 Login incorrect.'));
+
+    await expect(transport.open(new URL('ftp://ftp.example.com/feed.csv'))).rejects.toThrow('530 Login incorrect.');
+    expect(client.close).toHaveBeenCalled();
+  });
+});
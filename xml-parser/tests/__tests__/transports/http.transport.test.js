@@ -0,0 +1,68 @@
+/**
+ * HTTP Transport Tests
+ * Redirects are followed without leaking credentials to other origins
+ */
+
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  fetchError: jest.fn()
+}));
+
+const { Readable } = require('stream');
+const HttpTransport = require('../../../src/transports/http.transport');
+
+const redirect = (location, status = 302) => ({ status, headers: { location }, data: Readable.from([]) });
+const ok = () => ({ status: 200, headers: { 'content-type': 'text/csv' }, data: Readable.from([Buffer.from('id,title')]) });
+
+describe('HTTP Transport', () => {
+  const transport = new HttpTransport();
+  const credentials = { username: 'magaza', password: 'gizli', headers: { 'X-Api-Key': 'abc' } };
+  let get;
+
+  beforeEach(() => {
+    get = jest.spyOn(transport.client, 'get');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should drop credentials when a redirect leaves the origin', async () => {
+    get.mockResolvedValueOnce(redirect('https://cdn.example.net/feed.csv')).mockResolvedValueOnce(ok());
+
+    const result = await transport.open(new URL('https://shop.example.com/feed.csv'), { credentials, etag: '"v1"' });
+
+    expect(get.mock.calls[0][0]).toBe('https://shop.example.com/feed.csv');
+    expect(get.mock.calls[0][1].auth).toEqual({ username: 'magaza', password: 'gizli' });
+    expect(get.mock.calls[1][0]).toBe('https://cdn.example.net/feed.csv');
+    expect(get.mock.calls[1][1].auth).toBeUndefined();
+    expect(get.mock.calls[1][1].headers).toEqual({ 'If-None-Match': '"v1"' });
+    expect(result.contentType).toBe('text/csv');
+  });
+
+  it('should keep credentials on same origin redirects', async () => {
+    get.mockResolvedValueOnce(redirect('/exports/feed.csv', 301)).mockResolvedValueOnce(ok());
+
+    await transport.open(new URL('https://shop.example.com/feed.csv'), { credentials });
+
+    expect(get.mock.calls[1][0]).toBe('https://shop.example.com/exports/feed.csv');
+    expect(get.mock.calls[1][1].auth).toEqual({ username: 'magaza', password: 'gizli' });
+    expect(get.mock.calls[1][1].headers).toEqual({ 'X-Api-Key': 'abc' });
+  });
+
+  it('should stop after the configured number of redirects', async () => {
+    get.mockResolvedValue(redirect('https://shop.example.com/loop'));
+
+    await expect(transport.open(new URL('https://shop.example.com/loop'))).rejects.toThrow('Too many redirects');
+    expect(get).toHaveBeenCalledTimes(6);
+  });
+
+  it('should refuse redirects to other protocols', async () => {
+    get.mockResolvedValueOnce(redirect('file:///etc/passwd'));
+
+    await expect(transport.open(new URL('https://shop.example.com/feed.csv'))).rejects.toThrow('Unsupported redirect');
+  });
+});